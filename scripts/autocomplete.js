@@ -0,0 +1,124 @@
+/**
+ * Autocomplete Module - Suggestions for the search box combobox
+ * Combines word completions, recent searches, tag names and smart list names;
+ * the UI renders them as an ARIA listbox under #search-input
+ */
+
+/**
+ * Most recent searches kept with the settings
+ */
+export const RECENT_SEARCH_LIMIT = 8;
+
+/**
+ * Most suggestions shown at once
+ */
+export const AUTOCOMPLETE_LIMIT = 8;
+
+/**
+ * Record a search in the recent-search list (newest first, no duplicates)
+ * @param {Array} recentSearches - Current recent searches
+ * @param {string} query - Search that was run
+ * @param {number} limit - Maximum number kept
+ * @returns {Array} Updated list (the same array when the query is empty or already newest)
+ */
+export function addRecentSearch(recentSearches = [], query, limit = RECENT_SEARCH_LIMIT) {
+  const trimmed = String(query || '').trim();
+  if (!trimmed || recentSearches[0] === trimmed) return recentSearches;
+  return [trimmed, ...recentSearches.filter(item => item.toLowerCase() !== trimmed.toLowerCase())].slice(0, limit);
+}
+
+/**
+ * Find the word being typed at the caret
+ * A field prefix such as tag: or # stays outside the word
+ * @param {string} input - Search box text
+ * @param {number} caret - Caret position
+ * @returns {Object} { word, prefix, start, end } where start..end is the whole token
+ */
+export function getCurrentWord(input, caret = input.length) {
+  const start = input.slice(0, caret).search(/[^\s()]*$/);
+  const rest = input.slice(caret).match(/^[^\s()]*/)[0];
+  const token = input.slice(start, caret + rest.length);
+  const prefix = (token.match(/^(?:-?[a-z]+:|-?#|-)/i) || [''])[0];
+  return {
+    word: input.slice(start + prefix.length, caret),
+    prefix,
+    start,
+    end: caret + rest.length
+  };
+}
+
+/**
+ * Quote a tag for a tag: term when it contains spaces
+ * @param {string} tag - Tag name
+ * @returns {string} Query term
+ */
+function toTagTerm(tag) {
+  return /\s/.test(tag) ? `tag:"${tag}"` : `tag:${tag}`;
+}
+
+/**
+ * Build the suggestions for the search box
+ * @param {string} input - Search box text
+ * @param {Object} sources - Suggestion sources
+ * @param {number} sources.caret - Caret position
+ * @param {Function} sources.getWords - (word) => word completions (e.g. searchManager.getSuggestions)
+ * @param {Array} sources.recentSearches - Recent searches, newest first
+ * @param {Array} sources.tags - Tag names in use
+ * @param {Array} sources.smartLists - Saved smart lists
+ * @param {number} sources.limit - Maximum suggestions
+ * @returns {Array} Options as { type, label, value, listId }; value is the new search box text
+ */
+export function getAutocompleteOptions(input, {
+  caret = input.length,
+  getWords = () => [],
+  recentSearches = [],
+  tags = [],
+  smartLists = [],
+  limit = AUTOCOMPLETE_LIMIT
+} = {}) {
+  const text = String(input || '');
+  const trimmed = text.trim().toLowerCase();
+  const { word, prefix, start, end } = getCurrentWord(text, caret);
+  const wanted = word.toLowerCase();
+  const replaceWord = (replacement) => `${text.slice(0, start)}${replacement}${text.slice(end)}`;
+  const options = [];
+
+  // Recent searches continuing what is typed (all of them in an empty box)
+  recentSearches
+    .filter(search => search.toLowerCase() !== trimmed && search.toLowerCase().startsWith(trimmed))
+    .forEach(search => options.push({ type: 'recent', label: search, value: search }));
+
+  // Smart lists by name
+  if (trimmed) {
+    smartLists
+      .filter(list => list.name.toLowerCase().includes(trimmed))
+      .forEach(list => options.push({ type: 'smart-list', label: list.name, value: list.query, listId: list.id }));
+  }
+
+  if (wanted) {
+    // Tag names, as tag: terms
+    const tagPrefix = /^-?(?:tag:|#)$/i.test(prefix);
+    if (tagPrefix || !prefix) {
+      tags
+        .filter(tag => tag.toLowerCase().startsWith(wanted) && tag.toLowerCase() !== wanted)
+        .forEach(tag => options.push({ type: 'tag', label: tag, value: replaceWord(`${prefix.startsWith('-') ? '-' : ''}${toTagTerm(tag)}`) }));
+    }
+
+    // Completions of the word being typed
+    if (!prefix || prefix === '-') {
+      getWords(word).forEach(completion => {
+        options.push({ type: 'word', label: completion, value: replaceWord(`${prefix}${completion}`) });
+      });
+    }
+  }
+
+  const seen = new Set();
+  return options
+    .filter(option => {
+      const key = `${option.type}:${option.value}`;
+      if (seen.has(key) || option.value === text) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, limit);
+}
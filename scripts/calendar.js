@@ -0,0 +1,152 @@
+/**
+ * Calendar Module - Month and week layouts for tasks on their due dates
+ * Weeks start on Sunday, as in the search's due:this-week. Date-only tasks go in
+ * a day's all-day row; timed tasks go in the slot of their due hour.
+ */
+
+import { toDateString } from './utils.js';
+
+/**
+ * Task views on the tasks page; 'list' is the card grid, 'matrix' the Eisenhower
+ * board and 'board' the Kanban board of task statuses
+ */
+export const CALENDAR_VIEWS = ['list', 'month', 'week', 'matrix', 'board'];
+export const DEFAULT_CALENDAR_VIEW = 'list';
+
+/**
+ * Hours the week view always shows; earlier or later tasks widen the range
+ */
+export const WEEK_VIEW_HOURS = { start: 8, end: 22 };
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * Parse a YYYY-MM-DD string (or the date part of a due date) as a local date
+ * @param {string} value - Date string
+ * @returns {Date} Local midnight of that day
+ */
+function parseDay(value) {
+  const [year, month, day] = String(value).split('T')[0].split('-').map(part => parseInt(part, 10));
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} date - Date string
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date string
+ */
+export function addDays(date, days) {
+  const day = parseDay(date);
+  return toDateString(new Date(day.getFullYear(), day.getMonth(), day.getDate() + days));
+}
+
+/**
+ * Normalize a stored view name
+ * @param {string} view - View name
+ * @returns {string} A name from CALENDAR_VIEWS
+ */
+export function normalizeCalendarView(view) {
+  return CALENDAR_VIEWS.includes(view) ? view : DEFAULT_CALENDAR_VIEW;
+}
+
+/**
+ * Days shown by a view around a date
+ * The month view covers whole weeks, from the Sunday on or before the 1st to the
+ * Saturday on or after the last day of the month.
+ * @param {string} view - 'month' or 'week'
+ * @param {string} anchor - Any day in the period (YYYY-MM-DD)
+ * @returns {Object} { start, end, days: [YYYY-MM-DD], title }
+ */
+export function getCalendarRange(view, anchor) {
+  const day = parseDay(anchor);
+
+  if (view === 'month') {
+    const first = new Date(day.getFullYear(), day.getMonth(), 1);
+    const last = new Date(day.getFullYear(), day.getMonth() + 1, 0);
+    const start = toDateString(new Date(first.getFullYear(), first.getMonth(), 1 - first.getDay()));
+    const end = toDateString(new Date(last.getFullYear(), last.getMonth(), last.getDate() + 6 - last.getDay()));
+    const days = [];
+    for (let date = start; date <= end; date = addDays(date, 1)) days.push(date);
+    return { start, end, days, title: `${MONTH_NAMES[day.getMonth()]} ${day.getFullYear()}` };
+  }
+
+  const start = addDays(anchor, -day.getDay());
+  const days = Array.from({ length: 7 }, (_, index) => addDays(start, index));
+  const first = parseDay(days[0]);
+  const last = parseDay(days[6]);
+  const title = first.getMonth() === last.getMonth()
+    ? `${MONTH_NAMES[first.getMonth()]} ${first.getDate()}–${last.getDate()}, ${last.getFullYear()}`
+    : `${MONTH_NAMES[first.getMonth()].slice(0, 3)} ${first.getDate()} – ${MONTH_NAMES[last.getMonth()].slice(0, 3)} ${last.getDate()}, ${last.getFullYear()}`;
+  return { start, end: days[6], days, title };
+}
+
+/**
+ * Move the anchor date one period forward or back
+ * @param {string} view - 'month' or 'week'
+ * @param {string} anchor - Current anchor (YYYY-MM-DD)
+ * @param {number} direction - 1 for next, -1 for previous
+ * @returns {string} New anchor
+ */
+export function shiftCalendarAnchor(view, anchor, direction) {
+  if (view === 'month') {
+    const day = parseDay(anchor);
+    return toDateString(new Date(day.getFullYear(), day.getMonth() + direction, 1));
+  }
+  return addDays(anchor, direction * 7);
+}
+
+/**
+ * Sort tasks into the days of a range
+ * @param {Array} tasks - Tasks to place
+ * @param {Object} range - Range from getCalendarRange
+ * @returns {Map} Date → { allDay: [task], timed: [task] in due time order }
+ */
+export function groupTasksByDay(tasks, range) {
+  const days = new Map(range.days.map(date => [date, { allDay: [], timed: [] }]));
+  tasks.forEach(task => {
+    if (!task.dueDate) return;
+    const [date, time] = String(task.dueDate).split('T');
+    const day = days.get(date);
+    if (!day) return;
+    (time ? day.timed : day.allDay).push(task);
+  });
+  days.forEach(day => day.timed.sort((a, b) => String(a.dueDate).localeCompare(String(b.dueDate))));
+  return days;
+}
+
+/**
+ * Hours the week view shows for a set of tasks
+ * @param {Map} days - Result of groupTasksByDay
+ * @returns {Object} { start, end } hours; end is exclusive
+ */
+export function getWeekViewHours(days) {
+  let { start, end } = WEEK_VIEW_HOURS;
+  days.forEach(day => day.timed.forEach(task => {
+    const hour = parseInt(String(task.dueDate).split('T')[1], 10);
+    start = Math.min(start, hour);
+    end = Math.max(end, hour + 1);
+  }));
+  return { start, end };
+}
+
+/**
+ * Due date after dropping a task on a calendar day or time slot
+ * Dropping on a day keeps the task's due time; dropping on a time slot sets the
+ * hour and keeps the minutes; dropping on the all-day row removes the time.
+ * @param {string} dueDate - Current due date
+ * @param {string} date - Target day (YYYY-MM-DD)
+ * @param {Object} options - Drop target
+ * @param {number|null} options.hour - Target hour, or null for a whole day
+ * @param {boolean} options.allDay - Dropped on the all-day row
+ * @returns {string} New due date
+ */
+export function rescheduleDueDate(dueDate, date, { hour = null, allDay = false } = {}) {
+  const time = String(dueDate || '').split('T')[1] || '';
+  if (allDay) return date;
+  if (hour !== null) {
+    const minutes = time ? time.split(':')[1] : '00';
+    return `${date}T${String(hour).padStart(2, '0')}:${minutes}`;
+  }
+  return time ? `${date}T${time}` : date;
+}
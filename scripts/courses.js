@@ -0,0 +1,122 @@
+/**
+ * Courses Module - Course registry kept with the user's settings
+ * Normalizes course records, resolves course colours and builds per-course stats
+ */
+
+import { generateUniqueId, generateTagColor } from './utils.js';
+
+/**
+ * Course fields that can be edited from the settings page
+ */
+export const COURSE_FIELDS = ['code', 'name', 'color', 'instructor', 'credits', 'term'];
+
+/**
+ * Course colours are written into style attributes, so only plain hex colours are kept
+ */
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Normalize a course into its stored shape
+ * @param {Object} course - Raw course data (e.g. from the settings form)
+ * @returns {Object} Course record
+ */
+export function normalizeCourse(course) {
+  const code = String(course.code || '').trim().replace(/\s+/g, ' ').toUpperCase();
+  const credits = parseFloat(course.credits);
+  const color = String(course.color || '').trim().toLowerCase();
+
+  return {
+    id: course.id || generateUniqueId('course'),
+    code,
+    name: String(course.name || '').trim(),
+    color: COLOR_PATTERN.test(color) ? color : generateTagColor(code),
+    instructor: String(course.instructor || '').trim(),
+    credits: isNaN(credits) ? 0 : credits,
+    term: String(course.term || '').trim()
+  };
+}
+
+/**
+ * Find a course by ID
+ * @param {Array} courses - Course registry
+ * @param {string} courseId - Course ID
+ * @returns {Object|null} Course or null when not registered
+ */
+export function findCourse(courses, courseId) {
+  if (!courseId || !Array.isArray(courses)) return null;
+  return courses.find(course => course.id === courseId) || null;
+}
+
+/**
+ * Get the colour used for a course
+ * @param {Object} course - Course record
+ * @returns {string} Hex colour
+ */
+export function getCourseColor(course) {
+  if (!course) return null;
+  return COLOR_PATTERN.test(course.color || '') ? course.color : generateTagColor(String(course.code || course.name || ''));
+}
+
+/**
+ * Build a short label for a course
+ * @param {Object} course - Course record
+ * @returns {string} e.g. "MATH 201 – Calculus II"
+ */
+export function formatCourseLabel(course) {
+  if (!course) return '';
+  return course.name ? `${course.code} – ${course.name}` : course.code;
+}
+
+/**
+ * Summarize tasks per course
+ * Tasks without a registered course are grouped under a `courseId` of null
+ * @param {Array} tasks - All tasks
+ * @param {Array} courses - Course registry
+ * @param {Date} now - Reference time for overdue counts
+ * @returns {Array} One entry per course (plus unassigned tasks when present)
+ */
+export function getCourseStats(tasks, courses = [], now = new Date()) {
+  const entries = new Map((courses || []).map(course => [course.id, {
+    courseId: course.id,
+    code: course.code,
+    name: course.name,
+    color: getCourseColor(course),
+    credits: course.credits || 0,
+    totalTasks: 0,
+    completedTasks: 0,
+    overdueTasks: 0,
+    totalDuration: 0,
+    completedDuration: 0
+  }]));
+
+  tasks.forEach(task => {
+    const key = entries.has(task.courseId) ? task.courseId : null;
+    if (!entries.has(key)) {
+      entries.set(null, {
+        courseId: null,
+        code: 'No course',
+        name: '',
+        color: null,
+        credits: 0,
+        totalTasks: 0,
+        completedTasks: 0,
+        overdueTasks: 0,
+        totalDuration: 0,
+        completedDuration: 0
+      });
+    }
+
+    const entry = entries.get(key);
+    const duration = parseFloat(task.duration) || 0;
+    entry.totalTasks++;
+    entry.totalDuration += duration;
+    if (task.completed) {
+      entry.completedTasks++;
+      entry.completedDuration += duration;
+    } else if (new Date(task.dueDate) < now) {
+      entry.overdueTasks++;
+    }
+  });
+
+  return [...entries.values()];
+}
@@ -0,0 +1,370 @@
+/**
+ * CSV Module - RFC 4180 CSV export and column-mapped CSV import of tasks
+ * Exports use the user's date format and time unit; imports map arbitrary
+ * spreadsheet columns to task fields and validate every row like the task form
+ */
+
+import { validateTask } from './validators.js';
+import { createTaskRecord } from './state.js';
+import { formatDate } from './utils.js';
+import { getTaskTags, getTaskPriority, normalizeTags, PRIORITY_LEVELS, DEFAULT_PRIORITY } from './tags.js';
+import { findCourse } from './courses.js';
+
+/**
+ * Columns available for CSV export
+ * `value(task, context)` returns the cell text; context holds settings and courses
+ */
+export const CSV_EXPORT_COLUMNS = [
+  { key: 'title', label: 'Title', value: (task) => task.title },
+  { key: 'dueDate', label: 'Due Date', value: (task, { dateFormat }) => task.dueDate ? formatDate(String(task.dueDate).split('T')[0] + 'T00:00', dateFormat) : '' },
+  { key: 'dueTime', label: 'Due Time', value: (task) => String(task.dueDate || '').split('T')[1] || '' },
+  { key: 'duration', label: 'Duration', value: (task, { timeUnit }) => formatDurationValue(task.duration, timeUnit) },
+  { key: 'priority', label: 'Priority', value: (task) => getTaskPriority(task) || '' },
+  { key: 'tags', label: 'Tags', value: (task) => getTaskTags(task).join('; ') },
+  { key: 'course', label: 'Course', value: (task, { courses }) => (findCourse(courses, task.courseId) || {}).code || '' },
+  { key: 'completed', label: 'Completed', value: (task) => task.completed ? 'yes' : 'no' },
+  { key: 'completedAt', label: 'Completed At', value: (task) => task.completed ? task.completedAt || '' : '' },
+  { key: 'description', label: 'Description', value: (task) => task.description || '' },
+  { key: 'createdAt', label: 'Created At', value: (task) => task.createdAt || '' },
+  { key: 'updatedAt', label: 'Updated At', value: (task) => task.updatedAt || '' },
+  { key: 'id', label: 'ID', value: (task) => task.id }
+];
+
+/**
+ * Columns exported when none are selected
+ */
+export const DEFAULT_EXPORT_COLUMNS = ['title', 'dueDate', 'dueTime', 'duration', 'priority', 'tags', 'course', 'completed', 'description'];
+
+/**
+ * Task fields a CSV column can be mapped to, with header names recognised automatically
+ */
+export const CSV_IMPORT_FIELDS = [
+  { key: 'title', label: 'Title', required: true, aliases: ['title', 'task', 'name', 'assignment'] },
+  { key: 'dueDate', label: 'Due Date', required: true, aliases: ['due date', 'due', 'deadline', 'date'] },
+  { key: 'dueTime', label: 'Due Time', aliases: ['due time', 'time'] },
+  { key: 'duration', label: 'Duration', required: true, aliases: ['duration', 'hours', 'minutes', 'estimate', 'duration hours', 'duration minutes'] },
+  { key: 'priority', label: 'Priority', aliases: ['priority', 'quadrant'] },
+  { key: 'tags', label: 'Tags', aliases: ['tags', 'tag', 'labels', 'category'] },
+  { key: 'course', label: 'Course', aliases: ['course', 'course code', 'class', 'module'] },
+  { key: 'completed', label: 'Completed', aliases: ['completed', 'done', 'status'] },
+  { key: 'completedAt', label: 'Completed At', aliases: ['completed at', 'completed on', 'completion date', 'date completed', 'done at'] },
+  { key: 'description', label: 'Description', aliases: ['description', 'notes', 'details'] }
+];
+
+// Labels used on the task form for each priority quadrant
+const PRIORITY_ALIASES = {
+  'do first': 'Urgent & Important',
+  'schedule': 'Important but Not Urgent',
+  'delegate': 'Urgent but Not Important',
+  'eliminate': 'Not Urgent & Not Important'
+};
+
+const TRUE_VALUES = ['yes', 'y', 'true', '1', 'done', 'completed', 'complete', 'x'];
+
+/**
+ * Format a duration in hours for a CSV cell
+ * @param {number} hours - Duration in hours
+ * @param {string} timeUnit - 'hours' or 'minutes'
+ * @returns {string} Number in the requested unit
+ */
+function formatDurationValue(hours, timeUnit) {
+  const value = parseFloat(hours) || 0;
+  return String(timeUnit === 'minutes' ? Math.round(value * 60) : Math.round(value * 100) / 100);
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, line breaks inside quotes)
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array} Rows, each an array of cell strings
+ */
+export function parseCSV(text, delimiter = ',') {
+  return parseCSVRecords(text, delimiter).rows;
+}
+
+/**
+ * Parse CSV text, noting the file line each record starts on
+ * A quoted cell can span lines, so record and line numbers differ after one.
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field delimiter
+ * @returns {Object} { rows, lines } - lines[i] is the 1-based line where rows[i] starts
+ */
+export function parseCSVRecords(text, delimiter = ',') {
+  const input = String(text || '').replace(/^﻿/, '');
+  const rows = [];
+  const lines = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        // Count line breaks inside quotes; \r\n is one break
+        if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      lines.push(rowLine);
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  // The last record may or may not end with a line break
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+    lines.push(rowLine);
+  }
+  return { rows, lines };
+}
+
+/**
+ * Serialize rows as CSV with CRLF line breaks, quoting fields only when needed
+ * @param {Array} rows - Rows of cell values
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} CSV text
+ */
+export function toCSV(rows, delimiter = ',') {
+  const escapeField = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) || text.includes(delimiter) || text !== text.trim()
+      ? `"${text.replace(/"/g, '""')}"`
+      : text;
+  };
+  return rows.map(row => row.map(escapeField).join(delimiter)).join('\r\n') + '\r\n';
+}
+
+/**
+ * Export tasks as CSV
+ * @param {Array} tasks - Tasks to export
+ * @param {Object} options - Export options
+ * @param {Array} options.columns - Column keys from CSV_EXPORT_COLUMNS, in order
+ * @param {Object} options.settings - User settings (dateFormat, timeUnit, courses)
+ * @returns {string} CSV text with a header row
+ */
+export function tasksToCSV(tasks, { columns = DEFAULT_EXPORT_COLUMNS, settings = {} } = {}) {
+  const context = {
+    dateFormat: settings.dateFormat || 'YYYY-MM-DD',
+    timeUnit: settings.timeUnit || 'hours',
+    courses: settings.courses || []
+  };
+  const selected = columns
+    .map(key => CSV_EXPORT_COLUMNS.find(column => column.key === key))
+    .filter(Boolean);
+
+  const header = selected.map(column => column.key === 'duration' ? `Duration (${context.timeUnit})` : column.label);
+  const body = tasks.map(task => selected.map(column => column.value(task, context)));
+  return toCSV([header, ...body]);
+}
+
+/**
+ * Normalize a header for matching against field aliases
+ * @param {string} header - Column header
+ * @returns {string} Lowercase words
+ */
+function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Guess which column holds each task field from the header row
+ * @param {Array} headers - Header cells
+ * @returns {Object} Field key -> column index (unmatched fields are left out)
+ */
+export function guessColumnMapping(headers) {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+  const used = new Set();
+
+  CSV_IMPORT_FIELDS.forEach(field => {
+    const index = normalized.findIndex((header, i) => !used.has(i) && field.aliases.includes(header));
+    if (index !== -1) {
+      mapping[field.key] = index;
+      used.add(index);
+    }
+  });
+  return mapping;
+}
+
+/**
+ * Parse a date cell into YYYY-MM-DD (and an optional HH:MM time)
+ * ISO dates are always accepted; other dates are read with the given format
+ * @param {string} value - Cell text
+ * @param {string} dateFormat - 'YYYY-MM-DD', 'MM/DD/YYYY' or 'DD/MM/YYYY'
+ * @returns {Object|null} { date, time } or null when the date cannot be read
+ */
+export function parseDateCell(value, dateFormat = 'YYYY-MM-DD') {
+  const text = String(value || '').trim();
+  let year, month, day, time = '';
+
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2}))?$/);
+  const slashed = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?: (\d{1,2}):(\d{2}))?$/);
+
+  if (iso) {
+    [, year, month, day] = iso;
+    if (iso[4]) time = `${iso[4].padStart(2, '0')}:${iso[5]}`;
+  } else if (slashed && dateFormat !== 'YYYY-MM-DD') {
+    const [first, second] = [slashed[1], slashed[2]];
+    [month, day] = dateFormat === 'DD/MM/YYYY' ? [second, first] : [first, second];
+    year = slashed[3];
+    if (slashed[4]) time = `${slashed[4].padStart(2, '0')}:${slashed[5]}`;
+  } else {
+    return null;
+  }
+
+  const date = new Date(Number(year), Number(month) - 1, Number(day));
+  if (date.getFullYear() !== Number(year) || date.getMonth() !== Number(month) - 1 || date.getDate() !== Number(day)) {
+    return null;
+  }
+  return { date: `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`, time };
+}
+
+/**
+ * Parse a completion time cell: a timestamp as exported (ISO with a time zone), or
+ * a date and optional time in the file's date format
+ * @param {string} value - Cell text
+ * @param {string} dateFormat - How dates are written in the file
+ * @returns {string|null} ISO timestamp, or null when the cell cannot be read
+ */
+function parseCompletedAtCell(value, dateFormat) {
+  const text = String(value || '').trim();
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+  const parsed = parseDateCell(text, dateFormat);
+  return parsed ? new Date(`${parsed.date}T${parsed.time || '00:00'}`).toISOString() : null;
+}
+
+/**
+ * Match a priority cell to a priority quadrant
+ * @param {string} value - Cell text
+ * @returns {string} Quadrant, DEFAULT_PRIORITY when blank, or the text itself when unknown
+ */
+function parsePriorityCell(value) {
+  const text = String(value || '').trim();
+  if (!text) return DEFAULT_PRIORITY;
+
+  const lower = text.toLowerCase();
+  return PRIORITY_LEVELS.find(level => level.toLowerCase() === lower) || PRIORITY_ALIASES[lower] || text;
+}
+
+/**
+ * Convert mapped CSV rows into task records, validating each row like the task form
+ * @param {Array} rows - Parsed rows
+ * @param {Object} mapping - Field key -> column index
+ * @param {Object} options - Import options
+ * @param {boolean} options.hasHeader - Skip the first row
+ * @param {string} options.dateFormat - How dates are written in the file
+ * @param {string} options.timeUnit - Unit of the duration column ('hours' or 'minutes')
+ * @param {Array} options.courses - Registered courses (matched by code or name)
+ * @param {Array} options.lines - Line each row starts on (from parseCSVRecords); row
+ *   numbers are used when it is not given
+ * @returns {Object} { tasks, errors } - errors are { row, message } with 1-based file line numbers
+ */
+export function csvRowsToTasks(rows, mapping, { hasHeader = true, dateFormat = 'YYYY-MM-DD', timeUnit = 'hours', courses = [], lines = null } = {}) {
+  const tasks = [];
+  const errors = [];
+  const cell = (row, field) => mapping[field] === undefined || mapping[field] === null ? '' : String(row[mapping[field]] || '').trim();
+
+  rows.forEach((row, index) => {
+    if (hasHeader && index === 0) return;
+    if (row.every(value => !String(value).trim())) return;
+
+    const rowNumber = lines && lines[index] ? lines[index] : index + 1;
+    const messages = [];
+
+    let dueDate = '';
+    const dateText = cell(row, 'dueDate');
+    if (dateText) {
+      const parsed = parseDateCell(dateText, dateFormat);
+      if (!parsed) {
+        messages.push(`Due date "${dateText}" is not a ${dateFormat} date`);
+      } else {
+        const time = cell(row, 'dueTime') || parsed.time;
+        dueDate = time ? `${parsed.date}T${time.padStart(5, '0')}` : parsed.date;
+      }
+    }
+
+    let duration = '';
+    const durationText = cell(row, 'duration');
+    if (durationText) {
+      const value = parseFloat(durationText.replace(',', '.'));
+      duration = isNaN(value) ? durationText : String(Math.round((timeUnit === 'minutes' ? value / 60 : value) * 100) / 100);
+    }
+
+    const taskData = {
+      title: cell(row, 'title'),
+      dueDate,
+      duration,
+      priority: parsePriorityCell(cell(row, 'priority')),
+      tags: normalizeTags(cell(row, 'tags').split(/[;,]/)),
+      description: cell(row, 'description')
+    };
+
+    const courseText = cell(row, 'course');
+    if (courseText) {
+      const lower = courseText.toLowerCase();
+      const course = (courses || []).find(c => String(c.code).toLowerCase() === lower || String(c.name).toLowerCase() === lower);
+      if (course) taskData.courseId = course.id;
+      else messages.push(`Course "${courseText}" is not registered`);
+    }
+
+    // Completed rows keep their completion time, or take the import time without one
+    const completed = TRUE_VALUES.includes(cell(row, 'completed').toLowerCase());
+    const completedText = cell(row, 'completedAt');
+    const completedAt = completed && completedText ? parseCompletedAtCell(completedText, dateFormat) : null;
+    if (completed && completedText && !completedAt) {
+      messages.push(`Completion date "${completedText}" is not a ${dateFormat} date`);
+    }
+
+    const validation = validateTask(taskData);
+    if (!validation.isValid) {
+      // A date that could not be read is already reported
+      Object.entries(validation.errors)
+        .filter(([field]) => !(field === 'dueDate' && dateText && !dueDate))
+        .forEach(([, message]) => messages.push(message));
+    }
+
+    if (messages.length > 0) {
+      errors.push({ row: rowNumber, message: messages.join('; ') });
+      return;
+    }
+
+    const task = createTaskRecord(taskData);
+    if (completed) {
+      task.completed = true;
+      task.completedAt = completedAt || task.updatedAt;
+    }
+    tasks.push(task);
+  });
+
+  return { tasks, errors };
+}
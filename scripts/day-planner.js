@@ -0,0 +1,173 @@
+/**
+ * Day Planner Module - Time blocks placed by hand on an hour-by-hour grid
+ * A time block reserves part of one day for a task; blocks snap to a quarter-hour
+ * grid, overlapping blocks are flagged, and planned hours are compared with the
+ * weekly duration goal
+ */
+
+import { generateUniqueId, toMinutes, toTime } from './utils.js';
+
+/**
+ * Grid step for moving and resizing blocks (minutes)
+ */
+export const PLANNER_SNAP_MINUTES = 15;
+
+/**
+ * Length of a block created by dropping a task on the grid (minutes)
+ */
+export const DEFAULT_BLOCK_MINUTES = 60;
+
+// Blocks stay inside one day; 23:45 is the last slot a block may end on
+const LAST_MINUTE = 24 * 60 - PLANNER_SNAP_MINUTES;
+
+/**
+ * Round minutes to the nearest grid step
+ * @param {number} minutes - Minutes
+ * @returns {number} Snapped minutes
+ */
+export function snapToGrid(minutes) {
+  return Math.round(minutes / PLANNER_SNAP_MINUTES) * PLANNER_SNAP_MINUTES;
+}
+
+/**
+ * Normalize a time block
+ * @param {Object} block - Raw time block
+ * @returns {Object} { id, taskId, date, start, end }
+ */
+export function normalizeTimeBlock(block) {
+  return {
+    id: block.id || generateUniqueId('timeblock'),
+    taskId: String(block.taskId || ''),
+    date: String(block.date || ''),
+    start: String(block.start || '').padStart(5, '0'),
+    end: String(block.end || '').padStart(5, '0')
+  };
+}
+
+/**
+ * Move a block to a new start time, keeping its length and staying inside the day
+ * @param {Object} block - Time block
+ * @param {number} startMinute - Wanted start (minutes after midnight)
+ * @returns {Object} { start, end }
+ */
+export function moveTimeBlock(block, startMinute) {
+  const length = toMinutes(block.end) - toMinutes(block.start);
+  const start = Math.min(Math.max(0, snapToGrid(startMinute)), LAST_MINUTE - length);
+  return { start: toTime(start), end: toTime(start + length) };
+}
+
+/**
+ * Change where a block ends; a block is never shorter than one grid step
+ * @param {Object} block - Time block
+ * @param {number} endMinute - Wanted end (minutes after midnight)
+ * @returns {Object} { end }
+ */
+export function resizeTimeBlock(block, endMinute) {
+  const start = toMinutes(block.start);
+  const end = Math.min(Math.max(start + PLANNER_SNAP_MINUTES, snapToGrid(endMinute)), LAST_MINUTE);
+  return { end: toTime(end) };
+}
+
+/**
+ * Blocks of one day joined with their tasks, in start order
+ * Blocks whose task no longer exists are left out. Overlapping blocks are flagged
+ * and given side-by-side lanes so both stay visible.
+ * @param {Array} timeBlocks - All time blocks
+ * @param {Array} tasks - All tasks
+ * @param {string} date - Day (YYYY-MM-DD)
+ * @returns {Array} Blocks with { task, startMinute, endMinute, hours, lane, overlapping }
+ */
+export function getDayBlocks(timeBlocks, tasks, date) {
+  const taskMap = new Map(tasks.map(task => [task.id, task]));
+  const blocks = (timeBlocks || [])
+    .filter(block => block.date === date && taskMap.has(block.taskId))
+    .map(block => ({
+      ...block,
+      task: taskMap.get(block.taskId),
+      startMinute: toMinutes(block.start),
+      endMinute: toMinutes(block.end),
+      hours: (toMinutes(block.end) - toMinutes(block.start)) / 60,
+      lane: 0,
+      overlapping: false
+    }))
+    .sort((a, b) => a.startMinute - b.startMinute || a.endMinute - b.endMinute);
+
+  // Each block takes the first lane whose last block has ended
+  const laneEnds = [];
+  blocks.forEach((block, index) => {
+    blocks.slice(0, index).forEach(other => {
+      if (other.endMinute > block.startMinute) {
+        other.overlapping = true;
+        block.overlapping = true;
+      }
+    });
+    const lane = laneEnds.findIndex(end => end <= block.startMinute);
+    block.lane = lane === -1 ? laneEnds.length : lane;
+    laneEnds[block.lane] = block.endMinute;
+  });
+
+  return blocks;
+}
+
+/**
+ * First free stretch of a day long enough for a new block
+ * @param {Array} dayBlocks - Blocks of the day (see getDayBlocks)
+ * @param {number} length - Minutes needed
+ * @param {number} from - Earliest start (minutes after midnight)
+ * @param {number} to - Latest end (minutes after midnight)
+ * @returns {number|null} Start minute, or null when the day is full
+ */
+export function findFreeSlot(dayBlocks, length, from, to) {
+  let start = Math.ceil(from / PLANNER_SNAP_MINUTES) * PLANNER_SNAP_MINUTES;
+  for (const block of dayBlocks) {
+    if (block.startMinute >= start + length) break;
+    start = Math.max(start, Math.ceil(block.endMinute / PLANNER_SNAP_MINUTES) * PLANNER_SNAP_MINUTES);
+  }
+  return start + length <= Math.min(to, LAST_MINUTE) ? start : null;
+}
+
+/**
+ * Compare planned time with the weekly duration goal
+ * Work already done this week (the goal's progress) plus blocks planned for
+ * unfinished tasks over the seven days from today gives the projected total.
+ * @param {Array} timeBlocks - All time blocks
+ * @param {Array} tasks - All tasks
+ * @param {string} date - Day shown in the planner (YYYY-MM-DD)
+ * @param {Object} capSettings - { durationCap, currentWeekDuration }
+ * @param {Date} now - Reference time
+ * @returns {Object} { dayHours, weekHours, doneHours, goal, projectedHours, percentage, overGoal, overlaps }
+ */
+export function summarizeDayPlan(timeBlocks, tasks, date, capSettings = {}, now = new Date()) {
+  const openTaskIds = new Set(tasks.filter(task => !task.completed).map(task => task.id));
+  const hoursOf = (block) => (toMinutes(block.end) - toMinutes(block.start)) / 60;
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const pad = (value) => String(value).padStart(2, '0');
+  const dayString = (offset) => {
+    const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset);
+    return `${day.getFullYear()}-${pad(day.getMonth() + 1)}-${pad(day.getDate())}`;
+  };
+  const weekStart = dayString(0);
+  const weekEnd = dayString(6);
+
+  const planned = (timeBlocks || []).filter(block => openTaskIds.has(block.taskId));
+  const dayBlocks = getDayBlocks(timeBlocks, tasks, date);
+  const dayHours = planned.filter(block => block.date === date).reduce((sum, block) => sum + hoursOf(block), 0);
+  const weekHours = planned
+    .filter(block => block.date >= weekStart && block.date <= weekEnd)
+    .reduce((sum, block) => sum + hoursOf(block), 0);
+
+  const goal = capSettings.durationCap || 0;
+  const doneHours = capSettings.currentWeekDuration || 0;
+  const projectedHours = doneHours + weekHours;
+
+  return {
+    dayHours,
+    weekHours,
+    doneHours,
+    goal,
+    projectedHours,
+    percentage: goal > 0 ? Math.round((projectedHours / goal) * 100) : 0,
+    overGoal: goal > 0 && projectedHours > goal,
+    overlaps: dayBlocks.filter(block => block.overlapping).length
+  };
+}
@@ -0,0 +1,229 @@
+/**
+ * Dependencies Module - "Blocked by" relationships between tasks
+ * Detects dependency cycles, reports blocked tasks and computes the critical
+ * path that decides whether the final deadline of a chain of tasks can be met
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Normalize a list of blocking task IDs
+ * @param {Array} blockedBy - Raw task IDs
+ * @param {string} taskId - ID of the task the list belongs to (never blocks itself)
+ * @returns {Array} Unique, non-empty task IDs
+ */
+export function normalizeDependencies(blockedBy, taskId = null) {
+  if (!Array.isArray(blockedBy)) return [];
+
+  return [...new Set(blockedBy
+    .map(id => String(id || '').trim())
+    .filter(id => id && id !== taskId))];
+}
+
+/**
+ * Check whether a task has blocking tasks
+ * @param {Object} task - Task object
+ * @returns {boolean} True when the task lists at least one blocking task
+ */
+export function hasDependencies(task) {
+  return Boolean(task && Array.isArray(task.blockedBy) && task.blockedBy.length > 0);
+}
+
+/**
+ * Get the incomplete tasks that still block a task
+ * @param {Object} task - Task object
+ * @param {Array} tasks - All tasks
+ * @returns {Array} Blocking tasks that are not completed yet
+ */
+export function getBlockingTasks(task, tasks) {
+  if (!hasDependencies(task)) return [];
+
+  const tasksById = new Map(tasks.map(t => [t.id, t]));
+  return task.blockedBy
+    .map(id => tasksById.get(id))
+    .filter(blocker => blocker && !blocker.completed);
+}
+
+/**
+ * Check whether a task is blocked by an incomplete task
+ * @param {Object} task - Task object
+ * @param {Array} tasks - All tasks
+ * @returns {boolean} True when the task cannot be started yet
+ */
+export function isBlocked(task, tasks) {
+  return getBlockingTasks(task, tasks).length > 0;
+}
+
+/**
+ * Find the dependency cycle a change would introduce
+ * @param {Array} tasks - All tasks
+ * @param {string} taskId - Task whose blocking tasks are being set
+ * @param {Array} blockedBy - Proposed blocking task IDs
+ * @returns {Array|null} Task IDs forming the cycle (first and last are taskId), or null when there is none
+ */
+export function findDependencyCycle(tasks, taskId, blockedBy) {
+  const graph = new Map(tasks.map(task => [task.id, task.blockedBy || []]));
+  graph.set(taskId, blockedBy || []);
+
+  const visited = new Set();
+  const path = [taskId];
+
+  const visit = (id) => {
+    for (const blockerId of graph.get(id) || []) {
+      if (blockerId === taskId) return [...path, taskId];
+      if (visited.has(blockerId)) continue;
+      visited.add(blockerId);
+
+      path.push(blockerId);
+      const cycle = visit(blockerId);
+      if (cycle) return cycle;
+      path.pop();
+    }
+    return null;
+  };
+
+  return visit(taskId);
+}
+
+/**
+ * Remove references to deleted tasks from the remaining tasks
+ * @param {Array} tasks - Remaining tasks
+ * @param {Array} removedIds - IDs of the deleted tasks
+ * @returns {Array} Tasks, with changed ones copied
+ */
+export function removeDependencyReferences(tasks, removedIds) {
+  const removed = new Set(removedIds);
+
+  return tasks.map(task => {
+    if (!hasDependencies(task) || !task.blockedBy.some(id => removed.has(id))) return task;
+
+    const blockedBy = task.blockedBy.filter(id => !removed.has(id));
+    const updated = { ...task, blockedBy };
+    if (blockedBy.length === 0) delete updated.blockedBy;
+    return updated;
+  });
+}
+
+/**
+ * Get the deadline of a task as a timestamp
+ * Date-only due dates count as the end of that day
+ * @param {Object} task - Task object
+ * @returns {number} Deadline in milliseconds
+ */
+function getDeadline(task) {
+  const dueDate = String(task.dueDate || '');
+  const deadline = new Date(dueDate.includes('T') ? dueDate : `${dueDate}T23:59`);
+  return isNaN(deadline.getTime()) ? Infinity : deadline.getTime();
+}
+
+/**
+ * Compute the critical path of the incomplete tasks that depend on each other
+ *
+ * Work is assumed to start now and each task to take its `duration` in hours
+ * once all of its blocking tasks are finished. A task's slack is the time
+ * between its projected finish and the latest finish that still lets it and
+ * every task depending on it meet their due dates; negative slack means a
+ * deadline will be missed. The path returned is the chain leading to the
+ * final task with the least slack.
+ *
+ * @param {Array} tasks - All tasks
+ * @param {Date} now - Reference time
+ * @returns {Object|null} { path, finalTaskId, projectedFinish, deadline, slack, lateTaskIds }, or null when no tasks depend on each other
+ */
+export function computeCriticalPath(tasks, now = new Date()) {
+  const open = new Map(tasks.filter(task => !task.completed).map(task => [task.id, task]));
+
+  // Only dependencies between incomplete tasks still constrain the schedule
+  const blockers = new Map();
+  const dependents = new Map();
+  open.forEach((task, id) => {
+    const ids = (task.blockedBy || []).filter(blockerId => open.has(blockerId) && blockerId !== id);
+    blockers.set(id, ids);
+    ids.forEach(blockerId => {
+      if (!dependents.has(blockerId)) dependents.set(blockerId, []);
+      dependents.get(blockerId).push(id);
+    });
+  });
+
+  const linked = [...open.keys()].filter(id => blockers.get(id).length > 0 || dependents.has(id));
+  if (linked.length === 0) return null;
+
+  const hours = (id) => parseFloat(open.get(id).duration) || 0;
+
+  // Forward pass: projected finish in hours from now, remembering the blocker that drives it
+  const finish = new Map();
+  const driver = new Map();
+  const forward = (id, visiting = new Set()) => {
+    if (finish.has(id)) return finish.get(id);
+    if (visiting.has(id)) return 0; // Cycles are rejected on save; guard against stored data anyway
+    visiting.add(id);
+
+    let start = 0;
+    blockers.get(id).forEach(blockerId => {
+      const blockerFinish = forward(blockerId, visiting);
+      if (blockerFinish > start || !driver.has(id)) {
+        start = Math.max(start, blockerFinish);
+        driver.set(id, blockerId);
+      }
+    });
+
+    visiting.delete(id);
+    finish.set(id, start + hours(id));
+    return finish.get(id);
+  };
+  linked.forEach(id => forward(id));
+
+  // Backward pass: latest finish that keeps this task and everything after it on time
+  const latest = new Map();
+  const backward = (id, visiting = new Set()) => {
+    if (latest.has(id)) return latest.get(id);
+    if (visiting.has(id)) return Infinity;
+    visiting.add(id);
+
+    let latestFinish = getDeadline(open.get(id));
+    (dependents.get(id) || []).forEach(dependentId => {
+      latestFinish = Math.min(latestFinish, backward(dependentId, visiting) - hours(dependentId) * HOUR_MS);
+    });
+
+    visiting.delete(id);
+    latest.set(id, latestFinish);
+    return latestFinish;
+  };
+
+  const start = now.getTime();
+  const slackOf = (id) => (backward(id) - (start + forward(id) * HOUR_MS)) / HOUR_MS;
+
+  // The final tasks are the ones nothing else waits on; pick the one most at risk
+  const finalTaskId = linked
+    .filter(id => !dependents.has(id))
+    .sort((a, b) => slackOf(a) - slackOf(b) || getDeadline(open.get(b)) - getDeadline(open.get(a)))[0];
+  if (!finalTaskId) return null;
+
+  const pathIds = [];
+  for (let id = finalTaskId; id && !pathIds.includes(id); id = driver.get(id)) {
+    pathIds.unshift(id);
+  }
+
+  const path = pathIds.map(id => {
+    const slack = slackOf(id);
+    return {
+      id,
+      title: open.get(id).title,
+      dueDate: open.get(id).dueDate,
+      duration: hours(id),
+      projectedFinish: new Date(start + forward(id) * HOUR_MS).toISOString(),
+      slack: Number.isFinite(slack) ? Math.round(slack * 100) / 100 : null,
+      late: slack < 0
+    };
+  });
+
+  const final = path[path.length - 1];
+  return {
+    path,
+    finalTaskId,
+    projectedFinish: final.projectedFinish,
+    deadline: final.dueDate,
+    slack: final.slack,
+    lateTaskIds: path.filter(step => step.late).map(step => step.id)
+  };
+}
@@ -0,0 +1,184 @@
+/**
+ * Escalation Module - Moves tasks to an urgent quadrant as their deadlines approach
+ * A task is escalated when it is due within the configured number of days, or when
+ * its remaining work needs more study days (at the daily study capacity) than are
+ * left before it is due. Each escalation is recorded in the task's history, and a
+ * task is escalated at most once per due date. A priority the user picks while the
+ * task is due soon is recorded too (see getPriorityHistoryEntry) and holds for that
+ * due date, so a manual move back is respected.
+ */
+
+import { MATRIX_QUADRANTS, findQuadrant } from './matrix.js';
+import { getTaskPriority } from './tags.js';
+import { normalizeSchedule, getRemainingDuration } from './scheduler.js';
+
+/**
+ * Escalation rules used until the user changes them
+ */
+export const DEFAULT_ESCALATION = {
+  enabled: true,
+  dueWithinDays: 2,
+  workload: true
+};
+
+/**
+ * Most history entries kept on a task; older entries are dropped first, except the
+ * markers that stop a repeat escalation for the current due date
+ */
+export const MAX_HISTORY_ENTRIES = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize escalation rules, filling in defaults
+ * @param {Object} rules - Raw escalation rules
+ * @returns {Object} { enabled, dueWithinDays, workload }
+ */
+export function normalizeEscalation(rules = {}) {
+  const days = parseFloat(rules.dueWithinDays);
+  return {
+    enabled: rules.enabled !== undefined ? Boolean(rules.enabled) : DEFAULT_ESCALATION.enabled,
+    dueWithinDays: isNaN(days) ? DEFAULT_ESCALATION.dueWithinDays : days,
+    workload: rules.workload !== undefined ? Boolean(rules.workload) : DEFAULT_ESCALATION.workload
+  };
+}
+
+/**
+ * Urgent quadrant with the same importance as a priority
+ * @param {string} priority - Current priority
+ * @returns {string|null} Urgent priority, or null when already urgent or unknown
+ */
+export function getUrgentPriority(priority) {
+  const current = findQuadrant(priority);
+  if (!current || current.urgent) return null;
+  return MATRIX_QUADRANTS.find(quadrant => quadrant.urgent && quadrant.important === current.important).priority;
+}
+
+/**
+ * Whole days from today until a task's due date (negative when overdue)
+ * @param {string} dueDate - Due date (YYYY-MM-DD or YYYY-MM-DDTHH:MM)
+ * @param {Date} now - Reference time
+ * @returns {number} Days
+ */
+function getDaysUntilDue(dueDate, now) {
+  const [year, month, date] = String(dueDate).split('T')[0].split('-').map(part => parseInt(part, 10));
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  // Rounded because a day across a daylight-saving change is not 24 hours long
+  return Math.round((new Date(year, month - 1, date) - today) / DAY_MS);
+}
+
+/**
+ * Why a task should be escalated now
+ * @param {Object} task - Task object
+ * @param {Object} rules - Escalation rules (see DEFAULT_ESCALATION)
+ * @param {Object} schedule - Study settings; dailyCapacity drives the workload rule
+ * @param {Date} now - Reference time
+ * @returns {string|null} Reason, or null when the task stays where it is
+ */
+export function getEscalationReason(task, rules = DEFAULT_ESCALATION, schedule = {}, now = new Date()) {
+  const settings = normalizeEscalation(rules);
+  if (!settings.enabled || task.completed || !task.dueDate) return null;
+  if (!getUrgentPriority(getTaskPriority(task))) return null;
+
+  const settled = (Array.isArray(task.history) ? task.history : [])
+    .some(entry => isEscalationMarker(entry, task.dueDate));
+  if (settled) return null;
+
+  const daysLeft = getDaysUntilDue(task.dueDate, now);
+  if (isNaN(daysLeft)) return null;
+
+  if (daysLeft <= settings.dueWithinDays) {
+    if (daysLeft < 0) return 'Overdue';
+    if (daysLeft === 0) return 'Due today';
+    return daysLeft === 1 ? 'Due tomorrow' : `Due in ${daysLeft} days`;
+  }
+
+  // Today counts as a study day; the due day itself does not
+  const { dailyCapacity } = normalizeSchedule(schedule);
+  if (settings.workload && dailyCapacity > 0) {
+    const daysNeeded = Math.ceil(getRemainingDuration(task, now) / dailyCapacity);
+    if (daysNeeded > daysLeft) {
+      return `Needs ${daysNeeded} study days but only ${daysLeft} ${daysLeft === 1 ? 'is' : 'are'} left`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether a history entry settles escalation for a due date: an escalation, or a
+ * priority the user chose while the task was due soon
+ * @param {Object} entry - History entry
+ * @param {string} dueDate - Task's due date
+ * @returns {boolean} True when the task must not be escalated again for that date
+ */
+function isEscalationMarker(entry, dueDate) {
+  return (entry.type === 'escalation' || entry.type === 'priority') && Boolean(entry.dueDate) && entry.dueDate === dueDate;
+}
+
+/**
+ * History entry for a priority the user set
+ * When the task would be escalated with its new priority, the entry carries the
+ * due date so the choice holds until the due date changes.
+ * @param {Object} prevTask - Task before the change
+ * @param {Object} task - Task with its new priority
+ * @param {Object} rules - Escalation rules
+ * @param {Object} schedule - Study settings
+ * @param {Date} now - Reference time
+ * @returns {Object|null} { type: 'priority', at, from, to[, dueDate] }, or null when unchanged
+ */
+export function getPriorityHistoryEntry(prevTask, task, rules = DEFAULT_ESCALATION, schedule = {}, now = new Date()) {
+  const from = getTaskPriority(prevTask);
+  const to = getTaskPriority(task);
+  if (from === to) return null;
+
+  const entry = { type: 'priority', at: now.toISOString(), from, to };
+  return getEscalationReason(task, rules, schedule, now) ? { ...entry, dueDate: task.dueDate } : entry;
+}
+
+/**
+ * Add an entry to a task's history
+ * Older entries are dropped past MAX_HISTORY_ENTRIES, but the markers for the
+ * task's current due date are kept so other entries can't cause a repeat escalation.
+ * @param {Object} task - Task object (its due date decides which markers are kept)
+ * @param {Object} entry - History entry ({ type, at, ... })
+ * @returns {Array} New history, newest last
+ */
+export function addHistoryEntry(task, entry) {
+  const history = [...(Array.isArray(task.history) ? task.history : []), entry];
+  while (history.length > MAX_HISTORY_ENTRIES) {
+    const oldest = history.findIndex(item => !isEscalationMarker(item, task.dueDate));
+    history.splice(oldest === -1 ? 0 : oldest, 1);
+  }
+  return history;
+}
+
+/**
+ * Escalate every task the rules call for
+ * @param {Array} tasks - All tasks
+ * @param {Object} rules - Escalation rules
+ * @param {Object} schedule - Study settings
+ * @param {Date} now - Reference time
+ * @returns {Object} { tasks, escalations: [{ taskId, title, from, to, reason }] }
+ */
+export function applyEscalations(tasks, rules = DEFAULT_ESCALATION, schedule = {}, now = new Date()) {
+  const escalations = [];
+  const at = now.toISOString();
+
+  const updatedTasks = tasks.map(task => {
+    const reason = getEscalationReason(task, rules, schedule, now);
+    if (!reason) return task;
+
+    const from = getTaskPriority(task);
+    const to = getUrgentPriority(from);
+    escalations.push({ taskId: task.id, title: task.title, from, to, reason });
+    return {
+      ...task,
+      priority: to,
+      history: addHistoryEntry(task, { type: 'escalation', at, from, to, reason, dueDate: task.dueDate }),
+      updatedAt: at
+    };
+  });
+
+  return { tasks: updatedTasks, escalations };
+}
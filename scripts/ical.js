@@ -0,0 +1,465 @@
+/**
+ * iCalendar Module - .ics export and import of tasks (RFC 5545)
+ * Tasks are written as VTODO or VEVENT entries; imported entries become tasks,
+ * matched to existing tasks by UID so re-importing a calendar updates them
+ */
+
+import { validateTask } from './validators.js';
+import { createTaskRecord } from './state.js';
+import { getTaskTags, getTaskPriority, normalizeTags, PRIORITY_LEVELS, DEFAULT_PRIORITY } from './tags.js';
+
+const PRODID = '-//Orderly//Campus Life Planner//EN';
+const UID_DOMAIN = 'campus-life-planner';
+const DEFAULT_DURATION_HOURS = 1;
+const HOUR_MS = 60 * 60 * 1000;
+
+// iCalendar priorities: 1-4 high, 5 medium, 6-9 low
+const PRIORITY_VALUES = {
+  'Urgent & Important': 1,
+  'Important but Not Urgent': 5,
+  'Urgent but Not Important': 7,
+  'Not Urgent & Not Important': 9
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Escape a TEXT value
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeText(text) {
+  return String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Unescape a TEXT value
+ * @param {string} text - Escaped text
+ * @returns {string} Plain text
+ */
+function unescapeText(text) {
+  return String(text || '').replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Split a multi-value TEXT property on unescaped commas
+ * @param {string} value - Raw property value
+ * @returns {Array} Unescaped values
+ */
+function splitTextList(value) {
+  return String(value || '').split(/(?<!\\),/).map(unescapeText).map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Fold a content line to 75 octets (UTF-8), continuing with a leading space
+ * @param {string} line - Unfolded line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = encoder.encode(char).length;
+    const limit = parts.length === 0 ? 75 : 74; // Continuation lines start with a space
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a timestamp as a UTC DATE-TIME
+ * @param {Date} date - Date
+ * @returns {string} e.g. 20251006T143000Z
+ */
+function formatUtc(date) {
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+/**
+ * Format a local date as a floating DATE-TIME (no time zone, like due dates in the app)
+ * @param {Date} date - Date
+ * @returns {string} e.g. 20251006T143000
+ */
+function formatFloating(date) {
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}T${pad(date.getHours())}${pad(date.getMinutes())}00`;
+}
+
+/**
+ * Format a duration in hours as an iCalendar DURATION
+ * @param {number} hours - Duration in hours
+ * @returns {string} e.g. PT1H30M
+ */
+function formatDuration(hours) {
+  const minutes = Math.max(0, Math.round((parseFloat(hours) || 0) * 60));
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return `PT${h ? `${h}H` : ''}${m || !h ? `${m}M` : ''}`;
+}
+
+/**
+ * Parse an iCalendar DURATION
+ * @param {string} value - e.g. PT1H30M, P1D, -PT15M
+ * @returns {number|null} Hours, or null when the value is not a duration
+ */
+function parseDuration(value) {
+  const match = String(value || '').trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+
+  const [, sign, weeks, days, hours, minutes, seconds] = match.map(part => part || 0);
+  const total = Number(weeks) * 168 + Number(days) * 24 + Number(hours) + Number(minutes) / 60 + Number(seconds) / 3600;
+  return sign === '-' ? -total : total;
+}
+
+/**
+ * Get the UID of a task
+ * Tasks imported from a calendar keep the calendar's UID
+ * @param {Object} task - Task object
+ * @returns {string} UID
+ */
+export function getTaskUid(task) {
+  return task.icalUid || `${task.id}@${UID_DOMAIN}`;
+}
+
+/**
+ * Serialize tasks as an iCalendar file
+ * Date-only due dates become all-day entries; timed due dates are written as
+ * floating local times. Events are work blocks that end at the due time.
+ * @param {Array} tasks - Tasks to export
+ * @param {Object} options - Export options
+ * @param {string} options.component - 'VTODO' (to-dos) or 'VEVENT' (calendar events)
+ * @param {Date} options.now - Timestamp for DTSTAMP
+ * @returns {string} iCalendar text
+ */
+export function tasksToICS(tasks, { component = 'VTODO', now = new Date() } = {}) {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODID}`, 'CALSCALE:GREGORIAN'];
+
+  tasks.forEach(task => {
+    const [datePart, timePart] = String(task.dueDate || '').split('T');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(datePart)) return;
+
+    const day = datePart.replace(/-/g, '');
+    const hours = parseFloat(task.duration) || 0;
+    const tags = getTaskTags(task);
+    const priority = PRIORITY_VALUES[getTaskPriority(task)];
+
+    lines.push(`BEGIN:${component}`);
+    lines.push(`UID:${getTaskUid(task)}`);
+    lines.push(`DTSTAMP:${formatUtc(now)}`);
+    if (task.createdAt) lines.push(`CREATED:${formatUtc(new Date(task.createdAt))}`);
+    if (task.updatedAt) lines.push(`LAST-MODIFIED:${formatUtc(new Date(task.updatedAt))}`);
+    lines.push(`SUMMARY:${escapeText(task.title)}`);
+    if (task.description) lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+    if (tags.length > 0) lines.push(`CATEGORIES:${tags.map(escapeText).join(',')}`);
+    if (priority) lines.push(`PRIORITY:${priority}`);
+    lines.push(`ESTIMATED-DURATION:${formatDuration(hours)}`);
+
+    if (component === 'VEVENT') {
+      if (timePart) {
+        const due = new Date(`${datePart}T${timePart}`);
+        lines.push(`DTSTART:${formatFloating(new Date(due.getTime() - hours * HOUR_MS))}`);
+        lines.push(`DTEND:${formatFloating(due)}`);
+      } else {
+        const next = new Date(`${datePart}T00:00`);
+        next.setDate(next.getDate() + 1);
+        lines.push(`DTSTART;VALUE=DATE:${day}`);
+        lines.push(`DTEND;VALUE=DATE:${formatFloating(next).slice(0, 8)}`);
+      }
+    } else {
+      lines.push(timePart ? `DUE:${day}T${timePart.replace(':', '')}00` : `DUE;VALUE=DATE:${day}`);
+      lines.push(`STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+      if (task.completed) lines.push(`COMPLETED:${formatUtc(new Date(task.updatedAt || now))}`);
+    }
+
+    lines.push(`END:${component}`);
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse a content line into name, parameters and value
+ * @param {string} line - Unfolded content line
+ * @returns {Object|null} { name, params, value }
+ */
+function parseContentLine(line) {
+  // The value starts at the first colon outside a quoted parameter value
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    else if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, colon).match(/(?:[^;"]|"[^"]*")+/g) || [''];
+  const params = {};
+  rawParams.forEach(param => {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Parse iCalendar text into components
+ * Folded lines are unfolded first; nested components (e.g. VALARM) are kept separately
+ * @param {string} text - iCalendar text
+ * @returns {Array} Components as { type, props, parent } where props maps a name to its list of { params, value }
+ */
+export function parseICS(text) {
+  const lines = String(text || '').replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const components = [];
+  const stack = [];
+
+  lines.forEach(line => {
+    if (!line.trim()) return;
+    const property = parseContentLine(line);
+    if (!property) return;
+
+    if (property.name === 'BEGIN') {
+      const component = { type: property.value.trim().toUpperCase(), props: {}, parent: stack.length ? stack[stack.length - 1].type : null };
+      stack.push(component);
+      components.push(component);
+    } else if (property.name === 'END') {
+      stack.pop();
+    } else if (stack.length > 0) {
+      const props = stack[stack.length - 1].props;
+      (props[property.name] = props[property.name] || []).push({ params: property.params, value: property.value });
+    }
+  });
+
+  if (!components.some(component => component.type === 'VCALENDAR')) {
+    throw new Error('Not an iCalendar file');
+  }
+  return components;
+}
+
+/**
+ * Get the UTC offset of a time zone at an instant
+ * @param {string} timeZone - IANA time zone name
+ * @param {number} instant - Timestamp in milliseconds
+ * @returns {number} Offset in milliseconds
+ */
+function getZoneOffset(timeZone, instant) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(new Date(instant));
+  const value = (type) => Number(parts.find(part => part.type === type).value);
+  return Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second')) - instant;
+}
+
+/**
+ * Parse a UTC offset such as -0500 or +0530
+ * @param {string} value - Offset text
+ * @returns {number|null} Offset in milliseconds
+ */
+function parseOffset(value) {
+  const match = String(value || '').match(/^([+-])(\d{2})(\d{2})/);
+  if (!match) return null;
+  const offset = (Number(match[2]) * 60 + Number(match[3])) * 60 * 1000;
+  return match[1] === '-' ? -offset : offset;
+}
+
+/**
+ * Convert a DATE or DATE-TIME property into the app's local due date format
+ * UTC times and times with a TZID are converted to the user's time zone;
+ * floating times are kept as written
+ * @param {Object} property - { params, value }
+ * @param {Array} components - All parsed components (for VTIMEZONE lookups)
+ * @returns {Object|null} { date: 'YYYY-MM-DD', time: 'HH:MM' or '', instant }
+ */
+function parseDateProperty(property, components) {
+  if (!property) return null;
+  const match = String(property.value).trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  if (!hour || property.params.VALUE === 'DATE') {
+    return { date: `${year}-${month}-${day}`, time: '', instant: new Date(Number(year), Number(month) - 1, Number(day)).getTime() };
+  }
+
+  const wall = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second || 0));
+  let instant;
+  if (utc) {
+    instant = wall;
+  } else if (property.params.TZID) {
+    instant = zonedToInstant(wall, property.params.TZID, components);
+  }
+
+  if (instant === undefined || instant === null) {
+    // Floating time: already local wall-clock time
+    const local = new Date(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute));
+    return { date: `${year}-${month}-${day}`, time: `${hour}:${minute}`, instant: local.getTime() };
+  }
+
+  const local = new Date(instant);
+  return {
+    date: `${local.getFullYear()}-${pad(local.getMonth() + 1)}-${pad(local.getDate())}`,
+    time: `${pad(local.getHours())}:${pad(local.getMinutes())}`,
+    instant
+  };
+}
+
+/**
+ * Convert a wall-clock time in a named time zone into an instant
+ * Known IANA zones use the browser's time zone data; otherwise the file's
+ * VTIMEZONE standard offset is used
+ * @param {number} wall - Wall-clock time encoded as a UTC timestamp
+ * @param {string} tzid - TZID parameter
+ * @param {Array} components - Parsed components
+ * @returns {number|null} Timestamp, or null when the zone is unknown
+ */
+function zonedToInstant(wall, tzid, components) {
+  try {
+    const first = wall - getZoneOffset(tzid, wall);
+    return wall - getZoneOffset(tzid, first);
+  } catch (error) {
+    // Not an IANA zone name (e.g. a Windows zone); fall back to the VTIMEZONE definition
+  }
+
+  const zoneIndex = components.findIndex(component => component.type === 'VTIMEZONE' &&
+    component.props.TZID && component.props.TZID[0].value === tzid);
+  if (zoneIndex === -1) return null;
+
+  const standard = components.slice(zoneIndex + 1).find(component => component.parent === 'VTIMEZONE' && component.type === 'STANDARD');
+  const offset = standard && standard.props.TZOFFSETTO ? parseOffset(standard.props.TZOFFSETTO[0].value) : null;
+  return offset === null ? null : wall - offset;
+}
+
+/**
+ * Map an iCalendar PRIORITY to a priority quadrant
+ * @param {string} value - PRIORITY value (0 = undefined)
+ * @returns {string} Priority quadrant
+ */
+function parsePriority(value) {
+  const priority = parseInt(value, 10);
+  if (!priority) return DEFAULT_PRIORITY;
+  if (priority <= 4) return PRIORITY_LEVELS[0];
+  if (priority === 5) return PRIORITY_LEVELS[1];
+  if (priority < 9) return PRIORITY_LEVELS[2];
+  return PRIORITY_LEVELS[3];
+}
+
+/**
+ * Convert an iCalendar file into task records
+ * Entries whose UID matches an existing task (or a task exported from this app)
+ * reuse that task's ID so merge imports update it instead of duplicating it;
+ * repeated UIDs inside the file are imported once
+ * @param {string} text - iCalendar text
+ * @param {Object} options - Import options
+ * @param {Array} options.existingTasks - Current tasks, for UID matching
+ * @returns {Object} { tasks, errors, duplicates } - errors are readable strings
+ */
+export function icsToTasks(text, { existingTasks = [] } = {}) {
+  const components = parseICS(text);
+  const entries = components.filter(component => ['VTODO', 'VEVENT'].includes(component.type) && component.parent === 'VCALENDAR');
+
+  const byUid = new Map();
+  existingTasks.forEach(task => byUid.set(getTaskUid(task), task));
+
+  const tasks = [];
+  const errors = [];
+  const seen = new Set();
+  let duplicates = 0;
+
+  entries.forEach((entry, index) => {
+    const prop = (name) => entry.props[name] ? entry.props[name][0] : null;
+    const text = (name) => prop(name) ? unescapeText(prop(name).value).trim() : '';
+    const title = text('SUMMARY');
+    const label = `Entry ${index + 1}${title ? ` ("${title}")` : ''}`;
+
+    const uid = text('UID');
+    if (uid && seen.has(uid)) {
+      duplicates++;
+      return;
+    }
+    if (uid) seen.add(uid);
+
+    const isTodo = entry.type === 'VTODO';
+    const start = parseDateProperty(prop('DTSTART'), components);
+    const end = parseDateProperty(prop('DTEND'), components);
+    let due = isTodo
+      ? parseDateProperty(prop('DUE'), components) || start
+      : (start && !start.time ? start : end || start);
+
+    if (!due) {
+      errors.push(`${label}: no due date`);
+      return;
+    }
+
+    // Estimated duration, then the entry's own length; deadlines with no length get a default
+    const length = parseDuration(text('DURATION'));
+    let hours = parseDuration(text('ESTIMATED-DURATION'));
+    if (hours === null) hours = length;
+    if (hours === null && start && end && start.time && end.time) hours = (end.instant - start.instant) / HOUR_MS;
+    if (!hours || hours <= 0) hours = DEFAULT_DURATION_HOURS;
+
+    // An event given as start + DURATION ends (is due) after that length
+    if (!isTodo && !end && start && start.time && length > 0) {
+      due = parseDateProperty({ params: {}, value: formatFloating(new Date(start.instant + length * HOUR_MS)) }, components);
+    }
+
+    const taskData = {
+      title,
+      dueDate: due.time ? `${due.date}T${due.time}` : due.date,
+      duration: String(Math.round(hours * 100) / 100),
+      priority: parsePriority(text('PRIORITY')),
+      tags: normalizeTags(entry.props.CATEGORIES ? entry.props.CATEGORIES.flatMap(category => splitTextList(category.value)) : []),
+      description: text('DESCRIPTION')
+    };
+
+    const validation = validateTask(taskData);
+    if (!validation.isValid) {
+      errors.push(`${label}: ${Object.values(validation.errors).join('; ')}`);
+      return;
+    }
+
+    // A known entry updates its task; fields the calendar does not carry stay as they were
+    const existing = uid ? byUid.get(uid) : null;
+    const record = createTaskRecord(taskData);
+    const task = existing
+      ? { ...existing, title: record.title, dueDate: record.dueDate, duration: record.duration }
+      : record;
+    if (existing && prop('DESCRIPTION')) task.description = record.description;
+    if (existing && prop('PRIORITY')) task.priority = record.priority;
+    if (existing && prop('CATEGORIES')) task.tags = record.tags;
+    if (uid && !existing && !uid.endsWith(`@${UID_DOMAIN}`)) task.icalUid = uid;
+
+    const status = text('STATUS').toUpperCase();
+    if (status || prop('COMPLETED') || !existing) {
+      task.completed = status === 'COMPLETED' || Boolean(prop('COMPLETED'));
+    }
+
+    // Without METHOD, DTSTAMP is the time of the last revision (RFC 5545 3.8.7.2)
+    const created = parseDateProperty(prop('CREATED'), components);
+    const modified = parseDateProperty(prop('LAST-MODIFIED'), components) || parseDateProperty(prop('DTSTAMP'), components);
+    if (created && !existing) task.createdAt = new Date(created.instant).toISOString();
+    if (modified) task.updatedAt = new Date(modified.instant).toISOString();
+
+    tasks.push(task);
+  });
+
+  return { tasks, errors, duplicates };
+}
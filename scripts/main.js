@@ -1,9 +1,9 @@
  // This file is the main application entry point 
 
-import { initializeState, stateManager, uiActions } from './state.js';
+import { initializeState, stateManager, taskActions, uiActions } from './state.js';
 import { initializeUI, uiManager } from './ui.js';
 import { searchManager } from './search.js';
-import { loadSettings, saveSettings } from './storage.js';
+import { loadSettings, saveSettings, onTasksChanged, flushStorage, hasPendingWrites, TIMERS_KEY } from './storage.js';
 
 // Shows date format preview in settings
 function updateDateFormatExample(format) {
@@ -202,7 +202,9 @@ class CampusLifePlanner {
 
       // Initialize state management
       try {
-        initializeState();
+        await initializeState();
+        // Other tabs announce their task saves; show them here too
+        onTasksChanged(() => taskActions.reloadTasks(stateManager));
         console.log('State initialized');
       } catch (err) {
         console.error('State initialization failed:', err);
@@ -291,10 +293,8 @@ class CampusLifePlanner {
   //nitialize search manager
    
   initializeSearchManager() {
-    // Listen for tasks changes to update search index
-    stateManager.subscribe('tasks', (tasks) => {
-      searchManager.initialize(tasks);
-    });
+    // taskActions keep the search index up to date; searches re-index tasks changed elsewhere (e.g. imports)
+    searchManager.initialize(stateManager.getState('tasks'));
   }
   
   // Set active navigation link based on current page
@@ -693,11 +693,24 @@ if (document.readyState === 'loading') {
  */
 document.addEventListener('visibilitychange', () => {
   if (document.hidden) {
-    // Page is hidden - save current state
+    // Page is hidden - let pending writes commit
     console.log('Page hidden - saving state');
+    flushStorage();
   } else {
     // Page is visible - refresh data if needed
     console.log('Page visible - refreshing state');
+    // Escalate tasks whose deadlines came closer, and re-plan so study blocks missed while away move forward
+    taskActions.escalateTasks(stateManager);
+    taskActions.calculateStats(stateManager);
+  }
+});
+
+/**
+ * Keep task timers in step with other open tabs
+ */
+window.addEventListener('storage', (event) => {
+  if (event.key === TIMERS_KEY) {
+    taskActions.syncTimers(stateManager);
   }
 });
 
@@ -719,16 +732,15 @@ window.addEventListener('offline', () => {
 });
 
 /**
- * Handle beforeunload to save data
+ * Handle beforeunload so uncommitted task writes are not lost
+ * Every change is saved as it happens, but IndexedDB commits a moment later;
+ * the page can't wait for it here, so the browser is asked to confirm leaving.
  */
 window.addEventListener('beforeunload', (e) => {
-  // Save any pending changes
-  const tasks = stateManager.getState('tasks');
-  if (tasks.length > 0) {
-    // Import save function dynamically to avoid circular dependency
-    import('./storage.js').then(({ saveTasks }) => {
-      saveTasks(tasks);
-    });
+  if (hasPendingWrites()) {
+    flushStorage();
+    e.preventDefault();
+    e.returnValue = '';
   }
 });
 
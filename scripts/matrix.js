@@ -0,0 +1,74 @@
+/**
+ * Matrix Module - The Eisenhower matrix as a 2x2 board
+ * Rows are important / not important and columns urgent / not urgent, which puts
+ * the quadrants in PRIORITY_LEVELS order when read left to right, top to bottom
+ */
+
+import { PRIORITY_LEVELS, DEFAULT_PRIORITY, getTaskPriority } from './tags.js';
+
+/**
+ * Board quadrants with their position and the action each one calls for
+ */
+export const MATRIX_QUADRANTS = [
+  { priority: PRIORITY_LEVELS[0], action: 'Do First', urgent: true, important: true },
+  { priority: PRIORITY_LEVELS[1], action: 'Schedule', urgent: false, important: true },
+  { priority: PRIORITY_LEVELS[2], action: 'Delegate', urgent: true, important: false },
+  { priority: PRIORITY_LEVELS[3], action: 'Eliminate', urgent: false, important: false }
+];
+
+/**
+ * Find the quadrant of a priority
+ * @param {string} priority - Priority quadrant
+ * @returns {Object|null} Quadrant
+ */
+export function findQuadrant(priority) {
+  return MATRIX_QUADRANTS.find(quadrant => quadrant.priority === priority) || null;
+}
+
+/**
+ * Group incomplete tasks by quadrant, earliest due date first
+ * Tasks without a known priority are shown in the default quadrant
+ * @param {Array} tasks - Tasks
+ * @returns {Array} [{ quadrant, tasks }] in MATRIX_QUADRANTS order
+ */
+export function groupTasksByQuadrant(tasks) {
+  const open = tasks.filter(task => !task.completed);
+  return MATRIX_QUADRANTS.map(quadrant => ({
+    quadrant,
+    tasks: open
+      .filter(task => (findQuadrant(getTaskPriority(task)) ? getTaskPriority(task) : DEFAULT_PRIORITY) === quadrant.priority)
+      .sort((a, b) => String(a.dueDate || '9999').localeCompare(String(b.dueDate || '9999')))
+  }));
+}
+
+/**
+ * Quadrant next to a priority on the board, for moving a task with arrow keys
+ * @param {string} priority - Current priority
+ * @param {string} direction - 'left', 'right', 'up' or 'down'
+ * @returns {string|null} Priority of the neighbouring quadrant, or null at the edge of the board
+ */
+export function getAdjacentPriority(priority, direction) {
+  const current = findQuadrant(priority) || findQuadrant(DEFAULT_PRIORITY);
+  const moves = {
+    left: current.urgent ? null : { urgent: true, important: current.important },
+    right: current.urgent ? { urgent: false, important: current.important } : null,
+    up: current.important ? null : { urgent: current.urgent, important: true },
+    down: current.important ? { urgent: current.urgent, important: false } : null
+  };
+  const target = moves[direction];
+  if (!target) return null;
+  return MATRIX_QUADRANTS.find(quadrant => quadrant.urgent === target.urgent && quadrant.important === target.important).priority;
+}
+
+/**
+ * Count incomplete tasks per quadrant
+ * @param {Array} tasks - Tasks
+ * @returns {Array} [{ priority, action, count }] in MATRIX_QUADRANTS order
+ */
+export function getPriorityCounts(tasks) {
+  return groupTasksByQuadrant(tasks).map(({ quadrant, tasks: quadrantTasks }) => ({
+    priority: quadrant.priority,
+    action: quadrant.action,
+    count: quadrantTasks.length
+  }));
+}
@@ -0,0 +1,251 @@
+/**
+ * Merge Module - Combine imported tasks with the current ones
+ * Builds a dry-run plan (added / updated / skipped / conflicting / removed tasks)
+ * for each merge mode; nothing is written until the plan's tasks are saved
+ */
+
+import { generateId } from './storage.js';
+import { findDependencyCycle } from './dependencies.js';
+import { findCourse, normalizeCourse } from './courses.js';
+import { validateCourse } from './validators.js';
+
+/**
+ * Supported merge modes
+ *   replace - imported tasks replace all current tasks
+ *   append  - imported tasks are added as new tasks (clashing IDs get new ones)
+ *   merge   - tasks with the same ID keep the most recently updated version
+ *   review  - like merge, but each conflict can be resolved by hand
+ */
+export const MERGE_MODES = ['replace', 'append', 'merge', 'review'];
+
+/**
+ * Serialize a value with sorted object keys so equal tasks compare equal
+ * @param {*} value - Value to serialize
+ * @returns {string} Stable JSON
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Check whether two task versions hold the same data
+ * @param {Object} a - Task
+ * @param {Object} b - Task
+ * @returns {boolean} True when identical
+ */
+export function isSameTask(a, b) {
+  return stableStringify(a) === stableStringify(b);
+}
+
+/**
+ * Get the last update time of a task
+ * @param {Object} task - Task object
+ * @returns {number} Timestamp, or 0 when unknown
+ */
+function getUpdatedTime(task) {
+  const time = new Date(task.updatedAt || task.createdAt || 0).getTime();
+  return isNaN(time) ? 0 : time;
+}
+
+/**
+ * Give appended tasks whose ID is already taken a new ID
+ * Blocked-by links and recurring series inside the import follow the new IDs
+ * @param {Array} currentTasks - Current tasks
+ * @param {Array} incomingTasks - Imported tasks
+ * @returns {Array} Imported tasks with unique IDs
+ */
+function reassignClashingIds(currentTasks, incomingTasks) {
+  const taken = new Set(currentTasks.map(task => task.id));
+  const takenSeries = new Set(currentTasks.map(task => task.seriesId).filter(Boolean));
+  const idMap = new Map();
+  const seriesMap = new Map();
+
+  incomingTasks.forEach(task => {
+    if (taken.has(task.id)) idMap.set(task.id, generateId());
+    if (task.seriesId && takenSeries.has(task.seriesId) && !seriesMap.has(task.seriesId)) {
+      seriesMap.set(task.seriesId, `series_${generateId()}`);
+    }
+  });
+
+  if (idMap.size === 0 && seriesMap.size === 0) return incomingTasks;
+
+  return incomingTasks.map(task => {
+    const copy = { ...task, id: idMap.get(task.id) || task.id };
+    if (task.seriesId && seriesMap.has(task.seriesId)) copy.seriesId = seriesMap.get(task.seriesId);
+    if (Array.isArray(task.blockedBy)) copy.blockedBy = task.blockedBy.map(id => idMap.get(id) || id);
+    return copy;
+  });
+}
+
+/**
+ * Plan an import without writing anything
+ * @param {Array} currentTasks - Current tasks
+ * @param {Array} incomingTasks - Validated imported tasks
+ * @param {Object} options - Plan options
+ * @param {string} options.mode - One of MERGE_MODES
+ * @param {Object} options.resolutions - For 'review': task ID -> 'current' or 'incoming'
+ * @param {Array} options.courses - Registered courses
+ * @param {Array} options.incomingCourses - Courses from the imported settings, if any
+ * @returns {Object} { mode, added, updated, skipped, conflicts, removed, warnings, tasks, courses }
+ */
+export function planImport(currentTasks, incomingTasks, { mode = 'merge', resolutions = {}, courses = [], incomingCourses = null } = {}) {
+  if (!MERGE_MODES.includes(mode)) {
+    throw new Error(`Unknown merge mode: ${mode}`);
+  }
+
+  const plan = { mode, added: [], updated: [], skipped: [], conflicts: [], removed: [], warnings: [], tasks: [], courses: [] };
+
+  if (Array.isArray(incomingCourses)) {
+    incomingCourses = checkIncomingCourses(incomingCourses, plan.warnings);
+  }
+
+  // Replacing takes the imported course registry; other modes add the courses that are new
+  if (mode === 'replace') {
+    plan.courses = Array.isArray(incomingCourses) ? incomingCourses : courses;
+  } else {
+    const { courses: mergedCourses, idMap } = mergeCourses(courses, incomingCourses || []);
+    plan.courses = mergedCourses;
+    if (idMap.size > 0) {
+      incomingTasks = incomingTasks.map(task => idMap.has(task.courseId) ? { ...task, courseId: idMap.get(task.courseId) } : task);
+    }
+  }
+
+  const currentById = new Map(currentTasks.map(task => [task.id, task]));
+
+  if (mode === 'replace') {
+    const incomingIds = new Set(incomingTasks.map(task => task.id));
+    incomingTasks.forEach(task => {
+      const current = currentById.get(task.id);
+      if (!current) plan.added.push(task);
+      else if (isSameTask(current, task)) plan.skipped.push(task);
+      else plan.updated.push(task);
+    });
+    plan.removed = currentTasks.filter(task => !incomingIds.has(task.id));
+    plan.tasks = [...incomingTasks];
+  } else if (mode === 'append') {
+    const fresh = incomingTasks.filter(task => {
+      const current = currentById.get(task.id);
+      if (current && isSameTask(current, task)) {
+        plan.skipped.push(task);
+        return false;
+      }
+      return true;
+    });
+    plan.added = reassignClashingIds(currentTasks, fresh);
+    plan.tasks = [...currentTasks, ...plan.added];
+  } else {
+    const replacements = new Map();
+    incomingTasks.forEach(task => {
+      const current = currentById.get(task.id);
+      if (!current) {
+        plan.added.push(task);
+        return;
+      }
+      if (isSameTask(current, task)) {
+        plan.skipped.push(task);
+        return;
+      }
+
+      // The newest version wins unless the conflict was resolved by hand
+      const newest = getUpdatedTime(task) > getUpdatedTime(current) ? 'incoming' : 'current';
+      const choice = mode === 'review' && ['current', 'incoming'].includes(resolutions[task.id])
+        ? resolutions[task.id]
+        : newest;
+      plan.conflicts.push({ id: task.id, current, incoming: task, newest, choice });
+
+      if (choice === 'incoming') {
+        replacements.set(task.id, task);
+        plan.updated.push(task);
+      } else {
+        plan.skipped.push(task);
+      }
+    });
+    plan.tasks = [...currentTasks.map(task => replacements.get(task.id) || task), ...plan.added];
+  }
+
+  // Links to tasks that did not make it, and cycles formed by combining both sets, are dropped
+  // (tasks are fixed one at a time so breaking one link of a cycle leaves the rest intact)
+  const ids = new Set(plan.tasks.map(task => task.id));
+  plan.tasks.forEach((task, index) => {
+    if (!Array.isArray(task.blockedBy)) return;
+
+    let blockedBy = task.blockedBy.filter(id => ids.has(id));
+    if (blockedBy.length > 0 && findDependencyCycle(plan.tasks, task.id, blockedBy)) {
+      plan.warnings.push(`Removed the dependencies of "${task.title}" to avoid a dependency cycle`);
+      blockedBy = [];
+    }
+    if (blockedBy.length === task.blockedBy.length) return;
+
+    const { blockedBy: _removed, ...rest } = task;
+    plan.tasks[index] = blockedBy.length > 0 ? { ...rest, blockedBy } : rest;
+  });
+
+  // Course links only survive when the course is registered
+  plan.tasks = plan.tasks.map(task => {
+    if (!task.courseId || findCourse(plan.courses, task.courseId)) return task;
+    plan.warnings.push(`"${task.title}" refers to a course that is not registered; its course was cleared`);
+    const { courseId: _removed, ...rest } = task;
+    return rest;
+  });
+
+  return plan;
+}
+
+/**
+ * Normalize imported courses and drop the ones that fail validation
+ * Shared files come from other people, so their courses get the same checks as the settings form
+ * @param {Array} incomingCourses - Courses from the imported settings
+ * @param {Array} warnings - Plan warnings, one is added per dropped course
+ * @returns {Array} Valid courses
+ */
+function checkIncomingCourses(incomingCourses, warnings) {
+  const accepted = [];
+  incomingCourses.forEach(course => {
+    if (!course || typeof course !== 'object' || !course.id) {
+      warnings.push('Skipped a course without an ID');
+      return;
+    }
+
+    const normalized = normalizeCourse(course);
+    const validation = validateCourse(normalized, accepted);
+    if (!validation.isValid) {
+      warnings.push(`Skipped course "${normalized.code || course.id}": ${validation.message}`);
+      return;
+    }
+    accepted.push(normalized);
+  });
+  return accepted;
+}
+
+/**
+ * Add imported courses that are not registered yet
+ * An imported course with the code of a registered one is matched to it
+ * @param {Array} currentCourses - Registered courses
+ * @param {Array} incomingCourses - Courses from the imported settings
+ * @returns {Object} { courses, idMap } - Registry including new courses, and imported ID -> registered ID for matched ones
+ */
+export function mergeCourses(currentCourses = [], incomingCourses = []) {
+  const byCode = new Map(currentCourses.map(course => [String(course.code || '').toLowerCase(), course]));
+  const idMap = new Map();
+  const added = [];
+
+  (incomingCourses || []).forEach(course => {
+    if (!course || !course.id || findCourse(currentCourses, course.id)) return;
+
+    const existing = byCode.get(String(course.code || '').toLowerCase());
+    if (existing) {
+      idMap.set(course.id, existing.id);
+      return;
+    }
+    byCode.set(String(course.code || '').toLowerCase(), course);
+    added.push(course);
+  });
+
+  return { courses: [...currentCourses, ...added], idMap };
+}
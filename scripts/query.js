@@ -0,0 +1,555 @@
+/**
+ * Query Module - Structured search query language
+ *
+ * Queries are parsed into an AST and evaluated against tasks:
+ *   essay "lab report"      words and quoted phrases (title, description, tags)
+ *   tag:exam, #exam         field operators: tag, priority, course, due, duration, is, title, description
+ *   due:<2025-12-01         comparisons (<, <=, >, >=, =) and ranges (due:2025-12-01..2025-12-14)
+ *   due:this-week           date keywords: today, tomorrow, yesterday, this/next/last-week, this/next/last-month
+ *   duration:>2             hours, or with a unit: duration:<=90m
+ *   is:completed            completed, open, overdue, blocked, recurring
+ *   a OR b, NOT c, -c       boolean operators (adjacent terms are ANDed) and parentheses
+ *   /^quiz \d+/i            regex literal, matched against title, description and tags
+ */
+
+import { compileRegex } from './validators.js';
+import { getTaskTags, getTaskPriority, hasTag, PRIORITY_LEVELS } from './tags.js';
+import { isBlocked } from './dependencies.js';
+import { isRecurring, splitDueDate } from './recurrence.js';
+import { findCourse } from './courses.js';
+
+/**
+ * Field operators, with their accepted aliases
+ */
+export const QUERY_FIELDS = {
+  tag: ['tag', 'tags'],
+  priority: ['priority', 'p'],
+  course: ['course', 'c'],
+  due: ['due', 'date'],
+  duration: ['duration', 'dur'],
+  is: ['is'],
+  title: ['title'],
+  description: ['description', 'desc', 'notes']
+};
+
+/**
+ * Values accepted by is:
+ */
+export const QUERY_FLAGS = {
+  completed: ['completed', 'done', 'complete'],
+  open: ['open', 'active', 'incomplete', 'todo'],
+  overdue: ['overdue', 'late'],
+  blocked: ['blocked'],
+  recurring: ['recurring', 'repeating']
+};
+
+const DATE_KEYWORDS = ['today', 'tomorrow', 'yesterday', 'this-week', 'next-week', 'last-week', 'this-month', 'next-month', 'last-month'];
+const COMPARISON = /^(<=|>=|<|>|=)?(.*)$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Resolve a field name or alias
+ * @param {string} name - Name as typed
+ * @returns {string|null} Field, or null when the name is not a field
+ */
+function resolveField(name) {
+  const lower = name.toLowerCase();
+  return Object.keys(QUERY_FIELDS).find(field => QUERY_FIELDS[field].includes(lower)) || null;
+}
+
+/**
+ * Split a query into tokens
+ * @param {string} text - Query text
+ * @returns {Array} Tokens as { type, value, ... }
+ */
+export function tokenizeQuery(text) {
+  const tokens = [];
+  const input = String(text || '');
+  let i = 0;
+
+  const readQuoted = () => {
+    const end = input.indexOf('"', i + 1);
+    if (end === -1) throw new Error('Missing closing quote');
+    const value = input.slice(i + 1, end);
+    i = end + 1;
+    return value;
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char });
+      i++;
+    } else if (char === '"') {
+      tokens.push({ type: 'text', value: readQuoted(), phrase: true });
+    } else if (char === '-' && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+      tokens.push({ type: 'NOT' });
+      i++;
+    } else if (char === '/' && readRegexLiteral(input, i)) {
+      const literal = readRegexLiteral(input, i);
+      tokens.push({ type: 'regex', source: literal.source, flags: literal.flags });
+      i = literal.end;
+    } else {
+      let word = '';
+      while (i < input.length && !/[\s()]/.test(input[i])) {
+        // field:"quoted value"
+        if (input[i] === '"' && word.endsWith(':')) {
+          word += readQuoted();
+          tokens.push({ type: 'word', value: word, quoted: true });
+          word = null;
+          break;
+        }
+        word += input[i++];
+      }
+      if (word === null) continue;
+      if (word === 'AND' || word === 'OR' || word === 'NOT') tokens.push({ type: word });
+      else tokens.push({ type: 'word', value: word });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Read a /pattern/flags literal starting at a slash
+ * @param {string} input - Query text
+ * @param {number} start - Index of the opening slash
+ * @returns {Object|null} { source, flags, end }, or null when the slash does not start a literal
+ */
+function readRegexLiteral(input, start) {
+  let inClass = false;
+  for (let i = start + 1; i < input.length; i++) {
+    const char = input[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === ']') {
+      inClass = false;
+    } else if (char === '/' && !inClass) {
+      if (i === start + 1) return null;
+      const flags = /^[a-z]*/.exec(input.slice(i + 1))[0];
+      return { source: input.slice(start + 1, i), flags, end: i + 1 + flags.length };
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a YYYY-MM-DD date or a date keyword into a local day range
+ * @param {string} value - Date or keyword
+ * @param {Date} now - Reference time for keywords
+ * @returns {Object|null} { start, end } timestamps (end exclusive)
+ */
+function parseDateRange(value, now) {
+  const day = (year, month, date) => new Date(year, month, date).getTime();
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (match) {
+    const [year, month, date] = [Number(match[1]), Number(match[2]) - 1, Number(match[3])];
+    const start = new Date(year, month, date);
+    if (start.getMonth() !== month || start.getDate() !== date) return null;
+    return { start: start.getTime(), end: day(year, month, date + 1) };
+  }
+
+  const [year, month, date] = [now.getFullYear(), now.getMonth(), now.getDate()];
+  const weekStart = date - now.getDay(); // Weeks start on Sunday, as in getCurrentWeek()
+  switch (value.toLowerCase()) {
+    case 'today': return { start: day(year, month, date), end: day(year, month, date + 1) };
+    case 'tomorrow': return { start: day(year, month, date + 1), end: day(year, month, date + 2) };
+    case 'yesterday': return { start: day(year, month, date - 1), end: day(year, month, date) };
+    case 'this-week': return { start: day(year, month, weekStart), end: day(year, month, weekStart + 7) };
+    case 'next-week': return { start: day(year, month, weekStart + 7), end: day(year, month, weekStart + 14) };
+    case 'last-week': return { start: day(year, month, weekStart - 7), end: day(year, month, weekStart) };
+    case 'this-month': return { start: day(year, month, 1), end: day(year, month + 1, 1) };
+    case 'next-month': return { start: day(year, month + 1, 1), end: day(year, month + 2, 1) };
+    case 'last-month': return { start: day(year, month - 1, 1), end: day(year, month, 1) };
+    default: return null;
+  }
+}
+
+/**
+ * Parse a duration in hours, with an optional h or m unit
+ * @param {string} value - e.g. 2, 1.5h, 90m
+ * @returns {number|null} Hours
+ */
+function parseHours(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*(h|hr|hrs|hours?|m|min|mins|minutes?)?$/i.exec(value);
+  if (!match) return null;
+  const amount = parseFloat(match[1]);
+  return match[2] && match[2].toLowerCase().startsWith('m') ? amount / 60 : amount;
+}
+
+/**
+ * Build the node for a field:value term, checking the value up front
+ * Date keywords are kept as written and resolved when the query is evaluated
+ * @param {string} field - Resolved field
+ * @param {string} raw - Value as typed
+ * @returns {Object} Field node
+ */
+function createFieldNode(field, raw) {
+  if (raw === '') throw new Error(`Missing value after ${field}:`);
+
+  if (field === 'due' || field === 'duration') {
+    const isValid = field === 'due'
+      ? (value) => parseDateRange(value, new Date()) !== null
+      : (value) => parseHours(value) !== null;
+    const example = field === 'due' ? 'a date (YYYY-MM-DD) or one of ' + DATE_KEYWORDS.join(', ') : 'a number of hours (2, 1.5h or 90m)';
+
+    const range = raw.split('..');
+    if (range.length === 2) {
+      if (!range.every(isValid)) throw new Error(`${field}: range needs ${example}`);
+      return { type: 'field', field, op: 'range', value: range[0], to: range[1] };
+    }
+
+    const [, op = '=', value] = COMPARISON.exec(raw);
+    if (!isValid(value)) throw new Error(`${field}: expects ${example}`);
+    return { type: 'field', field, op, value };
+  }
+
+  if (field === 'is') {
+    const flag = Object.keys(QUERY_FLAGS).find(key => QUERY_FLAGS[key].includes(raw.toLowerCase()));
+    if (!flag) throw new Error(`is: expects one of ${Object.keys(QUERY_FLAGS).join(', ')}`);
+    return { type: 'field', field, op: '=', value: flag };
+  }
+
+  return { type: 'field', field, op: '=', value: raw };
+}
+
+/**
+ * Parse a query into an AST
+ * Node types: and / or (nodes), not (node), text (value, phrase), regex (source, flags),
+ * field (field, op, value[, to]); an empty query parses to null
+ * @param {string} text - Query text
+ * @returns {Object} { success, ast, error }
+ */
+export function parseQuery(text) {
+  try {
+    const tokens = tokenizeQuery(text);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+
+    const parseOr = () => {
+      const nodes = [parseAnd()];
+      while (peek() && peek().type === 'OR') {
+        next();
+        nodes.push(parseAnd());
+      }
+      return nodes.length === 1 ? nodes[0] : { type: 'or', nodes };
+    };
+
+    const parseAnd = () => {
+      const nodes = [parseUnary()];
+      while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+        if (peek().type === 'AND') next();
+        nodes.push(parseUnary());
+      }
+      return nodes.length === 1 ? nodes[0] : { type: 'and', nodes };
+    };
+
+    const parseUnary = () => {
+      if (peek() && peek().type === 'NOT') {
+        next();
+        return { type: 'not', node: parseUnary() };
+      }
+      return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+      const token = next();
+      if (!token) throw new Error('Query ends too early');
+
+      switch (token.type) {
+        case '(': {
+          const node = parseOr();
+          if (!peek() || peek().type !== ')') throw new Error('Missing closing parenthesis');
+          next();
+          return node;
+        }
+        case 'text':
+          return { type: 'text', value: token.value, phrase: true };
+        case 'regex': {
+          const compilation = compileRegex(token.source, token.flags.replace('g', ''));
+          if (!compilation.success) throw new Error(`Invalid regex: ${compilation.error}`);
+          return { type: 'regex', source: token.source, flags: token.flags };
+        }
+        case 'word': {
+          const separator = token.value.indexOf(':');
+          const field = separator > 0 ? resolveField(token.value.slice(0, separator)) : null;
+          if (field) return createFieldNode(field, token.value.slice(separator + 1));
+          if (token.value.startsWith('#') && token.value.length > 1) return createFieldNode('tag', token.value.slice(1));
+          return { type: 'text', value: token.value, phrase: false };
+        }
+        default:
+          throw new Error(token.type === ')' ? 'Unexpected closing parenthesis' : `${token.type} needs a term after it`);
+      }
+    };
+
+    if (tokens.length === 0) return { success: true, ast: null, error: null };
+
+    const ast = parseOr();
+    if (position < tokens.length) throw new Error('Unexpected closing parenthesis');
+    return { success: true, ast, error: null };
+  } catch (error) {
+    return { success: false, ast: null, error: error.message };
+  }
+}
+
+/**
+ * Check whether a query is only a /pattern/flags literal
+ * @param {string} text - Query text
+ * @returns {Object|null} { source, flags } for regex mode, or null
+ */
+export function getRegexLiteral(text) {
+  const trimmed = String(text || '').trim();
+  const literal = trimmed.startsWith('/') ? readRegexLiteral(trimmed, 0) : null;
+  return literal && literal.end === trimmed.length ? { source: literal.source, flags: literal.flags } : null;
+}
+
+/**
+ * Get the due time of a task for comparisons
+ * Date-only due dates count as the start of their (local) day
+ * @param {Object} task - Task object
+ * @returns {number|null} Timestamp
+ */
+function getDueTime(task) {
+  const { datePart, timePart } = splitDueDate(task.dueDate);
+  const time = new Date(`${datePart}T${timePart || '00:00'}`).getTime();
+  return isNaN(time) ? null : time;
+}
+
+/**
+ * Check whether an open task is past its due time (date-only tasks at the end of the day)
+ * @param {Object} task - Task object
+ * @param {Date} now - Current time
+ * @returns {boolean} True when overdue
+ */
+function isOverdue(task, now) {
+  const due = getDueTime(task);
+  if (task.completed || due === null) return false;
+  return (splitDueDate(task.dueDate).timePart ? due : due + DAY_MS) <= now.getTime();
+}
+
+/**
+ * Compare a value against a range for an operator
+ * @param {number} value - Value
+ * @param {string} op - Operator
+ * @param {number} start - Range start (inclusive)
+ * @param {number} end - Range end (exclusive)
+ * @returns {boolean} Result
+ */
+function compareToRange(value, op, start, end) {
+  switch (op) {
+    case '<': return value < start;
+    case '<=': return value < end;
+    case '>': return value >= end;
+    case '>=': return value >= start;
+    default: return value >= start && value < end;
+  }
+}
+
+/**
+ * Check whether text contains a value
+ * @param {string} text - Text
+ * @param {string} value - Value to find
+ * @param {boolean} caseSensitive - Case-sensitive matching
+ * @returns {boolean} True when found
+ */
+function contains(text, value, caseSensitive) {
+  if (!text) return false;
+  return caseSensitive ? String(text).includes(value) : String(text).toLowerCase().includes(value.toLowerCase());
+}
+
+/**
+ * Evaluate a field node
+ * @param {Object} task - Task object
+ * @param {Object} node - Field node
+ * @param {Object} context - Evaluation context
+ * @returns {boolean} True when the task matches
+ */
+function matchesField(task, node, context) {
+  const { now, tasks, courses, caseSensitive } = context;
+
+  switch (node.field) {
+    case 'tag':
+      // tag:exam matches the whole tag; tag:exam* matches tags starting with it
+      if (node.value.endsWith('*')) {
+        const prefix = node.value.slice(0, -1).toLowerCase();
+        return getTaskTags(task).some(tag => tag.toLowerCase().startsWith(prefix));
+      }
+      return hasTag(task, node.value);
+    case 'priority': {
+      const priority = getTaskPriority(task) || '';
+      const rank = parseInt(node.value, 10);
+      // priority:1 is the first quadrant; words match the start of the quadrant name
+      return rank ? priority === PRIORITY_LEVELS[rank - 1] : priority.toLowerCase().startsWith(node.value.toLowerCase());
+    }
+    case 'course': {
+      const course = findCourse(courses, task.courseId);
+      if (node.value.toLowerCase() === 'none') return !course;
+      return Boolean(course) && (contains(course.code, node.value, false) || contains(course.name, node.value, false));
+    }
+    case 'due': {
+      const due = getDueTime(task);
+      if (due === null) return false;
+      if (node.op === 'range') {
+        return due >= parseDateRange(node.value, now).start && due < parseDateRange(node.to, now).end;
+      }
+      const range = parseDateRange(node.value, now);
+      return compareToRange(due, node.op, range.start, range.end);
+    }
+    case 'duration': {
+      const hours = parseFloat(task.duration);
+      if (isNaN(hours)) return false;
+      const value = parseHours(node.value);
+      if (node.op === 'range') return hours >= value && hours <= parseHours(node.to);
+      switch (node.op) {
+        case '<': return hours < value;
+        case '<=': return hours <= value;
+        case '>': return hours > value;
+        case '>=': return hours >= value;
+        default: return hours === value;
+      }
+    }
+    case 'is':
+      switch (node.value) {
+        case 'completed': return Boolean(task.completed);
+        case 'open': return !task.completed;
+        case 'overdue': return isOverdue(task, now);
+        case 'blocked': return isBlocked(task, tasks);
+        case 'recurring': return isRecurring(task);
+        default: return false;
+      }
+    case 'title':
+    case 'description':
+      return contains(task[node.field], node.value, caseSensitive);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Evaluate a query AST against a task
+ * @param {Object} task - Task object
+ * @param {Object|null} ast - Parsed query (null matches every task)
+ * @param {Object} options - Evaluation options
+ * @param {Date} options.now - Reference time for date keywords and is:overdue
+ * @param {Array} options.tasks - All tasks (for is:blocked)
+ * @param {Array} options.courses - Registered courses (for course:)
+ * @param {boolean} options.caseSensitive - Case-sensitive text matching
+ * @param {Map} options.regexMatches - Regex results computed elsewhere (e.g. by the regex worker):
+ *   getRegexKey() -> Set of matching task IDs; regexes missing from the map run here
+ * @param {Map} options.fuzzyMatches - Typo-tolerant matches for words and phrases:
+ *   lower-case text -> Set of task IDs that also match (see search.js fuzzy mode)
+ * @returns {boolean} True when the task matches
+ */
+export function matchesQuery(task, ast, { now = new Date(), tasks = [], courses = [], caseSensitive = false, regexMatches = null, fuzzyMatches = null } = {}) {
+  const context = { now, tasks, courses, caseSensitive };
+
+  const evaluate = (node) => {
+    if (!node) return true;
+    switch (node.type) {
+      case 'and': return node.nodes.every(evaluate);
+      case 'or': return node.nodes.some(evaluate);
+      case 'not': return !evaluate(node.node);
+      case 'text': {
+        const fuzzy = fuzzyMatches ? fuzzyMatches.get(node.value.toLowerCase()) : null;
+        if (fuzzy && fuzzy.has(task.id)) return true;
+        return [task.title, task.description, getTaskTags(task).join(', ')].some(text => contains(text, node.value, caseSensitive));
+      }
+      case 'regex': {
+        const key = getRegexKey(node, caseSensitive);
+        if (regexMatches && regexMatches.has(key)) return regexMatches.get(key).has(task.id);
+        const regex = compileRegex(node.source, getRegexFlags(node, caseSensitive)).regex;
+        return [task.title, task.description, getTaskTags(task).join(', ')].some(text => text && regex.test(text));
+      }
+      case 'field': return matchesField(task, node, context);
+      default: return false;
+    }
+  };
+
+  return evaluate(ast);
+}
+
+/**
+ * Collect the words, phrases and regexes a query looks for (outside NOT), for highlighting
+ * @param {Object|null} ast - Parsed query
+ * @returns {Array} Nodes of type text or regex
+ */
+export function getHighlightTerms(ast) {
+  if (!ast) return [];
+  switch (ast.type) {
+    case 'and':
+    case 'or':
+      return ast.nodes.flatMap(getHighlightTerms);
+    case 'text':
+    case 'regex':
+      return [ast];
+    case 'field':
+      return ast.field === 'title' || ast.field === 'description' ? [{ type: 'text', value: ast.value }] : [];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Get the flags a regex node runs with
+ * Flags written in the literal win; without flags the case-sensitivity option applies
+ * @param {Object} node - Regex node ({ source, flags })
+ * @param {boolean} caseSensitive - Case-sensitive option
+ * @returns {string} Flags without 'g'
+ */
+export function getRegexFlags(node, caseSensitive = false) {
+  return node.flags ? node.flags.replace('g', '') : (caseSensitive ? '' : 'i');
+}
+
+/**
+ * Get the key identifying a regex node's results (pattern plus effective flags)
+ * @param {Object} node - Regex node ({ source, flags })
+ * @param {boolean} caseSensitive - Case-sensitive option
+ * @returns {string} Key such as '/quiz \d+/i'
+ */
+export function getRegexKey(node, caseSensitive = false) {
+  return `/${node.source}/${getRegexFlags(node, caseSensitive)}`;
+}
+
+/**
+ * Collect the nodes of one type in a query, including those under NOT
+ * @param {Object|null} ast - Parsed query
+ * @param {string} type - Node type
+ * @returns {Array} Matching nodes
+ */
+function collectNodes(ast, type) {
+  if (!ast) return [];
+  switch (ast.type) {
+    case 'and':
+    case 'or':
+      return ast.nodes.flatMap(node => collectNodes(node, type));
+    case 'not':
+      return collectNodes(ast.node, type);
+    default:
+      return ast.type === type ? [ast] : [];
+  }
+}
+
+/**
+ * Collect every regex in a query, including those under NOT
+ * @param {Object|null} ast - Parsed query
+ * @returns {Array} Regex nodes
+ */
+export function getRegexTerms(ast) {
+  return collectNodes(ast, 'regex');
+}
+
+/**
+ * Collect every word and phrase in a query, including those under NOT
+ * @param {Object|null} ast - Parsed query
+ * @returns {Array} Text nodes
+ */
+export function getTextTerms(ast) {
+  return collectNodes(ast, 'text');
+}
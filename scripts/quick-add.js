@@ -0,0 +1,237 @@
+/**
+ * Quick Add Module - Parses one-line task entries
+ * "Calc problem set due fri 5pm 2h30 !urgent #math" becomes a title, a due date
+ * with time, a duration in hours, a priority quadrant and tags; whatever is not
+ * recognised stays in the title
+ */
+
+import { VALIDATION_RULES, ADVANCED_PATTERNS } from './validators.js';
+import { PRIORITY_LEVELS, DEFAULT_PRIORITY, normalizeTags } from './tags.js';
+import { toDateString } from './utils.js';
+
+/**
+ * Duration used when the entry does not give one (hours)
+ */
+export const QUICK_ADD_DEFAULT_DURATION = 1;
+
+/**
+ * Priority keywords written after '!' (numbers follow PRIORITY_LEVELS order)
+ */
+export const QUICK_ADD_PRIORITIES = {
+  urgent: PRIORITY_LEVELS[0],
+  important: PRIORITY_LEVELS[1],
+  schedule: PRIORITY_LEVELS[1],
+  delegate: PRIORITY_LEVELS[2],
+  eliminate: PRIORITY_LEVELS[3],
+  someday: PRIORITY_LEVELS[3]
+};
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const FULL_NAMES = {
+  sun: 'sunday', mon: 'monday', tue: 'tuesday', wed: 'wednesday', thu: 'thursday', fri: 'friday', sat: 'saturday',
+  jan: 'january', feb: 'february', mar: 'march', apr: 'april', may: 'may', jun: 'june', jul: 'july',
+  aug: 'august', sep: 'september', oct: 'october', nov: 'november', dec: 'december'
+};
+const CONNECTORS = ['due', 'by', 'on', 'at'];
+const DURATION_PATTERN = /^(?:(\d+(?:\.\d+)?)h(?:rs?|ours?)?(?:(\d{1,2})m?(?:ins?)?)?|(\d+)m(?:ins?|inutes?)?)$/i;
+const TIME_PATTERN = /^(\d{1,2})(?::([0-5]\d))?(am|pm)$/i;
+
+/**
+ * Find a weekday or month by its name or an abbreviation (at least three letters)
+ * @param {Array} names - Three-letter names
+ * @param {string} word - Word to look up
+ * @returns {number} Index, or -1
+ */
+function findName(names, word) {
+  const lower = word.toLowerCase().replace(/\.$/, '');
+  if (lower.length < 3) return -1;
+  return names.findIndex(name => lower.startsWith(name) && FULL_NAMES[name].startsWith(lower));
+}
+
+/**
+ * Read a date starting at a word
+ * @param {Array} words - Entry words
+ * @param {number} index - Position of the first word
+ * @param {Date} now - Reference time
+ * @returns {Object|null} { date: 'YYYY-MM-DD', length: words used }
+ */
+function readDate(words, index, now) {
+  const word = words[index].toLowerCase();
+  const next = words[index + 1] ? words[index + 1].toLowerCase() : '';
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const offset = (days) => toDateString(new Date(today.getFullYear(), today.getMonth(), today.getDate() + days));
+
+  if (word === 'today' || word === 'tonight') return { date: offset(0), length: 1 };
+  if (['tomorrow', 'tmr', 'tmrw'].includes(word)) return { date: offset(1), length: 1 };
+
+  // 2030-10-20
+  if (VALIDATION_RULES.date.pattern.test(word) && !word.includes('T') && VALIDATION_RULES.date.test(word)) {
+    return { date: word, length: 1 };
+  }
+
+  // fri / friday (the coming one, today included) and next fri (a week later)
+  const isNext = word === 'next' && findName(WEEKDAYS, next) !== -1;
+  const weekday = findName(WEEKDAYS, isNext ? next : word);
+  if (weekday !== -1) {
+    const days = (weekday - today.getDay() + 7) % 7 + (isNext ? 7 : 0);
+    return { date: offset(days), length: isNext ? 2 : 1 };
+  }
+
+  // oct 20 / 20 oct (this year, or next year once the date has passed)
+  const monthFirst = findName(MONTHS, word) !== -1 && /^\d{1,2}(st|nd|rd|th)?$/.test(next);
+  const dayFirst = /^\d{1,2}(st|nd|rd|th)?$/.test(word) && findName(MONTHS, next) !== -1;
+  if (monthFirst || dayFirst) {
+    const month = findName(MONTHS, monthFirst ? word : next);
+    const day = parseInt(monthFirst ? next : word, 10);
+    let date = new Date(today.getFullYear(), month, day);
+    if (date.getMonth() !== month) return null;
+    if (date < today) date = new Date(today.getFullYear() + 1, month, day);
+    return { date: toDateString(date), length: 2 };
+  }
+
+  // in 3 days / in 2 weeks
+  const amount = /^\d+$/.test(next) ? parseInt(next, 10) : null;
+  const unit = words[index + 2] ? words[index + 2].toLowerCase() : '';
+  if (word === 'in' && amount !== null && /^(days?|weeks?)$/.test(unit)) {
+    return { date: offset(unit.startsWith('week') ? amount * 7 : amount), length: 3 };
+  }
+
+  return null;
+}
+
+/**
+ * Read a time of day from a word
+ * @param {string} word - Word such as 5pm, 5:30pm, 17:00 or noon
+ * @returns {string|null} HH:MM
+ */
+function readTime(word) {
+  const lower = word.toLowerCase();
+  if (lower === 'noon') return '12:00';
+  if (lower === 'midnight') return '00:00';
+  if (ADVANCED_PATTERNS.timeFormat.test(lower)) return lower.padStart(5, '0');
+
+  const match = TIME_PATTERN.exec(lower);
+  if (!match) return null;
+  const hour = parseInt(match[1], 10);
+  if (hour < 1 || hour > 12) return null;
+  const hours = (hour % 12) + (match[3] === 'pm' ? 12 : 0);
+  return `${String(hours).padStart(2, '0')}:${match[2] || '00'}`;
+}
+
+/**
+ * Read a duration such as 2h30, 1.5h or 45m
+ * @param {string} word - Word
+ * @returns {number|null} Hours, rounded to two decimals like the form field
+ */
+function readDuration(word) {
+  const match = DURATION_PATTERN.exec(word);
+  if (!match) return null;
+  const hours = match[3] !== undefined
+    ? parseInt(match[3], 10) / 60
+    : parseFloat(match[1]) + (match[2] ? parseInt(match[2], 10) / 60 : 0);
+  return hours > 0 ? Math.round(hours * 100) / 100 : null;
+}
+
+/**
+ * Read a priority such as !urgent or !1
+ * @param {string} word - Word starting with '!'
+ * @returns {string|null} Priority quadrant
+ */
+function readPriority(word) {
+  const key = word.slice(1).toLowerCase();
+  if (/^[1-9]$/.test(key)) return PRIORITY_LEVELS[parseInt(key, 10) - 1] || null;
+  return QUICK_ADD_PRIORITIES[key] || null;
+}
+
+/**
+ * Parse a quick-add entry
+ * The first date, time, duration and priority found are used; later ones stay in the title
+ * @param {string} text - Entry as typed
+ * @param {Object} options - Parse options
+ * @param {Date} options.now - Reference time for relative dates
+ * @returns {Object} { task: { title, dueDate, duration, priority, tags }, parts: [{ type, text }], defaults: [field] }
+ */
+export function parseQuickAdd(text, { now = new Date() } = {}) {
+  const words = String(text || '').trim().split(/\s+/).filter(Boolean);
+  const parts = [];
+  const found = {};
+  const tags = [];
+  const title = [];
+
+  const push = (type, used) => parts.push({ type, text: used.join(' ') });
+
+  for (let i = 0; i < words.length;) {
+    const word = words[i];
+    const connector = CONNECTORS.includes(word.toLowerCase()) && i + 1 < words.length ? 1 : 0;
+    const start = i + connector;
+
+    // #tag
+    if (/^#[\w&-]+$/.test(word) && VALIDATION_RULES.tag.pattern.test(word.slice(1))) {
+      tags.push(word.slice(1));
+      push('tag', [word]);
+      i++;
+      continue;
+    }
+
+    // !priority
+    if (!found.priority && word.startsWith('!') && readPriority(word)) {
+      found.priority = readPriority(word);
+      push('priority', [word]);
+      i++;
+      continue;
+    }
+
+    // 2h30
+    if (!found.duration && readDuration(word) !== null) {
+      found.duration = readDuration(word);
+      push('duration', [word]);
+      i++;
+      continue;
+    }
+
+    // [due|by|on] date
+    const date = !found.date ? readDate(words, start, now) : null;
+    if (date) {
+      found.date = date.date;
+      push('date', words.slice(i, start + date.length));
+      i = start + date.length;
+      continue;
+    }
+
+    // [at] time
+    const time = !found.time ? readTime(words[start]) : null;
+    if (time) {
+      found.time = time;
+      push('time', words.slice(i, start + 1));
+      i = start + 1;
+      continue;
+    }
+
+    title.push(word);
+    push('title', [word]);
+    i++;
+  }
+
+  // A time alone means today, or tomorrow once that time has passed
+  const defaults = [];
+  if (!found.date) {
+    const passed = found.time && found.time <= `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+    found.date = readDate([passed ? 'tomorrow' : 'today'], 0, now).date;
+    if (!found.time) defaults.push('dueDate');
+  }
+  if (!found.duration) defaults.push('duration');
+  if (!found.priority) defaults.push('priority');
+
+  return {
+    task: {
+      title: title.join(' '),
+      dueDate: found.time ? `${found.date}T${found.time}` : found.date,
+      duration: found.duration || QUICK_ADD_DEFAULT_DURATION,
+      priority: found.priority || DEFAULT_PRIORITY,
+      tags: normalizeTags(tags)
+    },
+    parts,
+    defaults
+  };
+}
@@ -0,0 +1,253 @@
+/**
+ * Recurrence Module - Repeating task rules
+ * Implements a small RRULE-style subset (daily / weekly) used to spawn
+ * the next occurrence of a recurring task when the current one is completed
+ */
+
+import { resetSubtasks } from './subtasks.js';
+
+/**
+ * Supported repetition frequencies
+ */
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekly'];
+
+/**
+ * Short weekday labels indexed like Date#getDay (0 = Sunday)
+ */
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Task fields copied from one occurrence to the next
+ */
+export const SERIES_FIELDS = ['title', 'duration', 'priority', 'tags', 'courseId', 'description', 'subtasks'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upper bound on the days scanned when looking for the next occurrence
+const MAX_SCAN_DAYS = 366 * 5;
+
+/**
+ * Split a due date into its date and optional time parts
+ * @param {string} dueDate - YYYY-MM-DD or YYYY-MM-DDTHH:MM
+ * @returns {Object} { datePart, timePart }
+ */
+export function splitDueDate(dueDate) {
+  const [datePart = '', timePart = ''] = String(dueDate || '').split('T');
+  return { datePart, timePart: timePart.slice(0, 5) };
+}
+
+/**
+ * Parse a YYYY-MM-DD string as a UTC midnight date
+ * @param {string} value - Date string
+ * @returns {Date|null} Parsed date or null when invalid
+ */
+function parseDay(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ''));
+  if (!match) return null;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Format a UTC date as YYYY-MM-DD
+ * @param {Date} date - Date to format
+ * @returns {string} Date string
+ */
+function formatDay(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Get the Sunday that starts the week containing a date
+ * @param {Date} date - UTC date
+ * @returns {Date} Start of week
+ */
+function startOfWeek(date) {
+  return new Date(date.getTime() - date.getUTCDay() * DAY_MS);
+}
+
+/**
+ * Normalize a recurrence rule into its canonical shape
+ * @param {Object} rule - Raw rule (e.g. from the task form)
+ * @param {string} dueDate - Due date of the first occurrence, used as the rule start
+ * @returns {Object|null} Normalized rule or null when the task does not repeat
+ */
+export function normalizeRecurrence(rule, dueDate = null) {
+  if (!rule || !rule.freq || rule.freq === 'none') return null;
+
+  const start = rule.start || splitDueDate(dueDate).datePart || null;
+  const interval = Math.max(1, parseInt(rule.interval, 10) || 1);
+
+  let byWeekday = [];
+  if (rule.freq === 'weekly') {
+    byWeekday = [...new Set((rule.byWeekday || []).map(day => parseInt(day, 10)))]
+      .filter(day => day >= 0 && day <= 6)
+      .sort((a, b) => a - b);
+
+    // Default to the weekday of the first occurrence
+    const startDay = parseDay(start);
+    if (byWeekday.length === 0 && startDay) {
+      byWeekday = [startDay.getUTCDay()];
+    }
+  }
+
+  const count = parseInt(rule.count, 10);
+  const exceptions = [...new Set((rule.exceptions || [])
+    .map(date => String(date).trim())
+    .filter(Boolean))]
+    .sort();
+
+  return {
+    freq: rule.freq,
+    interval,
+    byWeekday,
+    start,
+    until: rule.until || null,
+    count: count > 0 ? count : null,
+    exceptions
+  };
+}
+
+/**
+ * Check whether a task repeats
+ * @param {Object} task - Task object
+ * @returns {boolean} True when the task carries a recurrence rule
+ */
+export function isRecurring(task) {
+  return Boolean(task && task.recurrence && task.recurrence.freq);
+}
+
+/**
+ * Check whether a date is an instance of the rule (ignoring until/count/exceptions)
+ * @param {Object} rule - Normalized rule
+ * @param {Date} date - Candidate UTC date
+ * @param {Date} start - Rule start
+ * @returns {boolean} True when the rule produces the date
+ */
+function matchesRule(rule, date, start) {
+  const daysSinceStart = Math.round((date - start) / DAY_MS);
+  if (daysSinceStart < 0) return false;
+
+  if (rule.freq === 'daily') {
+    return daysSinceStart % rule.interval === 0;
+  }
+
+  if (rule.freq === 'weekly') {
+    if (!rule.byWeekday.includes(date.getUTCDay())) return false;
+    const weeksSinceStart = Math.round((startOfWeek(date) - startOfWeek(start)) / (7 * DAY_MS));
+    return weeksSinceStart % rule.interval === 0;
+  }
+
+  return false;
+}
+
+/**
+ * Find the occurrence that follows a given one
+ * Exception dates are skipped but still count toward `count`, as in RFC 5545
+ * @param {Object} rule - Normalized rule
+ * @param {string} occurrenceDate - Scheduled date (YYYY-MM-DD) of the current occurrence
+ * @param {number} occurrenceIndex - 1-based index of the current occurrence
+ * @returns {Object|null} { date, index } of the next occurrence, or null when the series has ended
+ */
+export function getNextOccurrence(rule, occurrenceDate, occurrenceIndex = 1) {
+  if (!rule || !RECURRENCE_FREQUENCIES.includes(rule.freq)) return null;
+
+  const from = parseDay(occurrenceDate);
+  const start = parseDay(rule.start) || from;
+  if (!from || !start) return null;
+
+  const until = rule.until ? parseDay(rule.until) : null;
+  const exceptions = new Set(rule.exceptions || []);
+  let index = occurrenceIndex;
+
+  for (let offset = 1; offset <= MAX_SCAN_DAYS * rule.interval; offset++) {
+    const candidate = new Date(from.getTime() + offset * DAY_MS);
+    if (until && candidate > until) return null;
+    if (!matchesRule(rule, candidate, start)) continue;
+
+    index++;
+    if (rule.count && index > rule.count) return null;
+
+    const date = formatDay(candidate);
+    if (exceptions.has(date)) continue;
+
+    return { date, index };
+  }
+
+  return null;
+}
+
+/**
+ * Build the task data for the occurrence after a completed one
+ * @param {Object} task - Current occurrence
+ * @returns {Object|null} Task data for the next occurrence, or null when the series has ended
+ */
+export function createNextOccurrence(task) {
+  if (!isRecurring(task)) return null;
+
+  const { datePart, timePart } = splitDueDate(task.dueDate);
+  const next = getNextOccurrence(task.recurrence, task.occurrenceDate || datePart, task.occurrenceIndex || 1);
+  if (!next) return null;
+
+  // An occurrence edited on its own keeps the series values in seriesTemplate
+  const template = task.seriesTemplate || task;
+  const time = task.seriesTemplate ? task.seriesTemplate.time : timePart;
+
+  const occurrence = {};
+  SERIES_FIELDS.forEach(field => {
+    if (template[field] !== undefined) occurrence[field] = template[field];
+  });
+
+  // Each occurrence starts with a fresh checklist
+  if (occurrence.subtasks) {
+    occurrence.subtasks = resetSubtasks(occurrence.subtasks);
+  }
+
+  return {
+    ...occurrence,
+    dueDate: time ? `${next.date}T${time}` : next.date,
+    recurrence: task.recurrence,
+    seriesId: task.seriesId || task.id,
+    occurrenceDate: next.date,
+    occurrenceIndex: next.index
+  };
+}
+
+/**
+ * Snapshot the series values of an occurrence before it is edited on its own
+ * @param {Object} task - Occurrence about to be edited
+ * @returns {Object} Series template
+ */
+export function createSeriesTemplate(task) {
+  const template = { time: splitDueDate(task.dueDate).timePart };
+  SERIES_FIELDS.forEach(field => {
+    template[field] = task[field];
+  });
+  return template;
+}
+
+/**
+ * Describe a rule in plain language
+ * @param {Object} rule - Normalized rule
+ * @returns {string} Human readable description
+ */
+export function describeRecurrence(rule) {
+  if (!rule || !rule.freq) return '';
+
+  let text;
+  if (rule.freq === 'daily') {
+    text = rule.interval === 1 ? 'Daily' : `Every ${rule.interval} days`;
+  } else {
+    const days = (rule.byWeekday || []).map(day => WEEKDAY_LABELS[day]).join(', ');
+    text = rule.interval === 1 ? 'Weekly' : `Every ${rule.interval} weeks`;
+    if (days) text += ` on ${days}`;
+  }
+
+  if (rule.until) {
+    text += ` until ${rule.until}`;
+  } else if (rule.count) {
+    text += `, ${rule.count} times`;
+  }
+
+  return text;
+}
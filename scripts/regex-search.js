@@ -0,0 +1,187 @@
+/**
+ * Regex Search Module - Runs user regexes off the main thread with a time budget
+ * A pattern such as (a+)+$ can backtrack for minutes on a short string; running it
+ * in a Web Worker lets the page terminate the worker and report the pattern instead
+ */
+
+import { testRegex, analyzeRegexSafety } from './validators.js';
+import { getTaskTags } from './tags.js';
+
+/**
+ * Longest a regex search may run before the worker is terminated (milliseconds)
+ */
+export const REGEX_TIME_BUDGET_MS = 500;
+
+/**
+ * Task fields regexes are matched against
+ */
+export const REGEX_SEARCH_FIELDS = ['title', 'description', 'tags'];
+
+/**
+ * Match regex patterns against task text
+ * Runs inside the worker; also used directly when workers are unavailable
+ * @param {Array} patterns - Patterns as { key, source, flags } (flags without 'g')
+ * @param {Array} items - Task text as { id, title, description, tags } (tags joined into one string)
+ * @returns {Object} { [key]: { [taskId]: { [field]: [{ match, index }] } } }, tasks without matches omitted
+ */
+export function matchRegexPatterns(patterns, items) {
+  const results = {};
+  patterns.forEach(({ key, source, flags }) => {
+    const byTask = {};
+    items.forEach(item => {
+      REGEX_SEARCH_FIELDS.forEach(field => {
+        if (!item[field]) return;
+        const test = testRegex(item[field], source, `g${flags}`);
+        if (!test.success || test.matches.length === 0) return;
+        byTask[item.id] = byTask[item.id] || {};
+        byTask[item.id][field] = test.matches.map(({ match, index }) => ({ match, index }));
+      });
+    });
+    results[key] = byTask;
+  });
+  return results;
+}
+
+/**
+ * Runs regex searches in a worker, one at a time
+ * Starting a run cancels the previous one; a run that exceeds the time budget
+ * terminates the worker and resolves with timedOut
+ */
+export class RegexSearchRunner {
+  constructor({ timeBudget = REGEX_TIME_BUDGET_MS, workerUrl = new URL('./regex-worker.js', import.meta.url) } = {}) {
+    this.timeBudget = timeBudget;
+    this.workerUrl = workerUrl;
+    this.worker = null;
+    this.pending = null;
+    this.nextRunId = 1;
+  }
+
+  /**
+   * Whether regexes run in a worker here
+   * @returns {boolean} True when the Worker API is available
+   */
+  isWorkerAvailable() {
+    return typeof Worker !== 'undefined';
+  }
+
+  /**
+   * Match patterns against tasks
+   * @param {Array} patterns - Patterns as { key, source, flags }
+   * @param {Array} tasks - Task objects (only id, title, description and tags are sent)
+   * @returns {Promise<Object>} { success, results, timedOut, cancelled, error }
+   */
+  run(patterns, tasks) {
+    this.cancel();
+    const items = tasks.map(task => ({
+      id: task.id,
+      title: task.title || '',
+      description: task.description || '',
+      tags: getTaskTags(task).join(', ')
+    }));
+
+    if (!this.isWorkerAvailable() || !this.ensureWorker()) {
+      return Promise.resolve(this.runOnMainThread(patterns, items));
+    }
+
+    const id = this.nextRunId++;
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.pending = null;
+        this.terminate();
+        const slow = patterns.map(pattern => pattern.key).join(', ');
+        resolve({
+          success: false,
+          results: {},
+          timedOut: true,
+          cancelled: false,
+          error: `Regex ${slow} took longer than ${this.timeBudget} ms and was stopped; it likely backtracks catastrophically`
+        });
+      }, this.timeBudget);
+
+      this.pending = { id, timer, resolve };
+      this.worker.postMessage({ id, patterns, items });
+    });
+  }
+
+  /**
+   * Cancel the running search, if any; its promise resolves with cancelled
+   */
+  cancel() {
+    if (!this.pending) return;
+    const { timer, resolve } = this.pending;
+    clearTimeout(timer);
+    this.pending = null;
+    // The worker may be stuck in the old pattern, so it cannot be reused
+    this.terminate();
+    resolve({ success: false, results: {}, timedOut: false, cancelled: true, error: null });
+  }
+
+  /**
+   * Stop the worker; the next run starts a fresh one
+   */
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+
+  /**
+   * Create the worker if needed
+   * @returns {boolean} True when a worker is ready
+   */
+  ensureWorker() {
+    if (this.worker) return true;
+    try {
+      this.worker = new Worker(this.workerUrl, { type: 'module' });
+    } catch (error) {
+      console.warn('Regex worker unavailable, searching on the main thread:', error);
+      return false;
+    }
+
+    this.worker.onmessage = (event) => {
+      const { id, results, error } = event.data || {};
+      if (!this.pending || this.pending.id !== id) return;
+      const { timer, resolve } = this.pending;
+      clearTimeout(timer);
+      this.pending = null;
+      resolve({ success: !error, results: results || {}, timedOut: false, cancelled: false, error: error || null });
+    };
+    this.worker.onerror = (event) => {
+      if (event.preventDefault) event.preventDefault();
+      if (!this.pending) return;
+      const { timer, resolve } = this.pending;
+      clearTimeout(timer);
+      this.pending = null;
+      this.terminate();
+      resolve({ success: false, results: {}, timedOut: false, cancelled: false, error: `Regex worker failed: ${event.message || 'unknown error'}` });
+    };
+    return true;
+  }
+
+  /**
+   * Fallback without workers: run only patterns the static analyser accepts,
+   * since a runaway pattern here would freeze the page
+   * @param {Array} patterns - Patterns as { key, source, flags }
+   * @param {Array} items - Task text
+   * @returns {Object} Run result (see run)
+   */
+  runOnMainThread(patterns, items) {
+    const unsafe = patterns.map(pattern => analyzeRegexSafety(pattern.source)).find(analysis => !analysis.isSafe);
+    if (unsafe) {
+      return {
+        success: false,
+        results: {},
+        timedOut: false,
+        cancelled: false,
+        error: `${unsafe.message}. Regex search cannot run safely in this browser.`
+      };
+    }
+    return { success: true, results: matchRegexPatterns(patterns, items), timedOut: false, cancelled: false, error: null };
+  }
+}
+
+/**
+ * Shared runner for the search box
+ */
+export const regexSearchRunner = new RegexSearchRunner();
@@ -0,0 +1,15 @@
+/**
+ * Regex Worker - Matches search regexes away from the page's main thread
+ * Message in: { id, patterns, items }; message out: { id, results } or { id, error }
+ */
+
+import { matchRegexPatterns } from './regex-search.js';
+
+self.onmessage = (event) => {
+  const { id, patterns, items } = event.data;
+  try {
+    self.postMessage({ id, results: matchRegexPatterns(patterns, items) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
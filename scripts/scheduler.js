@@ -0,0 +1,259 @@
+/**
+ * Scheduler Module - Plans study blocks for the remaining work on each task
+ * Each incomplete task's remaining duration is split into blocks spread over the
+ * days before its due date, inside the study window, around blocked times and
+ * within the daily capacity; more important tasks claim time first
+ */
+
+import { generateUniqueId, toDateString, toMinutes, toTime } from './utils.js';
+import { getTaskPriority, getPriorityRank } from './tags.js';
+import { getCompletedSubtaskDuration } from './subtasks.js';
+
+/**
+ * Study settings used until the user changes them (capacity in hours per day)
+ */
+export const DEFAULT_SCHEDULE = {
+  dailyCapacity: 4,
+  dayStart: '08:00',
+  dayEnd: '22:00',
+  blockedTimes: []
+};
+
+/**
+ * Shortest and longest study block (hours); remainders below the minimum are still placed
+ */
+export const MIN_BLOCK_HOURS = 0.5;
+export const MAX_BLOCK_HOURS = 2;
+
+/**
+ * Furthest ahead the planner places blocks (days)
+ */
+export const PLAN_HORIZON_DAYS = 365;
+
+// Blocks are placed on a quarter-hour grid
+const SLOT_MINUTES = 15;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Round minutes up to the slot grid
+ * @param {number} minutes - Minutes
+ * @returns {number} Rounded minutes
+ */
+function roundUpToSlot(minutes) {
+  return Math.ceil(minutes / SLOT_MINUTES) * SLOT_MINUTES;
+}
+
+/**
+ * Normalize a weekly blocked time (classes, work shifts, ...)
+ * @param {Object} block - Raw blocked time
+ * @returns {Object} { id, label, days: [0-6, Sunday first], start, end }
+ */
+export function normalizeBlockedTime(block) {
+  const days = Array.isArray(block.days) ? block.days : [];
+  return {
+    id: block.id || generateUniqueId('blocked'),
+    label: String(block.label || '').trim().replace(/\s+/g, ' '),
+    days: [...new Set(days.map(day => parseInt(day, 10)).filter(day => day >= 0 && day <= 6))].sort((a, b) => a - b),
+    start: String(block.start || ''),
+    end: String(block.end || '')
+  };
+}
+
+/**
+ * Normalize study settings, filling in defaults
+ * @param {Object} schedule - Raw study settings
+ * @returns {Object} { dailyCapacity, dayStart, dayEnd, blockedTimes }
+ */
+export function normalizeSchedule(schedule = {}) {
+  const capacity = parseFloat(schedule.dailyCapacity);
+  return {
+    dailyCapacity: isNaN(capacity) ? DEFAULT_SCHEDULE.dailyCapacity : capacity,
+    dayStart: schedule.dayStart || DEFAULT_SCHEDULE.dayStart,
+    dayEnd: schedule.dayEnd || DEFAULT_SCHEDULE.dayEnd,
+    blockedTimes: Array.isArray(schedule.blockedTimes) ? schedule.blockedTimes.map(normalizeBlockedTime) : []
+  };
+}
+
+/**
+ * Hours of a task still to do: its duration less any checked-off checklist items
+ * @param {Object} task - Task object
+ * @param {Date} now - Reference time
+ * @returns {number} Hours
+ */
+export function getRemainingDuration(task, now = new Date()) {
+  const duration = parseFloat(task.duration) || 0;
+  return Math.max(0, duration - getCompletedSubtaskDuration(task, new Date(0), now));
+}
+
+/**
+ * Build a planner for one day: the free intervals of the study window
+ * @param {Date} day - Local midnight of the day
+ * @param {Object} schedule - Normalized study settings
+ * @param {Date} now - Reference time; nothing is placed in the past
+ * @returns {Object} { date, free: [[start, end]] in minutes, capacityLeft, blocks }
+ */
+function createDay(day, schedule, now) {
+  let start = toMinutes(schedule.dayStart);
+  const end = toMinutes(schedule.dayEnd);
+  if (toDateString(day) === toDateString(now)) {
+    start = Math.max(start, roundUpToSlot(now.getHours() * 60 + now.getMinutes()));
+  }
+
+  let free = start < end ? [[start, end]] : [];
+  schedule.blockedTimes
+    .filter(block => block.days.includes(day.getDay()))
+    .forEach(block => {
+      free = subtractInterval(free, toMinutes(block.start), toMinutes(block.end));
+    });
+
+  return {
+    date: toDateString(day),
+    free,
+    capacityLeft: Math.round(schedule.dailyCapacity * 60),
+    blocks: []
+  };
+}
+
+/**
+ * Remove an interval from a list of free intervals
+ * @param {Array} free - Free intervals as [start, end]
+ * @param {number} start - Start of the removed interval
+ * @param {number} end - End of the removed interval
+ * @returns {Array} Remaining free intervals
+ */
+function subtractInterval(free, start, end) {
+  return free.flatMap(([freeStart, freeEnd]) => {
+    if (end <= freeStart || start >= freeEnd) return [[freeStart, freeEnd]];
+    const parts = [];
+    if (start > freeStart) parts.push([freeStart, start]);
+    if (end < freeEnd) parts.push([end, freeEnd]);
+    return parts;
+  });
+}
+
+/**
+ * Place up to `wanted` minutes of a task on a day, earliest free time first
+ * @param {Object} day - Day planner (see createDay)
+ * @param {Object} item - Task being planned
+ * @param {number} wanted - Minutes to place
+ * @param {number} latest - No block may end after this minute (the due time)
+ * @returns {number} Minutes placed
+ */
+function placeOnDay(day, item, wanted, latest) {
+  let placed = 0;
+  const minimum = Math.min(MIN_BLOCK_HOURS * 60, wanted);
+
+  for (const [freeStart, freeEnd] of [...day.free]) {
+    const left = wanted - placed;
+    if (left <= 0 || day.capacityLeft <= 0) break;
+
+    const length = Math.min(left, Math.min(freeEnd, latest) - freeStart, day.capacityLeft, MAX_BLOCK_HOURS * 60);
+    if (length < minimum || length <= 0) continue;
+
+    day.free = subtractInterval(day.free, freeStart, freeStart + length);
+    day.capacityLeft -= length;
+    // Extend the task's block when the new time follows straight on from it
+    const previous = day.blocks.find(block => block.item === item && block.end === freeStart
+      && block.end - block.start + length <= MAX_BLOCK_HOURS * 60);
+    if (previous) {
+      previous.end += length;
+    } else {
+      day.blocks.push({ item, start: freeStart, end: freeStart + length });
+    }
+    placed += length;
+  }
+  return placed;
+}
+
+/**
+ * Plan study blocks for the incomplete tasks
+ * Tasks are taken in priority order (Eisenhower quadrant, then earliest due date);
+ * each one first gets an even share of every day before it is due, then any time
+ * still free. Planning always starts from now, so blocks that were missed are
+ * moved forward the next time the plan is built.
+ * @param {Array} tasks - All tasks
+ * @param {Object} schedule - Study settings (see DEFAULT_SCHEDULE)
+ * @param {Date} now - Reference time
+ * @returns {Object} { blocks: [{ taskId, title, priority, date, start, end, hours }], unscheduled: [{ taskId, title, hours, reason }], totalHours }
+ */
+export function planStudyBlocks(tasks, schedule = DEFAULT_SCHEDULE, now = new Date()) {
+  const settings = normalizeSchedule(schedule);
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const days = new Map();
+  const unscheduled = [];
+
+  const getDay = (offset) => {
+    if (!days.has(offset)) {
+      days.set(offset, createDay(new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset), settings, now));
+    }
+    return days.get(offset);
+  };
+
+  const items = tasks
+    .filter(task => !task.completed && task.dueDate)
+    .map(task => {
+      const dueDate = String(task.dueDate);
+      const [datePart, timePart] = dueDate.split('T');
+      const [year, month, date] = datePart.split('-').map(part => parseInt(part, 10));
+      const dueDay = new Date(year, month - 1, date);
+      return {
+        task,
+        priority: getTaskPriority(task),
+        dueDay,
+        dueMinute: timePart ? toMinutes(timePart) : 24 * 60,
+        deadline: new Date(year, month - 1, date, 0, timePart ? toMinutes(timePart) : 24 * 60).getTime(),
+        minutes: roundUpToSlot(getRemainingDuration(task, now) * 60)
+      };
+    })
+    .filter(item => item.minutes > 0 && !isNaN(item.deadline))
+    .sort((a, b) => getPriorityRank(a.priority) - getPriorityRank(b.priority)
+      || a.deadline - b.deadline
+      || b.minutes - a.minutes
+      || String(a.task.id).localeCompare(String(b.task.id)));
+
+  items.forEach(item => {
+    if (item.deadline <= now.getTime()) {
+      unscheduled.push({ taskId: item.task.id, title: item.task.title, hours: item.minutes / 60, reason: 'Overdue' });
+      return;
+    }
+
+    // Rounded because a day across a daylight-saving change is not 24 hours long
+    const dueOffset = Math.round((item.dueDay - today) / DAY_MS);
+    const lastOffset = Math.min(dueOffset, PLAN_HORIZON_DAYS - 1);
+    const latestOn = (offset) => offset === dueOffset ? item.dueMinute : 24 * 60;
+    let left = item.minutes;
+
+    // First pass spreads the work evenly; the second fills whatever is still free
+    const share = roundUpToSlot(Math.max(MIN_BLOCK_HOURS * 60, left / (lastOffset + 1)));
+    for (let offset = 0; offset <= lastOffset && left > 0; offset++) {
+      left -= placeOnDay(getDay(offset), item, Math.min(share, left), latestOn(offset));
+    }
+    for (let offset = 0; offset <= lastOffset && left > 0; offset++) {
+      left -= placeOnDay(getDay(offset), item, left, latestOn(offset));
+    }
+
+    if (left > 0) {
+      unscheduled.push({ taskId: item.task.id, title: item.task.title, hours: left / 60, reason: 'Not enough free study time before it is due' });
+    }
+  });
+
+  const blocks = [...days.values()]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .flatMap(day => day.blocks
+      .sort((a, b) => a.start - b.start)
+      .map(block => ({
+        taskId: block.item.task.id,
+        title: block.item.task.title,
+        priority: block.item.priority,
+        date: day.date,
+        start: toTime(block.start),
+        end: toTime(block.end),
+        hours: (block.end - block.start) / 60
+      })));
+
+  return {
+    blocks,
+    unscheduled,
+    totalHours: blocks.reduce((sum, block) => sum + block.hours, 0)
+  };
+}
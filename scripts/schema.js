@@ -0,0 +1,103 @@
+/**
+ * Schema Module - Versioned data schema and forward migrations
+ * Stored and imported data records the schema version it was written with;
+ * older data is brought up to date by running every newer migration in order
+ */
+
+import { migrateTaskTags } from './tags.js';
+
+/**
+ * Registered migrations, oldest first
+ * Each migration upgrades data written with `version - 1` to `version`
+ * and may provide a `tasks` and/or `settings` step
+ */
+export const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Split priority from a multi-value tags list',
+    tasks: (tasks) => tasks.map(migrateTaskTags)
+  },
+  {
+    // No data changes; the bump makes older versions refuse data that may use a
+    // priority they would reject
+    version: 3,
+    description: 'Add the Not Urgent & Not Important priority quadrant'
+  }
+];
+
+/**
+ * Current schema version (the version of the newest migration)
+ */
+export const SCHEMA_VERSION = MIGRATIONS.reduce((latest, migration) => Math.max(latest, migration.version), 1);
+
+/**
+ * Parse a stored schema version
+ * Data saved before versioning has none and counts as version 1; exports
+ * written as '1.0' are read as 1
+ * @param {number|string} value - Stored version
+ * @returns {number} Schema version
+ */
+export function parseSchemaVersion(value) {
+  const version = parseInt(value, 10);
+  return Number.isFinite(version) && version > 0 ? version : 1;
+}
+
+/**
+ * Check whether data was written by a newer version of the app
+ * @param {number|string} version - Stored version
+ * @returns {boolean} True when the data cannot be migrated safely
+ */
+export function isNewerSchemaVersion(version) {
+  return parseSchemaVersion(version) > SCHEMA_VERSION;
+}
+
+/**
+ * Build the error message for data from a newer version
+ * @param {number|string} version - Stored version
+ * @returns {string} Error message
+ */
+export function getNewerSchemaMessage(version) {
+  return `This data was saved by a newer version of Campus Life Planner (schema ${parseSchemaVersion(version)}); ` +
+    `this version supports schema ${SCHEMA_VERSION}. Update the app before loading it.`;
+}
+
+/**
+ * Run the migrations newer than a version over one part of the data
+ * @param {string} part - 'tasks' or 'settings'
+ * @param {*} data - Data to migrate
+ * @param {number|string} fromVersion - Version the data was written with
+ * @returns {*} Migrated data (the same value when no migration applies)
+ */
+function runMigrations(part, data, fromVersion) {
+  if (isNewerSchemaVersion(fromVersion)) {
+    throw new Error(getNewerSchemaMessage(fromVersion));
+  }
+
+  const version = parseSchemaVersion(fromVersion);
+  return MIGRATIONS
+    .filter(migration => migration.version > version && typeof migration[part] === 'function')
+    .sort((a, b) => a.version - b.version)
+    .reduce((migrated, migration) => migration[part](migrated), data);
+}
+
+/**
+ * Bring stored or imported tasks up to the current schema
+ * @param {Array} tasks - Tasks
+ * @param {number|string} fromVersion - Version the tasks were written with
+ * @returns {Array} Migrated tasks
+ * @throws {Error} When the tasks come from a newer schema
+ */
+export function migrateTasks(tasks, fromVersion) {
+  return runMigrations('tasks', tasks, fromVersion);
+}
+
+/**
+ * Bring stored or imported settings up to the current schema
+ * @param {Object} settings - Settings
+ * @param {number|string} fromVersion - Version the settings were written with
+ * @returns {Object} Migrated settings
+ * @throws {Error} When the settings come from a newer schema
+ */
+export function migrateSettings(settings, fromVersion) {
+  return runMigrations('settings', settings, fromVersion);
+}
@@ -1,9 +1,12 @@
 /**
  * Search Module - Advanced search and filtering functionality
- * Implements regex-based search with highlighting and filtering capabilities
+ * Implements structured and regex search with highlighting and filtering capabilities
  */
 
-import { compileRegex, highlightMatches, testRegex, checkDuplicateWords } from './validators.js';
+import { compileRegex, highlightMatches, highlightMatchRanges, testRegex, checkDuplicateWords, analyzeRegexSafety } from './validators.js';
+import { getTaskTags, getPriorityRank, getTaskPriority, hasTag } from './tags.js';
+import { parseQuery, matchesQuery, getRegexLiteral, getHighlightTerms, getRegexTerms, getTextTerms, getRegexFlags, getRegexKey } from './query.js';
+import { regexSearchRunner } from './regex-search.js';
 
 /**
  * Search configuration and options
@@ -15,6 +18,30 @@ export const SEARCH_CONFIG = {
   debounceDelay: 300
 };
 
+/**
+ * How much a match in each field counts toward a task's score
+ */
+const FIELD_WEIGHTS = {
+  title: 3,
+  tags: 2,
+  tag: 2,
+  description: 1
+};
+
+/**
+ * Get the searchable text of a task field
+ * Tags are stored as a list and searched as one comma-separated string
+ * @param {Object} task - Task object
+ * @param {string} field - Field name ('tag' is accepted as an alias of 'tags')
+ * @returns {string} Field text
+ */
+function getFieldText(task, field) {
+  if (field === 'tags' || field === 'tag') {
+    return getTaskTags(task).join(', ');
+  }
+  return task[field];
+}
+
 /**
  * Search result object structure
  */
@@ -27,12 +54,71 @@ export class SearchResult {
   }
 }
 
+/**
+ * BM25 ranking parameters: k1 limits how much repeated terms add, b how much long tasks are penalized
+ */
+export const BM25_PARAMS = {
+  k1: 1.2,
+  b: 0.75,
+  partialMatchWeight: 0.5,
+  fuzzyMatchWeight: 0.4
+};
+
+/**
+ * Edit distance between two words (optimal string alignment: insertions, deletions,
+ * substitutions and swaps of neighbouring letters each count as one edit)
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} maxDistance - Stop early once the distance is known to exceed this
+ * @returns {number} Distance, or maxDistance + 1 when it is larger than maxDistance
+ */
+export function editDistance(a, b, maxDistance = Infinity) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+  
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousRow[j - 2] + 1);
+      }
+      nextRow.push(distance);
+      rowMin = Math.min(rowMin, distance);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+  return Math.min(row[b.length], maxDistance + 1);
+}
+
+/**
+ * How many typos a word of this length tolerates
+ * Short words get none, since almost every three-letter word is one edit from another
+ * @param {number} length - Word length
+ * @returns {number} Maximum edit distance
+ */
+function getMaxEdits(length) {
+  if (length < 4) return 0;
+  return length < 7 ? 1 : 2;
+}
+
 /**
  * Search index for fast searching
+ * An inverted index from terms to the tasks containing them, with term frequencies
+ * weighted by field (title counts more than description) for BM25 ranking
  */
 class SearchIndex {
   constructor() {
+    // term -> Map(taskId -> weighted term frequency)
     this.index = new Map();
+    // taskId -> { task, length } for the indexed version of each task
+    this.documents = new Map();
+    this.totalLength = 0;
     this.stopWords = new Set(['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by']);
   }
   
@@ -42,16 +128,75 @@ class SearchIndex {
    */
   buildIndex(tasks) {
     this.index.clear();
+    this.documents.clear();
+    this.totalLength = 0;
+    tasks.forEach(task => this.addTask(task));
+  }
+  
+  /**
+   * Add a task to the index, replacing its previous version
+   * @param {Object} task - Task object
+   */
+  addTask(task) {
+    this.removeTask(task.id);
     
+    const frequencies = this.getTermFrequencies(task);
+    let length = 0;
+    frequencies.forEach((frequency, term) => {
+      if (!this.index.has(term)) {
+        this.index.set(term, new Map());
+      }
+      this.index.get(term).set(task.id, frequency);
+      length += frequency;
+    });
+    
+    this.documents.set(task.id, { task, length });
+    this.totalLength += length;
+  }
+  
+  /**
+   * Remove a task from the index
+   * @param {string} taskId - Task ID
+   * @returns {boolean} True when the task was indexed
+   */
+  removeTask(taskId) {
+    const document = this.documents.get(taskId);
+    if (!document) return false;
+    
+    this.extractTerms(document.task).forEach(term => {
+      const postings = this.index.get(term);
+      if (!postings) return;
+      postings.delete(taskId);
+      if (postings.size === 0) this.index.delete(term);
+    });
+    
+    this.documents.delete(taskId);
+    this.totalLength -= document.length;
+    return true;
+  }
+  
+  /**
+   * Bring the index in line with the task list
+   * Task updates replace the task object, so an identity check finds changed tasks;
+   * tasks no longer in the list (replaced by an import, cleared) are dropped so they
+   * don't linger in suggestions or the BM25 statistics
+   * @param {Array} tasks - Array of task objects
+   * @returns {number} Number of tasks (re-)indexed or removed
+   */
+  syncTasks(tasks) {
+    let changed = 0;
+    const taskIds = new Set(tasks.map(task => task.id));
+    [...this.documents.keys()].forEach(taskId => {
+      if (!taskIds.has(taskId) && this.removeTask(taskId)) changed++;
+    });
     tasks.forEach(task => {
-      const terms = this.extractTerms(task);
-      terms.forEach(term => {
-        if (!this.index.has(term)) {
-          this.index.set(term, new Set());
-        }
-        this.index.get(term).add(task.id);
-      });
+      const document = this.documents.get(task.id);
+      if (!document || document.task !== task) {
+        this.addTask(task);
+        changed++;
+      }
     });
+    return changed;
   }
   
   /**
@@ -60,27 +205,27 @@ class SearchIndex {
    * @returns {Array} Array of search terms
    */
   extractTerms(task) {
-    const terms = new Set();
-    
-    // Extract from title
-    if (task.title) {
-      const titleTerms = this.tokenize(task.title);
-      titleTerms.forEach(term => terms.add(term));
-    }
-    
-    // Extract from description
-    if (task.description) {
-      const descTerms = this.tokenize(task.description);
-      descTerms.forEach(term => terms.add(term));
-    }
+    return Array.from(this.getTermFrequencies(task).keys());
+  }
+  
+  /**
+   * Count the terms of a task, weighting each occurrence by its field
+   * @param {Object} task - Task object
+   * @returns {Map} term -> weighted frequency
+   */
+  getTermFrequencies(task) {
+    const frequencies = new Map();
+    const add = (text, weight) => {
+      this.tokenize(text).forEach(term => {
+        frequencies.set(term, (frequencies.get(term) || 0) + weight);
+      });
+    };
     
-    // Extract from tag
-    if (task.tag) {
-      const tagTerms = this.tokenize(task.tag);
-      tagTerms.forEach(term => terms.add(term));
-    }
+    add(task.title, FIELD_WEIGHTS.title);
+    add(task.description, FIELD_WEIGHTS.description);
+    getTaskTags(task).forEach(tag => add(tag, FIELD_WEIGHTS.tags));
     
-    return Array.from(terms);
+    return frequencies;
   }
   
   /**
@@ -99,29 +244,103 @@ class SearchIndex {
   }
   
   /**
-   * Search the index for terms
+   * Whether the index can answer a substring lookup for a token
+   * Stop words are not indexed, so a token found inside one (e.g. "he" in "the") may be missed
+   * @param {string} token - Lower-case token
+   * @returns {boolean} True when lookup(token) finds every task containing it
+   */
+  canLookup(token) {
+    return ![...this.stopWords].some(word => word.includes(token));
+  }
+  
+  /**
+   * Find the indexed terms containing a token
+   * @param {string} token - Lower-case token
+   * @param {boolean} fuzzy - Also return misspellings of the token (see findSimilarTerms)
+   * @returns {Array} [term, postings, weight] entries; exact matches weigh 1, partial and fuzzy ones less
+   */
+  lookup(token, fuzzy = false) {
+    const entries = [];
+    for (const [term, postings] of this.index) {
+      if (term === token) {
+        entries.push([term, postings, 1]);
+      } else if (term.includes(token)) {
+        entries.push([term, postings, BM25_PARAMS.partialMatchWeight]);
+      }
+    }
+    if (fuzzy) {
+      this.findSimilarTerms(token).forEach(([term, postings, distance]) => {
+        entries.push([term, postings, BM25_PARAMS.fuzzyMatchWeight / distance]);
+      });
+    }
+    return entries;
+  }
+  
+  /**
+   * Find indexed words a few typos away from a token (words containing it are excluded)
+   * @param {string} token - Lower-case token
+   * @param {number} maxDistance - Maximum edit distance (defaults to what the token's length allows)
+   * @returns {Array} [term, postings, distance] entries, closest first
+   */
+  findSimilarTerms(token, maxDistance = getMaxEdits(token.length)) {
+    if (maxDistance < 1) return [];
+    
+    const similar = [];
+    for (const [term, postings] of this.index) {
+      if (term.includes(token)) continue;
+      const distance = editDistance(token, term, maxDistance);
+      if (distance <= maxDistance) similar.push([term, postings, distance]);
+    }
+    return similar.sort((a, b) => a[2] - b[2] || b[1].size - a[1].size || a[0].localeCompare(b[0]));
+  }
+  
+  /**
+   * Find indexed words that start a few typos away from a prefix (for autocompletion)
+   * @param {string} prefix - Lower-case word being typed
+   * @param {number} maxDistance - Maximum edit distance (defaults to what the prefix's length allows)
+   * @returns {Array} [term, postings, distance] entries, closest first; words starting with the prefix are excluded
+   */
+  findSimilarPrefixes(prefix, maxDistance = getMaxEdits(prefix.length)) {
+    if (maxDistance < 1) return [];
+    
+    const similar = [];
+    for (const [term, postings] of this.index) {
+      if (term.startsWith(prefix)) continue;
+      // The typo may have added or dropped a letter, so compare prefixes one letter shorter and longer too
+      const distance = Math.min(...[-1, 0, 1].map(delta => editDistance(prefix, term.slice(0, prefix.length + delta), maxDistance)));
+      if (distance <= maxDistance) similar.push([term, postings, distance]);
+    }
+    return similar.sort((a, b) => a[2] - b[2] || b[1].size - a[1].size || a[0].localeCompare(b[0]));
+  }
+  
+  /**
+   * Suggest the indexed word a misspelled token was probably meant to be
+   * @param {string} token - Lower-case token
+   * @returns {string|null} Closest (then most common) indexed word, or null when the token is found as is
+   */
+  suggestCorrection(token) {
+    if (this.lookup(token).length > 0) return null;
+    const [closest] = this.findSimilarTerms(token);
+    return closest ? closest[0] : null;
+  }
+  
+  /**
+   * Find the tasks containing every term (terms match as substrings of indexed words)
    * @param {Array} terms - Search terms
+   * @param {Object} options - Search options
+   * @param {boolean} options.fuzzy - Also match words a few typos away
    * @returns {Set} Set of matching task IDs
    */
-  search(terms) {
+  search(terms, { fuzzy = false } = {}) {
     if (terms.length === 0) return new Set();
     
     let result = new Set();
     
     terms.forEach((term, index) => {
       const matches = new Set();
-      
-      // Exact match
-      if (this.index.has(term)) {
-        this.index.get(term).forEach(id => matches.add(id));
-      }
-      
-      // Partial match
-      for (const [indexTerm, taskIds] of this.index) {
-        if (indexTerm.includes(term)) {
-          taskIds.forEach(id => matches.add(id));
-        }
-      }
+      this.lookup(term, fuzzy).forEach(([, postings]) => {
+        postings.forEach((frequency, id) => matches.add(id));
+      });
       
       if (index === 0) {
         result = matches;
@@ -132,6 +351,105 @@ class SearchIndex {
     
     return result;
   }
+  
+  /**
+   * Rank tasks for search terms with BM25
+   * @param {Array} terms - Search terms (lower-case tokens)
+   * @param {Set} taskIds - Tasks to score (others are ignored)
+   * @param {Object} options - Scoring options
+   * @param {boolean} options.fuzzy - Also score misspellings, below exact matches
+   * @returns {Map} taskId -> score
+   */
+  score(terms, taskIds, { fuzzy = false } = {}) {
+    const scores = new Map();
+    const documentCount = this.documents.size;
+    if (documentCount === 0) return scores;
+    
+    const { k1, b } = BM25_PARAMS;
+    const averageLength = this.totalLength / documentCount || 1;
+    
+    terms.forEach(token => {
+      this.lookup(token, fuzzy).forEach(([, postings, weight]) => {
+        const idf = Math.log(1 + (documentCount - postings.size + 0.5) / (postings.size + 0.5));
+        postings.forEach((frequency, id) => {
+          if (!taskIds.has(id)) return;
+          const length = this.documents.get(id).length;
+          const saturation = (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + b * length / averageLength));
+          scores.set(id, (scores.get(id) || 0) + weight * idf * saturation);
+        });
+      });
+    });
+    
+    return scores;
+  }
+}
+
+/**
+ * Find the tasks that can match a query using the index
+ * The result is a superset of the matches (matchesQuery still decides); null means
+ * the index cannot narrow the query and every task has to be checked
+ * @param {SearchIndex} index - Search index
+ * @param {Object|null} node - Parsed query node
+ * @param {Object} options - { caseSensitive, regexMatches, fuzzy }
+ * @returns {Set|null} Candidate task IDs, or null for all tasks
+ */
+function getQueryCandidates(index, node, options) {
+  if (!node) return null;
+  switch (node.type) {
+    case 'and': {
+      const sets = node.nodes.map(child => getQueryCandidates(index, child, options)).filter(Boolean);
+      if (sets.length === 0) return null;
+      return sets.reduce((result, set) => new Set([...result].filter(id => set.has(id))));
+    }
+    case 'or': {
+      const sets = node.nodes.map(child => getQueryCandidates(index, child, options));
+      if (sets.some(set => set === null)) return null;
+      return new Set(sets.flatMap(set => [...set]));
+    }
+    case 'text':
+      return getTextCandidates(index, node.value, options.fuzzy);
+    case 'field':
+      return node.field === 'title' || node.field === 'description' ? getTextCandidates(index, node.value) : null;
+    case 'regex': {
+      const key = getRegexKey(node, options.caseSensitive);
+      return options.regexMatches && options.regexMatches.has(key) ? options.regexMatches.get(key) : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Find the tasks whose indexed words contain every word of a search text
+ * @param {SearchIndex} index - Search index
+ * @param {string} value - Word or phrase
+ * @param {boolean} fuzzy - Also accept words a few typos away
+ * @returns {Set|null} Candidate task IDs, or null when no word can be looked up
+ */
+function getTextCandidates(index, value, fuzzy = false) {
+  const tokens = index.tokenize(value).filter(token => index.canLookup(token));
+  return tokens.length > 0 ? index.search(tokens, { fuzzy }) : null;
+}
+
+/**
+ * Escape text for use inside a regex
+ * @param {string} text - Literal text
+ * @returns {string} Regex source matching the text
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the search cache key for a query and its options
+ * @param {string} query - Search query
+ * @param {boolean} caseSensitive - Case-sensitive option
+ * @param {Array} fields - Searched fields
+ * @param {boolean} fuzzy - Fuzzy option
+ * @returns {string} Cache key
+ */
+function getCacheKey(query, caseSensitive, fields, fuzzy) {
+  return `${query}_${caseSensitive}_${fields.join(',')}_${fuzzy}`;
 }
 
 /**
@@ -142,7 +460,10 @@ export class SearchManager {
     this.index = new SearchIndex();
     this.lastSearch = null;
     this.searchCache = new Map();
+    this.cachedTasks = null;
     this.debounceTimer = null;
+    this.lastError = null;
+    this.lastWarnings = [];
   }
   
   /**
@@ -155,35 +476,80 @@ export class SearchManager {
   }
   
   /**
-   * Perform regex search on tasks
-   * @param {string} query - Search query (can be regex)
+   * Add or re-index one task (called by taskActions as tasks change)
+   * @param {Object} task - Task object
+   */
+  indexTask(task) {
+    this.index.addTask(task);
+    this.searchCache.clear();
+  }
+  
+  /**
+   * Drop a deleted task from the index
+   * @param {string} taskId - Task ID
+   */
+  removeFromIndex(taskId) {
+    this.index.removeTask(taskId);
+    this.searchCache.clear();
+  }
+  
+  /**
+   * Get cached results for a query over this exact task list
+   * The cache is dropped whenever a different task list is searched
+   * @param {string} cacheKey - Query cache key
+   * @param {Array} tasks - Tasks being searched
+   * @returns {Array|undefined} Cached results
+   */
+  getCachedResults(cacheKey, tasks) {
+    if (tasks !== this.cachedTasks) {
+      this.searchCache.clear();
+      this.cachedTasks = tasks;
+    }
+    return this.searchCache.get(cacheKey);
+  }
+  
+  /**
+   * Search tasks with the query language (see query.js)
+   * A query that is only a /pattern/flags literal runs as a plain regex search
+   * @param {string} query - Search query
    * @param {Array} tasks - Array of tasks to search
    * @param {Object} options - Search options
-   * @returns {Array} Array of SearchResult objects
+   * @param {Array} options.courses - Registered courses, for course: terms
+   * @returns {Array} Array of SearchResult objects (empty when the query is invalid; see lastError)
    */
   searchTasks(query, tasks, options = {}) {
     const {
       caseSensitive = false,
-      fields = ['title', 'description', 'tag'],
-      maxResults = SEARCH_CONFIG.maxResults
+      fields = ['title', 'description', 'tags'],
+      maxResults = SEARCH_CONFIG.maxResults,
+      fuzzy = false
     } = options;
     
+    this.lastError = null;
     if (!query || query.trim() === '') {
       return tasks.map(task => new SearchResult(task));
     }
     
     // Check cache first
-    const cacheKey = `${query}_${caseSensitive}_${fields.join(',')}`;
-    if (this.searchCache.has(cacheKey)) {
-      return this.searchCache.get(cacheKey);
+    const cacheKey = getCacheKey(query, caseSensitive, fields, fuzzy);
+    const cached = this.getCachedResults(cacheKey, tasks);
+    if (cached) {
+      return cached;
+    }
+    
+    const literal = getRegexLiteral(query);
+    if (!literal) {
+      return this.searchStructured(query, tasks, options);
     }
     
     const results = [];
-    const flags = caseSensitive ? 'g' : 'gi';
+    const flags = `g${literal.flags.replace('g', '') || (caseSensitive ? '' : 'i')}`;
+    query = literal.source;
     
     // Compile regex safely
     const compilation = compileRegex(query, flags);
     if (!compilation.success) {
+      this.lastError = `Invalid regex: ${compilation.error}`;
       return results;
     }
     
@@ -194,7 +560,7 @@ export class SearchManager {
       let totalScore = 0;
       
       fields.forEach(field => {
-        const fieldValue = task[field];
+        const fieldValue = getFieldText(task, field);
         if (!fieldValue) return;
         
         const testResult = testRegex(fieldValue, query, flags);
@@ -215,7 +581,7 @@ export class SearchManager {
         
         // Add highlighted fields
         fields.forEach(field => {
-          const fieldValue = task[field];
+          const fieldValue = getFieldText(task, field);
           if (fieldValue) {
             result.highlightedFields[field] = highlightMatches(fieldValue, regex);
           }
@@ -237,18 +603,207 @@ export class SearchManager {
     return limitedResults;
   }
   
+  /**
+   * Search tasks on the page without blocking it on regexes
+   * Regexes (a /pattern/ query or regex terms in a structured query) run in the regex
+   * worker under a time budget; see regex-search.js. Static warnings about the
+   * patterns are left in lastWarnings, timeouts and errors in lastError.
+   * @param {string} query - Search query
+   * @param {Array} tasks - Array of tasks to search
+   * @param {Object} options - Search options (see searchTasks)
+   * @param {RegexSearchRunner} options.runner - Runner for the regexes (defaults to the shared one)
+   * @returns {Promise<Array|null>} SearchResult objects, or null when a newer search cancelled this one
+   */
+  async searchTasksAsync(query, tasks, options = {}) {
+    const {
+      caseSensitive = false,
+      fields = ['title', 'description', 'tags'],
+      maxResults = SEARCH_CONFIG.maxResults,
+      fuzzy = false,
+      runner = regexSearchRunner
+    } = options;
+    
+    this.lastError = null;
+    this.lastWarnings = [];
+    if (!query || query.trim() === '') {
+      return tasks.map(task => new SearchResult(task));
+    }
+    
+    const cacheKey = getCacheKey(query, caseSensitive, fields, fuzzy);
+    const cached = this.getCachedResults(cacheKey, tasks);
+    if (cached) {
+      return cached;
+    }
+    
+    const literal = getRegexLiteral(query);
+    let nodes;
+    if (literal) {
+      nodes = [{ type: 'regex', source: literal.source, flags: literal.flags }];
+      const compilation = compileRegex(literal.source, getRegexFlags(nodes[0], caseSensitive));
+      if (!compilation.success) {
+        this.lastError = `Invalid regex: ${compilation.error}`;
+        return [];
+      }
+    } else {
+      const parsed = parseQuery(query);
+      if (!parsed.success) {
+        this.lastError = parsed.error;
+        return [];
+      }
+      nodes = getRegexTerms(parsed.ast);
+    }
+    
+    if (nodes.length === 0) {
+      return this.searchStructured(query, tasks, options);
+    }
+    
+    const patterns = new Map();
+    nodes.forEach(node => {
+      const key = getRegexKey(node, caseSensitive);
+      patterns.set(key, { key, source: node.source, flags: getRegexFlags(node, caseSensitive) });
+    });
+    this.lastWarnings = [...patterns.values()].flatMap(pattern => analyzeRegexSafety(pattern.source).warnings);
+    
+    const run = await runner.run([...patterns.values()], tasks);
+    if (run.cancelled) return null;
+    if (!run.success) {
+      this.lastError = run.error;
+      return [];
+    }
+    
+    if (!literal) {
+      return this.searchStructured(query, tasks, { ...options, regexResults: run.results });
+    }
+    
+    // Plain regex search: every match the worker found counts toward the score
+    const byTask = run.results[patterns.keys().next().value] || {};
+    const results = tasks
+      .filter(task => byTask[task.id])
+      .map(task => {
+        const result = new SearchResult(task);
+        fields.forEach(field => {
+          const fieldValue = getFieldText(task, field);
+          const found = byTask[task.id][field === 'tag' ? 'tags' : field] || [];
+          if (!fieldValue) return;
+          if (found.length > 0) {
+            const score = found.length * this.getFieldWeight(field);
+            result.matches.push({ field, value: fieldValue, matches: found, score });
+            result.score += score;
+          }
+          result.highlightedFields[field] = highlightMatchRanges(fieldValue, found);
+        });
+        return result;
+      })
+      .filter(result => result.matches.length > 0);
+    
+    results.sort((a, b) => b.score - a.score);
+    
+    const limitedResults = results.slice(0, maxResults);
+    this.searchCache.set(cacheKey, limitedResults);
+    return limitedResults;
+  }
+  
+  /**
+   * Search tasks with a structured query
+   * Words and phrases are looked up in the inverted index, so only tasks that can match
+   * are checked against the full query; tasks are ranked by BM25 over the query's words,
+   * or by how often its regexes occur when it has no words
+   * @param {string} query - Search query
+   * @param {Array} tasks - Array of tasks to search
+   * @param {Object} options - Search options (see searchTasks)
+   * @param {Object} options.regexResults - Regex matches from the regex worker (see matchRegexPatterns);
+   *   when given, the query's regexes are not run here
+   * @returns {Array} Array of SearchResult objects
+   */
+  searchStructured(query, tasks, options = {}) {
+    const {
+      caseSensitive = false,
+      fields = ['title', 'description', 'tags'],
+      maxResults = SEARCH_CONFIG.maxResults,
+      courses = [],
+      now = new Date(),
+      regexResults = null,
+      fuzzy = false
+    } = options;
+    
+    const parsed = parseQuery(query);
+    if (!parsed.success) {
+      this.lastError = parsed.error;
+      return [];
+    }
+    
+    this.index.syncTasks(tasks);
+    const terms = getHighlightTerms(parsed.ast);
+    const words = terms.filter(term => term.type === 'text').flatMap(term => this.index.tokenize(term.value));
+    
+    // One regex covering every positive text term (and, in fuzzy mode, the misspellings
+    // it accepts) drives highlighting; regexes that already ran in the worker contribute
+    // the matches it found
+    const workerTerms = regexResults ? terms.filter(term => term.type === 'regex') : [];
+    const sources = terms.filter(term => !workerTerms.includes(term)).map(term => term.type === 'regex'
+      ? term.source
+      : escapeRegex(term.value));
+    if (fuzzy) {
+      words.forEach(word => this.index.findSimilarTerms(word).forEach(([term]) => sources.push(escapeRegex(term))));
+    }
+    const highlight = sources.length > 0 ? compileRegex(sources.map(source => `(?:${source})`).join('|'), caseSensitive ? 'g' : 'gi').regex : null;
+    const regexMatches = regexResults
+      ? new Map(Object.entries(regexResults).map(([key, byTask]) => [key, new Set(Object.keys(byTask))]))
+      : null;
+    
+    // Fuzzy mode: a word also matches tasks containing a word a few typos away
+    const fuzzyMatches = fuzzy ? new Map(getTextTerms(parsed.ast).map(term => [
+      term.value.toLowerCase(),
+      this.index.search(this.index.tokenize(term.value), { fuzzy: true })
+    ])) : null;
+    
+    // Narrow the tasks with the index; queries it cannot answer (e.g. regexes run here) scan every task
+    const candidateIds = getQueryCandidates(this.index, parsed.ast, { caseSensitive, regexMatches, fuzzy });
+    const candidates = candidateIds ? tasks.filter(task => candidateIds.has(task.id)) : tasks;
+    
+    const matching = candidates.filter(task => matchesQuery(task, parsed.ast, { now, tasks, courses, caseSensitive, regexMatches, fuzzyMatches }));
+    const relevance = words.length > 0 ? this.index.score(words, new Set(matching.map(task => task.id)), { fuzzy }) : null;
+    
+    const results = matching
+      .map(task => {
+        const result = new SearchResult(task);
+        fields.forEach(field => {
+          const fieldValue = getFieldText(task, field);
+          if (!fieldValue) return;
+          
+          const found = highlight ? Array.from(String(fieldValue).matchAll(highlight), match => ({ match: match[0], index: match.index })) : [];
+          workerTerms.forEach(term => {
+            const byTask = regexResults[getRegexKey(term, caseSensitive)] || {};
+            const ranges = byTask[task.id] ? byTask[task.id][field === 'tag' ? 'tags' : field] : null;
+            if (ranges) found.push(...ranges);
+          });
+          found.sort((a, b) => a.index - b.index);
+          
+          if (found.length > 0) {
+            const score = found.length * this.getFieldWeight(field);
+            result.matches.push({ field, value: fieldValue, matches: found.map(match => match.match), score });
+            result.score += score;
+          }
+          result.highlightedFields[field] = highlightMatchRanges(fieldValue, found);
+        });
+        if (relevance) result.score = relevance.get(task.id) || 0;
+        return result;
+      });
+    
+    results.sort((a, b) => b.score - a.score);
+    
+    const limitedResults = results.slice(0, maxResults);
+    this.searchCache.set(getCacheKey(query, caseSensitive, fields, fuzzy), limitedResults);
+    return limitedResults;
+  }
+  
   /**
    * Get field weight for scoring
    * @param {string} field - Field name
    * @returns {number} Weight value
    */
   getFieldWeight(field) {
-    const weights = {
-      title: 3,
-      tag: 2,
-      description: 1
-    };
-    return weights[field] || 1;
+    return FIELD_WEIGHTS[field] || 1;
   }
   
   /**
@@ -322,6 +877,8 @@ export class SearchManager {
   
   /**
    * Get search suggestions based on query
+   * Words starting with the query come first, then indexed words that start like it
+   * allowing for typos (e.g. "calc" and "clac" both suggest "calculus")
    * @param {string} query - Partial query
    * @param {Array} tasks - Array of tasks
    * @param {number} limit - Maximum suggestions
@@ -334,8 +891,8 @@ export class SearchManager {
     const queryLower = query.toLowerCase();
     
     tasks.forEach(task => {
-      ['title', 'description', 'tag'].forEach(field => {
-        const value = task[field];
+      ['title', 'description', 'tags'].forEach(field => {
+        const value = getFieldText(task, field);
         if (!value) return;
         
         const words = value.toLowerCase().split(/\s+/);
@@ -347,9 +904,43 @@ export class SearchManager {
       });
     });
     
+    if (suggestions.size < limit) {
+      this.index.syncTasks(tasks);
+      const taskIds = new Set(tasks.map(task => task.id));
+      this.index.findSimilarPrefixes(queryLower).forEach(([term, postings]) => {
+        if ([...postings.keys()].some(id => taskIds.has(id))) suggestions.add(term);
+      });
+    }
+    
     return Array.from(suggestions).slice(0, limit);
   }
   
+  /**
+   * Suggest a corrected query when words in it are not found in any task
+   * @param {string} query - Search query
+   * @param {Array} tasks - Array of tasks
+   * @returns {Object|null} { query, corrections: [{ from, to }] }, or null when nothing needs correcting
+   */
+  getDidYouMean(query, tasks) {
+    const parsed = parseQuery(query);
+    if (!parsed.success || getRegexLiteral(query)) return null;
+    
+    this.index.syncTasks(tasks);
+    const corrections = [];
+    getTextTerms(parsed.ast).forEach(term => {
+      (term.value.match(/\w+/g) || []).forEach(word => {
+        const token = word.toLowerCase();
+        if (this.index.stopWords.has(token) || corrections.some(correction => correction.from === word)) return;
+        const correction = this.index.suggestCorrection(token);
+        if (correction) corrections.push({ from: word, to: correction });
+      });
+    });
+    if (corrections.length === 0) return null;
+    
+    const corrected = corrections.reduce((text, { from, to }) => text.replace(new RegExp(`\\b${from}\\b`, 'g'), to), query);
+    return { query: corrected, corrections };
+  }
+  
   /**
    * Clear search cache
    */
@@ -373,20 +964,45 @@ export class SearchManager {
 /**
  * Filter tasks by various criteria
  * @param {Array} tasks - Array of tasks to filter
- * @param {Object} filters - Filter criteria
+ * @param {Object} filters - Filter criteria (filters.query takes a search query, see query.js)
+ * @param {Object} options - Query options passed to matchesQuery (e.g. courses)
  * @returns {Array} Filtered tasks
  */
-export function filterTasks(tasks, filters) {
+export function filterTasks(tasks, filters, options = {}) {
   if (!filters || Object.keys(filters).length === 0) {
     return tasks;
   }
   
+  // A query string (see query.js) is combined with the other filters
+  let queryAst = null;
+  if (filters.query) {
+    const parsed = parseQuery(filters.query);
+    if (!parsed.success) return [];
+    queryAst = parsed.ast;
+  }
+  
   return tasks.filter(task => {
-    // Tag filter
-    if (filters.tag && filters.tag !== '' && task.tag !== filters.tag) {
+    if (queryAst && !matchesQuery(task, queryAst, { tasks, ...options })) {
+      return false;
+    }
+    
+
+    // Tag filter (matches any of the task's tags)
+    if (filters.tag && filters.tag !== '' && !hasTag(task, filters.tag)) {
       return false;
     }
     
+    // Priority filter
+    if (filters.priority && getTaskPriority(task) !== filters.priority) {
+      return false;
+    }
+    
+    // Course filter ('none' keeps the tasks without a course)
+    if (filters.courseId) {
+      const inCourse = filters.courseId === 'none' ? !task.courseId : task.courseId === filters.courseId;
+      if (!inCourse) return false;
+    }
+    
     // Date range filter
     if (filters.dateFrom && new Date(task.dueDate) < new Date(filters.dateFrom)) {
       return false;
@@ -440,20 +1056,13 @@ export function filterTasks(tasks, filters) {
 export function sortTasks(tasks, sortBy) {
   const sortedTasks = [...tasks];
   
-  // Priority order based on Eisenhower Matrix
-  const priorityOrder = {
-    'Urgent & Important': 1,
-    'Important but Not Urgent': 2,
-    'Urgent but Not Important': 3
-  };
+  // Tasks with several tags sort by their first tag
+  const firstTag = (task) => getTaskTags(task)[0] || '';
   
   switch (sortBy) {
     case 'priority':
-      return sortedTasks.sort((a, b) => {
-        const priorityA = priorityOrder[a.tag] || 999;
-        const priorityB = priorityOrder[b.tag] || 999;
-        return priorityA - priorityB;
-      });
+      // Priority order based on Eisenhower Matrix
+      return sortedTasks.sort((a, b) => getPriorityRank(getTaskPriority(a)) - getPriorityRank(getTaskPriority(b)));
     
     case 'title-asc':
       return sortedTasks.sort((a, b) => a.title.localeCompare(b.title));
@@ -474,10 +1083,10 @@ export function sortTasks(tasks, sortBy) {
       return sortedTasks.sort((a, b) => parseFloat(b.duration) - parseFloat(a.duration));
     
     case 'tag-asc':
-      return sortedTasks.sort((a, b) => a.tag.localeCompare(b.tag));
+      return sortedTasks.sort((a, b) => firstTag(a).localeCompare(firstTag(b)));
     
     case 'tag-desc':
-      return sortedTasks.sort((a, b) => b.tag.localeCompare(a.tag));
+      return sortedTasks.sort((a, b) => firstTag(b).localeCompare(firstTag(a)));
     
     case 'created-asc':
       return sortedTasks.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
@@ -500,7 +1109,7 @@ export function createQueryBuilder() {
     filters: {},
     sort: 'date-asc',
     caseSensitive: false,
-    fields: ['title', 'description', 'tag']
+    fields: ['title', 'description', 'tags']
   };
   
   return {
@@ -0,0 +1,119 @@
+/**
+ * Smart Lists Module - Saved searches kept with the user's settings
+ * A smart list stores a search query together with the filters, sort order and
+ * case option it was saved with; it opens from the navigation or a #list=<id> URL
+ */
+
+import { generateUniqueId } from './utils.js';
+import { filterTasks } from './search.js';
+import { parseQuery, getRegexLiteral, getRegexTerms } from './query.js';
+
+/**
+ * URL hash prefix that opens a smart list (e.g. tasks.html#list=smart_123)
+ */
+export const SMART_LIST_HASH_PREFIX = 'list=';
+
+/**
+ * Filters a smart list can carry (keys of activeFilters)
+ */
+export const SMART_LIST_FILTERS = ['tag', 'courseId', 'priority'];
+
+/**
+ * Normalize a smart list into its stored shape
+ * Empty filters are dropped so opening the list clears them
+ * @param {Object} list - Raw smart list data
+ * @returns {Object} Smart list record
+ */
+export function normalizeSmartList(list) {
+  const activeFilters = {};
+  SMART_LIST_FILTERS.forEach(key => {
+    const value = list.activeFilters ? list.activeFilters[key] : null;
+    if (typeof value === 'string' && value !== '') activeFilters[key] = value;
+  });
+
+  return {
+    id: list.id || generateUniqueId('smart'),
+    name: String(list.name || '').trim().replace(/\s+/g, ' '),
+    query: String(list.query || '').trim(),
+    activeFilters,
+    sortBy: String(list.sortBy || ''),
+    caseSensitive: Boolean(list.caseSensitive)
+  };
+}
+
+/**
+ * Find a smart list by ID
+ * @param {Array} lists - Saved smart lists
+ * @param {string} listId - Smart list ID
+ * @returns {Object|null} Smart list or null when not saved
+ */
+export function findSmartList(lists, listId) {
+  if (!listId || !Array.isArray(lists)) return null;
+  return lists.find(list => list.id === listId) || null;
+}
+
+/**
+ * Build the URL hash that opens a smart list
+ * @param {Object} list - Smart list
+ * @returns {string} Hash without the leading '#'
+ */
+export function getSmartListHash(list) {
+  return `${SMART_LIST_HASH_PREFIX}${encodeURIComponent(list.id)}`;
+}
+
+/**
+ * Read the smart list ID from a URL hash
+ * @param {string} hash - Hash with or without the leading '#'
+ * @returns {string|null} Smart list ID, or null when the hash is not a smart list
+ */
+export function parseSmartListHash(hash) {
+  const value = String(hash || '').replace(/^#/, '');
+  if (!value.startsWith(SMART_LIST_HASH_PREFIX)) return null;
+  try {
+    return decodeURIComponent(value.slice(SMART_LIST_HASH_PREFIX.length)) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the tasks in a smart list
+ * @param {Object} list - Smart list
+ * @param {Array} tasks - All tasks
+ * @param {Object} options - Query options
+ * @param {Array} options.courses - Registered courses, for course: terms
+ * @param {Date} options.now - Reference time for date keywords
+ * @returns {Array} Matching tasks
+ */
+export function getSmartListTasks(list, tasks, { courses = [], now = new Date() } = {}) {
+  return filterTasks(tasks, { ...list.activeFilters, query: list.query }, {
+    courses,
+    now,
+    caseSensitive: list.caseSensitive
+  });
+}
+
+/**
+ * Check whether a smart list searches with regexes
+ * @param {Object} list - Smart list
+ * @returns {boolean} True when the query is or contains a /pattern/
+ */
+export function hasRegexQuery(list) {
+  if (getRegexLiteral(list.query)) return true;
+  const parsed = parseQuery(list.query);
+  return parsed.success && getRegexTerms(parsed.ast).length > 0;
+}
+
+/**
+ * Count the open tasks in a smart list (the live count shown in the navigation)
+ * Counts run on the page at every render, so lists with regexes get none: their
+ * patterns only run in the regex worker, under its time budget, when the list is opened.
+ * @param {Object} list - Smart list
+ * @param {Array} tasks - All tasks
+ * @param {Object} options - Query options (see getSmartListTasks)
+ * @returns {number|null} Number of incomplete matching tasks, or null for regex lists
+ */
+export function getSmartListCount(list, tasks, options = {}) {
+  if (hasRegexQuery(list)) return null;
+  return getSmartListTasks(list, tasks, options).filter(task => !task.completed).length;
+}
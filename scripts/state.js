@@ -3,8 +3,24 @@
  * Handles centralized state, events, and data flow
  */
 
-import { generateId, generateTimestamp, loadTasks, saveTasks, loadSettings, saveSettings } from './storage.js';
-import { validateTask } from './validators.js';
+import { generateId, generateTimestamp, initStorage, onStorageError, reloadTasks, loadTasks, saveTasks, loadSettings, saveSettings, loadTimers, saveTimers, getSchemaError } from './storage.js';
+import { validateTask, validateCourse, validateSmartList, validateSchedule, validateBlockedTime, validateTimeBlock, validateEscalation, validateWorkflow, validateTimeEntry, analyzeRegexSafety } from './validators.js';
+import { normalizeSubtasks, getCompletedSubtaskDuration, getCompletedTaskDuration } from './subtasks.js';
+import { normalizeRecurrence, isRecurring, createNextOccurrence, createSeriesTemplate, splitDueDate, SERIES_FIELDS } from './recurrence.js';
+import { normalizeTags, migrateTaskTags, getTaskTags } from './tags.js';
+import { normalizeCourse, findCourse, getCourseStats } from './courses.js';
+import { normalizeDependencies, findDependencyCycle, removeDependencyReferences, isBlocked, computeCriticalPath } from './dependencies.js';
+import { normalizeSmartList, findSmartList } from './smart-lists.js';
+import { parseQuery, getRegexTerms } from './query.js';
+import { searchManager } from './search.js';
+import { addRecentSearch } from './autocomplete.js';
+import { normalizeSchedule, normalizeBlockedTime, planStudyBlocks } from './scheduler.js';
+import { normalizeTimeBlock } from './day-planner.js';
+import { normalizeCalendarView } from './calendar.js';
+import { getPriorityCounts } from './matrix.js';
+import { normalizeEscalation, applyEscalations, addHistoryEntry, getPriorityHistoryEntry } from './escalation.js';
+import { normalizeTimer, startTimer, pauseTimer, resumeTimer, stopTimer, createManualEntry, getTimeTrackingStats } from './timer.js';
+import { normalizeWorkflow, normalizeWorkflowStatus, findStatus, getFinalStatus, getTaskStatus, resolveStatusUpdates, getWipLimitError } from './workflow.js';
 
 // Initial app state
 const initialState = {
@@ -43,9 +59,21 @@ const initialState = {
     topTag: null,
     weekTasks: 0,
     overdueTasks: 0,
-    completedTasks: 0
+    completedTasks: 0,
+    blockedTasks: 0,
+    criticalPath: null,
+    courseStats: [],
+    priorityCounts: [],
+    timeTracking: null,
+    studyPlan: null
   },
   
+  // Tasks moved to an urgent quadrant by the latest escalation check
+  escalations: [],
+  
+  // Running and paused task timers
+  timers: [],
+  
   // Cap/target tracking
   capSettings: {
     durationCap: 40,
@@ -209,10 +237,218 @@ class StateManager {
   }
 }
 
+/**
+ * Build a stored task record from validated task data
+ * @param {Object} taskData - Task data
+ * @returns {Object} Task record
+ */
+export function createTaskRecord(taskData) {
+  const task = {
+    id: generateId(),
+    title: taskData.title.trim(),
+    dueDate: taskData.dueDate,
+    duration: parseFloat(taskData.duration),
+    priority: taskData.priority,
+    tags: normalizeTags(taskData.tags),
+    description: taskData.description ? taskData.description.trim() : '',
+    completed: false,
+    createdAt: generateTimestamp(),
+    updatedAt: generateTimestamp()
+  };
+  
+  if (taskData.courseId) {
+    task.courseId = taskData.courseId;
+  }
+  
+  const subtasks = normalizeSubtasks(taskData.subtasks);
+  if (subtasks.length > 0) {
+    task.subtasks = subtasks;
+  }
+  
+  const recurrence = normalizeRecurrence(taskData.recurrence, taskData.dueDate);
+  if (recurrence) {
+    task.recurrence = recurrence;
+    task.seriesId = taskData.seriesId || task.id;
+    task.occurrenceDate = taskData.occurrenceDate || splitDueDate(taskData.dueDate).datePart;
+    task.occurrenceIndex = taskData.occurrenceIndex || 1;
+  }
+  
+  const blockedBy = normalizeDependencies(taskData.blockedBy, task.id);
+  if (blockedBy.length > 0) {
+    task.blockedBy = blockedBy;
+  }
+  
+  return task;
+}
+
+/**
+ * Check a task's blocking tasks against the other tasks
+ * @param {Array} tasks - All tasks
+ * @param {string} taskId - Task whose blocking tasks are being set
+ * @param {Array} blockedBy - Normalized blocking task IDs
+ * @returns {string|null} Error message, or null when the dependencies are valid
+ */
+function checkDependencies(tasks, taskId, blockedBy) {
+  const missing = blockedBy.filter(id => !tasks.some(task => task.id === id));
+  if (missing.length > 0) {
+    return `Blocking task not found: ${missing.join(', ')}`;
+  }
+  
+  const cycle = findDependencyCycle(tasks, taskId, blockedBy);
+  if (cycle) {
+    const titles = cycle.map(id => (tasks.find(task => task.id === id) || { title: id }).title);
+    return `Dependency cycle: ${titles.join(' → ')}`;
+  }
+  
+  return null;
+}
+
+/**
+ * Save the day planner's time blocks without a success message; blocks are
+ * moved and resized by dragging, which would otherwise raise a toast per change
+ * @param {Array} timeBlocks - All time blocks
+ * @param {StateManager} stateManager - State manager instance
+ * @returns {boolean} True when saved
+ */
+function saveTimeBlocks(timeBlocks, stateManager) {
+  const newSettings = { ...stateManager.getState('settings'), timeBlocks };
+  if (!saveSettings(newSettings)) {
+    stateManager.setState({
+      error: 'Failed to save the day plan'
+    });
+    return false;
+  }
+  stateManager.setState({ settings: newSettings });
+  return true;
+}
+
+/**
+ * Save the task timers; other tabs see the change through the storage event
+ * @param {Array} timers - All timers
+ * @param {StateManager} stateManager - State manager instance
+ * @returns {boolean} True when saved
+ */
+function storeTimers(timers, stateManager) {
+  if (!saveTimers(timers)) {
+    stateManager.setState({
+      error: 'Failed to save the timer'
+    });
+    return false;
+  }
+  stateManager.setState({ timers });
+  return true;
+}
+
+/**
+ * Save a task's time entries without a success message, since timers are
+ * started and stopped far more often than tasks are edited
+ * @param {string} taskId - Task ID
+ * @param {Array} timeEntries - The task's time entries
+ * @param {StateManager} stateManager - State manager instance
+ * @returns {boolean} True when saved
+ */
+function saveTimeEntries(taskId, timeEntries, stateManager) {
+  const updatedTasks = stateManager.getState('tasks').map(task => task.id === taskId
+    ? { ...task, timeEntries, updatedAt: generateTimestamp() }
+    : task);
+  if (!saveTasks(updatedTasks)) {
+    stateManager.setState({
+      error: 'Failed to save task'
+    });
+    return false;
+  }
+  stateManager.setState({ tasks: updatedTasks });
+  taskActions.calculateStats(stateManager);
+  return true;
+}
+
+/**
+ * Split an update to a task into the changes for that task and, for recurring
+ * series edited with the 'future' scope, the changes for its later occurrences
+ * @param {Object} prevTask - Task before the update
+ * @param {Object} updates - Requested updates
+ * @param {string} scope - 'this' or 'future'
+ * @returns {Object} { taskUpdates, seriesUpdates }, or { error } when a rule change needs the 'future' scope
+ */
+function resolveRecurrenceUpdates(prevTask, updates, scope) {
+  const has = (field) => Object.prototype.hasOwnProperty.call(updates, field);
+  const taskUpdates = { ...updates };
+  const dueDate = updates.dueDate || prevTask.dueDate;
+  
+  // Plain task: only a new rule needs handling, which starts a series at this task
+  if (!isRecurring(prevTask)) {
+    if (has('recurrence')) {
+      taskUpdates.recurrence = normalizeRecurrence(updates.recurrence, dueDate);
+      if (taskUpdates.recurrence) {
+        taskUpdates.seriesId = prevTask.id;
+        taskUpdates.occurrenceDate = splitDueDate(dueDate).datePart;
+        taskUpdates.occurrenceIndex = 1;
+      }
+    }
+    return { taskUpdates, seriesUpdates: null };
+  }
+  
+  if (scope !== 'future') {
+    // The rule can only change for the whole series, so stopping or changing the repeats needs that scope
+    if (has('recurrence')) {
+      const rule = updates.recurrence && { ...updates.recurrence, start: updates.recurrence.start || prevTask.recurrence.start };
+      const recurrence = normalizeRecurrence(rule, dueDate);
+      if (!recurrence) {
+        return { error: 'To stop this task repeating, choose "All future occurrences"' };
+      }
+      if (JSON.stringify(recurrence) !== JSON.stringify(normalizeRecurrence(prevTask.recurrence, prevTask.dueDate))) {
+        return { error: 'To change how this task repeats, choose "All future occurrences"' };
+      }
+    }
+    delete taskUpdates.recurrence;
+    
+    const changesSeriesFields = SERIES_FIELDS.some(field => has(field) &&
+      JSON.stringify(updates[field]) !== JSON.stringify(prevTask[field]));
+    const changesTime = has('dueDate') && splitDueDate(updates.dueDate).timePart !== splitDueDate(prevTask.dueDate).timePart;
+    if ((changesSeriesFields || changesTime) && !prevTask.seriesTemplate) {
+      taskUpdates.seriesTemplate = createSeriesTemplate(prevTask);
+    }
+    return { taskUpdates, seriesUpdates: null };
+  }
+  
+  // All future occurrences: the series restarts from this occurrence
+  const datePart = splitDueDate(dueDate).datePart;
+  const recurrence = has('recurrence')
+    ? normalizeRecurrence(updates.recurrence, dueDate)
+    : normalizeRecurrence({ ...prevTask.recurrence, start: datePart }, dueDate);
+  
+  taskUpdates.recurrence = recurrence;
+  taskUpdates.seriesTemplate = null;
+  taskUpdates.occurrenceDate = datePart;
+  
+  const seriesUpdates = { recurrence, seriesTemplate: null };
+  SERIES_FIELDS.forEach(field => {
+    if (has(field)) seriesUpdates[field] = updates[field];
+  });
+  
+  return { taskUpdates, seriesUpdates };
+}
+
 /**
  * Task management actions
  */
 export const taskActions = {
+  /**
+   * Pick up tasks saved by another tab
+   * @param {StateManager} stateManager - State manager instance
+   * @returns {Promise} Resolves once the tasks are reloaded
+   */
+  async reloadTasks(stateManager) {
+    try {
+      const tasks = await reloadTasks();
+      searchManager.initialize(tasks);
+      stateManager.setState({ tasks });
+      taskActions.calculateStats(stateManager);
+    } catch (error) {
+      console.error('Error reloading tasks:', error);
+    }
+  },
+  
   /**
    * Load tasks from storage
    * @param {StateManager} stateManager - State manager instance
@@ -223,14 +459,20 @@ export const taskActions = {
     try {
       const tasks = loadTasks();
       const settings = loadSettings();
+      searchManager.initialize(tasks);
       
+      // Data from a newer version is shown but never overwritten
       stateManager.setState({
         tasks,
         settings,
+        timers: loadTimers().map(normalizeTimer),
         isLoading: false,
-        error: null
+        error: getSchemaError()
       });
       
+      // Deadlines may have come closer since the last visit
+      taskActions.escalateTasks(stateManager);
+      
       // Calculate stats after loading
       taskActions.calculateStats(stateManager);
       
@@ -248,6 +490,9 @@ export const taskActions = {
    * @param {StateManager} stateManager - State manager instance
    */
   addTask(taskData, stateManager) {
+    // Accept the old single-`tag` shape from older callers and files
+    taskData = migrateTaskTags({ ...taskData, tags: normalizeTags(taskData.tags) });
+    
     // Validate task data
     const validation = validateTask(taskData);
     if (!validation.isValid) {
@@ -258,23 +503,34 @@ export const taskActions = {
       return false;
     }
     
-    const newTask = {
-      id: generateId(),
-      title: taskData.title.trim(),
-      dueDate: taskData.dueDate,
-      duration: parseFloat(taskData.duration),
-      tag: taskData.tag.trim(),
-      description: taskData.description ? taskData.description.trim() : '',
-      completed: false,
-      createdAt: generateTimestamp(),
-      updatedAt: generateTimestamp()
-    };
+    const newTask = createTaskRecord(taskData);
+    const tasks = stateManager.getState('tasks');
     
-    const updatedTasks = [...stateManager.getState('tasks'), newTask];
+    if (newTask.courseId && !findCourse(stateManager.getState('settings').courses, newTask.courseId)) {
+      stateManager.setState({
+        error: 'Course not found',
+        formErrors: { courseId: 'Course not found' }
+      });
+      return false;
+    }
+    
+    if (newTask.blockedBy) {
+      const dependencyError = checkDependencies(tasks, newTask.id, newTask.blockedBy);
+      if (dependencyError) {
+        stateManager.setState({
+          error: dependencyError,
+          formErrors: { blockedBy: dependencyError }
+        });
+        return false;
+      }
+    }
+    
+    const updatedTasks = [...tasks, newTask];
     
     // Save to storage
     if (saveTasks(updatedTasks)) {
       console.debug('taskActions.addTask: saved task to storage', newTask);
+      searchManager.indexTask(newTask);
       stateManager.setState({
         tasks: updatedTasks,
         success: 'Task added successfully',
@@ -286,6 +542,7 @@ export const taskActions = {
       
       // Recalculate stats
   console.debug('taskActions.addTask: recalculating stats after add');
+      taskActions.escalateTasks(stateManager);
       taskActions.calculateStats(stateManager);
       
       return true;
@@ -296,14 +553,73 @@ export const taskActions = {
       return false;
     }
   },
-  
+
+  /**
+   * Add several new tasks in one save (e.g. accepted syllabus proposals)
+   * Nothing is added unless every task is valid
+   * @param {Array} tasksData - Task data for each task
+   * @param {StateManager} stateManager - State manager instance
+   * @returns {Array|false} The new task records, or false
+   */
+  addTasks(tasksData, stateManager) {
+    const courses = stateManager.getState('settings').courses;
+    const newTasks = [];
+
+    for (let i = 0; i < tasksData.length; i++) {
+      const taskData = migrateTaskTags({ ...tasksData[i], tags: normalizeTags(tasksData[i].tags) });
+      const validation = validateTask(taskData);
+      if (!validation.isValid) {
+        stateManager.setState({
+          error: `Task ${i + 1} (${taskData.title || 'untitled'}): ${Object.values(validation.errors)[0]}`,
+          formErrors: validation.errors
+        });
+        return false;
+      }
+
+      const newTask = createTaskRecord(taskData);
+      if (newTask.courseId && !findCourse(courses, newTask.courseId)) {
+        stateManager.setState({
+          error: 'Course not found',
+          formErrors: { courseId: 'Course not found' }
+        });
+        return false;
+      }
+      newTasks.push(newTask);
+    }
+
+    if (newTasks.length === 0) return newTasks;
+
+    const updatedTasks = [...stateManager.getState('tasks'), ...newTasks];
+    if (!saveTasks(updatedTasks)) {
+      stateManager.setState({
+        error: 'Failed to save tasks'
+      });
+      return false;
+    }
+
+    newTasks.forEach(task => searchManager.indexTask(task));
+    stateManager.setState({
+      tasks: updatedTasks,
+      success: `${newTasks.length} task${newTasks.length === 1 ? '' : 's'} added`,
+      error: null,
+      formErrors: {}
+    });
+    taskActions.escalateTasks(stateManager);
+    taskActions.calculateStats(stateManager);
+
+    return newTasks;
+  },
+
   /**
    * Update existing task
    * @param {string} taskId - Task ID
    * @param {Object} updates - Task updates
    * @param {StateManager} stateManager - State manager instance
+   * @param {Object} options - Update options
+   * @param {string} options.scope - For recurring tasks: 'this' occurrence only or all 'future' occurrences
    */
-  updateTask(taskId, updates, stateManager) {
+  updateTask(taskId, updates, stateManager, options = {}) {
+    const { scope = 'this' } = options;
     const tasks = stateManager.getState('tasks');
     const taskIndex = tasks.findIndex(task => task.id === taskId);
     
@@ -315,11 +631,90 @@ export const taskActions = {
     }
     
     const prevTask = tasks[taskIndex];
+    
+    // Status and completion move together: the final status is the completed one.
+    // WIP limits apply to every move into another status, reopening a task included
+    const workflow = normalizeWorkflow((stateManager.getState('settings') || {}).workflow);
+    const prevStatus = getTaskStatus(prevTask, workflow);
+    const statusUpdates = resolveStatusUpdates(prevTask, updates, workflow);
+    if (statusUpdates) {
+      if (!findStatus(workflow, statusUpdates.status)) {
+        stateManager.setState({
+          error: 'Status not found',
+          formErrors: { status: 'Status not found' }
+        });
+        return false;
+      }
+      const wipError = getWipLimitError(tasks, workflow, statusUpdates.status, taskId);
+      if (wipError) {
+        stateManager.setState({
+          error: wipError,
+          formErrors: { status: wipError }
+        });
+        return false;
+      }
+      updates = { ...updates, ...statusUpdates };
+    }
+    
+    const { taskUpdates, seriesUpdates, error: recurrenceError } = resolveRecurrenceUpdates(prevTask, updates, scope);
+    if (recurrenceError) {
+      stateManager.setState({
+        error: recurrenceError,
+        formErrors: { recurrence: recurrenceError }
+      });
+      return false;
+    }
     const updatedTask = {
       ...prevTask,
-      ...updates,
+      ...taskUpdates,
       updatedAt: generateTimestamp()
     };
+    
+    if (Object.prototype.hasOwnProperty.call(updates, 'tags')) {
+      updatedTask.tags = normalizeTags(updates.tags);
+    }
+    
+    // An empty course selection removes the task from its course
+    if (Object.prototype.hasOwnProperty.call(updates, 'courseId')) {
+      if (!updates.courseId) {
+        delete updatedTask.courseId;
+      } else if (!findCourse(stateManager.getState('settings').courses, updates.courseId)) {
+        stateManager.setState({
+          error: 'Course not found',
+          formErrors: { courseId: 'Course not found' }
+        });
+        return false;
+      }
+    }
+
+    // Stamp checklist items as they are checked off, keeping earlier completion times
+    if (Object.prototype.hasOwnProperty.call(updates, 'subtasks')) {
+      const prevSubtasks = new Map((prevTask.subtasks || []).map(item => [item.id, item]));
+      updatedTask.subtasks = normalizeSubtasks(updates.subtasks).map(item => {
+        const prevItem = prevSubtasks.get(item.id);
+        if (!item.completed) return item;
+        const completedAt = prevItem && prevItem.completed ? (prevItem.completedAt || item.completedAt) : null;
+        return { ...item, completedAt: completedAt || generateTimestamp() };
+      });
+    }
+
+    // Blocking tasks must exist and must not lead back to this task
+    if (Object.prototype.hasOwnProperty.call(updates, 'blockedBy')) {
+      const blockedBy = normalizeDependencies(updates.blockedBy, taskId);
+      const dependencyError = checkDependencies(tasks, taskId, blockedBy);
+      if (dependencyError) {
+        stateManager.setState({
+          error: dependencyError,
+          formErrors: { blockedBy: dependencyError }
+        });
+        return false;
+      }
+      if (blockedBy.length > 0) {
+        updatedTask.blockedBy = blockedBy;
+      } else {
+        delete updatedTask.blockedBy;
+      }
+    }
 
     // Manage completedAt timestamp: when a task is marked completed set completedAt, when unmarked clear it
     if (Object.prototype.hasOwnProperty.call(updates, 'completed')) {
@@ -337,6 +732,26 @@ export const taskActions = {
       }
     }
     
+    // Each status change is kept in the task's history with its time
+    if (statusUpdates && statusUpdates.status !== prevStatus) {
+      updatedTask.history = addHistoryEntry(updatedTask, { type: 'status', at: updatedTask.updatedAt, from: prevStatus, to: statusUpdates.status });
+    }
+    
+    // So is a priority change; one made while the task is due soon holds off escalation
+    const { escalation, schedule } = stateManager.getState('settings') || {};
+    const priorityEntry = getPriorityHistoryEntry(prevTask, updatedTask, escalation, schedule);
+    if (priorityEntry) {
+      updatedTask.history = addHistoryEntry(updatedTask, priorityEntry);
+    }
+    
+    // Completing a task stops its timer and logs the session
+    const timers = stateManager.getState('timers') || [];
+    const timer = !prevTask.completed && updatedTask.completed ? timers.find(item => item.taskId === taskId) : null;
+    if (timer) {
+      const entry = stopTimer(timer);
+      if (entry.hours > 0) updatedTask.timeEntries = [...(prevTask.timeEntries || []), entry];
+    }
+    
     // Validate updated task
     const validation = validateTask(updatedTask);
     if (!validation.isValid) {
@@ -350,19 +765,48 @@ export const taskActions = {
     const updatedTasks = [...tasks];
     updatedTasks[taskIndex] = updatedTask;
     
+    // Carry "all future occurrences" edits over to later occurrences of the series
+    if (seriesUpdates) {
+      updatedTasks.forEach((task, index) => {
+        if (index !== taskIndex && !task.completed && task.seriesId === prevTask.seriesId &&
+            (task.occurrenceIndex || 1) > (prevTask.occurrenceIndex || 1)) {
+          updatedTasks[index] = { ...task, ...seriesUpdates, updatedAt: updatedTask.updatedAt };
+        }
+      });
+    }
+    
+    // Completing a recurring task schedules its next occurrence
+    let nextOccurrence = null;
+    if (!prevTask.completed && updatedTask.completed && isRecurring(updatedTask)) {
+      const alreadyScheduled = tasks.some(task => task.seriesId === updatedTask.seriesId &&
+        (task.occurrenceIndex || 1) > (updatedTask.occurrenceIndex || 1));
+      const nextData = alreadyScheduled ? null : createNextOccurrence(updatedTask);
+      if (nextData) {
+        nextOccurrence = createTaskRecord(nextData);
+        updatedTasks.push(nextOccurrence);
+      }
+    }
+    
     // Save to storage
     if (saveTasks(updatedTasks)) {
+      // Re-index the edited task, series occurrences it changed and any new occurrence
+      updatedTasks.filter((task, index) => task !== tasks[index]).forEach(task => searchManager.indexTask(task));
       stateManager.setState({
         tasks: updatedTasks,
         editingTaskId: null,
         currentTask: null,
-        success: 'Task updated successfully',
+        success: nextOccurrence ? `Task updated, next occurrence due ${nextOccurrence.dueDate}` : 'Task updated successfully',
         error: null,
         formData: {},
         formErrors: {},
         formTouched: {}
       });
       
+      if (timer) storeTimers(timers.filter(item => item !== timer), stateManager);
+      
+      // A new due date may bring the task within the escalation rules
+      taskActions.escalateTasks(stateManager);
+      
       // Recalculate stats
       taskActions.calculateStats(stateManager);
       
@@ -375,6 +819,26 @@ export const taskActions = {
     }
   },
   
+  /**
+   * Check or uncheck a checklist item
+   * @param {string} taskId - Task ID
+   * @param {string} subtaskId - Checklist item ID
+   * @param {boolean} completed - New completion state
+   * @param {StateManager} stateManager - State manager instance
+   */
+  toggleSubtask(taskId, subtaskId, completed, stateManager) {
+    const task = stateManager.getState('tasks').find(t => t.id === taskId);
+    if (!task || !(task.subtasks || []).some(item => item.id === subtaskId)) {
+      stateManager.setState({
+        error: 'Checklist item not found'
+      });
+      return false;
+    }
+    
+    const subtasks = task.subtasks.map(item => item.id === subtaskId ? { ...item, completed: Boolean(completed) } : item);
+    return taskActions.updateTask(taskId, { subtasks }, stateManager);
+  },
+  
   /**
    * Delete task
    * @param {string} taskId - Task ID
@@ -382,23 +846,37 @@ export const taskActions = {
    */
   deleteTask(taskId, stateManager) {
     const tasks = stateManager.getState('tasks');
-    const updatedTasks = tasks.filter(task => task.id !== taskId);
+    const remainingTasks = tasks.filter(task => task.id !== taskId);
     
-    if (updatedTasks.length === tasks.length) {
+    if (remainingTasks.length === tasks.length) {
       stateManager.setState({
         error: 'Task not found'
       });
       return false;
     }
     
+    // Tasks that were waiting on the deleted task are no longer blocked by it
+    const updatedTasks = removeDependencyReferences(remainingTasks, [taskId]);
+    
     // Save to storage
     if (saveTasks(updatedTasks)) {
+      searchManager.removeFromIndex(taskId);
       stateManager.setState({
         tasks: updatedTasks,
         success: 'Task deleted successfully',
         error: null
       });
       
+      // Its day planner blocks and timer go with it
+      const timeBlocks = stateManager.getState('settings').timeBlocks || [];
+      if (timeBlocks.some(block => block.taskId === taskId)) {
+        saveTimeBlocks(timeBlocks.filter(block => block.taskId !== taskId), stateManager);
+      }
+      const timers = stateManager.getState('timers') || [];
+      if (timers.some(timer => timer.taskId === taskId)) {
+        storeTimers(timers.filter(timer => timer.taskId !== taskId), stateManager);
+      }
+      
       // Recalculate stats
       taskActions.calculateStats(stateManager);
       
@@ -411,6 +889,164 @@ export const taskActions = {
     }
   },
   
+  /**
+   * Start or resume timing a task; one timer runs at a time, so any other
+   * running timer is paused
+   * @param {string} taskId - Task ID
+   * @param {StateManager} stateManager - State manager instance
+   * @param {Date} now - Reference time
+   * @returns {boolean} True when started
+   */
+  startTaskTimer(taskId, stateManager, now = new Date()) {
+    const task = stateManager.getState('tasks').find(item => item.id === taskId);
+    if (!task || task.completed) {
+      stateManager.setState({
+        error: task ? 'Completed tasks cannot be timed' : 'Task not found'
+      });
+      return false;
+    }
+    
+    const timers = stateManager.getState('timers') || [];
+    const updatedTimers = timers.map(timer => timer.taskId === taskId ? resumeTimer(timer, now) : pauseTimer(timer, now));
+    if (!timers.some(timer => timer.taskId === taskId)) {
+      updatedTimers.push(startTimer(taskId, now));
+    }
+    return storeTimers(updatedTimers, stateManager);
+  },
+  
+  /**
+   * Pause a task's timer
+   * @param {string} taskId - Task ID
+   * @param {StateManager} stateManager - State manager instance
+   * @param {Date} now - Reference time
+   * @returns {boolean} True when paused
+   */
+  pauseTaskTimer(taskId, stateManager, now = new Date()) {
+    const timers = stateManager.getState('timers') || [];
+    if (!timers.some(timer => timer.taskId === taskId)) {
+      stateManager.setState({
+        error: 'Timer not found'
+      });
+      return false;
+    }
+    return storeTimers(timers.map(timer => timer.taskId === taskId ? pauseTimer(timer, now) : timer), stateManager);
+  },
+  
+  /**
+   * Stop a task's timer and log the session on the task
+   * @param {string} taskId - Task ID
+   * @param {StateManager} stateManager - State manager instance
+   * @param {Date} now - Reference time
+   * @returns {Object|boolean} Logged time entry (hours 0 when too short to log), or false
+   */
+  stopTaskTimer(taskId, stateManager, now = new Date()) {
+    const timers = stateManager.getState('timers') || [];
+    const timer = timers.find(item => item.taskId === taskId);
+    const task = stateManager.getState('tasks').find(item => item.id === taskId);
+    if (!timer || !task) {
+      stateManager.setState({
+        error: 'Timer not found'
+      });
+      return false;
+    }
+    
+    const entry = stopTimer(timer, now);
+    if (entry.hours > 0 && !saveTimeEntries(taskId, [...(task.timeEntries || []), entry], stateManager)) {
+      return false;
+    }
+    return storeTimers(timers.filter(item => item !== timer), stateManager) ? entry : false;
+  },
+  
+  /**
+   * Log time spent on a task by hand
+   * @param {string} taskId - Task ID
+   * @param {Object} entryData - start (YYYY-MM-DDTHH:MM) and hours
+   * @param {StateManager} stateManager - State manager instance
+   * @param {Date} now - Reference time
+   * @returns {Object|boolean} Saved time entry, or false on failure
+   */
+  addTimeEntry(taskId, entryData, stateManager, now = new Date()) {
+    const task = stateManager.getState('tasks').find(item => item.id === taskId);
+    if (!task) {
+      stateManager.setState({
+        error: 'Task not found'
+      });
+      return false;
+    }
+    
+    const entry = createManualEntry(entryData.start, entryData.hours);
+    const validation = validateTimeEntry(entry, now);
+    if (!validation.isValid) {
+      stateManager.setState({
+        error: validation.message,
+        formErrors: { timeEntry: validation.message }
+      });
+      return false;
+    }
+    
+    return saveTimeEntries(taskId, [...(task.timeEntries || []), entry], stateManager) ? entry : false;
+  },
+  
+  /**
+   * Remove a time entry from a task
+   * @param {string} taskId - Task ID
+   * @param {string} entryId - Time entry ID
+   * @param {StateManager} stateManager - State manager instance
+   * @returns {boolean} True when removed
+   */
+  removeTimeEntry(taskId, entryId, stateManager) {
+    const task = stateManager.getState('tasks').find(item => item.id === taskId);
+    const entries = (task && task.timeEntries) || [];
+    if (!entries.some(entry => entry.id === entryId)) {
+      stateManager.setState({
+        error: 'Time entry not found'
+      });
+      return false;
+    }
+    return saveTimeEntries(taskId, entries.filter(entry => entry.id !== entryId), stateManager);
+  },
+  
+  /**
+   * Reload the timers after another tab changed them
+   * Tasks are reloaded first: a timer stopped in another tab logged its session on
+   * that tab's copy of the task, and saving a stale copy here would drop it.
+   * @param {StateManager} stateManager - State manager instance
+   * @returns {Promise} Resolves once tasks and timers are reloaded
+   */
+  async syncTimers(stateManager) {
+    await taskActions.reloadTasks(stateManager);
+    stateManager.setState({ timers: loadTimers().map(normalizeTimer) });
+  },
+  
+  /**
+   * Move tasks to an urgent quadrant when the escalation rules call for it,
+   * recording each move in the task's history; the moves are published as
+   * `escalations` so the UI can tell the user
+   * @param {StateManager} stateManager - State manager instance
+   * @param {Date} now - Reference time
+   * @returns {Array} Escalations made ({ taskId, title, from, to, reason })
+   */
+  escalateTasks(stateManager, now = new Date()) {
+    const settings = stateManager.getState('settings') || {};
+    const tasks = stateManager.getState('tasks');
+    const { tasks: updatedTasks, escalations } = applyEscalations(tasks, settings.escalation, settings.schedule, now);
+    if (escalations.length === 0) return escalations;
+    
+    if (!saveTasks(updatedTasks)) {
+      stateManager.setState({
+        error: 'Failed to save escalated tasks'
+      });
+      return [];
+    }
+    
+    updatedTasks.filter((task, index) => task !== tasks[index]).forEach(task => searchManager.indexTask(task));
+    stateManager.setState({
+      tasks: updatedTasks,
+      escalations
+    });
+    return escalations;
+  },
+  
   /**
    * Calculate application statistics
    * @param {StateManager} stateManager - State manager instance
@@ -423,15 +1059,20 @@ export const taskActions = {
   // Calculate total duration (planned/assigned)
   const totalDuration = tasks.reduce((sum, task) => sum + parseFloat(task.duration || 0), 0);
     
-    // Calculate tag frequency
-    const tagCounts = {};
+    // Calculate tag frequency (tasks can carry several tags; spelling variants count together)
+    const tagCounts = new Map();
     tasks.forEach(task => {
-      if (task.tag) tagCounts[task.tag] = (tagCounts[task.tag] || 0) + 1;
+      getTaskTags(task).forEach(tag => {
+        const key = tag.toLowerCase();
+        const entry = tagCounts.get(key) || { tag, count: 0 };
+        entry.count++;
+        tagCounts.set(key, entry);
+      });
     });
 
     // Determine top tag safely
-    const tagEntries = Object.entries(tagCounts);
-    const topTag = tagEntries.length ? tagEntries.sort((a, b) => b[1] - a[1])[0][0] : null;
+    const tagEntries = [...tagCounts.values()];
+    const topTag = tagEntries.length ? tagEntries.sort((a, b) => b.count - a.count)[0].tag : null;
     
     // Calculate tasks from last week
     const weekTasks = tasks.filter(task => {
@@ -448,19 +1089,28 @@ export const taskActions = {
   // Calculate completed tasks
   const completedTasks = tasks.filter(t => t.completed).length;
 
-  // Calculate completed duration for the past week (only completed tasks count toward the weekly goal)
+  // Calculate completed duration for the past week (completed tasks, less checklist items credited
+  // in earlier weeks, plus checked-off checklist items on tasks still in progress)
   const completedDurationWeek = tasks.reduce((sum, task) => {
-    if (!task.completed) return sum;
+    if (!task.completed) return sum + getCompletedSubtaskDuration(task, weekAgo, now);
+    return sum + getCompletedTaskDuration(task, weekAgo, now);
+  }, 0);
+    
+  // Dependencies: incomplete tasks still waiting on others, and the chain deciding the final deadline
+  const blockedTasks = tasks.filter(task => !task.completed && isBlocked(task, tasks)).length;
+  const criticalPath = computeCriticalPath(tasks, now);
 
-    // Determine completion timestamp: prefer completedAt, fall back to updatedAt
-    const completedAt = task.completedAt ? new Date(task.completedAt) : (task.updatedAt ? new Date(task.updatedAt) : null);
-    if (!completedAt) return sum;
+  // Per-course totals for the dashboard
+  const courseStats = getCourseStats(tasks, (stateManager.getState('settings') || {}).courses, now);
 
-    if (completedAt >= weekAgo && completedAt <= now) {
-      return sum + parseFloat(task.duration || 0);
-    }
-    return sum;
-  }, 0);
+  // Open tasks in each Eisenhower quadrant
+  const priorityCounts = getPriorityCounts(tasks);
+
+  // Logged time, and how it compares with the estimates of finished tasks
+  const timeTracking = getTimeTrackingStats(tasks, weekAgo);
+
+  // Study blocks for the remaining work, re-planned from now on every change
+  const studyPlan = planStudyBlocks(tasks, (stateManager.getState('settings') || {}).schedule, now);
     
     const stats = {
       totalTasks: tasks.length,
@@ -469,7 +1119,13 @@ export const taskActions = {
       weekTasks,
       overdueTasks,
       completedTasks,
-      completedDurationWeek
+      completedDurationWeek,
+      blockedTasks,
+      criticalPath,
+      courseStats,
+      priorityCounts,
+      timeTracking,
+      studyPlan
     };
     console.debug('taskActions.calculateStats: computed', stats);
 
@@ -654,6 +1310,453 @@ export const settingsActions = {
       });
       return false;
     }
+  },
+  
+  /**
+   * Add a course to the course registry
+   * @param {Object} courseData - Course data
+   * @param {StateManager} stateManager - State manager instance
+   */
+  addCourse(courseData, stateManager) {
+    const courses = stateManager.getState('settings').courses || [];
+    const course = normalizeCourse({ ...courseData, id: null });
+    
+    const validation = validateCourse(course, courses);
+    if (!validation.isValid) {
+      stateManager.setState({
+        error: validation.message,
+        formErrors: { course: validation.message }
+      });
+      return false;
+    }
+    
+    const saved = settingsActions.updateSettings({ courses: [...courses, course] }, stateManager);
+    if (saved) {
+      stateManager.setState({ success: `Course ${course.code} added` });
+      taskActions.calculateStats(stateManager);
+    }
+    return saved;
+  },
+  
+  /**
+   * Update a registered course
+   * @param {string} courseId - Course ID
+   * @param {Object} updates - Course field updates
+   * @param {StateManager} stateManager - State manager instance
+   */
+  updateCourse(courseId, updates, stateManager) {
+    const courses = stateManager.getState('settings').courses || [];
+    const prevCourse = findCourse(courses, courseId);
+    if (!prevCourse) {
+      stateManager.setState({
+        error: 'Course not found'
+      });
+      return false;
+    }
+    
+    const course = normalizeCourse({ ...prevCourse, ...updates, id: courseId });
+    const validation = validateCourse(course, courses);
+    if (!validation.isValid) {
+      stateManager.setState({
+        error: validation.message,
+        formErrors: { course: validation.message }
+      });
+      return false;
+    }
+    
+    const saved = settingsActions.updateSettings({
+      courses: courses.map(item => item.id === courseId ? course : item)
+    }, stateManager);
+    if (saved) {
+      stateManager.setState({ success: `Course ${course.code} updated` });
+      taskActions.calculateStats(stateManager);
+    }
+    return saved;
+  },
+  
+  /**
+   * Remove a course from the registry; its tasks are kept without a course
+   * @param {string} courseId - Course ID
+   * @param {StateManager} stateManager - State manager instance
+   */
+  deleteCourse(courseId, stateManager) {
+    const courses = stateManager.getState('settings').courses || [];
+    const course = findCourse(courses, courseId);
+    if (!course) {
+      stateManager.setState({
+        error: 'Course not found'
+      });
+      return false;
+    }
+    
+    const tasks = stateManager.getState('tasks');
+    const updatedTasks = tasks.map(task => {
+      if (task.courseId !== courseId) return task;
+      const { courseId: removed, ...rest } = task;
+      return { ...rest, updatedAt: generateTimestamp() };
+    });
+    
+    if (!saveTasks(updatedTasks)) {
+      stateManager.setState({
+        error: 'Failed to save tasks'
+      });
+      return false;
+    }
+    stateManager.setState({ tasks: updatedTasks });
+    
+    const saved = settingsActions.updateSettings({
+      courses: courses.filter(item => item.id !== courseId)
+    }, stateManager);
+    if (saved) {
+      stateManager.setState({ success: `Course ${course.code} removed` });
+      taskActions.calculateStats(stateManager);
+    }
+    return saved;
+  },
+  
+  /**
+   * Update the study planner's daily capacity and study hours
+   * @param {Object} scheduleData - dailyCapacity, dayStart and dayEnd
+   * @param {StateManager} stateManager - State manager instance
+   * @returns {boolean} True when saved
+   */
+  updateSchedule(scheduleData, stateManager) {
+    const current = normalizeSchedule(stateManager.getState('settings').schedule);
+    const schedule = normalizeSchedule({ ...current, ...scheduleData, blockedTimes: current.blockedTimes });
+    
+    const validation = validateSchedule(schedule);
+    if (!validation.isValid) {
+      stateManager.setState({
+        error: validation.message,
+        formErrors: { schedule: validation.message }
+      });
+      return false;
+    }
+    
+    const saved = settingsActions.updateSettings({ schedule }, stateManager);
+    if (saved) taskActions.calculateStats(stateManager);
+    return saved;
+  },
+  
+  /**
+   * Update the rules that move tasks to an urgent quadrant as deadlines approach
+   * @param {Object} rulesData - enabled, dueWithinDays and workload
+   * @param {StateManager} stateManager - State manager instance
+   * @returns {boolean} True when saved
+   */
+  updateEscalation(rulesData, stateManager) {
+    const current = normalizeEscalation(stateManager.getState('settings').escalation);
+    const escalation = normalizeEscalation({ ...current, ...rulesData });
+    
+    const validation = validateEscalation(escalation);
+    if (!validation.isValid) {
+      stateManager.setState({
+        error: validation.message,
+        formErrors: { escalation: validation.message }
+      });
+      return false;
+    }
+    
+    const saved = settingsActions.updateSettings({ escalation }, stateManager);
+    if (saved) {
+      taskActions.escalateTasks(stateManager);
+      taskActions.calculateStats(stateManager);
+    }
+    return saved;
+  },
+  
+  /**
+   * Save the task status workflow after checking it
+   * @param {Array} workflow - Normalized statuses in column order
+   * @param {StateManager} stateManager - State manager instance
+   * @returns {boolean} True when saved
+   */
+  saveWorkflow(workflow, stateManager) {
+    const validation = validateWorkflow(workflow);
+    if (!validation.isValid) {
+      stateManager.setState({
+        error: validation.message,
+        formErrors: { workflow: validation.message }
+      });
+      return false;
+    }
+    return settingsActions.updateSettings({ workflow }, stateManager);
+  },
+  
+  /**
+   * Add a status to the workflow, as the column before the final status
+   * @param {Object} statusData - name and wipLimit
+   * @param {StateManager} stateManager - State manager instance
+   * @returns {Object|boolean} Saved status, or false on failure
+   */
+  addWorkflowStatus(statusData, stateManager) {
+    const workflow = normalizeWorkflow(stateManager.getState('settings').workflow);
+    const status = normalizeWorkflowStatus({ ...statusData, id: null });
+    const saved = settingsActions.saveWorkflow([...workflow.slice(0, -1), status, getFinalStatus(workflow)], stateManager);
+    return saved ? status : false;
+  },
+  
+  /**
+   * Rename a status or change its WIP limit
+   * @param {string} statusId - Status ID
+   * @param {Object} updates - name and/or wipLimit
+   * @param {StateManager} stateManager - State manager instance
+   * @returns {boolean} True when saved
+   */
+  updateWorkflowStatus(statusId, updates, stateManager) {
+    const workflow = normalizeWorkflow(stateManager.getState('settings').workflow);
+    if (!findStatus(workflow, statusId)) {
+      stateManager.setState({
+        error: 'Status not found'
+      });
+      return false;
+    }
+    
+    return settingsActions.saveWorkflow(workflow.map(status => status.id === statusId
+      ? normalizeWorkflowStatus({ ...status, ...updates, id: status.id })
+      : status), stateManager);
+  },
+  
+  /**
+   * Remove a status; its tasks move to the first status. The final status stays
+   * since it is the one that marks tasks completed
+   * @param {string} statusId - Status ID
+   * @param {StateManager} stateManager - State manager instance
+   * @returns {boolean} True when removed
+   */
+  removeWorkflowStatus(statusId, stateManager) {
+    const workflow = normalizeWorkflow(stateManager.getState('settings').workflow);
+    if (!findStatus(workflow, statusId)) {
+      stateManager.setState({
+        error: 'Status not found'
+      });
+      return false;
+    }
+    if (getFinalStatus(workflow).id === statusId) {
+      stateManager.setState({
+        error: 'The final status cannot be removed',
+        formErrors: { workflow: 'The final status cannot be removed' }
+      });
+      return false;
+    }
+    
+    return settingsActions.saveWorkflow(workflow.filter(status => status.id !== statusId), stateManager);
+  },
+  
+  /**
+   * Add a weekly blocked time (classes, work shifts) the planner keeps free
+   * @param {Object} blockData - label, days, start and end
+   * @param {StateManager} stateManager - State manager instance
+   * @returns {Object|boolean} Saved blocked time, or false on failure
+   */
+  addBlockedTime(blockData, stateManager) {
+    const schedule = normalizeSchedule(stateManager.getState('settings').schedule);
+    const block = normalizeBlockedTime({ ...blockData, id: null });
+    
+    const validation = validateBlockedTime(block);
+    if (!validation.isValid) {
+      stateManager.setState({
+        error: validation.message,
+        formErrors: { blockedTime: validation.message }
+      });
+      return false;
+    }
+    
+    const saved = settingsActions.updateSettings({
+      schedule: { ...schedule, blockedTimes: [...schedule.blockedTimes, block] }
+    }, stateManager);
+    if (saved) taskActions.calculateStats(stateManager);
+    return saved ? block : false;
+  },
+  
+  /**
+   * Remove a blocked time
+   * @param {string} blockId - Blocked time ID
+   * @param {StateManager} stateManager - State manager instance
+   * @returns {boolean} True when removed
+   */
+  removeBlockedTime(blockId, stateManager) {
+    const schedule = normalizeSchedule(stateManager.getState('settings').schedule);
+    if (!schedule.blockedTimes.some(block => block.id === blockId)) {
+      stateManager.setState({
+        error: 'Blocked time not found'
+      });
+      return false;
+    }
+    
+    const saved = settingsActions.updateSettings({
+      schedule: { ...schedule, blockedTimes: schedule.blockedTimes.filter(block => block.id !== blockId) }
+    }, stateManager);
+    if (saved) taskActions.calculateStats(stateManager);
+    return saved;
+  },
+  
+  /**
+   * Remember the view chosen on the tasks page (list, month or week); saved
+   * quietly since switching views is not a settings change the user confirms
+   * @param {string} view - View name
+   * @param {StateManager} stateManager - State manager instance
+   * @returns {boolean} True when saved
+   */
+  setCalendarView(view, stateManager) {
+    const calendarView = normalizeCalendarView(view);
+    const settings = stateManager.getState('settings');
+    if (settings.calendarView === calendarView) return true;
+    
+    const newSettings = { ...settings, calendarView };
+    if (!saveSettings(newSettings)) {
+      stateManager.setState({
+        error: 'Failed to save settings'
+      });
+      return false;
+    }
+    stateManager.setState({ settings: newSettings });
+    return true;
+  },
+  
+  /**
+   * Reserve time for a task in the day planner
+   * @param {Object} blockData - taskId, date, start and end
+   * @param {StateManager} stateManager - State manager instance
+   * @returns {Object|boolean} Saved time block, or false on failure
+   */
+  addTimeBlock(blockData, stateManager) {
+    const timeBlocks = stateManager.getState('settings').timeBlocks || [];
+    const block = normalizeTimeBlock({ ...blockData, id: null });
+    
+    const validation = validateTimeBlock(block, stateManager.getState('tasks'));
+    if (!validation.isValid) {
+      stateManager.setState({
+        error: validation.message,
+        formErrors: { timeBlock: validation.message }
+      });
+      return false;
+    }
+    
+    return saveTimeBlocks([...timeBlocks, block], stateManager) ? block : false;
+  },
+  
+  /**
+   * Move or resize a time block
+   * @param {string} blockId - Time block ID
+   * @param {Object} updates - date, start and/or end
+   * @param {StateManager} stateManager - State manager instance
+   * @returns {boolean} True when saved
+   */
+  updateTimeBlock(blockId, updates, stateManager) {
+    const timeBlocks = stateManager.getState('settings').timeBlocks || [];
+    const prevBlock = timeBlocks.find(block => block.id === blockId);
+    if (!prevBlock) {
+      stateManager.setState({
+        error: 'Time block not found'
+      });
+      return false;
+    }
+    
+    const block = normalizeTimeBlock({ ...prevBlock, ...updates, id: blockId, taskId: prevBlock.taskId });
+    const validation = validateTimeBlock(block, stateManager.getState('tasks'));
+    if (!validation.isValid) {
+      stateManager.setState({
+        error: validation.message,
+        formErrors: { timeBlock: validation.message }
+      });
+      return false;
+    }
+    
+    return saveTimeBlocks(timeBlocks.map(item => item.id === blockId ? block : item), stateManager);
+  },
+  
+  /**
+   * Remove a time block from the day planner
+   * @param {string} blockId - Time block ID
+   * @param {StateManager} stateManager - State manager instance
+   * @returns {boolean} True when removed
+   */
+  removeTimeBlock(blockId, stateManager) {
+    const timeBlocks = stateManager.getState('settings').timeBlocks || [];
+    if (!timeBlocks.some(block => block.id === blockId)) {
+      stateManager.setState({
+        error: 'Time block not found'
+      });
+      return false;
+    }
+    
+    return saveTimeBlocks(timeBlocks.filter(block => block.id !== blockId), stateManager);
+  },
+  
+  /**
+   * Save the current search as a smart list
+   * @param {Object} listData - Name, query, activeFilters, sortBy and caseSensitive
+   * @param {StateManager} stateManager - State manager instance
+   * @returns {Object|boolean} Saved smart list, or false on failure
+   */
+  addSmartList(listData, stateManager) {
+    const lists = stateManager.getState('settings').smartLists || [];
+    const list = normalizeSmartList({ ...listData, id: null });
+    
+    const validation = validateSmartList(list, lists);
+    const parsed = parseQuery(list.query);
+    // Risky regexes are refused up front; opening the list still runs them in the regex worker
+    const unsafe = parsed.success ? getRegexTerms(parsed.ast).map(node => analyzeRegexSafety(node.source)).find(analysis => !analysis.isSafe) : null;
+    const message = !validation.isValid ? validation.message
+      : !parsed.success ? `Search query: ${parsed.error}`
+      : unsafe ? `Search query: ${unsafe.message}` : null;
+    if (message) {
+      stateManager.setState({
+        error: message,
+        formErrors: { smartList: message }
+      });
+      return false;
+    }
+    
+    const saved = settingsActions.updateSettings({ smartLists: [...lists, list] }, stateManager);
+    if (saved) {
+      stateManager.setState({ success: `Smart list "${list.name}" saved` });
+    }
+    return saved ? list : false;
+  },
+  
+  /**
+   * Delete a smart list
+   * @param {string} listId - Smart list ID
+   * @param {StateManager} stateManager - State manager instance
+   */
+  deleteSmartList(listId, stateManager) {
+    const lists = stateManager.getState('settings').smartLists || [];
+    const list = findSmartList(lists, listId);
+    if (!list) {
+      stateManager.setState({
+        error: 'Smart list not found'
+      });
+      return false;
+    }
+    
+    const saved = settingsActions.updateSettings({
+      smartLists: lists.filter(item => item.id !== listId)
+    }, stateManager);
+    if (saved) {
+      stateManager.setState({ success: `Smart list "${list.name}" deleted` });
+    }
+    return saved;
+  },
+  
+  /**
+   * Remember a search for the search box suggestions
+   * Saved quietly: unlike updateSettings this shows no success message
+   * @param {string} query - Search that was run
+   * @param {StateManager} stateManager - State manager instance
+   * @returns {boolean} True when the list changed
+   */
+  recordRecentSearch(query, stateManager) {
+    const settings = stateManager.getState('settings');
+    const current = settings.recentSearches || [];
+    const recentSearches = addRecentSearch(current, query);
+    if (recentSearches === current) return false;
+    
+    const newSettings = { ...settings, recentSearches };
+    if (!saveSettings(newSettings)) return false;
+    stateManager.setState({ settings: newSettings });
+    return true;
   }
 };
 
@@ -663,8 +1766,15 @@ export const settingsActions = {
 export const stateManager = new StateManager();
 
 /**
- * Initialize application state
+ * Initialize application state once the storage backend is open
+ * @returns {Promise} Resolves when tasks are loaded
  */
-export function initializeState() {
+export async function initializeState() {
+  onStorageError(() => {
+    stateManager.setState({
+      error: 'Your latest changes could not be saved. Please try again.'
+    });
+  });
+  await initStorage();
   taskActions.loadTasks(stateManager);
 }
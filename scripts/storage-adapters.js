@@ -0,0 +1,355 @@
+/**
+ * Storage Adapters Module - Pluggable backends for persisting tasks
+ *
+ * Every adapter implements the same interface so storage.js can stay synchronous:
+ *   name                  - Backend identifier ('localStorage' or 'indexedDB')
+ *   open()                - Promise, resolves once loadTasks() can be served
+ *   loadTasks()           - Array of stored tasks
+ *   saveTasks(tasks)      - Persist the full task list; returns a success boolean
+ *   clear()               - Remove all stored tasks; returns a success boolean
+ *   loadVersion()         - Schema version the stored tasks were written with (null if unknown)
+ *   saveVersion(version)  - Record the schema version of the stored tasks
+ *   flush()               - Promise, resolves once pending writes are committed
+ *   hasPendingWrites()    - True while writes are not yet committed
+ *   reload()              - Promise, re-reads tasks another tab may have changed
+ *   onExternalChange(cb)  - Call cb when another tab changes the stored tasks
+ *   onWriteError          - Set by storage.js; called with the error when a write fails
+ *                           after saveTasks() has returned
+ */
+
+import { getTaskTags } from './tags.js';
+
+const DB_VERSION = 1;
+const TASK_STORE = 'tasks';
+const META_STORE = 'meta';
+
+/**
+ * Stores the whole task list as one JSON string under a single localStorage key
+ */
+export class LocalStorageAdapter {
+  constructor(key) {
+    this.name = 'localStorage';
+    this.key = key;
+    this.versionKey = `${key}-version`;
+    this.onWriteError = null;
+  }
+
+  async open() {}
+
+  loadTasks() {
+    const data = localStorage.getItem(this.key);
+    return data ? JSON.parse(data) : [];
+  }
+
+  saveTasks(tasks) {
+    localStorage.setItem(this.key, JSON.stringify(tasks));
+    return true;
+  }
+
+  clear() {
+    localStorage.removeItem(this.key);
+    localStorage.removeItem(this.versionKey);
+    return true;
+  }
+
+  loadVersion() {
+    return localStorage.getItem(this.versionKey);
+  }
+
+  saveVersion(version) {
+    localStorage.setItem(this.versionKey, String(version));
+    return true;
+  }
+
+  async flush() {}
+
+  hasPendingWrites() {
+    return false;
+  }
+
+  async reload() {}
+
+  onExternalChange(callback) {
+    // Other tabs' writes arrive as storage events
+    window.addEventListener('storage', (event) => {
+      if (event.key === this.key) callback();
+    });
+  }
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise} Resolves with the request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} transaction - Transaction to wait for
+ * @returns {Promise} Resolves when the transaction completes
+ */
+function promisifyTransaction(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Build the stored record for a task
+ * IndexedDB cannot index booleans, so `completed` is stored as 0/1 next to the task
+ * @param {Object} task - Task object
+ * @returns {Object} Record with indexed fields and the task itself
+ */
+function toRecord(task) {
+  return {
+    id: task.id,
+    dueDate: String(task.dueDate || ''),
+    tags: getTaskTags(task).map(tag => tag.toLowerCase()),
+    completed: task.completed ? 1 : 0,
+    task
+  };
+}
+
+/**
+ * Stores one record per task in IndexedDB, with indexes on dueDate, tag and completed
+ *
+ * Tasks are kept in memory after open() so reads stay synchronous. saveTasks()
+ * only writes the tasks whose object changed since the last save (state updates
+ * replace changed tasks rather than mutating them) and deletes removed ones;
+ * the list order is kept as a separate record. Committed writes are announced to
+ * other tabs on a BroadcastChannel, since IndexedDB has no storage event.
+ */
+export class IndexedDBAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.dbName - Database name
+   * @param {string} options.legacyKey - localStorage key to migrate tasks from once
+   */
+  constructor({ dbName = 'campus-life-planner', legacyKey = null } = {}) {
+    this.name = 'indexedDB';
+    this.dbName = dbName;
+    this.legacyKey = legacyKey;
+    this.db = null;
+    this.tasks = [];
+    this.written = new Map();
+    this.order = [];
+    this.version = null;
+    this.needsFullWrite = false;
+    this.pending = Promise.resolve();
+    this.pendingWrites = 0;
+    this.onWriteError = null;
+    this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(dbName) : null;
+  }
+
+  /**
+   * Check whether IndexedDB exists in this environment
+   * @returns {boolean} True when IndexedDB can be used
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  }
+
+  async open() {
+    this.db = await this.openDatabase();
+    await this.migrateFromLocalStorage();
+    await this.readTasks();
+  }
+
+  /**
+   * Read the stored tasks, order and schema version into memory
+   */
+  async readTasks() {
+    const transaction = this.db.transaction([TASK_STORE, META_STORE], 'readonly');
+    const [records, order, version] = await Promise.all([
+      promisifyRequest(transaction.objectStore(TASK_STORE).getAll()),
+      promisifyRequest(transaction.objectStore(META_STORE).get('order')),
+      promisifyRequest(transaction.objectStore(META_STORE).get('schemaVersion'))
+    ]);
+    this.version = version ? version.value : null;
+
+    // Records are returned in key order; restore the saved list order
+    const position = new Map((order ? order.value : []).map((id, index) => [id, index]));
+    records.sort((a, b) => (position.has(a.id) ? position.get(a.id) : Infinity) - (position.has(b.id) ? position.get(b.id) : Infinity));
+
+    this.tasks = records.map(record => record.task);
+    this.written = new Map(this.tasks.map(task => [task.id, task]));
+    this.order = this.tasks.map(task => task.id);
+    this.needsFullWrite = false;
+  }
+
+  /**
+   * Wait for a write to commit, then tell other tabs about it
+   * A failed write is reported through onWriteError, since saveTasks() has
+   * already returned by the time the transaction settles.
+   * @param {IDBTransaction} transaction - Write transaction
+   * @param {string} action - What the write does, for the log
+   */
+  track(transaction, action) {
+    this.pendingWrites++;
+    this.pending = promisifyTransaction(transaction)
+      .then(() => {
+        if (this.channel) this.channel.postMessage('tasks-changed');
+      }, (error) => {
+        console.error(`Error ${action} in IndexedDB:`, error);
+        // The stored records are now unknown; rewrite everything on the next save
+        this.needsFullWrite = true;
+        if (this.onWriteError) this.onWriteError(error);
+      })
+      .finally(() => {
+        this.pendingWrites--;
+      });
+  }
+
+  /**
+   * Open the database, creating the stores and indexes on first use
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  openDatabase() {
+    const request = indexedDB.open(this.dbName, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(TASK_STORE)) {
+        const store = db.createObjectStore(TASK_STORE, { keyPath: 'id' });
+        store.createIndex('dueDate', 'dueDate');
+        store.createIndex('tag', 'tags', { multiEntry: true });
+        store.createIndex('completed', 'completed');
+      }
+      if (!db.objectStoreNames.contains(META_STORE)) {
+        db.createObjectStore(META_STORE, { keyPath: 'key' });
+      }
+    };
+    return promisifyRequest(request);
+  }
+
+  /**
+   * Copy tasks saved by the localStorage backend into IndexedDB, once
+   * The localStorage copy is removed only after the records are committed
+   */
+  async migrateFromLocalStorage() {
+    const meta = this.db.transaction(META_STORE, 'readonly').objectStore(META_STORE);
+    const migrated = await promisifyRequest(meta.get('migratedFromLocalStorage'));
+    if (migrated || !this.legacyKey) return;
+
+    let tasks = [];
+    const legacyVersionKey = `${this.legacyKey}-version`;
+    const legacyVersion = localStorage.getItem(legacyVersionKey);
+    const data = localStorage.getItem(this.legacyKey);
+    if (data) {
+      tasks = JSON.parse(data);
+      if (!Array.isArray(tasks)) throw new Error('Stored tasks are not a list');
+    }
+
+    const transaction = this.db.transaction([TASK_STORE, META_STORE], 'readwrite');
+    const store = transaction.objectStore(TASK_STORE);
+    tasks.filter(task => task && task.id).forEach(task => store.put(toRecord(task)));
+    transaction.objectStore(META_STORE).put({ key: 'order', value: tasks.map(task => task && task.id).filter(Boolean) });
+    if (legacyVersion) transaction.objectStore(META_STORE).put({ key: 'schemaVersion', value: legacyVersion });
+    transaction.objectStore(META_STORE).put({ key: 'migratedFromLocalStorage', value: new Date().toISOString() });
+    await promisifyTransaction(transaction);
+
+    if (data) localStorage.removeItem(this.legacyKey);
+    localStorage.removeItem(legacyVersionKey);
+  }
+
+  loadTasks() {
+    return this.tasks;
+  }
+
+  saveTasks(tasks) {
+    if (!this.db) return false;
+
+    const fullWrite = this.needsFullWrite;
+    const ids = new Set(tasks.map(task => task.id));
+    const changed = fullWrite ? tasks : tasks.filter(task => this.written.get(task.id) !== task);
+    const removed = [...this.written.keys()].filter(id => !ids.has(id));
+    const order = tasks.map(task => task.id);
+    const orderChanged = order.length !== this.order.length || order.some((id, index) => id !== this.order[index]);
+
+    this.tasks = tasks;
+    if (!fullWrite && changed.length === 0 && removed.length === 0 && !orderChanged) return true;
+
+    // Transactions on the same stores commit in the order they are created
+    const transaction = this.db.transaction([TASK_STORE, META_STORE], 'readwrite');
+    const store = transaction.objectStore(TASK_STORE);
+    if (fullWrite) store.clear();
+    changed.forEach(task => store.put(toRecord(task)));
+    removed.forEach(id => store.delete(id));
+    if (fullWrite || orderChanged) transaction.objectStore(META_STORE).put({ key: 'order', value: order });
+
+    changed.forEach(task => this.written.set(task.id, task));
+    removed.forEach(id => this.written.delete(id));
+    this.order = order;
+    this.needsFullWrite = false;
+
+    this.track(transaction, 'saving tasks');
+    return true;
+  }
+
+  clear() {
+    if (!this.db) return false;
+
+    const transaction = this.db.transaction([TASK_STORE, META_STORE], 'readwrite');
+    transaction.objectStore(TASK_STORE).clear();
+    transaction.objectStore(META_STORE).put({ key: 'order', value: [] });
+    this.tasks = [];
+    this.written.clear();
+    this.order = [];
+    this.track(transaction, 'clearing tasks');
+    return true;
+  }
+
+  loadVersion() {
+    return this.version;
+  }
+
+  saveVersion(version) {
+    if (!this.db) return false;
+
+    const transaction = this.db.transaction(META_STORE, 'readwrite');
+    transaction.objectStore(META_STORE).put({ key: 'schemaVersion', value: version });
+    this.version = version;
+    this.track(transaction, 'saving the schema version');
+    return true;
+  }
+
+  flush() {
+    return this.pending;
+  }
+
+  hasPendingWrites() {
+    return this.pendingWrites > 0;
+  }
+
+  async reload() {
+    if (!this.db) return;
+    // Own writes go first so they are not read back half-applied
+    await this.flush();
+    await this.readTasks();
+  }
+
+  onExternalChange(callback) {
+    // A channel does not receive its own messages, so only other tabs trigger this
+    if (this.channel) this.channel.onmessage = () => callback();
+  }
+
+  /**
+   * Look up tasks through one of the indexes
+   * @param {string} indexName - 'dueDate', 'tag' or 'completed'
+   * @param {*} query - Key or IDBKeyRange (tags are matched lowercase, completed as 0/1)
+   * @returns {Promise<Array>} Matching tasks
+   */
+  async queryTasks(indexName, query) {
+    await this.flush();
+    const index = this.db.transaction(TASK_STORE, 'readonly').objectStore(TASK_STORE).index(indexName);
+    const records = await promisifyRequest(index.getAll(query));
+    return records.map(record => record.task);
+  }
+}
@@ -1,7 +1,102 @@
-// Handles saving and loading tasks from localStorage
+// Handles saving and loading tasks through the active storage adapter (IndexedDB or localStorage)
+
+import { removeDependencyReferences } from './dependencies.js';
+import { LocalStorageAdapter, IndexedDBAdapter } from './storage-adapters.js';
+import { SCHEMA_VERSION, parseSchemaVersion, isNewerSchemaVersion, getNewerSchemaMessage, migrateTasks, migrateSettings } from './schema.js';
 
 const STORAGE_KEY = 'campus-life-planner-data';
 const SETTINGS_KEY = 'campus-life-planner-settings';
+const SETTINGS_VERSION_KEY = 'campus-life-planner-settings-version';
+// Running and paused task timers; kept in localStorage so every tab gets a storage event
+export const TIMERS_KEY = 'campus-life-planner-timers';
+
+// Set when stored data comes from a newer schema; writes are refused so it isn't overwritten
+let schemaError = null;
+
+// Tasks are served from localStorage until initStorage() switches to IndexedDB
+let adapter = new LocalStorageAdapter(STORAGE_KEY);
+
+// Called when a write fails after saveTasks() reported it as accepted
+let writeErrorHandler = null;
+
+/**
+ * Choose and open the storage backend for tasks
+ * IndexedDB is used when available; tasks saved in localStorage are moved there once.
+ * Falls back to localStorage when IndexedDB is missing or fails to open.
+ * Settings always stay in localStorage.
+ * @param {Object} options - Options
+ * @param {string} options.backend - Force 'localStorage' or 'indexedDB'
+ * @returns {Promise<string>} Name of the backend in use
+ */
+export async function initStorage({ backend = null } = {}) {
+  if (backend !== 'localStorage' && IndexedDBAdapter.isSupported()) {
+    const indexedDBAdapter = new IndexedDBAdapter({ legacyKey: STORAGE_KEY });
+    try {
+      await indexedDBAdapter.open();
+      adapter = indexedDBAdapter;
+      adapter.onWriteError = writeErrorHandler;
+      return adapter.name;
+    } catch (error) {
+      console.error('IndexedDB unavailable, using localStorage:', error);
+    }
+  }
+
+  adapter = new LocalStorageAdapter(STORAGE_KEY);
+  adapter.onWriteError = writeErrorHandler;
+  await adapter.open();
+  return adapter.name;
+}
+
+/**
+ * Report task writes that fail after being accepted (IndexedDB commits later)
+ * @param {Function} callback - Called with the error
+ */
+export function onStorageError(callback) {
+  writeErrorHandler = callback;
+  adapter.onWriteError = callback;
+}
+
+/**
+ * Listen for task changes saved by other tabs
+ * Call after initStorage() so the listener is attached to the backend in use.
+ * @param {Function} callback - Called after another tab saves tasks
+ */
+export function onTasksChanged(callback) {
+  adapter.onExternalChange(callback);
+}
+
+/**
+ * Re-read tasks from the backend, picking up changes made by other tabs
+ * @returns {Promise<Array>} Stored tasks
+ */
+export async function reloadTasks() {
+  await adapter.reload();
+  return loadTasks();
+}
+
+/**
+ * Check for task writes that are not committed yet
+ * @returns {boolean} True while writes are pending
+ */
+export function hasPendingWrites() {
+  return adapter.hasPendingWrites();
+}
+
+/**
+ * Get the active storage adapter
+ * @returns {Object} Storage adapter
+ */
+export function getStorageAdapter() {
+  return adapter;
+}
+
+/**
+ * Wait until pending task writes are committed
+ * @returns {Promise} Resolves when the backend is up to date
+ */
+export function flushStorage() {
+  return adapter.flush();
+}
 
 // Creates unique IDs for new tasks
 export function generateId() {
@@ -13,24 +108,55 @@ export function generateTimestamp() {
   return new Date().toISOString();
 }
 
-// Loads tasks from browser storage
+/**
+ * Get the error raised when stored data comes from a newer schema
+ * @returns {string|null} Error message, or null when the stored data can be used
+ */
+export function getSchemaError() {
+  return schemaError;
+}
+
+// Loads tasks from browser storage, migrating them to the current schema
 export function loadTasks() {
   try {
-    const data = localStorage.getItem(STORAGE_KEY);
-    return data ? JSON.parse(data) : [];
+    const tasks = adapter.loadTasks();
+    const version = adapter.loadVersion();
+    
+    if (isNewerSchemaVersion(version)) {
+      schemaError = getNewerSchemaMessage(version);
+      console.error(schemaError);
+      return tasks;
+    }
+    
+    // Data saved before versioning has no version and runs every migration
+    if (version === null || parseSchemaVersion(version) < SCHEMA_VERSION) {
+      const migrated = migrateTasks(tasks, version);
+      if (adapter.saveTasks(migrated)) {
+        adapter.saveVersion(SCHEMA_VERSION);
+      }
+      return migrated;
+    }
+    return tasks;
   } catch (error) {
-    console.error('Error loading tasks from localStorage:', error);
+    console.error(`Error loading tasks from ${adapter.name}:`, error);
     return [];
   }
 }
 
 // Saves tasks to browser storage
 export function saveTasks(tasks) {
+  if (schemaError) {
+    console.error(`Tasks not saved: ${schemaError}`);
+    return false;
+  }
+  
   try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(tasks));
-    return true;
+    if (adapter.loadVersion() === null) {
+      adapter.saveVersion(SCHEMA_VERSION);
+    }
+    return adapter.saveTasks(tasks);
   } catch (error) {
-    console.error('Error saving tasks to localStorage:', error);
+    console.error(`Error saving tasks to ${adapter.name}:`, error);
     return false;
   }
 }
@@ -45,9 +171,27 @@ export function loadSettings() {
       dueReminders: true,
       goalAlerts: true,
       durationCap: 40,
-      caseSensitiveSearch: false
+      caseSensitiveSearch: false,
+      courses: [],
+      smartLists: [],
+      recentSearches: []
     };
-    return data ? { ...defaultSettings, ...JSON.parse(data) } : defaultSettings;
+    if (!data) return defaultSettings;
+    
+    const version = localStorage.getItem(SETTINGS_VERSION_KEY);
+    if (isNewerSchemaVersion(version)) {
+      schemaError = getNewerSchemaMessage(version);
+      return { ...defaultSettings, ...JSON.parse(data) };
+    }
+    
+    const stored = JSON.parse(data);
+    if (parseSchemaVersion(version) < SCHEMA_VERSION) {
+      const migrated = migrateSettings(stored, version);
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify(migrated));
+      localStorage.setItem(SETTINGS_VERSION_KEY, String(SCHEMA_VERSION));
+      return { ...defaultSettings, ...migrated };
+    }
+    return { ...defaultSettings, ...stored };
   } catch (error) {
     console.error('Error loading settings from localStorage:', error);
     return {
@@ -56,7 +200,10 @@ export function loadSettings() {
       dueReminders: true,
       goalAlerts: true,
       durationCap: 40,
-      caseSensitiveSearch: false
+      caseSensitiveSearch: false,
+      courses: [],
+      smartLists: [],
+      recentSearches: []
     };
   }
 }
@@ -67,8 +214,14 @@ export function loadSettings() {
  * @returns {boolean} Success status
  */
 export function saveSettings(settings) {
+  if (schemaError) {
+    console.error(`Settings not saved: ${schemaError}`);
+    return false;
+  }
+  
   try {
     localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    localStorage.setItem(SETTINGS_VERSION_KEY, String(SCHEMA_VERSION));
     return true;
   } catch (error) {
     console.error('Error saving settings to localStorage:', error);
@@ -76,14 +229,50 @@ export function saveSettings(settings) {
   }
 }
 
+/**
+ * Load the task timers that are running or paused
+ * @returns {Array} Timers
+ */
+export function loadTimers() {
+  try {
+    const timers = JSON.parse(localStorage.getItem(TIMERS_KEY) || '[]');
+    return Array.isArray(timers) ? timers : [];
+  } catch (error) {
+    console.error('Error loading timers from localStorage:', error);
+    return [];
+  }
+}
+
+/**
+ * Save the task timers that are running or paused
+ * @param {Array} timers - Timers
+ * @returns {boolean} Success status
+ */
+export function saveTimers(timers) {
+  if (schemaError) {
+    console.error(`Timers not saved: ${schemaError}`);
+    return false;
+  }
+  
+  try {
+    localStorage.setItem(TIMERS_KEY, JSON.stringify(timers));
+    return true;
+  } catch (error) {
+    console.error('Error saving timers to localStorage:', error);
+    return false;
+  }
+}
+
 /**
  * Clear all application data
  * @returns {boolean} Success status
  */
 export function clearAllData() {
   try {
-    localStorage.removeItem(STORAGE_KEY);
+    adapter.clear();
     localStorage.removeItem(SETTINGS_KEY);
+    localStorage.removeItem(SETTINGS_VERSION_KEY);
+    localStorage.removeItem(TIMERS_KEY);
     return true;
   } catch (error) {
     console.error('Error clearing data:', error);
@@ -99,7 +288,7 @@ export function clearAllData() {
  */
 export function exportData(tasks, settings) {
   const exportData = {
-    version: '1.0',
+    version: SCHEMA_VERSION,
     exportedAt: generateTimestamp(),
     tasks: tasks,
     settings: settings
@@ -122,6 +311,11 @@ export function importData(jsonString) {
       throw new Error('Invalid data format');
     }
     
+    // Files from a newer version may use fields this version would drop or misread
+    if (isNewerSchemaVersion(data.version)) {
+      throw new Error(getNewerSchemaMessage(data.version));
+    }
+    
     const result = {
       success: true,
       tasks: [],
@@ -131,7 +325,7 @@ export function importData(jsonString) {
     
     // Validate and import tasks
     if (Array.isArray(data.tasks)) {
-      result.tasks = data.tasks.filter(task => {
+      result.tasks = migrateTasks(data.tasks, data.version).filter(task => {
         return validateTaskStructure(task);
       });
       
@@ -140,13 +334,20 @@ export function importData(jsonString) {
       if (invalidTasks > 0) {
         result.errors.push(`${invalidTasks} tasks were skipped due to invalid structure`);
       }
+      
+      // Drop dependencies on tasks that are not part of the import
+      const importedIds = new Set(result.tasks.map(task => task.id));
+      const missingIds = [...new Set(result.tasks.flatMap(task => (task.blockedBy || []).filter(id => !importedIds.has(id))))];
+      if (missingIds.length > 0) {
+        result.tasks = removeDependencyReferences(result.tasks, missingIds);
+      }
     } else if (data.tasks) {
       result.errors.push('Tasks data is not in the expected format');
     }
     
     // Validate and import settings
     if (data.settings && typeof data.settings === 'object') {
-      result.settings = data.settings;
+      result.settings = migrateSettings(data.settings, data.version);
     }
     
     return result;
@@ -168,8 +369,8 @@ export function importData(jsonString) {
 function validateTaskStructure(task) {
   if (!task || typeof task !== 'object') return false;
   
-  const requiredFields = ['id', 'title', 'dueDate', 'duration', 'tag'];
-  const optionalFields = ['description', 'createdAt', 'updatedAt'];
+  const requiredFields = ['id', 'title', 'dueDate', 'duration', 'priority'];
+  const optionalFields = ['tags', 'description', 'createdAt', 'updatedAt', 'recurrence', 'seriesId', 'occurrenceDate', 'occurrenceIndex', 'subtasks', 'blockedBy', 'courseId', 'icalUid'];
   
   // Check required fields
   for (const field of requiredFields) {
@@ -182,12 +383,16 @@ function validateTaskStructure(task) {
   if (typeof task.id !== 'string' ||
       typeof task.title !== 'string' ||
       typeof task.dueDate !== 'string' ||
-      typeof task.tag !== 'string' ||
+      typeof task.priority !== 'string' ||
       (typeof task.duration !== 'number' || task.duration < 0)) {
     return false;
   }
   
   // Validate optional fields if present
+  if (task.tags !== undefined && (!Array.isArray(task.tags) || !task.tags.every(tag => typeof tag === 'string'))) {
+    return false;
+  }
+  
   if (task.description !== undefined && typeof task.description !== 'string') {
     return false;
   }
@@ -200,6 +405,44 @@ function validateTaskStructure(task) {
     return false;
   }
   
+  // Recurring tasks carry a rule object and their place in the series
+  if (task.recurrence !== undefined && task.recurrence !== null &&
+      (typeof task.recurrence !== 'object' || typeof task.recurrence.freq !== 'string')) {
+    return false;
+  }
+  
+  if (task.seriesId !== undefined && typeof task.seriesId !== 'string') {
+    return false;
+  }
+  
+  if (task.occurrenceIndex !== undefined && (typeof task.occurrenceIndex !== 'number' || task.occurrenceIndex < 1)) {
+    return false;
+  }
+  
+  // Checklist items need a title; durations are optional hours
+  if (task.subtasks !== undefined) {
+    if (!Array.isArray(task.subtasks)) return false;
+    const validItems = task.subtasks.every(item => item && typeof item === 'object' &&
+      typeof item.title === 'string' &&
+      (item.duration === undefined || (typeof item.duration === 'number' && item.duration >= 0)));
+    if (!validItems) return false;
+  }
+  
+  if (task.courseId !== undefined && typeof task.courseId !== 'string') {
+    return false;
+  }
+  
+  // Tasks imported from a calendar keep the calendar entry's UID
+  if (task.icalUid !== undefined && typeof task.icalUid !== 'string') {
+    return false;
+  }
+  
+  // Dependencies are referenced by task ID
+  if (task.blockedBy !== undefined &&
+      (!Array.isArray(task.blockedBy) || !task.blockedBy.every(id => typeof id === 'string'))) {
+    return false;
+  }
+  
   return true;
 }
 
@@ -209,15 +452,17 @@ function validateTaskStructure(task) {
  */
 export function getStorageInfo() {
   try {
-    const tasksData = localStorage.getItem(STORAGE_KEY);
+    const tasks = loadTasks();
+    const tasksData = JSON.stringify(tasks);
     const settingsData = localStorage.getItem(SETTINGS_KEY);
     
-    const tasksSize = tasksData ? new Blob([tasksData]).size : 0;
+    const tasksSize = tasks.length ? new Blob([tasksData]).size : 0;
     const settingsSize = settingsData ? new Blob([settingsData]).size : 0;
     const totalSize = tasksSize + settingsSize;
     
     return {
-      tasksCount: tasksData ? JSON.parse(tasksData).length : 0,
+      backend: adapter.name,
+      tasksCount: tasks.length,
       tasksSize: tasksSize,
       settingsSize: settingsSize,
       totalSize: totalSize,
@@ -226,6 +471,7 @@ export function getStorageInfo() {
   } catch (error) {
     console.error('Error getting storage info:', error);
     return {
+      backend: adapter.name,
       tasksCount: 0,
       tasksSize: 0,
       settingsSize: 0,
@@ -364,7 +610,8 @@ export function syncToSeedFormat(tasks) {
       title: task.title,
       dueDate: task.dueDate,
       duration: task.duration,
-      tag: task.tag,
+      priority: task.priority,
+      tags: task.tags || [],
       description: task.description || '',
       createdAt: task.createdAt || generateTimestamp(),
       updatedAt: generateTimestamp()
@@ -0,0 +1,139 @@
+/**
+ * Subtasks Module - Checklist items nested inside a task
+ * Normalizes checklist items and computes progress and completed effort
+ */
+
+import { generateUniqueId } from './utils.js';
+
+/**
+ * Maximum number of checklist items on a single task
+ */
+export const MAX_SUBTASKS = 50;
+
+/**
+ * Normalize checklist items into their stored shape
+ * @param {Array} subtasks - Raw checklist items
+ * @returns {Array} Normalized checklist items
+ */
+export function normalizeSubtasks(subtasks) {
+  if (!Array.isArray(subtasks)) return [];
+
+  return subtasks
+    .filter(item => item && typeof item.title === 'string' && item.title.trim())
+    .map(item => {
+      const subtask = {
+        id: item.id || generateUniqueId('subtask'),
+        title: item.title.trim(),
+        completed: Boolean(item.completed),
+        completedAt: item.completed ? (item.completedAt || null) : null
+      };
+
+      const duration = parseFloat(item.duration);
+      if (!isNaN(duration) && duration > 0) {
+        subtask.duration = duration;
+      }
+
+      return subtask;
+    });
+}
+
+/**
+ * Check whether a task has checklist items
+ * @param {Object} task - Task object
+ * @returns {boolean} True when the task has at least one checklist item
+ */
+export function hasSubtasks(task) {
+  return Boolean(task && Array.isArray(task.subtasks) && task.subtasks.length > 0);
+}
+
+/**
+ * Calculate checklist progress for a task
+ * Progress is weighted by duration when every item carries one, otherwise by item count
+ * @param {Object} task - Task object
+ * @returns {Object} { total, done, percent }
+ */
+export function getSubtaskProgress(task) {
+  if (!hasSubtasks(task)) {
+    return { total: 0, done: 0, percent: 0 };
+  }
+
+  const subtasks = task.subtasks;
+  const done = subtasks.filter(item => item.completed).length;
+  const weighted = subtasks.every(item => parseFloat(item.duration) > 0);
+
+  let percent;
+  if (weighted) {
+    const totalDuration = subtasks.reduce((sum, item) => sum + parseFloat(item.duration), 0);
+    const doneDuration = subtasks
+      .filter(item => item.completed)
+      .reduce((sum, item) => sum + parseFloat(item.duration), 0);
+    percent = Math.round((doneDuration / totalDuration) * 100);
+  } else {
+    percent = Math.round((done / subtasks.length) * 100);
+  }
+
+  return { total: subtasks.length, done, percent };
+}
+
+/**
+ * Sum the durations of checklist items completed within a time window
+ * The credit is capped at the task's own duration, counting items checked off
+ * before the window first, so checklist items with generous estimates never credit
+ * more than completing the whole task would.
+ * @param {Object} task - Task object
+ * @param {Date} from - Window start
+ * @param {Date} to - Window end
+ * @returns {number} Completed duration in hours
+ */
+export function getCompletedSubtaskDuration(task, from, to) {
+  if (!hasSubtasks(task)) return 0;
+
+  let earlier = 0;
+  const within = task.subtasks.reduce((sum, item) => {
+    if (!item.completed || !item.completedAt || !(parseFloat(item.duration) > 0)) return sum;
+
+    const completedAt = new Date(item.completedAt);
+    if (completedAt < from) {
+      earlier += parseFloat(item.duration);
+    } else if (completedAt <= to) {
+      return sum + parseFloat(item.duration);
+    }
+    return sum;
+  }, 0);
+
+  const duration = parseFloat(task.duration);
+  return duration > 0 ? Math.max(0, Math.min(within, duration - earlier)) : within;
+}
+
+/**
+ * Duration credited when a completed task was finished within a time window
+ * Checklist items checked off before the window were already credited, so only the
+ * rest of the task's duration is left.
+ * @param {Object} task - Completed task
+ * @param {Date} from - Window start
+ * @param {Date} to - Window end
+ * @returns {number} Completed duration in hours
+ */
+export function getCompletedTaskDuration(task, from, to) {
+  // Prefer completedAt, fall back to updatedAt
+  const completedAt = task.completedAt ? new Date(task.completedAt) : (task.updatedAt ? new Date(task.updatedAt) : null);
+  if (!completedAt || completedAt < from || completedAt > to) return 0;
+
+  const duration = parseFloat(task.duration) || 0;
+  const earlier = getCompletedSubtaskDuration(task, new Date(0), new Date(from.getTime() - 1));
+  return Math.max(0, duration - earlier);
+}
+
+/**
+ * Reset checklist items for a fresh copy of a task (e.g. the next recurring occurrence)
+ * @param {Array} subtasks - Checklist items
+ * @returns {Array} Unchecked copies with new IDs
+ */
+export function resetSubtasks(subtasks) {
+  return normalizeSubtasks(subtasks).map(item => ({
+    ...item,
+    id: generateUniqueId('subtask'),
+    completed: false,
+    completedAt: null
+  }));
+}
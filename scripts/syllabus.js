@@ -0,0 +1,260 @@
+/**
+ * Syllabus Module - Finds coursework deadlines in pasted syllabus text
+ * Each line mentioning coursework ("quiz", "midterm", "due", ...) together with a
+ * date, or a week number relative to the start of term, becomes a proposed task
+ * for the user to review; nothing is saved here
+ */
+
+import { extractPatterns } from './validators.js';
+import { PRIORITY_LEVELS } from './tags.js';
+import { truncate, toDateString } from './utils.js';
+
+/**
+ * Task defaults per coursework keyword (duration in hours)
+ */
+export const SYLLABUS_KEYWORDS = {
+  'final exam': { tag: 'exam', priority: PRIORITY_LEVELS[0], duration: 3 },
+  'midterm': { tag: 'exam', priority: PRIORITY_LEVELS[0], duration: 2 },
+  'mid-term': { tag: 'exam', priority: PRIORITY_LEVELS[0], duration: 2 },
+  'exam': { tag: 'exam', priority: PRIORITY_LEVELS[0], duration: 2 },
+  'test': { tag: 'exam', priority: PRIORITY_LEVELS[0], duration: 2 },
+  'quiz': { tag: 'quiz', priority: PRIORITY_LEVELS[0], duration: 1 },
+  'problem set': { tag: 'assignment', priority: PRIORITY_LEVELS[1], duration: 2 },
+  'pset': { tag: 'assignment', priority: PRIORITY_LEVELS[1], duration: 2 },
+  'homework': { tag: 'assignment', priority: PRIORITY_LEVELS[1], duration: 2 },
+  'hw': { tag: 'assignment', priority: PRIORITY_LEVELS[1], duration: 2 },
+  'assignment': { tag: 'assignment', priority: PRIORITY_LEVELS[1], duration: 2 },
+  'project': { tag: 'project', priority: PRIORITY_LEVELS[1], duration: 4 },
+  'essay': { tag: 'writing', priority: PRIORITY_LEVELS[1], duration: 4 },
+  'paper': { tag: 'writing', priority: PRIORITY_LEVELS[1], duration: 4 },
+  'report': { tag: 'writing', priority: PRIORITY_LEVELS[1], duration: 3 },
+  'lab': { tag: 'lab', priority: PRIORITY_LEVELS[1], duration: 2 },
+  'presentation': { tag: 'presentation', priority: PRIORITY_LEVELS[1], duration: 2 },
+  'due': { tag: 'assignment', priority: PRIORITY_LEVELS[1], duration: 2 }
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Dates without a year this long before the reference date belong to the next year
+const YEAR_ROLLOVER_DAYS = 30;
+
+/**
+ * Parse a YYYY-MM-DD string as a local date
+ * @param {string} value - Date string
+ * @returns {Date|null} Date
+ */
+function parseLocalDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  return match ? new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10)) : null;
+}
+
+/**
+ * Build a date from parts, guessing the year when the text left it out
+ * @param {number|null} year - Year (two digits mean 20xx), or null
+ * @param {number} month - Month index (0-11)
+ * @param {number} day - Day of month
+ * @param {Date} reference - Term start or today
+ * @returns {Date|null} Date, or null for impossible dates such as 31 Feb
+ */
+function buildDate(year, month, day, reference) {
+  const fullYear = year === null ? reference.getFullYear() : (year < 100 ? 2000 + year : year);
+  let date = new Date(fullYear, month, day);
+  if (date.getMonth() !== month || date.getDate() !== day) return null;
+
+  if (year === null) {
+    const cutoff = new Date(reference.getFullYear(), reference.getMonth(), reference.getDate() - YEAR_ROLLOVER_DAYS);
+    if (date < cutoff) date = new Date(fullYear + 1, month, day);
+  }
+  return date;
+}
+
+/**
+ * Find the first calendar date written in a line
+ * @param {string} line - Line of text
+ * @param {Object} options - { dayFirst, reference }
+ * @returns {Object|null} { date, match } where match is the extracted text span
+ */
+function findDate(line, { dayFirst, reference }) {
+  const candidates = [];
+
+  extractPatterns(line, 'isoDate').forEach(match => {
+    const [year, month, day] = match.groups.map(part => parseInt(part, 10));
+    candidates.push({ match, date: buildDate(year, month - 1, day, reference) });
+  });
+  extractPatterns(line, 'slashDate').forEach(match => {
+    const [first, second, year] = match.groups;
+    const month = parseInt(dayFirst ? second : first, 10) - 1;
+    const day = parseInt(dayFirst ? first : second, 10);
+    candidates.push({ match, date: buildDate(year ? parseInt(year, 10) : null, month, day, reference) });
+  });
+  extractPatterns(line, 'monthDayDate').forEach(match => {
+    const [month, day, year] = match.groups;
+    candidates.push({ match, date: buildDate(year ? parseInt(year, 10) : null, MONTHS.indexOf(month.slice(0, 3).toLowerCase()), parseInt(day, 10), reference) });
+  });
+  extractPatterns(line, 'dayMonthDate').forEach(match => {
+    const [day, month, year] = match.groups;
+    candidates.push({ match, date: buildDate(year ? parseInt(year, 10) : null, MONTHS.indexOf(month.slice(0, 3).toLowerCase()), parseInt(day, 10), reference) });
+  });
+
+  const found = candidates
+    .filter(candidate => candidate.date)
+    .sort((a, b) => a.match.index - b.match.index)[0];
+  return found || null;
+}
+
+/**
+ * Find a time of day written in a line
+ * @param {string} line - Line of text
+ * @returns {Object|null} { time: 'HH:MM', match }
+ */
+function findTime(line) {
+  const [meridiem] = extractPatterns(line, 'meridiemTime');
+  if (meridiem) {
+    const [hour, minutes, half] = meridiem.groups;
+    const hours = (parseInt(hour, 10) % 12) + (half.toLowerCase() === 'p' ? 12 : 0);
+    return { time: `${String(hours).padStart(2, '0')}:${minutes || '00'}`, match: meridiem };
+  }
+
+  // 24-hour times, skipping digits that belong to a longer number
+  const clock = extractPatterns(line, 'time').find(match => !/[\d:]/.test(line[match.index + match.value.length] || ''));
+  if (clock) {
+    return { time: clock.value.padStart(5, '0'), match: clock };
+  }
+  return null;
+}
+
+/**
+ * Find a duration written in a line
+ * @param {string} line - Line of text
+ * @returns {Object|null} { duration: hours, match }
+ */
+function findDuration(line) {
+  const [match] = extractPatterns(line, 'duration');
+  if (!match) return null;
+  const amount = parseFloat(match.groups[0]);
+  const hours = /^m/i.test(match.groups[1]) ? amount / 60 : amount;
+  return hours > 0 ? { duration: Math.round(hours * 100) / 100, match } : null;
+}
+
+/**
+ * Build the task title from what is left of the line
+ * @param {string} line - Line of text
+ * @param {Array} matches - Extracted spans to remove
+ * @returns {string} Title
+ */
+function buildTitle(line, matches) {
+  let title = line;
+  [...matches]
+    .sort((a, b) => b.index - a.index)
+    .forEach(match => {
+      title = `${title.slice(0, match.index)} ${title.slice(match.index + match.value.length)}`;
+    });
+
+  title = title
+    .replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '')
+    .replace(/\(\s*[,;]?\s*\)/g, '')
+    .replace(/\|(\s*\|)+/g, '|')
+    .replace(/\s+/g, ' ');
+
+  // Connector words left next to a removed date ("due at", "on", "by")
+  let previous;
+  do {
+    previous = title;
+    title = title
+      .replace(/\b(?:due|on|by|at)\s*(?=[,;:|()–—-]|$)/gi, '')
+      .replace(/^[\s,;:|–—-]+|[\s,;:|–—-]+$/g, '');
+  } while (title !== previous);
+
+  return truncate(title.charAt(0).toUpperCase() + title.slice(1), 100);
+}
+
+/**
+ * Propose tasks from pasted syllabus text
+ * A line with a "Week N" heading and no date of its own applies that week to the
+ * lines below it until the next blank line or week heading
+ * @param {string} text - Syllabus text
+ * @param {Object} options - Extraction options
+ * @param {string} options.termStart - First day of week 1 (YYYY-MM-DD), needed for week numbers
+ * @param {boolean} options.dayFirst - Read 03/10 as 3 October instead of March 10
+ * @param {Date} options.now - Reference date for years when there is no term start
+ * @returns {Array} Proposals as { id, lineNumber, line, title, dueDate, duration, priority, tags, keyword, warnings }
+ */
+export function extractSyllabusTasks(text, { termStart = '', dayFirst = false, now = new Date() } = {}) {
+  const start = parseLocalDate(termStart);
+  const reference = start || new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const proposals = [];
+  const seen = new Set();
+  let contextWeek = null;
+
+  String(text || '').split(/\r?\n/).forEach((rawLine, lineIndex) => {
+    if (!rawLine.trim()) {
+      contextWeek = null;
+      return;
+    }
+
+    rawLine.split(';').forEach(part => {
+      const line = part.replace(/\t+/g, ' | ').trim();
+      if (!line) return;
+
+      const [weekMatch] = extractPatterns(line, 'week');
+      const dateFound = findDate(line, { dayFirst, reference });
+      if (weekMatch) contextWeek = dateFound ? null : { week: parseInt(weekMatch.groups[0], 10), match: weekMatch };
+
+      const keywords = extractPatterns(line, 'keyword');
+      if (keywords.length === 0) return;
+      if (!dateFound && !contextWeek) return;
+
+      const warnings = [];
+      const matches = [];
+      let date = null;
+
+      if (weekMatch) matches.push(weekMatch);
+      if (dateFound) {
+        date = dateFound.date;
+        matches.push(dateFound.match);
+      } else {
+        const [weekday] = extractPatterns(line, 'weekday');
+        if (!start) {
+          warnings.push(`Set the term start to place week ${contextWeek.week}`);
+        } else {
+          const weekStart = new Date(start.getFullYear(), start.getMonth(), start.getDate() + (contextWeek.week - 1) * 7);
+          const offset = weekday ? (WEEKDAYS.indexOf(weekday.groups[0].toLowerCase()) - weekStart.getDay() + 7) % 7 : 0;
+          date = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + offset);
+          if (!weekday) warnings.push(`No day given; set to the start of week ${contextWeek.week}`);
+        }
+        if (weekday) matches.push(weekday);
+      }
+
+      const time = findTime(line);
+      if (time) matches.push(time.match);
+      const duration = findDuration(line);
+      if (duration) matches.push(duration.match);
+
+      // "Essay due ..." is an essay; "due" alone only says there is a deadline
+      const keyword = (keywords.find(match => match.value.toLowerCase() !== 'due') || keywords[0]).value.toLowerCase();
+      const defaults = SYLLABUS_KEYWORDS[keyword] || SYLLABUS_KEYWORDS.due;
+      const title = buildTitle(line, matches) || keywords[0].value;
+      const dueDate = date ? `${toDateString(date)}${time ? `T${time.time}` : ''}` : '';
+
+      const key = `${title.toLowerCase()}|${dueDate}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      proposals.push({
+        id: `proposal-${proposals.length + 1}`,
+        lineNumber: lineIndex + 1,
+        line,
+        title,
+        dueDate,
+        duration: duration ? duration.duration : defaults.duration,
+        priority: defaults.priority,
+        tags: [defaults.tag],
+        keyword,
+        warnings
+      });
+    });
+  });
+
+  return proposals;
+}
@@ -0,0 +1,125 @@
+/**
+ * Tags Module - Eisenhower priority and free-form tags
+ * Tasks used to keep their priority quadrant in a single `tag` string; this
+ * module holds the separate `priority` / `tags` model and migrates the old shape
+ */
+
+/**
+ * Eisenhower priority quadrants, most pressing first
+ */
+export const PRIORITY_LEVELS = [
+  'Urgent & Important',
+  'Important but Not Urgent',
+  'Urgent but Not Important',
+  'Not Urgent & Not Important'
+];
+
+/**
+ * Priority given to migrated tasks whose old `tag` was not a quadrant
+ */
+export const DEFAULT_PRIORITY = 'Important but Not Urgent';
+
+/**
+ * Maximum number of tags on a single task
+ */
+export const MAX_TAGS = 10;
+
+/**
+ * Get the sort rank of a priority (lower is more pressing)
+ * @param {string} priority - Priority quadrant
+ * @returns {number} Rank, or 999 for unknown priorities
+ */
+export function getPriorityRank(priority) {
+  const index = PRIORITY_LEVELS.indexOf(priority);
+  return index === -1 ? 999 : index + 1;
+}
+
+/**
+ * Normalize tags into a clean list
+ * Accepts an array or a comma-separated string; a leading '#' is dropped and
+ * duplicates are removed case-insensitively, keeping the first spelling
+ * @param {Array|string} tags - Raw tags
+ * @returns {Array} Normalized tags
+ */
+export function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  const seen = new Set();
+
+  return list
+    .map(tag => String(tag || '').trim().replace(/^#+/, '').replace(/\s+/g, ' '))
+    .filter(tag => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Get the tags of a task, reading the old single `tag` field when needed
+ * @param {Object} task - Task object
+ * @returns {Array} Tags
+ */
+export function getTaskTags(task) {
+  if (!task) return [];
+  if (Array.isArray(task.tags)) return task.tags;
+  return task.tag && !PRIORITY_LEVELS.includes(task.tag) ? [task.tag] : [];
+}
+
+/**
+ * Get the priority of a task, reading the old single `tag` field when needed
+ * @param {Object} task - Task object
+ * @returns {string|null} Priority quadrant
+ */
+export function getTaskPriority(task) {
+  if (!task) return null;
+  if (task.priority) return task.priority;
+  return PRIORITY_LEVELS.includes(task.tag) ? task.tag : null;
+}
+
+/**
+ * Check whether a task carries a tag (case-insensitive)
+ * @param {Object} task - Task object
+ * @param {string} tag - Tag to look for
+ * @returns {boolean} True when the task has the tag
+ */
+export function hasTag(task, tag) {
+  const wanted = String(tag || '').toLowerCase();
+  return getTaskTags(task).some(taskTag => taskTag.toLowerCase() === wanted);
+}
+
+/**
+ * Convert the old `tag` field into `priority` and `tags`
+ * @param {Object} fields - Task or series template
+ * @returns {Object} Migrated copy, or the same object when nothing changed
+ */
+function migrateFields(fields) {
+  if (!Object.prototype.hasOwnProperty.call(fields, 'tag')) return fields;
+
+  const { tag, ...rest } = fields;
+  const isPriority = PRIORITY_LEVELS.includes(tag);
+  return {
+    ...rest,
+    priority: fields.priority || (isPriority ? tag : DEFAULT_PRIORITY),
+    tags: normalizeTags([...(Array.isArray(fields.tags) ? fields.tags : []), ...(tag && !isPriority ? [tag] : [])])
+  };
+}
+
+/**
+ * Migrate a task stored with the old single `tag` field
+ * @param {Object} task - Stored or imported task
+ * @returns {Object} Task with `priority` and `tags`, or the same object when already migrated
+ */
+export function migrateTaskTags(task) {
+  if (!task || typeof task !== 'object') return task;
+
+  let migrated = migrateFields(task);
+  if (migrated.seriesTemplate && typeof migrated.seriesTemplate === 'object') {
+    const seriesTemplate = migrateFields(migrated.seriesTemplate);
+    if (seriesTemplate !== migrated.seriesTemplate) {
+      migrated = { ...migrated, seriesTemplate };
+    }
+  }
+
+  return migrated;
+}
@@ -3,7 +3,41 @@
 
 import { validateField, validateTask, compileRegex, testRegex, ADVANCED_PATTERNS } from './validators.js';
 import { generateId, generateTimestamp, loadTasks, saveTasks, exportData, importData } from './storage.js';
-import { searchManager, filterTasks, sortTasks } from './search.js';
+import { searchManager, filterTasks, sortTasks, editDistance } from './search.js';
+import { normalizeRecurrence, getNextOccurrence, createNextOccurrence } from './recurrence.js';
+import { validateRecurrence } from './validators.js';
+import { normalizeSubtasks, getSubtaskProgress, getCompletedSubtaskDuration, getCompletedTaskDuration } from './subtasks.js';
+import { migrateTaskTags, normalizeTags, DEFAULT_PRIORITY } from './tags.js';
+import { findDependencyCycle, isBlocked, removeDependencyReferences, computeCriticalPath } from './dependencies.js';
+import { normalizeCourse, getCourseColor, getCourseStats } from './courses.js';
+import { validateCourse } from './validators.js';
+import { generateTagColor } from './utils.js';
+import { LocalStorageAdapter, IndexedDBAdapter } from './storage-adapters.js';
+import { SCHEMA_VERSION, migrateTasks } from './schema.js';
+import { planImport } from './merge.js';
+import { parseCSV, parseCSVRecords, tasksToCSV, guessColumnMapping, csvRowsToTasks } from './csv.js';
+import { tasksToICS, icsToTasks } from './ical.js';
+import { parseQuery, matchesQuery } from './query.js';
+import { normalizeSmartList, getSmartListHash, parseSmartListHash, getSmartListTasks, getSmartListCount } from './smart-lists.js';
+import { validateSmartList } from './validators.js';
+import { analyzeRegexSafety } from './validators.js';
+import { RegexSearchRunner, matchRegexPatterns } from './regex-search.js';
+import { addRecentSearch, getCurrentWord, getAutocompleteOptions } from './autocomplete.js';
+import { parseQuickAdd } from './quick-add.js';
+import { extractPatterns } from './validators.js';
+import { extractSyllabusTasks } from './syllabus.js';
+import { planStudyBlocks, getRemainingDuration } from './scheduler.js';
+import { validateSchedule, validateBlockedTime } from './validators.js';
+import { moveTimeBlock, resizeTimeBlock, getDayBlocks, findFreeSlot, summarizeDayPlan } from './day-planner.js';
+import { validateTimeBlock } from './validators.js';
+import { normalizeCalendarView, getCalendarRange, shiftCalendarAnchor, groupTasksByDay, getWeekViewHours, rescheduleDueDate } from './calendar.js';
+import { groupTasksByQuadrant, getAdjacentPriority, getPriorityCounts } from './matrix.js';
+import { MAX_HISTORY_ENTRIES, getEscalationReason, applyEscalations, getPriorityHistoryEntry, addHistoryEntry } from './escalation.js';
+import { validateEscalation } from './validators.js';
+import { DEFAULT_WORKFLOW, normalizeWorkflow, getTaskStatus, resolveStatusUpdates, getWipLimitError, groupTasksByStatus } from './workflow.js';
+import { validateWorkflow } from './validators.js';
+import { startTimer, pauseTimer, resumeTimer, getTimerHours, stopTimer, createManualEntry, formatTimerClock, getTimeComparison, getTimeTrackingStats } from './timer.js';
+import { validateTimeEntry } from './validators.js';
 
 // Test results storage
 let testResults = {
@@ -37,6 +71,20 @@ function assertThrows(fn, message) {
     }
 }
 
+async function runAsyncTest(testName, testFn) {
+    testResults.total++;
+    try {
+        await testFn();
+        testResults.passed++;
+        testResults.tests.push({ name: testName, status: 'pass', message: 'Test passed' });
+        return true;
+    } catch (error) {
+        testResults.failed++;
+        testResults.tests.push({ name: testName, status: 'fail', message: error.message });
+        return false;
+    }
+}
+
 function runTest(testName, testFn) {
     testResults.total++;
     try {
@@ -136,7 +184,8 @@ function runValidationTests(createTestSection, renderTestResults) {
             title: 'Complete Assignment',
             dueDate: '2024-12-25',
             duration: 2.5,
-            tag: 'Homework',
+            priority: 'Important but Not Urgent',
+            tags: ['Homework', 'Math'],
             description: 'Finish the math assignment'
         };
         const result = validateTask(task);
@@ -149,12 +198,27 @@ function runValidationTests(createTestSection, renderTestResults) {
             title: 'Complete Assignment',
             dueDate: '2024-12-25',
             duration: 2.5
-            // Missing tag
+            // Missing priority
         };
         const result = validateTask(task);
         assert(!result.isValid, 'Task missing required field should fail validation');
     });
 
+    runTest('Complete task validation - checklist items', () => {
+        const task = {
+            title: 'Research Paper',
+            dueDate: '2024-12-28',
+            duration: 8,
+            priority: 'Important but Not Urgent',
+            subtasks: [{ title: 'Outline', duration: 1 }, { title: 'Draft', duration: 4 }]
+        };
+        assert(validateTask(task).isValid, 'Task with valid checklist should pass validation');
+
+        task.subtasks.push({ title: ' ', duration: 1 });
+        const result = validateTask(task);
+        assert(!result.isValid && result.errors.subtasks, 'Blank checklist item should fail validation');
+    });
+
     section.innerHTML = renderTestResults();
 }
 
@@ -288,6 +352,30 @@ function runStorageTests(createTestSection, renderTestResults) {
         assert(result.errors.length > 0, 'Should report import errors');
     });
 
+    runTest('Schema migrations upgrade old data', () => {
+        const [task] = migrateTasks([{ id: 'm1', title: 'Old task', tag: 'Urgent & Important' }], '1.0');
+        assertEqual(task.priority, 'Urgent & Important', 'Version 1 tasks get a priority');
+        assertEqual(task.tag, undefined, 'Old tag field is removed');
+
+        const current = [{ id: 'm2', title: 'Current', priority: 'Important but Not Urgent', tags: [] }];
+        assertEqual(migrateTasks(current, SCHEMA_VERSION), current, 'Current data is left untouched');
+        assertEqual(JSON.parse(exportData([], {})).version, SCHEMA_VERSION, 'Exports record the schema version');
+    });
+
+    runTest('Loading unversioned tasks runs migrations', () => {
+        localStorage.setItem('campus-life-planner-data', JSON.stringify([{ id: 'm3', title: 'Legacy', dueDate: '2025-10-06', duration: 1, tag: 'Essay' }]));
+        localStorage.removeItem('campus-life-planner-data-version');
+        const [task] = loadTasks();
+        assertEqual(task.tags.join(','), 'Essay', 'Free-form tag becomes a tag');
+        assertEqual(localStorage.getItem('campus-life-planner-data-version'), String(SCHEMA_VERSION), 'Stored schema version is updated');
+    });
+
+    runTest('Import from a newer schema is rejected', () => {
+        const result = importData(JSON.stringify({ version: SCHEMA_VERSION + 1, tasks: [{ id: 'x', title: 'Future task' }] }));
+        assert(!result.success, 'Newer files should not be imported');
+        assert(result.errors[0].includes('newer version'), 'Error should explain the version mismatch');
+    });
+
     section.innerHTML = renderTestResults();
 }
 
@@ -332,6 +420,74 @@ function runSearchTests(createTestSection, renderTestResults) {
         assert(results.length === 1, 'Case insensitive search should find match');
     });
 
+    runTest('Plain-text search ranks with BM25', () => {
+        const tasks = [
+            { id: '1', title: 'Reading', description: 'exam notes, exam questions and more exam practice', tags: [] },
+            { id: '2', title: 'Exam', description: '', tags: ['exam'] },
+            { id: '3', title: 'Lab report', description: 'the cat', tags: [] }
+        ];
+
+        searchManager.initialize(tasks);
+        const results = searchManager.searchTasks('exam', tasks);
+        assertEqual(results.map(result => result.task.id).join(','), '2,1', 'Short task with the word in its title ranks first');
+        assert(results[0].score > results[1].score, 'Scores are ordered');
+        assertEqual(searchManager.searchTasks('he', tasks).map(result => result.task.id).join(','), '3', 'Text inside stop words is still found');
+    });
+
+    runTest('Search index follows task changes', () => {
+        const tasks = [
+            { id: '1', title: 'Essay draft', description: '', tags: [] },
+            { id: '2', title: 'Quiz', description: '', tags: [] }
+        ];
+
+        searchManager.initialize(tasks);
+        const renamed = [tasks[0], { ...tasks[1], title: 'Essay outline' }];
+        searchManager.indexTask(renamed[1]);
+        assertEqual(searchManager.searchTasks('essay', renamed).length, 2, 'Updated task is re-indexed');
+
+        searchManager.removeFromIndex('1');
+        assertEqual(searchManager.searchTasks('draft', [renamed[1]]).length, 0, 'Deleted task is gone');
+        assert(!searchManager.index.index.has('draft'), 'Its terms are dropped from the index');
+
+        const edited = [{ ...renamed[1], title: 'Lab' }];
+        assertEqual(searchManager.searchTasks('lab', edited).length, 1, 'Tasks changed elsewhere are re-indexed on search');
+
+        const replaced = [{ id: '9', title: 'Chemistry lab', description: '', tags: [] }];
+        assertEqual(searchManager.searchTasks('chemistry', replaced).length, 1, 'Replacement tasks are indexed');
+        assert(!searchManager.index.documents.has('2'), 'Tasks missing from the list are dropped');
+        assertEqual(searchManager.getDidYouMean('outlin', replaced), null, 'Removed tasks give no corrections');
+    });
+
+    runTest('Fuzzy search ranks near-misses', () => {
+        const tasks = [
+            { id: '1', title: 'Calculus problem set', description: '', tags: [] },
+            { id: '2', title: 'Physics lab', description: '', tags: [] },
+            { id: '3', title: 'Reading', description: 'calculus chapter 2', tags: [] }
+        ];
+
+        assertEqual(editDistance('physcis', 'physics'), 1, 'Swapped letters are one edit');
+        assertEqual(editDistance('calclus', 'calculus'), 1, 'Missing letter is one edit');
+        searchManager.initialize(tasks);
+        assertEqual(searchManager.searchTasks('calclus', tasks).length, 0, 'Strict search finds nothing');
+        const results = searchManager.searchTasks('calclus', tasks, { fuzzy: true });
+        assertEqual(results.map(result => result.task.id).join(','), '1,3', 'Fuzzy search finds both, title match first');
+        assertEqual(results[0].highlightedFields.title, '<mark>Calculus</mark> problem set', 'Corrected word is highlighted');
+        assertEqual(searchManager.searchTasks('lab', tasks, { fuzzy: true }).length, 1, 'Short words are not fuzzed');
+    });
+
+    runTest('Did you mean and typo-tolerant suggestions', () => {
+        const tasks = [
+            { id: '1', title: 'Calculus problem set', description: '', tags: [] },
+            { id: '2', title: 'Physics lab', description: '', tags: [] }
+        ];
+
+        searchManager.initialize(tasks);
+        assertEqual(searchManager.getDidYouMean('physcis OR calclus', tasks).query, 'physics OR calculus', 'Misspelled words corrected');
+        assertEqual(searchManager.getDidYouMean('physics', tasks), null, 'No correction for words that are found');
+        assertEqual(searchManager.getSuggestions('calc', tasks).join(','), 'calculus', 'Prefix suggestions');
+        assertEqual(searchManager.getSuggestions('clacu', tasks).join(','), 'calculus', 'Suggestions tolerate typos');
+    });
+
     runTest('Filter tasks by tag', () => {
         const tasks = [
             { id: '1', title: 'Math Homework', description: 'Complete calculus problems', tag: 'Homework' },
@@ -376,6 +532,1189 @@ function runSearchTests(createTestSection, renderTestResults) {
     section.innerHTML = renderTestResults();
 }
 
+function runRecurrenceTests(createTestSection, renderTestResults) {
+    const section = createTestSection('Recurrence Tests');
+
+    runTest('Daily recurrence - every 2 days', () => {
+        const rule = normalizeRecurrence({ freq: 'daily', interval: 2 }, '2025-03-03');
+        const next = getNextOccurrence(rule, '2025-03-03', 1);
+        assertEqual(next.date, '2025-03-05', 'Next daily occurrence');
+        assertEqual(next.index, 2, 'Occurrence index');
+    });
+
+    runTest('Weekly recurrence - chosen weekdays', () => {
+        // 2025-03-03 is a Monday; repeat Mon/Wed
+        const rule = normalizeRecurrence({ freq: 'weekly', byWeekday: [1, 3] }, '2025-03-03');
+        assertEqual(getNextOccurrence(rule, '2025-03-03', 1).date, '2025-03-05', 'Monday should be followed by Wednesday');
+        assertEqual(getNextOccurrence(rule, '2025-03-05', 2).date, '2025-03-10', 'Wednesday should be followed by next Monday');
+    });
+
+    runTest('Weekly recurrence - every 2 weeks', () => {
+        const rule = normalizeRecurrence({ freq: 'weekly', interval: 2 }, '2025-03-03');
+        assertEqual(getNextOccurrence(rule, '2025-03-03', 1).date, '2025-03-17', 'Should skip a week');
+    });
+
+    runTest('Recurrence - skipped dates and count', () => {
+        const rule = normalizeRecurrence({ freq: 'daily', count: 3, exceptions: ['2025-03-04'] }, '2025-03-03');
+        const next = getNextOccurrence(rule, '2025-03-03', 1);
+        assertEqual(next.date, '2025-03-05', 'Skipped date should be passed over');
+        assert(getNextOccurrence(rule, next.date, next.index) === null, 'Series should end after count occurrences');
+    });
+
+    runTest('Recurrence - until date ends the series', () => {
+        const rule = normalizeRecurrence({ freq: 'weekly', until: '2025-03-09' }, '2025-03-03');
+        assert(getNextOccurrence(rule, '2025-03-03', 1) === null, 'No occurrence after the until date');
+    });
+
+    runTest('Next occurrence keeps time and series values', () => {
+        const task = {
+            id: 'task_a',
+            title: 'Moved lab',
+            dueDate: '2025-03-04T16:00',
+            duration: 2,
+            tag: 'Lab',
+            recurrence: normalizeRecurrence({ freq: 'weekly' }, '2025-03-03T09:00'),
+            seriesId: 'task_a',
+            occurrenceDate: '2025-03-03',
+            occurrenceIndex: 1,
+            seriesTemplate: { title: 'Weekly lab', duration: 2, tag: 'Lab', description: '', time: '09:00' }
+        };
+        const next = createNextOccurrence(task);
+        assertEqual(next.dueDate, '2025-03-10T09:00', 'Next occurrence should follow the original schedule');
+        assertEqual(next.title, 'Weekly lab', 'Next occurrence should use series values');
+    });
+
+    runTest('Recurrence validation - rejects bad rules', () => {
+        assert(validateRecurrence({ freq: 'weekly', byWeekday: [1] }, '2025-03-03').isValid, 'Valid rule should pass');
+        assert(!validateRecurrence({ freq: 'yearly' }).isValid, 'Unknown frequency should fail');
+        assert(!validateRecurrence({ freq: 'daily', interval: 0 }).isValid, 'Zero interval should fail');
+        assert(!validateRecurrence({ freq: 'daily', until: '2025-01-01' }, '2025-03-03').isValid, 'Until before start should fail');
+    });
+
+    section.innerHTML = renderTestResults();
+}
+
+function runSubtaskTests(createTestSection, renderTestResults) {
+    const section = createTestSection('Subtask Tests');
+
+    runTest('Checklist progress - weighted by duration', () => {
+        const task = { subtasks: normalizeSubtasks([
+            { title: 'Outline', duration: 1, completed: true },
+            { title: 'Draft', duration: 3 }
+        ]) };
+        const progress = getSubtaskProgress(task);
+        assertEqual(progress.done, 1, 'Done count');
+        assertEqual(progress.percent, 25, 'Progress should be weighted by duration');
+    });
+
+    runTest('Checklist progress - by count without durations', () => {
+        const task = { subtasks: normalizeSubtasks([
+            { title: 'Outline', completed: true },
+            { title: 'Sources', completed: true },
+            { title: 'Draft' }
+        ]) };
+        assertEqual(getSubtaskProgress(task).percent, 67, 'Progress should be by item count');
+    });
+
+    runTest('Completed checklist duration within window', () => {
+        const now = new Date();
+        const recent = new Date(now.getTime() - 24 * 60 * 60 * 1000).toISOString();
+        const old = new Date(now.getTime() - 10 * 24 * 60 * 60 * 1000).toISOString();
+        const task = { subtasks: [
+            { id: 'a', title: 'Outline', duration: 1, completed: true, completedAt: recent },
+            { id: 'b', title: 'Sources', duration: 2, completed: true, completedAt: old },
+            { id: 'c', title: 'Draft', duration: 4, completed: false, completedAt: null }
+        ] };
+        const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+        assertEqual(getCompletedSubtaskDuration(task, weekAgo, now), 1, 'Only items completed this week should count');
+
+        const capped = { ...task, duration: 2.5 };
+        assertEqual(getCompletedSubtaskDuration(capped, weekAgo, now), 0.5, 'Credit stops at the task duration, counting earlier items first');
+        assertEqual(getCompletedSubtaskDuration({ ...task, duration: 0.5 }, weekAgo, now), 0, 'No credit once earlier items used the duration up');
+    });
+
+    runTest('Checklist and completion credit add up to the duration across weeks', () => {
+        const day = 24 * 60 * 60 * 1000;
+        const weekOneEnd = new Date(2025, 9, 8, 12);
+        const weekTwoEnd = new Date(weekOneEnd.getTime() + 7 * day);
+        const task = { duration: 5, completed: true, completedAt: new Date(weekTwoEnd.getTime() - day).toISOString(), subtasks: [
+            { id: 'a', title: 'Outline', duration: 2, completed: true, completedAt: new Date(weekOneEnd.getTime() - 2 * day).toISOString() },
+            { id: 'b', title: 'Draft', duration: 2, completed: true, completedAt: new Date(weekTwoEnd.getTime() - 2 * day).toISOString() }
+        ] };
+        const credit = (end) => {
+            const from = new Date(end.getTime() - 7 * day);
+            return task.completedAt && new Date(task.completedAt) <= end
+                ? getCompletedTaskDuration(task, from, end)
+                : getCompletedSubtaskDuration(task, from, end);
+        };
+        assertEqual(credit(weekOneEnd), 2, 'First week credits the checked-off item');
+        assertEqual(credit(weekTwoEnd), 3, 'Completion week credits the rest of the duration');
+        assertEqual(getCompletedTaskDuration({ ...task, duration: 1 }, new Date(weekTwoEnd.getTime() - 7 * day), weekTwoEnd), 0, 'Never negative');
+    });
+
+    section.innerHTML = renderTestResults();
+}
+
+function runTagTests(createTestSection, renderTestResults) {
+    const section = createTestSection('Priority and Tag Tests');
+
+    runTest('Legacy tag migrates to priority or tags', () => {
+        const quadrant = migrateTaskTags({ id: '1', title: 'Exam prep', tag: 'Urgent & Important' });
+        assertEqual(quadrant.priority, 'Urgent & Important', 'Quadrant tag becomes the priority');
+        assertEqual(quadrant.tags.length, 0, 'Quadrant tag is not kept as a tag');
+        assert(!('tag' in quadrant), 'Old tag field should be removed');
+
+        const freeForm = migrateTaskTags({ id: '2', title: 'Essay', tag: 'Essay', seriesTemplate: { title: 'Essay', tag: 'Essay' } });
+        assertEqual(freeForm.priority, 'Important but Not Urgent', 'Free-form tag gets the default priority');
+        assertEqual(freeForm.tags.join(','), 'Essay', 'Free-form tag becomes a tag');
+        assertEqual(freeForm.seriesTemplate.tags.join(','), 'Essay', 'Series template is migrated too');
+    });
+
+    runTest('Normalize tags from form input', () => {
+        assertEqual(normalizeTags(' #Math, lab ,math,, Problem  Set').join('|'), 'Math|lab|Problem Set', 'Tags should be trimmed and de-duplicated');
+    });
+
+    runTest('Filter and sort with priority and multiple tags', () => {
+        const tasks = [
+            { id: '1', title: 'Problem set', priority: 'Important but Not Urgent', tags: ['Math', 'Homework'] },
+            { id: '2', title: 'Lab report', priority: 'Urgent & Important', tags: ['Physics', 'Lab'] },
+            { id: '3', title: 'Quiz', priority: 'Urgent & Important', tags: ['Math'] }
+        ];
+        assertEqual(filterTasks(tasks, { tag: 'math' }).map(t => t.id).join(','), '1,3', 'Tag filter should match any tag');
+        assertEqual(filterTasks(tasks, { priority: 'Urgent & Important' }).length, 2, 'Priority filter');
+        assertEqual(sortTasks(tasks, 'priority')[0].priority, 'Urgent & Important', 'Priority sort uses the priority field');
+    });
+
+    runTest('Import migrates legacy tag field', () => {
+        const result = importData(JSON.stringify({
+            tasks: [{ id: 'old-1', title: 'Old task', dueDate: '2024-12-25', duration: 1, tag: 'Reading' }]
+        }));
+        assertEqual(result.tasks.length, 1, 'Legacy task should be imported');
+        assertEqual(result.tasks[0].tags.join(','), 'Reading', 'Legacy tag should become a tag');
+    });
+
+    section.innerHTML = renderTestResults();
+}
+
+function runDependencyTests(createTestSection, renderTestResults) {
+    const section = createTestSection('Dependency Tests');
+
+    runTest('Dependency cycle detection', () => {
+        const tasks = [
+            { id: 'a', title: 'Proposal' },
+            { id: 'b', title: 'Prototype', blockedBy: ['a'] },
+            { id: 'c', title: 'Report', blockedBy: ['b'] }
+        ];
+        const cycle = findDependencyCycle(tasks, 'a', ['c']);
+        assert(cycle !== null, 'Blocking the first milestone on the last should form a cycle');
+        assertEqual(cycle.join('>'), 'a>c>b>a', 'Cycle path');
+        assertEqual(findDependencyCycle(tasks, 'c', ['a', 'b']), null, 'Extra forward dependency is not a cycle');
+    });
+
+    runTest('Blocked state and cleanup after delete', () => {
+        const tasks = [
+            { id: 'a', title: 'Proposal', completed: false },
+            { id: 'b', title: 'Prototype', completed: true },
+            { id: 'c', title: 'Report', blockedBy: ['a', 'b'] }
+        ];
+        assert(isBlocked(tasks[2], tasks), 'Task waiting on an incomplete task is blocked');
+        const remaining = removeDependencyReferences(tasks.filter(t => t.id !== 'a'), ['a']);
+        assertEqual(remaining[1].blockedBy.join(','), 'b', 'Deleted task should be removed from blockedBy');
+        assert(!isBlocked(remaining[1], remaining), 'Only completed blockers remain');
+    });
+
+    runTest('Critical path flags the late task', () => {
+        const now = new Date('2025-10-06T09:00');
+        const tasks = [
+            { id: 'a', title: 'Research', dueDate: '2025-10-06T12:00', duration: 5 },
+            { id: 'b', title: 'Slides', dueDate: '2025-10-07T12:00', duration: 2 },
+            { id: 'c', title: 'Presentation', dueDate: '2025-10-07T18:00', duration: 1, blockedBy: ['a', 'b'] }
+        ];
+        const result = computeCriticalPath(tasks, now);
+        assertEqual(result.path.map(step => step.id).join('>'), 'a>c', 'Longest chain should lead to the final task');
+        assertEqual(result.finalTaskId, 'c', 'Final task');
+        assertEqual(result.lateTaskIds.join(','), 'a', 'Research finishes after its due time');
+        assertEqual(result.slack, 27, 'Final task slack in hours');
+    });
+
+    section.innerHTML = renderTestResults();
+}
+
+function runCourseTests(createTestSection, renderTestResults) {
+    const section = createTestSection('Course Tests');
+
+    runTest('Course normalization and validation', () => {
+        const course = normalizeCourse({ code: '  math   201 ', name: ' Calculus II ', credits: '4', color: '#4F46E5' });
+        assertEqual(course.code, 'MATH 201', 'Code should be uppercased with single spaces');
+        assertEqual(course.credits, 4, 'Credits should be a number');
+        assertEqual(course.color, '#4f46e5', 'Colour should be lowercased');
+        assert(validateCourse(course, []).isValid, 'Normalized course should be valid');
+
+        const duplicate = normalizeCourse({ code: 'Math 201', name: 'Another section' });
+        assert(!validateCourse(duplicate, [course]).isValid, 'Duplicate course code should be rejected');
+        assert(!validateCourse({ ...course, color: 'blue' }, []).isValid, 'Colour must be a hex colour');
+    });
+
+    runTest('Course colours are always hex colours', () => {
+        const course = normalizeCourse({ code: 'CS 101', name: 'Programming', color: '#fff" onmouseover="alert(1)' });
+        assertEqual(course.color, generateTagColor('CS 101'), 'Unsafe colour replaced with the default');
+        assertEqual(getCourseColor({ code: 'CS 101', color: 'red;background:url(x)' }), generateTagColor('CS 101'), 'Stored colours are checked before use');
+        assertEqual(getCourseColor({ code: 'CS 101', color: '#10B981' }), '#10B981', 'Hex colours are kept');
+    });
+
+    runTest('Per-course stats', () => {
+        const now = new Date('2025-10-06T09:00');
+        const courses = [{ id: 'c1', code: 'CS 101', name: 'Programming', color: '#10b981', credits: 3 }];
+        const tasks = [
+            { id: '1', courseId: 'c1', dueDate: '2025-10-01', duration: 2, completed: true },
+            { id: '2', courseId: 'c1', dueDate: '2025-10-03', duration: 1.5, completed: false },
+            { id: '3', dueDate: '2025-10-10', duration: 1, completed: false }
+        ];
+        const [cs, unassigned] = getCourseStats(tasks, courses, now);
+        assertEqual(cs.totalTasks, 2, 'Course task count');
+        assertEqual(cs.completedDuration, 2, 'Completed hours');
+        assertEqual(cs.overdueTasks, 1, 'Overdue count');
+        assertEqual(unassigned.courseId, null, 'Tasks without a course are grouped separately');
+        assertEqual(unassigned.totalTasks, 1, 'Unassigned task count');
+    });
+
+    runTest('Filter tasks by course', () => {
+        const tasks = [
+            { id: '1', title: 'Essay', courseId: 'c1' },
+            { id: '2', title: 'Lab', courseId: 'c2' },
+            { id: '3', title: 'Groceries' }
+        ];
+        assertEqual(filterTasks(tasks, { courseId: 'c1' }).map(t => t.id).join(','), '1', 'Filter by course');
+        assertEqual(filterTasks(tasks, { courseId: 'none' }).map(t => t.id).join(','), '3', "'none' keeps tasks without a course");
+        assertEqual(filterTasks(tasks, { courseId: '' }).length, 3, 'Empty filter keeps all tasks');
+    });
+
+    section.innerHTML = renderTestResults();
+}
+
+function runImportMergeTests(createTestSection, renderTestResults) {
+    const section = createTestSection('Import Merge Tests');
+
+    const mine = [
+        { id: 'a', title: 'Essay draft', updatedAt: '2025-10-01T10:00:00Z' },
+        { id: 'b', title: 'Lab report', updatedAt: '2025-10-05T10:00:00Z' },
+        { id: 'c', title: 'Reading', updatedAt: '2025-10-02T10:00:00Z' }
+    ];
+    const shared = [
+        { id: 'a', title: 'Essay final', updatedAt: '2025-10-03T10:00:00Z' },
+        { id: 'b', title: 'Lab report (old)', updatedAt: '2025-10-04T10:00:00Z' },
+        { id: 'c', title: 'Reading', updatedAt: '2025-10-02T10:00:00Z' },
+        { id: 'd', title: 'Quiz prep', updatedAt: '2025-10-03T10:00:00Z', blockedBy: ['a'] }
+    ];
+
+    runTest('Merge by ID keeps the newest version', () => {
+        const plan = planImport(mine, shared, { mode: 'merge' });
+        assertEqual(plan.added.map(t => t.id).join(','), 'd', 'New task is added');
+        assertEqual(plan.updated.map(t => t.id).join(','), 'a', 'Newer imported task wins');
+        assertEqual(plan.skipped.map(t => t.id).join(','), 'b,c', 'Older and identical tasks are skipped');
+        assertEqual(plan.conflicts.length, 2, 'Both changed tasks are reported as conflicts');
+        assertEqual(plan.tasks.find(t => t.id === 'a').title, 'Essay final', 'Result holds the newer title');
+        assertEqual(mine[0].title, 'Essay draft', 'Planning does not modify current tasks');
+    });
+
+    runTest('Review mode applies manual resolutions', () => {
+        const plan = planImport(mine, shared, { mode: 'review', resolutions: { a: 'current', b: 'incoming' } });
+        assertEqual(plan.tasks.find(t => t.id === 'a').title, 'Essay draft', 'Kept my version');
+        assertEqual(plan.tasks.find(t => t.id === 'b').title, 'Lab report (old)', 'Took the imported version');
+    });
+
+    runTest('Append gives clashing tasks new IDs', () => {
+        const plan = planImport(mine, shared, { mode: 'append' });
+        assertEqual(plan.tasks.length, 6, 'Identical task is skipped, the rest are appended');
+        assertEqual(new Set(plan.tasks.map(t => t.id)).size, 6, 'All IDs are unique');
+        const quiz = plan.added.find(t => t.title === 'Quiz prep');
+        const essay = plan.added.find(t => t.title === 'Essay final');
+        assertEqual(quiz.blockedBy[0], essay.id, 'Dependencies follow the new IDs');
+    });
+
+    runTest('Replace previews removed tasks', () => {
+        const plan = planImport(mine, shared.slice(0, 2), { mode: 'replace' });
+        assertEqual(plan.removed.map(t => t.id).join(','), 'c', 'Tasks missing from the file are removed');
+        assertEqual(plan.tasks.length, 2, 'Result holds only imported tasks');
+    });
+
+    runTest('Imported courses are checked before they are registered', () => {
+        const incomingCourses = [
+            { id: 'c1', code: 'bio 101', name: 'Biology', color: '#10B981', credits: 4 },
+            { id: 'c2', code: 'CHEM 110', name: 'Chemistry', color: '#fff" onmouseover="alert(1)' },
+            { id: 'c3', code: '<b>', name: 'Broken' }
+        ];
+        const tasks = [{ id: 'e', title: 'Lab', courseId: 'c3', updatedAt: '2025-10-03T10:00:00Z' }];
+        ['merge', 'replace'].forEach(mode => {
+            const plan = planImport([], tasks, { mode, incomingCourses });
+            assertEqual(plan.courses.map(c => c.code).join(','), 'BIO 101,CHEM 110', `${mode}: invalid course dropped`);
+            assertEqual(plan.courses[0].color, '#10b981', `${mode}: courses are normalized`);
+            assert(/^#[0-9a-f]{6}$/.test(plan.courses[1].color), `${mode}: unsafe colour replaced`);
+            assert(!plan.tasks[0].courseId, `${mode}: links to the dropped course are cleared`);
+            assert(plan.warnings.some(w => w.includes('Skipped course')), `${mode}: dropped course reported`);
+        });
+    });
+
+    section.innerHTML = renderTestResults();
+}
+
+function runCsvTests(createTestSection, renderTestResults) {
+    const section = createTestSection('CSV Tests');
+
+    runTest('RFC 4180 parsing', () => {
+        const rows = parseCSV('Title,Notes\r\n"Essay, draft","Say ""hi""\nthen leave"\r\nQuiz,\r\n');
+        assertEqual(rows.length, 3, 'Row count');
+        assertEqual(rows[1][0], 'Essay, draft', 'Quoted delimiter');
+        assertEqual(rows[1][1], 'Say "hi"\nthen leave', 'Escaped quotes and embedded line break');
+        assertEqual(rows[2][1], '', 'Empty trailing field');
+    });
+
+    runTest('Export uses date format, time unit and quoting', () => {
+        const csv = tasksToCSV([
+            { id: '1', title: 'Lab, part 2', dueDate: '2025-10-06T09:30', duration: 1.5, priority: 'Urgent & Important', tags: ['Lab', 'Bio'] }
+        ], { columns: ['title', 'dueDate', 'dueTime', 'duration', 'tags'], settings: { dateFormat: 'DD/MM/YYYY', timeUnit: 'minutes' } });
+        const [header, row] = parseCSV(csv);
+        assertEqual(header.join('|'), 'Title|Due Date|Due Time|Duration (minutes)|Tags', 'Header row');
+        assertEqual(row.join('|'), 'Lab, part 2|06/10/2025|09:30|90|Lab; Bio', 'Data row');
+        assert(csv.includes('"Lab, part 2"'), 'Fields with commas are quoted');
+    });
+
+    runTest('Import maps columns and reports row errors', () => {
+        const rows = parseCSV('Assignment,Deadline,Hours,Class\nEssay,10/20/2030,2,HIST 110\n,10/21/2030,1,\nQuiz,13/40/2030,1,\n');
+        const mapping = guessColumnMapping(rows[0]);
+        assertEqual(mapping.title, 0, 'Title column recognised');
+        assertEqual(mapping.dueDate, 1, 'Date column recognised');
+
+        const courses = [{ id: 'c1', code: 'HIST 110', name: 'World History' }];
+        const { tasks, errors } = csvRowsToTasks(rows, mapping, { dateFormat: 'MM/DD/YYYY', courses });
+        assertEqual(tasks.length, 1, 'Only the valid row becomes a task');
+        assertEqual(tasks[0].dueDate, '2030-10-20', 'Date converted to ISO');
+        assertEqual(tasks[0].courseId, 'c1', 'Course matched by code');
+        assertEqual(errors.map(e => e.row).join(','), '3,4', 'Invalid rows reported with file row numbers');
+    });
+
+    runTest('Error rows use file lines after multi-line cells', () => {
+        const { rows, lines } = parseCSVRecords('Title,Notes,Due,Hours\r\nEssay,"Outline\r\nthen draft",2030-10-20,2\r\n,"One\ntwo\nthree",2030-10-21,1\r\nQuiz,,2030-13-01,1\r\n');
+        assertEqual(lines.join(','), '1,2,4,7', 'Records start after the embedded line breaks');
+        const { errors } = csvRowsToTasks(rows, { title: 0, description: 1, dueDate: 2, duration: 3 }, { lines });
+        assertEqual(errors.map(e => e.row).join(','), '4,7', 'Errors point at the lines the records start on');
+    });
+
+    runTest('Completed rows keep their completion time', () => {
+        const rows = parseCSV('Title,Due,Hours,Done,Completed On\nEssay,2030-10-20,2,yes,2030-10-19 14:30\nQuiz,2030-10-20,1,yes,\nLab,2030-10-20,1,no,2030-10-18\nTalk,2030-10-20,1,yes,someday\n');
+        const { tasks, errors } = csvRowsToTasks(rows, guessColumnMapping(rows[0]));
+        assertEqual(tasks[0].completedAt, new Date(2030, 9, 19, 14, 30).toISOString(), 'Completion date column used');
+        assertEqual(tasks[1].completedAt, tasks[1].updatedAt, 'Empty cell falls back to the import time');
+        assert(!tasks[2].completed && !tasks[2].completedAt, 'Open rows get no completion time');
+        assertEqual(errors.map(e => e.row).join(','), '5', 'Unreadable completion date reported');
+
+        const plain = parseCSV('Title,Due,Hours,Completed\nEssay,2030-10-20,2,yes\n');
+        const [task] = csvRowsToTasks(plain, guessColumnMapping(plain[0])).tasks;
+        assert(task.completed && task.completedAt, 'Completed rows without the column still get a completion time');
+
+        const exported = parseCSV(tasksToCSV([tasks[0]], { columns: ['title', 'dueDate', 'duration', 'completed', 'completedAt'] }));
+        assertEqual(csvRowsToTasks(exported, guessColumnMapping(exported[0])).tasks[0].completedAt, tasks[0].completedAt, 'Exported completion time round-trips');
+    });
+
+    section.innerHTML = renderTestResults();
+}
+
+function runQueryTests(createTestSection, renderTestResults) {
+    const section = createTestSection('Query Language Tests');
+    const now = new Date(2025, 9, 8, 12); // Wednesday 8 October 2025
+    const tasks = [
+        { id: '1', title: 'Midterm exam', dueDate: '2025-10-09', duration: 3, priority: 'Urgent & Important', tags: ['exam', 'math'], completed: false },
+        { id: '2', title: 'Quiz 3', dueDate: '2025-10-07T09:00', duration: 0.5, priority: 'Urgent but Not Important', tags: ['quiz'], completed: false },
+        { id: '3', title: 'Essay', description: 'Lab report on enzymes', dueDate: '2025-10-20', duration: 4, priority: 'Important but Not Urgent', tags: ['writing'], completed: true }
+    ];
+    const run = (query) => {
+        const parsed = parseQuery(query);
+        assert(parsed.success, `"${query}" should parse: ${parsed.error}`);
+        return tasks.filter(task => matchesQuery(task, parsed.ast, { now, tasks })).map(task => task.id).join(',');
+    };
+
+    runTest('Parses operators, precedence and errors', () => {
+        const { ast } = parseQuery('tag:exam OR (is:overdue -is:completed)');
+        assertEqual(ast.type, 'or', 'OR binds loosest');
+        assertEqual(ast.nodes[1].type, 'and', 'Adjacent terms are ANDed');
+        assertEqual(ast.nodes[1].nodes[1].type, 'not', '-term negates');
+        assertEqual(parseQuery('"lab report"').ast.phrase, true, 'Quoted phrase');
+        assert(!parseQuery('(exam').success, 'Unbalanced parenthesis is an error');
+        assert(!parseQuery('due:2025-13-01').success, 'Invalid date is an error');
+        assert(!parseQuery('is:someday').success, 'Unknown is: value is an error');
+    });
+
+    runTest('Field operators', () => {
+        assertEqual(run('exam due:this-week duration:>2'), '1', 'Exam tasks due this week longer than 2h');
+        assertEqual(run('due:<2025-10-09'), '2', 'Due before a date');
+        assertEqual(run('due:2025-10-01..2025-10-09'), '1,2', 'Due in a date range');
+        assertEqual(run('duration:<=30m'), '2', 'Duration with a minute unit');
+        assertEqual(run('is:overdue'), '2', 'Overdue open tasks');
+        assertEqual(run('priority:1 tag:math'), '1', 'Priority rank and tag');
+    });
+
+    runTest('Boolean logic, phrases and regex terms', () => {
+        assertEqual(run('tag:exam OR tag:quiz'), '1,2', 'OR');
+        assertEqual(run('NOT tag:exam -is:completed'), '2', 'NOT and -term');
+        assertEqual(run('(exam OR essay) is:open'), '1', 'Parentheses');
+        assertEqual(run('"lab report"'), '3', 'Phrase matches the description');
+        assertEqual(run('/^quiz \\d+$/i'), '2', 'Regex literal');
+    });
+
+    runTest('Search and filters use the query language', () => {
+        searchManager.initialize(tasks);
+        assertEqual(searchManager.searchTasks('is:open exam', tasks).map(result => result.task.id).join(','), '1', 'Structured search');
+        assertEqual(searchManager.searchTasks('/^QUIZ/', tasks, { caseSensitive: true }).length, 0, 'Regex mode honours case sensitivity');
+        assertEqual(searchManager.searchTasks('(exam', tasks).length, 0, 'Invalid query finds nothing');
+        assert(searchManager.lastError, 'Invalid query reports an error');
+        assertEqual(filterTasks(tasks, { query: 'is:open', tag: 'quiz' }).map(task => task.id).join(','), '2', 'Query combined with filters');
+    });
+
+    section.innerHTML = renderTestResults();
+}
+
+function runSmartListTests(createTestSection, renderTestResults) {
+    const section = createTestSection('Smart List Tests');
+    const tasks = [
+        { id: '1', title: 'Midterm exam', dueDate: '2030-10-09', duration: 3, priority: 'Urgent & Important', tags: ['exam', 'math'], completed: false },
+        { id: '2', title: 'Quiz', dueDate: '2030-10-07', duration: 1, priority: 'Urgent & Important', tags: ['exam'], completed: true },
+        { id: '3', title: 'Essay', dueDate: '2030-10-20', duration: 4, priority: 'Important but Not Urgent', tags: ['writing'], completed: false, courseId: 'c1' }
+    ];
+
+    runTest('Normalizes lists and round-trips the URL hash', () => {
+        const list = normalizeSmartList({ name: '  Exams   soon ', query: ' tag:exam ', activeFilters: { tag: '', courseId: 'c1' }, sortBy: 'date-asc' });
+        assert(list.id, 'ID generated');
+        assertEqual(list.name, 'Exams soon', 'Name trimmed');
+        assertEqual(JSON.stringify(list.activeFilters), '{"courseId":"c1"}', 'Empty filters dropped');
+        assertEqual(parseSmartListHash(`#${getSmartListHash(list)}`), list.id, 'Hash opens the list');
+        assertEqual(parseSmartListHash('#tasks'), null, 'Section hashes are not lists');
+    });
+
+    runTest('Lists combine the query with saved filters', () => {
+        const exams = normalizeSmartList({ name: 'Exams', query: 'tag:exam', activeFilters: { tag: 'math' } });
+        assertEqual(getSmartListTasks(exams, tasks).map(task => task.id).join(','), '1', 'Query and tag filter both apply');
+        const course = normalizeSmartList({ name: 'Course', query: '', activeFilters: { courseId: 'c1' } });
+        assertEqual(getSmartListTasks(course, tasks).map(task => task.id).join(','), '3', 'Filter-only list');
+        const caseSensitive = normalizeSmartList({ name: 'Case', query: 'midterm', caseSensitive: true });
+        assertEqual(getSmartListTasks(caseSensitive, tasks).length, 0, 'Case option is kept');
+    });
+
+    runTest('Live count only includes open tasks', () => {
+        const exams = normalizeSmartList({ name: 'Exams', query: 'tag:exam' });
+        assertEqual(getSmartListTasks(exams, tasks).length, 2, 'Both exam tasks match');
+        assertEqual(getSmartListCount(exams, tasks), 1, 'Completed task not counted');
+        assertEqual(getSmartListCount(normalizeSmartList({ name: 'Pattern', query: '/mid.*/' }), tasks), null, 'Regex lists are not counted on the page');
+        assertEqual(getSmartListCount(normalizeSmartList({ name: 'Mixed', query: 'tag:exam /(a+)+$/' }), tasks), null, 'Nor are queries with regex terms');
+    });
+
+    runTest('Validation requires a unique name and something to search', () => {
+        const saved = [normalizeSmartList({ name: 'Exams', query: 'tag:exam' })];
+        assert(!validateSmartList(normalizeSmartList({ name: 'exams', query: 'quiz' }), saved).isValid, 'Duplicate names rejected');
+        assert(!validateSmartList(normalizeSmartList({ name: '', query: 'quiz' }), saved).isValid, 'Name required');
+        assert(!validateSmartList(normalizeSmartList({ name: 'Empty' }), saved).isValid, 'Empty search rejected');
+        assert(validateSmartList(normalizeSmartList({ name: 'Quizzes', query: 'quiz' }), saved).isValid, 'Valid list accepted');
+    });
+
+    section.innerHTML = renderTestResults();
+}
+
+async function runRegexSafetyTests(createTestSection, renderTestResults) {
+    const section = createTestSection('Regex Safety Tests');
+
+    runTest('Analyser flags nested quantifiers and overlapping alternatives', () => {
+        const nested = analyzeRegexSafety('(a+)+$');
+        assert(!nested.isSafe, '(a+)+$ is flagged');
+        assertEqual(nested.warnings[0].type, 'nested-quantifier', 'Warning type');
+        assertEqual(nested.warnings[0].fragment, '(a+)+', 'Warning points at the group');
+        assert(!analyzeRegexSafety('(\\w*\\s?)*').isSafe, 'Nested star is flagged');
+        assertEqual(analyzeRegexSafety('(a|ab)*').warnings[0].type, 'overlapping-alternation', 'Overlapping alternatives flagged');
+        ['\\d+', '^quiz \\d+$', '(a|b)*', '[(+]+', '\\(a+\\)+', '(ab)+'].forEach(pattern => {
+            assert(analyzeRegexSafety(pattern).isSafe, `${pattern} is not flagged`);
+        });
+    });
+
+    runTest('testRegex stops after the first match without the global flag', () => {
+        assertEqual(testRegex('quiz quiz', 'quiz', 'i').matches.length, 1, 'One match without g');
+        assertEqual(testRegex('quiz quiz', 'quiz', 'gi').matches.length, 2, 'All matches with g');
+    });
+
+    runTest('Worker matching reports matches per task and field', () => {
+        const results = matchRegexPatterns([{ key: '/quiz \\d/i', source: 'quiz \\d', flags: 'i' }], [
+            { id: 'a', title: 'Quiz 1 and quiz 2', description: '', tags: '' },
+            { id: 'b', title: 'Essay', description: 'no quiz', tags: '' }
+        ]);
+        const byTask = results['/quiz \\d/i'];
+        assertEqual(Object.keys(byTask).join(','), 'a', 'Only matching tasks reported');
+        assertEqual(byTask.a.title.map(match => match.index).join(','), '0,11', 'Every match with its index');
+    });
+
+    await runAsyncTest('A runaway regex is stopped instead of freezing the page', async () => {
+        const runner = new RegexSearchRunner({ timeBudget: 200 });
+        const tasks = [{ id: 'slow', title: `${'a'.repeat(40)}!`, description: '', tags: [] }];
+        const started = Date.now();
+        const run = await runner.run([{ key: '/(a+)+$/', source: '(a+)+$', flags: '' }], tasks);
+        runner.terminate();
+        assert(!run.success, 'Run reports failure');
+        assert(run.error, 'Run explains why');
+        assert(Date.now() - started < 2000, 'Returned within the time budget');
+
+        const fast = await runner.run([{ key: '/a!/', source: 'a!', flags: '' }], tasks);
+        runner.terminate();
+        assert(fast.success, 'Runner recovers for the next search');
+        assert(fast.results['/a!/'].slow, 'Safe pattern matches');
+    });
+
+    section.innerHTML = renderTestResults();
+}
+
+function runAutocompleteTests(createTestSection, renderTestResults) {
+    const section = createTestSection('Autocomplete Tests');
+
+    runTest('Recent searches are newest first without duplicates', () => {
+        assertEqual(addRecentSearch(['essay', 'Quiz'], ' quiz ').join('|'), 'quiz|essay', 'Moved to the front, case-insensitive');
+        const recent = ['essay'];
+        assertEqual(addRecentSearch(recent, '  '), recent, 'Empty searches are ignored');
+        assertEqual(addRecentSearch(['a', 'b', 'c'], 'd', 3).join('|'), 'd|a|b', 'Oldest dropped past the limit');
+    });
+
+    runTest('Finds the word at the caret', () => {
+        const current = getCurrentWord('is:open tag:ex due:today', 14);
+        assertEqual(current.word, 'ex', 'Word before the caret');
+        assertEqual(current.prefix, 'tag:', 'Field prefix kept apart');
+        assertEqual(`${current.start}-${current.end}`, '8-14', 'Whole token range');
+        assertEqual(getCurrentWord('(calc').word, 'calc', 'Parentheses are not part of the word');
+    });
+
+    runTest('Suggestions combine recent searches, smart lists, tags and words', () => {
+        const options = getAutocompleteOptions('is:open ex', {
+            getWords: () => ['exam'],
+            recentSearches: ['is:open exam', 'essay'],
+            tags: ['Exam', 'Extra credit'],
+            smartLists: [{ id: 's1', name: 'Open exams', query: 'is:open tag:exam' }]
+        });
+        assertEqual(options.map(option => option.type).join(','), 'recent,tag,tag,word', 'Every source contributes');
+        assertEqual(options[2].value, 'is:open tag:"Extra credit"', 'Tags with spaces are quoted');
+        assertEqual(options[3].value, 'is:open exam', 'Word completion replaces only the current word');
+        assertEqual(getAutocompleteOptions('open', { smartLists: [{ id: 's1', name: 'Open exams', query: 'tag:exam' }] })[0].listId, 's1', 'Smart lists match by name');
+        assertEqual(getAutocompleteOptions('', { recentSearches: ['essay', 'quiz'] }).length, 2, 'Empty box lists recent searches');
+    });
+
+    section.innerHTML = renderTestResults();
+}
+
+function runQuickAddTests(createTestSection, renderTestResults) {
+    const section = createTestSection('Quick Add Tests');
+    // Wednesday 16 October 2030, 2pm
+    const now = new Date(2030, 9, 16, 14, 0);
+
+    runTest('Parses title, due date and time, duration, priority and tags', () => {
+        const { task, defaults } = parseQuickAdd('Calc problem set due fri 5pm 2h30 !urgent #math', { now });
+        assertEqual(task.title, 'Calc problem set', 'Unrecognised words form the title');
+        assertEqual(task.dueDate, '2030-10-18T17:00', 'Coming Friday at 5pm');
+        assertEqual(task.duration, 2.5, '2h30 is 2.5 hours');
+        assertEqual(task.priority, 'Urgent & Important', '!urgent is the urgent quadrant');
+        assertEqual(task.tags.join(','), 'math', 'Hashtags become tags');
+        assertEqual(defaults.length, 0, 'Nothing defaulted');
+        assert(validateTask(task).isValid, 'Parsed task passes validation');
+    });
+
+    runTest('Understands relative and absolute dates', () => {
+        assertEqual(parseQuickAdd('Essay by next mon', { now }).task.dueDate, '2030-10-28', 'next mon skips a week');
+        assertEqual(parseQuickAdd('Read tomorrow at 9:30am', { now }).task.dueDate, '2030-10-17T09:30', 'tomorrow with a time');
+        assertEqual(parseQuickAdd('Quiz in 3 days', { now }).task.dueDate, '2030-10-19', 'in N days');
+        assertEqual(parseQuickAdd('Lab 2030-11-02 17:00', { now }).task.dueDate, '2030-11-02T17:00', 'ISO date and 24-hour time');
+        assertEqual(parseQuickAdd('Project oct 3', { now }).task.dueDate, '2031-10-03', 'Past month-day rolls to next year');
+        assertEqual(parseQuickAdd('Call mom at 10am', { now }).task.dueDate, '2030-10-17T10:00', 'A passed time alone means tomorrow');
+    });
+
+    runTest('Fills defaults and keeps connector words that lead nowhere', () => {
+        const { task, defaults } = parseQuickAdd('Look at notes due', { now });
+        assertEqual(task.title, 'Look at notes due', 'Connectors stay in the title');
+        assertEqual(task.dueDate, '2030-10-16', 'Due today by default');
+        assertEqual(task.duration, 1, 'One hour by default');
+        assertEqual(task.priority, DEFAULT_PRIORITY, 'Default priority');
+        assertEqual(defaults.join(','), 'dueDate,duration,priority', 'Defaults are reported for the preview');
+        assertEqual(parseQuickAdd('Review 45min !3', { now }).task.duration, 0.75, 'Minutes convert to hours');
+        assertEqual(parseQuickAdd('Review 45min !3', { now }).task.priority, 'Urgent but Not Important', '!3 is the third quadrant');
+    });
+
+    section.innerHTML = renderTestResults();
+}
+
+function runSyllabusTests(createTestSection, renderTestResults) {
+    const section = createTestSection('Syllabus Import Tests');
+    const now = new Date(2030, 7, 20);
+
+    runTest('Extracts dates, times and durations from running text', () => {
+        assertEqual(extractPatterns('Quiz 9/19, essay Oct 3 and lab 2030-10-02', 'slashDate')[0].value, '9/19', 'Slash date found mid-sentence');
+        assertEqual(extractPatterns('Quiz 9/19, essay Oct 3', 'monthDayDate')[0].groups[1], '3', 'Month-day groups');
+        assertEqual(extractPatterns('decide 3 problems', 'monthDayDate').length, 0, 'Words starting like a month are not dates');
+        assertEqual(extractPatterns('Meet at 10:30 or 14:00', 'time').length, 2, 'Anchored patterns scan the whole text');
+        assertEqual(extractPatterns('a 2-hour exam', 'duration')[0].groups.join(' '), '2 hour', 'Hyphenated durations');
+    });
+
+    runTest('Proposes tasks from coursework lines with dates', () => {
+        const proposals = extractSyllabusTasks([
+            'Office hours: Tue 2-4pm',
+            'Grading: homework 20%, midterm 30%',
+            '- Problem Set 1 due Sept 12 at 11:59pm',
+            '- Quiz 1 on 9/19 (30 min)',
+            'Final Exam: December 15th, 2030 9:00 (3 hours)'
+        ].join('\n'), { now });
+        assertEqual(proposals.length, 3, 'Lines without coursework or a date are skipped');
+        assertEqual(proposals[0].title, 'Problem Set 1', 'Dates and connectors removed from the title');
+        assertEqual(proposals[0].dueDate, '2030-09-12T23:59', 'Date and time combined');
+        assertEqual(proposals[1].duration, 0.5, 'Minutes converted to hours');
+        assertEqual(proposals[2].priority, 'Urgent & Important', 'Exams are urgent and important');
+        assertEqual(proposals[2].tags.join(','), 'exam', 'Keyword tag');
+        assertEqual(proposals[2].duration, 3, 'Written duration wins over the default');
+    });
+
+    runTest('Places week numbers relative to the term start', () => {
+        const text = 'Week 6:\n  Midterm exam Wednesday 6pm\n\nWeek 10: Presentation\nQuiz in week 11';
+        const proposals = extractSyllabusTasks(text, { termStart: '2030-09-02', now });
+        assertEqual(proposals[0].dueDate, '2030-10-09T18:00', 'Week heading applies to the lines below it');
+        assertEqual(proposals[1].dueDate, '2030-11-04', 'Start of the week when no day is given');
+        assert(proposals[1].warnings.length === 1, 'Approximate dates carry a warning');
+        assertEqual(proposals[2].dueDate, '2030-11-11', 'Week number on the same line');
+
+        const withoutTerm = extractSyllabusTasks('Week 3: Quiz 2 Friday', { now });
+        assertEqual(withoutTerm[0].dueDate, '', 'No date without a term start');
+        assert(withoutTerm[0].warnings[0].includes('term start'), 'Asks for the term start');
+    });
+
+    runTest('Reads day-first dates and rolls past dates into next year', () => {
+        assertEqual(extractSyllabusTasks('03/10 essay due', { dayFirst: true, now })[0].dueDate, '2030-10-03', 'Day first');
+        assertEqual(extractSyllabusTasks('03/10 essay due', { now })[0].dueDate, '2031-03-10', 'Month first, after the term start');
+        assertEqual(extractSyllabusTasks('Final exam Jan 12', { termStart: '2030-09-02', now })[0].dueDate, '2031-01-12', 'January exam in a fall term');
+    });
+
+    section.innerHTML = renderTestResults();
+}
+
+function runSchedulerTests(createTestSection, renderTestResults) {
+    const section = createTestSection('Scheduler Tests');
+    // Monday 2 September 2030, 09:00
+    const now = new Date(2030, 8, 2, 9, 0);
+    const makeTask = (id, overrides = {}) => ({
+        id, title: id, completed: false, duration: 2, dueDate: '2030-09-05', priority: 'Important but Not Urgent', ...overrides
+    });
+
+    runTest('Spreads work over the days before the due date within capacity', () => {
+        const plan = planStudyBlocks([makeTask('essay', { duration: 6 })], { dailyCapacity: 2 }, now);
+        assertEqual(plan.blocks.length, 4, 'One block on each day up to the due date');
+        assertEqual(plan.blocks[0].date, '2030-09-02', 'Starts today');
+        assertEqual(plan.blocks[0].start, '09:00', 'Nothing placed before now');
+        assert(plan.blocks.every(block => block.hours <= 2), 'Daily capacity respected');
+        assertEqual(plan.totalHours, 6, 'All remaining work planned');
+    });
+
+    runTest('Avoids blocked times and stops at the due time', () => {
+        const schedule = { dailyCapacity: 4, blockedTimes: [{ label: 'Classes', days: [1, 2], start: '09:00', end: '17:00' }] };
+        const plan = planStudyBlocks([makeTask('lab', { duration: 3, dueDate: '2030-09-03T12:00' })], schedule, now);
+        assertEqual(plan.blocks[0].start, '17:00', 'Starts after classes');
+        assertEqual(plan.blocks[0].end, '19:00', 'Adjoining time joins one block');
+        assertEqual(plan.blocks[1].date, '2030-09-03', 'Rest goes on the due day');
+        assertEqual(plan.blocks[1].end, '09:00', 'Blocked time on the due day respected');
+        assertEqual(plan.unscheduled.length, 0, 'Everything fits');
+    });
+
+    runTest('Plans important tasks first and reports what does not fit', () => {
+        const plan = planStudyBlocks([
+            makeTask('low', { dueDate: '2030-09-02T22:00', priority: 'Urgent but Not Important' }),
+            makeTask('high', { dueDate: '2030-09-02T22:00', priority: 'Urgent & Important' }),
+            makeTask('late', { dueDate: '2030-09-01' }),
+            makeTask('done', { completed: true })
+        ], { dailyCapacity: 3 }, now);
+        assertEqual(plan.blocks[0].taskId, 'high', 'Urgent & Important claims time first');
+        assert(!plan.blocks.some(block => block.taskId === 'done'), 'Completed tasks skipped');
+        assertEqual(plan.unscheduled.find(item => item.taskId === 'late').reason, 'Overdue', 'Overdue tasks reported');
+        assertEqual(plan.unscheduled.find(item => item.taskId === 'low').hours, 1, 'Hours that do not fit reported');
+    });
+
+    runTest('Counts only the work left and validates study settings', () => {
+        const task = makeTask('set', { duration: 3, subtasks: [{ id: 's1', title: 'Part 1', completed: true, duration: 1, completedAt: '2030-09-01T10:00:00Z' }] });
+        assertEqual(getRemainingDuration(task, now), 2, 'Checked-off checklist time removed');
+        assert(!validateSchedule({ dailyCapacity: 30, dayStart: '08:00', dayEnd: '22:00' }).isValid, 'Capacity over 24 hours rejected');
+        assert(!validateSchedule({ dailyCapacity: 4, dayStart: '20:00', dayEnd: '08:00' }).isValid, 'Study hours must end after they start');
+        assert(!validateBlockedTime({ label: 'Class', days: [], start: '09:00', end: '10:00' }).isValid, 'Blocked time needs a day');
+        assert(validateBlockedTime({ label: 'Class', days: [1], start: '09:00', end: '10:00' }).isValid, 'Valid blocked time accepted');
+    });
+
+    section.innerHTML = renderTestResults();
+}
+
+function runDayPlannerTests(createTestSection, renderTestResults) {
+    const section = createTestSection('Day Planner Tests');
+    const tasks = [
+        { id: 'essay', title: 'Essay', completed: false },
+        { id: 'lab', title: 'Lab', completed: false },
+        { id: 'done', title: 'Done', completed: true }
+    ];
+    const blocks = [
+        { id: 'b1', taskId: 'essay', date: '2030-09-02', start: '09:00', end: '11:00' },
+        { id: 'b2', taskId: 'lab', date: '2030-09-02', start: '10:30', end: '11:30' },
+        { id: 'b3', taskId: 'done', date: '2030-09-02', start: '13:00', end: '14:00' },
+        { id: 'b4', taskId: 'gone', date: '2030-09-02', start: '15:00', end: '16:00' },
+        { id: 'b5', taskId: 'essay', date: '2030-09-04', start: '09:00', end: '12:00' }
+    ];
+
+    runTest('Moves and resizes blocks on the quarter-hour grid', () => {
+        const block = { start: '09:00', end: '10:00' };
+        assertEqual(moveTimeBlock(block, 10 * 60 + 7).start, '10:00', 'Start snaps to the nearest quarter hour');
+        assertEqual(moveTimeBlock(block, 10 * 60 + 8).end, '11:15', 'Length kept when moving');
+        assertEqual(moveTimeBlock(block, 23 * 60 + 30).end, '23:45', 'Blocks stay inside the day');
+        assertEqual(moveTimeBlock(block, -30).start, '00:00', 'Blocks cannot start before midnight');
+        assertEqual(resizeTimeBlock(block, 9 * 60).end, '09:15', 'A block keeps at least one grid step');
+        assertEqual(resizeTimeBlock(block, 11 * 60 + 20).end, '11:15', 'End snaps to the grid');
+    });
+
+    runTest('Joins blocks with their tasks and flags overlaps', () => {
+        const day = getDayBlocks(blocks, tasks, '2030-09-02');
+        assertEqual(day.map(block => block.id).join(','), 'b1,b2,b3', 'Blocks of deleted tasks are left out');
+        assert(day[0].overlapping && day[1].overlapping, 'Overlapping blocks flagged');
+        assert(!day[2].overlapping, 'Separate blocks not flagged');
+        assertEqual(day[1].lane, 1, 'Overlapping block moved to its own lane');
+        assertEqual(day[2].lane, 0, 'Lanes are reused once free');
+    });
+
+    runTest('Finds the next free slot', () => {
+        const day = getDayBlocks(blocks, tasks, '2030-09-02');
+        assertEqual(findFreeSlot(day, 60, 8 * 60, 22 * 60), 8 * 60, 'Free time before the first block');
+        assertEqual(findFreeSlot(day, 120, 8 * 60, 22 * 60), 14 * 60, 'Skips gaps that are too short');
+        assertEqual(findFreeSlot(day, 60, 21 * 60 + 30, 22 * 60), null, 'No slot after the end of the day');
+    });
+
+    runTest('Compares planned time with the weekly goal', () => {
+        const now = new Date(2030, 8, 2, 8, 0);
+        const summary = summarizeDayPlan(blocks, tasks, '2030-09-02', { durationCap: 6, currentWeekDuration: 2 }, now);
+        assertEqual(summary.dayHours, 3, 'Only blocks of open tasks count as planned');
+        assertEqual(summary.weekHours, 6, 'Planned hours over the next seven days');
+        assertEqual(summary.projectedHours, 8, 'Done plus planned');
+        assert(summary.overGoal, 'Flags plans past the weekly goal');
+        assertEqual(summary.overlaps, 2, 'Overlapping blocks counted');
+    });
+
+    runTest('Validates time blocks', () => {
+        assert(validateTimeBlock({ taskId: 'essay', date: '2030-09-02', start: '09:00', end: '10:00' }, tasks).isValid, 'Valid block accepted');
+        assert(!validateTimeBlock({ taskId: 'gone', date: '2030-09-02', start: '09:00', end: '10:00' }, tasks).isValid, 'Block needs an existing task');
+        assert(!validateTimeBlock({ taskId: 'essay', date: '2030-02-30', start: '09:00', end: '10:00' }, tasks).isValid, 'Impossible days rejected');
+        assert(!validateTimeBlock({ taskId: 'essay', date: '2030-09-02', start: '10:00', end: '09:00' }, tasks).isValid, 'Block must end after it starts');
+    });
+
+    section.innerHTML = renderTestResults();
+}
+
+function runCalendarTests(createTestSection, renderTestResults) {
+    const section = createTestSection('Calendar View Tests');
+
+    runTest('Month and week ranges cover whole weeks from Sunday', () => {
+        const month = getCalendarRange('month', '2030-09-17');
+        assertEqual(month.start, '2030-09-01', 'Month starts on the Sunday on or before the 1st');
+        assertEqual(month.end, '2030-10-05', 'Month ends on the Saturday on or after the last day');
+        assertEqual(month.days.length, 35, 'Five full weeks');
+        assertEqual(month.title, 'September 2030', 'Month title');
+
+        const week = getCalendarRange('week', '2030-09-04');
+        assertEqual(week.days.join(','), '2030-09-01,2030-09-02,2030-09-03,2030-09-04,2030-09-05,2030-09-06,2030-09-07', 'Week runs Sunday to Saturday');
+        assertEqual(getCalendarRange('week', '2030-10-01').title, 'Sep 29 – Oct 5, 2030', 'Week title across months');
+    });
+
+    runTest('Navigates by month and week', () => {
+        assertEqual(shiftCalendarAnchor('month', '2030-01-31', 1), '2030-02-01', 'Next month from the 31st');
+        assertEqual(shiftCalendarAnchor('month', '2030-01-15', -1), '2029-12-01', 'Previous month across years');
+        assertEqual(shiftCalendarAnchor('week', '2030-12-29', 1), '2031-01-05', 'Next week across years');
+        assertEqual(normalizeCalendarView('week'), 'week', 'Known views kept');
+        assertEqual(normalizeCalendarView('agenda'), 'list', 'Unknown views fall back to the list');
+    });
+
+    runTest('Places date-only tasks all day and timed tasks by time', () => {
+        const range = getCalendarRange('week', '2030-09-04');
+        const days = groupTasksByDay([
+            { id: 'talk', dueDate: '2030-09-04T14:00' },
+            { id: 'essay', dueDate: '2030-09-04' },
+            { id: 'quiz', dueDate: '2030-09-04T07:30' },
+            { id: 'later', dueDate: '2030-10-04' }
+        ], range);
+        assertEqual(days.get('2030-09-04').allDay.map(task => task.id).join(','), 'essay', 'All-day row');
+        assertEqual(days.get('2030-09-04').timed.map(task => task.id).join(','), 'quiz,talk', 'Timed tasks in time order');
+        assert(![...days.values()].some(day => day.allDay.some(task => task.id === 'later')), 'Tasks outside the range left out');
+        assertEqual(getWeekViewHours(days).start, 7, 'Early tasks widen the hours shown');
+    });
+
+    runTest('Rescheduling keeps or sets the due time by drop target', () => {
+        assertEqual(rescheduleDueDate('2030-09-04T14:30', '2030-09-06'), '2030-09-06T14:30', 'Moving to a day keeps the time');
+        assertEqual(rescheduleDueDate('2030-09-04', '2030-09-06'), '2030-09-06', 'Date-only tasks stay date-only');
+        assertEqual(rescheduleDueDate('2030-09-04T14:30', '2030-09-06', { hour: 9 }), '2030-09-06T09:30', 'Time slot sets the hour and keeps the minutes');
+        assertEqual(rescheduleDueDate('2030-09-04', '2030-09-06', { hour: 9 }), '2030-09-06T09:00', 'Time slot gives date-only tasks a time');
+        assertEqual(rescheduleDueDate('2030-09-04T14:30', '2030-09-06', { allDay: true }), '2030-09-06', 'All-day row removes the time');
+    });
+
+    section.innerHTML = renderTestResults();
+}
+
+function runMatrixTests(createTestSection, renderTestResults) {
+    const section = createTestSection('Priority Matrix Tests');
+    const eliminate = 'Not Urgent & Not Important';
+    const tasks = [
+        { id: 'tv', title: 'Rewatch lecture bloopers', priority: eliminate, dueDate: '2030-09-10' },
+        { id: 'essay', title: 'Essay', priority: 'Urgent & Important', dueDate: '2030-09-05' },
+        { id: 'old', title: 'Old habit', priority: eliminate, dueDate: '2030-09-01', completed: true },
+        { id: 'plan', title: 'Plan revision', priority: 'Important but Not Urgent' },
+        { id: 'legacy', title: 'Legacy task', priority: 'Someday' },
+        { id: 'quiz', title: 'Quiz', priority: 'Urgent & Important', dueDate: '2030-09-02' }
+    ];
+
+    runTest('The fourth quadrant validates and sorts last', () => {
+        assert(validateField('priority', eliminate).isValid, 'Not Urgent & Not Important is a valid priority');
+        assert(!validateField('priority', 'Someday').isValid, 'Unknown priorities are still rejected');
+        const sorted = sortTasks(tasks.filter(task => task.id !== 'legacy'), 'priority');
+        assertEqual(sorted[sorted.length - 1].priority, eliminate, 'Eliminate sorts after the other quadrants');
+    });
+
+    runTest('Groups open tasks by quadrant in due date order', () => {
+        const groups = groupTasksByQuadrant(tasks);
+        assertEqual(groups.map(group => group.quadrant.action).join(','), 'Do First,Schedule,Delegate,Eliminate', 'Quadrants read left to right, top to bottom');
+        assertEqual(groups[0].tasks.map(task => task.id).join(','), 'quiz,essay', 'Earliest due date first');
+        assertEqual(groups[3].tasks.map(task => task.id).join(','), 'tv', 'Completed tasks left out');
+        const fallback = groups.find(group => group.quadrant.priority === DEFAULT_PRIORITY);
+        assert(fallback.tasks.some(task => task.id === 'legacy'), 'Unknown priorities go to the default quadrant');
+    });
+
+    runTest('Keyboard moves stop at the edge of the board', () => {
+        assertEqual(getAdjacentPriority('Urgent & Important', 'right'), 'Important but Not Urgent', 'Right leaves the urgent column');
+        assertEqual(getAdjacentPriority('Urgent & Important', 'down'), 'Urgent but Not Important', 'Down leaves the important row');
+        assertEqual(getAdjacentPriority('Urgent but Not Important', 'right'), eliminate, 'Bottom right is the fourth quadrant');
+        assertEqual(getAdjacentPriority('Urgent & Important', 'up'), null, 'Top edge');
+        assertEqual(getAdjacentPriority(eliminate, 'right'), null, 'Right edge');
+    });
+
+    runTest('Counts open tasks per quadrant', () => {
+        const counts = getPriorityCounts(tasks);
+        assertEqual(counts.map(count => count.count).reduce((sum, count) => sum + count, 0), 5, 'Every open task counted once');
+        assertEqual(counts[0].count, 2, 'Do First count');
+        assertEqual(counts[3].count, 1, 'Eliminate count skips completed tasks');
+    });
+
+    runTest('Quick add and iCalendar know the fourth quadrant', () => {
+        const now = new Date(2030, 8, 1, 9, 0);
+        assertEqual(parseQuickAdd('Tidy desk !4', { now }).task.priority, eliminate, '!4 is the fourth quadrant');
+        assertEqual(parseQuickAdd('Tidy desk !eliminate', { now }).task.priority, eliminate, '!eliminate');
+        const task = { ...tasks[0], duration: 1, tags: [], completed: false, updatedAt: '2030-01-02T00:00:00.000Z' };
+        assertEqual(icsToTasks(tasksToICS([task], { component: 'VTODO' }), { existingTasks: [task] }).tasks[0].priority, eliminate, 'Round trip through PRIORITY');
+    });
+
+    section.innerHTML = renderTestResults();
+}
+
+function runEscalationTests(createTestSection, renderTestResults) {
+    const section = createTestSection('Escalation Tests');
+    const now = new Date(2030, 8, 2, 10, 0);
+    const rules = { enabled: true, dueWithinDays: 2, workload: true };
+    const schedule = { dailyCapacity: 4 };
+
+    runTest('Escalates tasks due within the configured days', () => {
+        const task = { id: 'e1', title: 'Essay', dueDate: '2030-09-03T09:00', duration: 1, priority: 'Important but Not Urgent' };
+        assertEqual(getEscalationReason(task, rules, schedule, now), 'Due tomorrow', 'Due tomorrow is within two days');
+        assertEqual(getEscalationReason({ ...task, dueDate: '2030-09-10' }, rules, schedule, now), null, 'A week out stays put');
+        assertEqual(getEscalationReason({ ...task, dueDate: '2030-09-10' }, { ...rules, dueWithinDays: 10 }, schedule, now), 'Due in 8 days', 'Days are configurable');
+        assertEqual(getEscalationReason(task, { ...rules, enabled: false }, schedule, now), null, 'Rules can be switched off');
+        assertEqual(getEscalationReason({ ...task, completed: true }, rules, schedule, now), null, 'Completed tasks are left alone');
+        assertEqual(getEscalationReason({ ...task, priority: 'Urgent & Important' }, rules, schedule, now), null, 'Urgent tasks are left alone');
+    });
+
+    runTest('Escalates tasks whose remaining work needs more days than are left', () => {
+        const task = { id: 'e2', title: 'Project', dueDate: '2030-09-06', duration: 18, priority: 'Important but Not Urgent' };
+        assertEqual(getEscalationReason(task, rules, schedule, now), 'Needs 5 study days but only 4 are left', '18 hours at 4 a day needs 5 days');
+        assertEqual(getEscalationReason({ ...task, duration: 14 }, rules, schedule, now), null, '14 hours fits in 4 days');
+        const started = { ...task, subtasks: [{ id: 's1', title: 'Outline', duration: 4, completed: true, completedAt: '2030-09-01T12:00:00.000Z' }] };
+        assertEqual(getEscalationReason(started, rules, schedule, now), null, 'Checked-off work is not counted');
+        assertEqual(getEscalationReason(task, { ...rules, workload: false }, schedule, now), null, 'Workload rule can be switched off');
+        assertEqual(getEscalationReason(task, rules, { dailyCapacity: 0 }, now), null, 'No study capacity means no workload rule');
+    });
+
+    runTest('Escalations move quadrants and are recorded once per due date', () => {
+        const tasks = [
+            { id: 'e3', title: 'Lab report', dueDate: '2030-09-03', duration: 2, priority: 'Important but Not Urgent', updatedAt: '2030-01-01T00:00:00.000Z' },
+            { id: 'e4', title: 'Tidy notes', dueDate: '2030-09-02', duration: 1, priority: 'Not Urgent & Not Important' },
+            { id: 'e5', title: 'Thesis', dueDate: '2031-01-01', duration: 2, priority: 'Important but Not Urgent' }
+        ];
+        const { tasks: updated, escalations } = applyEscalations(tasks, rules, schedule, now);
+        assertEqual(escalations.map(item => `${item.taskId}:${item.to}`).join(','), 'e3:Urgent & Important,e4:Urgent but Not Important', 'Each quadrant moves to its urgent neighbour');
+        assertEqual(updated[0].history.length, 1, 'Escalation recorded in the history');
+        assertEqual(updated[0].history[0].from, 'Important but Not Urgent', 'History keeps the old quadrant');
+        assertEqual(updated[0].history[0].reason, 'Due tomorrow', 'History keeps the reason');
+        assert(updated[2] === tasks[2], 'Tasks left alone are unchanged');
+
+        const movedBack = updated.map(task => ({ ...task, priority: task.history ? task.history[0].from : task.priority }));
+        assertEqual(applyEscalations(movedBack, rules, schedule, now).escalations.length, 0, 'A manual move back is respected');
+        const rescheduled = { ...movedBack[0], dueDate: '2030-09-04' };
+        assertEqual(applyEscalations([rescheduled], rules, schedule, now).escalations.length, 1, 'A new due date can escalate again');
+    });
+
+    runTest('A priority picked while due soon holds', () => {
+        const task = { id: 'e6', title: 'Reading', dueDate: '2030-09-03', duration: 1, priority: 'Urgent & Important' };
+        const demoted = { ...task, priority: 'Important but Not Urgent' };
+        const entry = getPriorityHistoryEntry(task, demoted, rules, schedule, now);
+        assertEqual(entry.dueDate, '2030-09-03', 'Demoting a due-soon task marks the due date');
+        assertEqual(getEscalationReason({ ...demoted, history: [entry] }, rules, schedule, now), null, 'Never-escalated task stays where it was put');
+        assertEqual(getPriorityHistoryEntry(task, { ...demoted, dueDate: '2030-10-01' }, rules, schedule, now).dueDate, undefined, 'Changes far from the due date hold nothing');
+        assertEqual(getPriorityHistoryEntry(task, { ...task }, rules, schedule, now), null, 'Unchanged priority is not recorded');
+    });
+
+    runTest('Escalation markers outlast other history', () => {
+        const task = { id: 'e7', dueDate: '2030-09-03', history: [{ type: 'escalation', at: '2030-09-01T00:00:00.000Z', from: 'a', to: 'b', dueDate: '2030-09-03' }] };
+        for (let index = 0; index < MAX_HISTORY_ENTRIES + 5; index++) {
+            task.history = addHistoryEntry(task, { type: 'status', at: '2030-09-02T00:00:00.000Z', from: 'todo', to: 'in-progress' });
+        }
+        assertEqual(task.history.length, MAX_HISTORY_ENTRIES, 'History stays capped');
+        assertEqual(task.history[0].type, 'escalation', 'Marker for the current due date kept');
+        assertEqual(addHistoryEntry({ ...task, dueDate: '2030-09-10' }, { type: 'status' })[0].type, 'status', 'Markers for an old due date can go');
+    });
+
+    runTest('Escalation rules are validated', () => {
+        assert(validateEscalation(rules).isValid, 'Default-style rules are valid');
+        assert(!validateEscalation({ ...rules, dueWithinDays: -1 }).isValid, 'Negative days rejected');
+        assert(!validateEscalation({ ...rules, dueWithinDays: 1.5 }).isValid, 'Fractional days rejected');
+        assert(!validateEscalation({ ...rules, dueWithinDays: 31 }).isValid, 'More than 30 days rejected');
+    });
+
+    section.innerHTML = renderTestResults();
+}
+
+function runWorkflowTests(createTestSection, renderTestResults) {
+    const section = createTestSection('Workflow Tests');
+    const workflow = normalizeWorkflow(DEFAULT_WORKFLOW);
+
+    runTest('Tasks without a status follow their completed flag', () => {
+        assertEqual(getTaskStatus({ id: 'w1' }, workflow), 'todo', 'Open tasks start in the first status');
+        assertEqual(getTaskStatus({ id: 'w2', completed: true }, workflow), 'done', 'Completed tasks are in the final status');
+        assertEqual(getTaskStatus({ id: 'w3', status: 'waiting' }, workflow), 'waiting', 'Stored status kept');
+        assertEqual(getTaskStatus({ id: 'w4', status: 'removed' }, workflow), 'todo', 'Removed statuses fall back to the first');
+        assertEqual(normalizeWorkflow([{ id: 'only', name: 'Only' }]).length, DEFAULT_WORKFLOW.length, 'Too short a workflow falls back to the default');
+    });
+
+    runTest('Status and completion stay in step', () => {
+        const task = { id: 'w5', status: 'in-progress', completed: false };
+        assertEqual(JSON.stringify(resolveStatusUpdates(task, { status: 'done' }, workflow)), '{"status":"done","completed":true}', 'Final status completes the task');
+        assertEqual(JSON.stringify(resolveStatusUpdates(task, { completed: true }, workflow)), '{"status":"done","completed":true}', 'Completing moves to the final status');
+        assertEqual(resolveStatusUpdates(task, { title: 'Renamed' }, workflow), null, 'Other edits leave the status alone');
+
+        const done = { ...task, status: 'done', completed: true, history: [{ type: 'status', at: '2030-09-01T10:00:00.000Z', from: 'waiting', to: 'done' }] };
+        assertEqual(JSON.stringify(resolveStatusUpdates(done, { completed: false }, workflow)), '{"status":"waiting","completed":false}', 'Reopening returns to the status before done');
+        assertEqual(resolveStatusUpdates({ ...done, history: [] }, { completed: false }, workflow).status, 'todo', 'Without history reopening goes to the first status');
+    });
+
+    runTest('WIP limits count the tasks already in a column', () => {
+        const tasks = [
+            { id: 'a', status: 'in-progress', dueDate: '2030-09-05' },
+            { id: 'b', status: 'in-progress', dueDate: '2030-09-03' },
+            { id: 'c', status: 'in-progress' },
+            { id: 'd', status: 'todo' }
+        ];
+        assertEqual(getWipLimitError(tasks, workflow, 'in-progress', 'd'), 'In Progress is at its limit of 3 tasks', 'Full column rejects a fourth task');
+        assertEqual(getWipLimitError(tasks, workflow, 'in-progress', 'a'), null, 'A task already in the column is not counted twice');
+        assertEqual(getWipLimitError(tasks, workflow, 'waiting', 'd'), null, 'No limit set');
+
+        const reopened = { id: 'r', status: 'done', completed: true, history: [{ type: 'status', at: '2030-09-01T10:00:00.000Z', from: 'in-progress', to: 'done' }] };
+        const reopen = resolveStatusUpdates(reopened, { completed: false }, workflow);
+        assertEqual(reopen.status, 'in-progress', 'Reopening returns to In Progress');
+        assertEqual(getWipLimitError([...tasks, reopened], workflow, reopen.status, 'r'), 'In Progress is at its limit of 3 tasks', 'Reopening into a full column is refused');
+        const overLimit = [...tasks, { id: 'e', status: 'in-progress' }];
+        assertEqual(getWipLimitError(overLimit, workflow, 'in-progress', 'e'), null, 'Tasks already over the limit can still be edited');
+
+        const columns = groupTasksByStatus([...tasks, { id: 'e', status: 'in-progress' }], workflow);
+        assertEqual(columns.map(column => column.tasks.length).join(','), '1,4,0,0', 'One column per status');
+        assertEqual(columns[1].tasks.map(task => task.id).slice(0, 2).join(','), 'b,a', 'Earliest due date first');
+        assert(columns[1].overLimit && !columns[0].overLimit, 'Over-limit columns flagged');
+    });
+
+    runTest('Workflow settings are validated', () => {
+        assert(validateWorkflow(workflow).isValid, 'Default workflow is valid');
+        assert(!validateWorkflow(workflow.slice(0, 1)).isValid, 'At least two statuses');
+        assert(!validateWorkflow([...workflow.slice(0, -1), { ...workflow[3], wipLimit: 2 }]).isValid, 'Final status has no WIP limit');
+        assert(!validateWorkflow([{ ...workflow[0], name: 'done' }, ...workflow.slice(1)]).isValid, 'Status names are unique');
+        assert(!validateWorkflow([{ ...workflow[0], wipLimit: 2.5 }, ...workflow.slice(1)]).isValid, 'WIP limits are whole numbers');
+    });
+
+    section.innerHTML = renderTestResults();
+}
+
+function runTimeTrackingTests(createTestSection, renderTestResults) {
+    const section = createTestSection('Time Tracking Tests');
+    const at = (minutes) => new Date(Date.UTC(2030, 8, 2, 9, minutes));
+
+    runTest('Paused time is not counted', () => {
+        let timer = startTimer('t1', at(0));
+        assertEqual(getTimerHours(timer, at(30)), 0.5, 'Running timer counts up');
+        timer = pauseTimer(timer, at(30));
+        assertEqual(getTimerHours(timer, at(90)), 0.5, 'Paused timer holds its time');
+        timer = resumeTimer(timer, at(90));
+        assertEqual(getTimerHours(timer, at(105)), 0.75, 'Resumed timer adds to it');
+        assertEqual(formatTimerClock(getTimerHours(timer, at(105))), '0:45:00', 'Clock reading');
+    });
+
+    runTest('Stopping a timer logs one session', () => {
+        const entry = stopTimer(pauseTimer(startTimer('t1', at(0)), at(45)), at(60));
+        assertEqual(entry.hours, 0.75, 'Session hours');
+        assertEqual(entry.start, at(0).toISOString(), 'Session starts when the timer started');
+        assert(!entry.manual, 'Timed sessions are not manual');
+        assertEqual(stopTimer(startTimer('t1', at(0)), new Date(at(0).getTime() + 20000)).hours, 0, 'Sessions under half a minute log nothing');
+        assertEqual(stopTimer(startTimer('t1', at(0)), new Date(at(0).getTime() + 30 * 3600000)).hours, 24, 'Forgotten timers are capped');
+    });
+
+    runTest('Manual time entries are validated', () => {
+        const now = new Date(2030, 8, 2, 18, 0);
+        const entry = createManualEntry('2030-09-02T09:00', 1.5);
+        assert(entry.manual, 'Entry marked manual');
+        assert(validateTimeEntry(entry, now).isValid, 'Past entry is valid');
+        assert(!validateTimeEntry(createManualEntry('2030-09-02T09:00', 0), now).isValid, 'Length must be positive');
+        assert(!validateTimeEntry(createManualEntry('2030-09-02T09:00', 25), now).isValid, 'At most 24 hours');
+        assert(!validateTimeEntry(createManualEntry('2030-09-03T09:00', 1), now).isValid, 'Cannot start in the future');
+        assert(!validateTimeEntry(createManualEntry('', 1), now).isValid, 'Start time required');
+    });
+
+    runTest('Actual time is compared with the estimate', () => {
+        const task = { id: 't2', duration: 2, timeEntries: [{ hours: 1.5 }] };
+        const logged = getTimeComparison(task);
+        assertEqual(logged.actual, 1.5, 'Logged entries summed');
+        assertEqual(logged.percentage, 75, 'Share of the estimate');
+        assert(!logged.over, 'Under the estimate');
+        const running = getTimeComparison(task, startTimer('t2', at(0)), at(60));
+        assertEqual(running.actual, 2.5, 'A running timer counts too');
+        assert(running.over, 'Over the estimate');
+    });
+
+    runTest('Dashboard totals only rate finished tasks', () => {
+        const since = new Date(Date.UTC(2030, 8, 1));
+        const stats = getTimeTrackingStats([
+            { id: 'a', duration: 2, completed: true, timeEntries: [{ end: '2030-09-02T10:00:00.000Z', hours: 3 }] },
+            { id: 'b', duration: 4, completed: false, timeEntries: [{ end: '2030-08-20T10:00:00.000Z', hours: 1 }] },
+            { id: 'c', duration: 1, completed: true }
+        ], since);
+        assertEqual(stats.loggedHours, 4, 'All logged time');
+        assertEqual(stats.loggedWeek, 3, 'Time logged since the start of the week');
+        assertEqual(stats.accuracy, 150, 'Actual over estimate for finished tasks with time logged');
+        assertEqual(getTimeTrackingStats([], since).accuracy, null, 'No accuracy without data');
+    });
+
+    section.innerHTML = renderTestResults();
+}
+
+function runIcsTests(createTestSection, renderTestResults) {
+    const section = createTestSection('iCalendar Tests');
+    const tasks = [
+        { id: 't1', title: 'Essay; draft, part 2 of the long-form history assignment for this term', dueDate: '2030-10-20T14:30', duration: 1.5, priority: 'Urgent & Important', tags: ['History'], completed: false, updatedAt: '2030-01-02T00:00:00.000Z' },
+        { id: 't2', title: 'Reading', dueDate: '2030-10-21', duration: 2, priority: 'Urgent but Not Important', tags: [], completed: true, updatedAt: '2030-01-02T00:00:00.000Z' }
+    ];
+
+    runTest('Export writes timed and all-day entries with folded lines', () => {
+        const ics = tasksToICS(tasks, { component: 'VTODO' });
+        assert(ics.includes('DUE:20301020T143000\r\n'), 'Timed due date is a floating date-time');
+        assert(ics.includes('DUE;VALUE=DATE:20301021\r\n'), 'Date-only due date is a DATE');
+        assert(ics.includes('ESTIMATED-DURATION:PT1H30M'), 'Duration in hours and minutes');
+        assert(ics.includes('SUMMARY:Essay\\; draft\\, part'), 'Text is escaped');
+        assert(ics.split('\r\n').every(line => new TextEncoder().encode(line).length <= 75), 'Lines are folded at 75 octets');
+
+        const events = tasksToICS(tasks, { component: 'VEVENT' });
+        assert(events.includes('DTSTART:20301020T130000\r\nDTEND:20301020T143000'), 'Event is a work block ending at the due time');
+        assert(events.includes('DTEND;VALUE=DATE:20301022'), 'All-day event ends the next day');
+    });
+
+    runTest('Re-importing an export matches tasks by UID', () => {
+        ['VTODO', 'VEVENT'].forEach(component => {
+            const result = icsToTasks(tasksToICS(tasks, { component }), { existingTasks: tasks });
+            assertEqual(result.errors.length, 0, `${component} entries are valid`);
+            assertEqual(result.tasks.map(task => task.id).join(','), 't1,t2', `${component} entries keep their task IDs`);
+            assertEqual(JSON.stringify(result.tasks), JSON.stringify(tasks), `${component} round trip is lossless`);
+        });
+    });
+
+    runTest('Import converts time zones, unfolds lines and skips repeated UIDs', () => {
+        const ics = [
+            'BEGIN:VCALENDAR', 'VERSION:2.0',
+            'BEGIN:VEVENT', 'UID:quiz@lms', 'SUMMARY:Quiz', 'DTSTART;TZID=America/New_York:20301020T090000', 'DTEND;TZID=America/New_York:20301020T090000', 'END:VEVENT',
+            'BEGIN:VEVENT', 'UID:quiz@lms', 'SUMMARY:Quiz (copy)', 'DTSTART:20301020T130000Z', 'END:VEVENT',
+            'BEGIN:VTODO', 'UID:lab@lms', 'SUMMARY:Lab rep', ' ort', 'DUE:20301021T170000Z', 'CATEGORIES:Biology,Lab', 'END:VTODO',
+            'BEGIN:VTODO', 'UID:undated@lms', 'SUMMARY:Someday', 'END:VTODO',
+            'END:VCALENDAR'
+        ].join('\r\n');
+        const toLocal = (utc) => {
+            const date = new Date(utc);
+            const pad = (value) => String(value).padStart(2, '0');
+            return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+        };
+
+        const result = icsToTasks(ics, { existingTasks: [{ ...tasks[0], icalUid: 'lab@lms' }] });
+        assertEqual(result.duplicates, 1, 'Repeated UID counted once');
+        assertEqual(result.errors.length, 1, 'Entry without a date reported');
+        assertEqual(result.tasks[0].dueDate, toLocal('2030-10-20T13:00:00Z'), 'TZID time converted to local time');
+        assertEqual(result.tasks[0].icalUid, 'quiz@lms', 'New task keeps the calendar UID');
+        assertEqual(result.tasks[1].title, 'Lab report', 'Folded line unfolded');
+        assertEqual(result.tasks[1].id, 't1', 'Known UID updates the existing task');
+        assertEqual(result.tasks[1].dueDate, toLocal('2030-10-21T17:00:00Z'), 'UTC time converted to local time');
+    });
+
+    section.innerHTML = renderTestResults();
+}
+
+async function runStorageAdapterTests(createTestSection, renderTestResults) {
+    const section = createTestSection('Storage Adapter Tests');
+
+    runTest('localStorage adapter round trip', () => {
+        const adapter = new LocalStorageAdapter('campus-life-planner-test-adapter');
+        assert(adapter.saveTasks([{ id: 't1', title: 'Stored' }]), 'Save should succeed');
+        assertEqual(adapter.loadTasks()[0].title, 'Stored', 'Loaded task');
+        adapter.clear();
+        assertEqual(adapter.loadTasks().length, 0, 'Clear removes all tasks');
+    });
+
+    await runAsyncTest('IndexedDB adapter migration, diffing and indexes', async () => {
+        assert(IndexedDBAdapter.isSupported(), 'IndexedDB should be available in the browser');
+
+        const dbName = `campus-life-planner-test-${Date.now()}`;
+        const legacyKey = `${dbName}-legacy`;
+        localStorage.setItem(legacyKey, JSON.stringify([
+            { id: 'b', title: 'Essay', dueDate: '2025-10-08', tags: ['Writing'] },
+            { id: 'a', title: 'Quiz', dueDate: '2025-10-06', tags: ['Math'], completed: true }
+        ]));
+
+        const adapter = new IndexedDBAdapter({ dbName, legacyKey });
+        try {
+            await adapter.open();
+            assertEqual(adapter.loadTasks().map(t => t.id).join(','), 'b,a', 'Migrated tasks keep their order');
+            assertEqual(localStorage.getItem(legacyKey), null, 'localStorage copy is removed after migration');
+
+            const [essay] = adapter.loadTasks();
+            adapter.saveTasks([essay, { id: 'c', title: 'Lab report', dueDate: '2025-10-07', tags: ['Lab', 'writing'] }]);
+            assertEqual((await adapter.queryTasks('tag', 'writing')).length, 2, 'Tag index is case-insensitive and multi-entry');
+            assertEqual((await adapter.queryTasks('completed', 1)).length, 0, 'Deleted task is removed from the store');
+
+            const reopened = new IndexedDBAdapter({ dbName, legacyKey });
+            await reopened.open();
+            assertEqual(reopened.loadTasks().map(t => t.id).join(','), 'b,c', 'Reopened adapter loads saved tasks in order');
+
+            if (reopened.channel) {
+                const announced = new Promise(resolve => reopened.onExternalChange(resolve));
+                adapter.saveTasks([...adapter.loadTasks(), { id: 'd', title: 'Reading', tags: [] }]);
+                assert(adapter.hasPendingWrites(), 'Write is pending until it commits');
+                await announced;
+                await reopened.reload();
+                assertEqual(reopened.loadTasks().map(t => t.id).join(','), 'b,c,d', 'Other tabs reload tasks once a write is announced');
+                reopened.channel.close();
+            }
+            reopened.db.close();
+        } finally {
+            localStorage.removeItem(legacyKey);
+            if (adapter.channel) adapter.channel.close();
+            if (adapter.db) adapter.db.close();
+            indexedDB.deleteDatabase(dbName);
+        }
+    });
+
+    section.innerHTML = renderTestResults();
+}
+
 function runSmokeTests(createTestSection, renderTestResults) {
     const section = createTestSection('Smoke Tests');
 
@@ -447,7 +1786,7 @@ function updateStats() {
 }
 
 // Expose runAllTests to window so tests.html button can trigger it
-window.runAllTests = function() {
+window.runAllTests = async function() {
     testResults = { total: 0, passed: 0, failed: 0, tests: [] };
     document.getElementById('test-results').innerHTML = '';
 
@@ -455,6 +1794,28 @@ window.runAllTests = function() {
     runAdvancedRegexTests(createTestSection, renderTestResults);
     runStorageTests(createTestSection, renderTestResults);
     runSearchTests(createTestSection, renderTestResults);
+    runRecurrenceTests(createTestSection, renderTestResults);
+    runSubtaskTests(createTestSection, renderTestResults);
+    runTagTests(createTestSection, renderTestResults);
+    runDependencyTests(createTestSection, renderTestResults);
+    runCourseTests(createTestSection, renderTestResults);
+    runImportMergeTests(createTestSection, renderTestResults);
+    runCsvTests(createTestSection, renderTestResults);
+    runIcsTests(createTestSection, renderTestResults);
+    runQueryTests(createTestSection, renderTestResults);
+    runSmartListTests(createTestSection, renderTestResults);
+    await runRegexSafetyTests(createTestSection, renderTestResults);
+    runAutocompleteTests(createTestSection, renderTestResults);
+    runQuickAddTests(createTestSection, renderTestResults);
+    runSyllabusTests(createTestSection, renderTestResults);
+    runSchedulerTests(createTestSection, renderTestResults);
+    runDayPlannerTests(createTestSection, renderTestResults);
+    runCalendarTests(createTestSection, renderTestResults);
+    runMatrixTests(createTestSection, renderTestResults);
+    runEscalationTests(createTestSection, renderTestResults);
+    runWorkflowTests(createTestSection, renderTestResults);
+    runTimeTrackingTests(createTestSection, renderTestResults);
+    await runStorageAdapterTests(createTestSection, renderTestResults);
     runSmokeTests(createTestSection, renderTestResults);
 
     updateStats();
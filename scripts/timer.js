@@ -0,0 +1,225 @@
+/**
+ * Timer Module - Time tracking against a task's estimated duration
+ * A running or paused timer is kept apart from the task (see storage.js) so every
+ * open tab sees it; stopping it logs the session as a time entry on the task.
+ * Manual entries are stored the same way, so actual time is the sum of the entries.
+ */
+
+import { generateUniqueId } from './utils.js';
+
+/**
+ * Longest time entry (hours), for timers left running and manual entries alike
+ */
+export const MAX_TIME_ENTRY_HOURS = 24;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Round hours to whole minutes
+ * @param {number} hours - Hours
+ * @returns {number} Rounded hours
+ */
+function roundToMinute(hours) {
+  return Math.round(hours * 60) / 60;
+}
+
+/**
+ * Normalize a stored timer
+ * @param {Object} timer - Raw timer
+ * @returns {Object} { taskId, sessionStart, segmentStart (null when paused), elapsedHours }
+ */
+export function normalizeTimer(timer) {
+  const elapsedHours = parseFloat(timer.elapsedHours);
+  return {
+    taskId: String(timer.taskId || ''),
+    sessionStart: timer.sessionStart || null,
+    segmentStart: timer.segmentStart || null,
+    elapsedHours: isNaN(elapsedHours) ? 0 : elapsedHours
+  };
+}
+
+/**
+ * Start timing a task
+ * @param {string} taskId - Task ID
+ * @param {Date} now - Reference time
+ * @returns {Object} Running timer
+ */
+export function startTimer(taskId, now = new Date()) {
+  return { taskId, sessionStart: now.toISOString(), segmentStart: now.toISOString(), elapsedHours: 0 };
+}
+
+/**
+ * Whether a timer is counting
+ * @param {Object} timer - Timer
+ * @returns {boolean} True when running, false when paused
+ */
+export function isTimerRunning(timer) {
+  return Boolean(timer && timer.segmentStart);
+}
+
+/**
+ * Time on a timer so far, including the running stretch
+ * @param {Object} timer - Timer
+ * @param {Date} now - Reference time
+ * @returns {number} Hours
+ */
+export function getTimerHours(timer, now = new Date()) {
+  const running = isTimerRunning(timer) ? Math.max(0, now - new Date(timer.segmentStart)) / HOUR_MS : 0;
+  return timer.elapsedHours + running;
+}
+
+/**
+ * Pause a running timer
+ * @param {Object} timer - Timer
+ * @param {Date} now - Reference time
+ * @returns {Object} Paused timer
+ */
+export function pauseTimer(timer, now = new Date()) {
+  if (!isTimerRunning(timer)) return timer;
+  return { ...timer, segmentStart: null, elapsedHours: getTimerHours(timer, now) };
+}
+
+/**
+ * Resume a paused timer
+ * @param {Object} timer - Timer
+ * @param {Date} now - Reference time
+ * @returns {Object} Running timer
+ */
+export function resumeTimer(timer, now = new Date()) {
+  if (isTimerRunning(timer)) return timer;
+  return { ...timer, segmentStart: now.toISOString() };
+}
+
+/**
+ * Format timer hours as a stopwatch reading
+ * @param {number} hours - Hours
+ * @returns {string} H:MM:SS
+ */
+export function formatTimerClock(hours) {
+  const totalSeconds = Math.max(0, Math.floor(hours * 3600));
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${Math.floor(totalSeconds / 3600)}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}`;
+}
+
+/**
+ * Normalize a time entry
+ * @param {Object} entry - Raw entry ({ start, end, hours, manual })
+ * @returns {Object} { id, start, end, hours, manual }
+ */
+export function normalizeTimeEntry(entry) {
+  const hours = parseFloat(entry.hours);
+  return {
+    id: entry.id || generateUniqueId('session'),
+    start: String(entry.start || ''),
+    end: String(entry.end || ''),
+    hours: isNaN(hours) ? 0 : roundToMinute(hours),
+    manual: Boolean(entry.manual)
+  };
+}
+
+/**
+ * Stop a timer and turn it into a time entry
+ * Sessions are capped at MAX_TIME_ENTRY_HOURS so a timer forgotten overnight
+ * does not log days of work.
+ * @param {Object} timer - Timer
+ * @param {Date} now - Reference time
+ * @returns {Object} Time entry; hours are 0 for sessions under half a minute
+ */
+export function stopTimer(timer, now = new Date()) {
+  return normalizeTimeEntry({
+    start: timer.sessionStart,
+    end: now.toISOString(),
+    hours: Math.min(getTimerHours(timer, now), MAX_TIME_ENTRY_HOURS),
+    manual: false
+  });
+}
+
+/**
+ * Build a manual time entry from a start time and a length
+ * @param {string} start - Local start (YYYY-MM-DDTHH:MM)
+ * @param {number} hours - Time spent
+ * @returns {Object} Time entry
+ */
+export function createManualEntry(start, hours) {
+  const startDate = new Date(start);
+  const length = parseFloat(hours) || 0;
+  if (isNaN(startDate.getTime())) {
+    return normalizeTimeEntry({ start: '', end: '', hours: length, manual: true });
+  }
+  return normalizeTimeEntry({
+    start: startDate.toISOString(),
+    end: new Date(startDate.getTime() + length * HOUR_MS).toISOString(),
+    hours: length,
+    manual: true
+  });
+}
+
+/**
+ * Time logged on a task
+ * @param {Object} task - Task object
+ * @returns {number} Hours
+ */
+export function getLoggedHours(task) {
+  return (Array.isArray(task.timeEntries) ? task.timeEntries : [])
+    .reduce((sum, entry) => sum + (parseFloat(entry.hours) || 0), 0);
+}
+
+/**
+ * Actual time compared with the estimate
+ * @param {Object} task - Task object
+ * @param {Object|null} timer - The task's timer, counted while it runs
+ * @param {Date} now - Reference time
+ * @returns {Object} { actual, estimate, percentage, over }
+ */
+export function getTimeComparison(task, timer = null, now = new Date()) {
+  const actual = getLoggedHours(task) + (timer ? getTimerHours(timer, now) : 0);
+  const estimate = parseFloat(task.duration) || 0;
+  return {
+    actual,
+    estimate,
+    percentage: estimate > 0 ? Math.round((actual / estimate) * 100) : 0,
+    over: estimate > 0 && actual > estimate
+  };
+}
+
+/**
+ * Time tracking totals for the dashboard
+ * Estimate accuracy only counts completed tasks with time logged, since open
+ * tasks are still under way.
+ * @param {Array} tasks - All tasks
+ * @param {Date} since - Start of the week
+ * @returns {Object} { loggedHours, loggedWeek, trackedTasks, actualHours, estimatedHours, accuracy }
+ */
+export function getTimeTrackingStats(tasks, since) {
+  let loggedHours = 0;
+  let loggedWeek = 0;
+  let actualHours = 0;
+  let estimatedHours = 0;
+  let trackedTasks = 0;
+
+  tasks.forEach(task => {
+    const entries = Array.isArray(task.timeEntries) ? task.timeEntries : [];
+    if (entries.length === 0) return;
+
+    const logged = getLoggedHours(task);
+    loggedHours += logged;
+    loggedWeek += entries
+      .filter(entry => new Date(entry.end) >= since)
+      .reduce((sum, entry) => sum + (parseFloat(entry.hours) || 0), 0);
+
+    if (task.completed) {
+      trackedTasks++;
+      actualHours += logged;
+      estimatedHours += parseFloat(task.duration) || 0;
+    }
+  });
+
+  return {
+    loggedHours,
+    loggedWeek,
+    trackedTasks,
+    actualHours,
+    estimatedHours,
+    accuracy: estimatedHours > 0 ? Math.round((actualHours / estimatedHours) * 100) : null
+  };
+}
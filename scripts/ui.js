@@ -2,9 +2,31 @@
 
 import { stateManager, taskActions, uiActions, settingsActions } from './state.js';
 import { searchManager, filterTasks, sortTasks } from './search.js';
-import { validateField } from './validators.js';
-import { formatDuration, formatDate } from './utils.js';
+import { validateField, validateRecurrence, validateTask } from './validators.js';
+import { formatDuration, formatDate, toMinutes, toTime } from './utils.js';
 import { loadSettings } from './storage.js';
+import { isRecurring, describeRecurrence } from './recurrence.js';
+import { hasSubtasks, getSubtaskProgress, getCompletedSubtaskDuration } from './subtasks.js';
+import { getBlockingTasks, computeCriticalPath } from './dependencies.js';
+import { PRIORITY_LEVELS, normalizeTags, getTaskTags, getTaskPriority, getPriorityRank } from './tags.js';
+import { findCourse, getCourseColor, formatCourseLabel } from './courses.js';
+import { planImport } from './merge.js';
+import { CSV_EXPORT_COLUMNS, DEFAULT_EXPORT_COLUMNS, CSV_IMPORT_FIELDS, parseCSVRecords, tasksToCSV, guessColumnMapping, csvRowsToTasks } from './csv.js';
+import { tasksToICS, icsToTasks } from './ical.js';
+import { findSmartList, getSmartListHash, parseSmartListHash, getSmartListCount } from './smart-lists.js';
+import { getAutocompleteOptions } from './autocomplete.js';
+import { parseQuickAdd } from './quick-add.js';
+import { extractSyllabusTasks } from './syllabus.js';
+import { normalizeSchedule, getRemainingDuration } from './scheduler.js';
+import { MATRIX_QUADRANTS, findQuadrant, groupTasksByQuadrant, getAdjacentPriority } from './matrix.js';
+import { normalizeEscalation } from './escalation.js';
+import { normalizeWorkflow, findStatus, getFinalStatus, getTaskStatus, groupTasksByStatus } from './workflow.js';
+import { isTimerRunning, getTimerHours, formatTimerClock, getTimeComparison } from './timer.js';
+import { normalizeCalendarView, getCalendarRange, shiftCalendarAnchor, groupTasksByDay, getWeekViewHours, rescheduleDueDate, addDays } from './calendar.js';
+import { DEFAULT_BLOCK_MINUTES, PLANNER_SNAP_MINUTES, moveTimeBlock, resizeTimeBlock, getDayBlocks, findFreeSlot, summarizeDayPlan } from './day-planner.js';
+
+// Height of one hour in the day planner grid (px)
+const PLANNER_HOUR_HEIGHT = 48;
 
 // Element selectors for DOM manipulation
 const SELECTORS = {
@@ -14,15 +36,30 @@ const SELECTORS = {
   sections: '.section',
   searchInput: '#search-input',
   searchBtn: '#search-btn',
+  searchSuggestions: '#search-suggestions',
   caseSensitiveCheckbox: '#case-sensitive',
+  fuzzySearchCheckbox: '#fuzzy-search',
+  didYouMean: '#did-you-mean',
   clearSearchBtn: '#clear-search',
+  smartListName: '#smart-list-name',
+  saveSmartListBtn: '#save-smart-list',
+  smartLists: '#smart-lists',
   sortSelect: '#sort-select',
   tagFilter: '#tag-filter',
+  courseFilter: '#course-filter',
   tasksGrid: '#tasks-grid',
   tasksLoading: '#tasks-loading',
   tasksEmpty: '#tasks-empty',
   completedTasksGrid: '#completed-tasks-grid',
   completedTasksEmpty: '#completed-tasks-empty',
+  taskListView: '#task-list-view',
+  taskCalendar: '#task-calendar',
+  calendarToolbar: '.calendar-toolbar',
+  calendarNav: '#calendar-nav',
+  calendarPrev: '#calendar-prev',
+  calendarNext: '#calendar-next',
+  calendarToday: '#calendar-today',
+  calendarTitle: '#calendar-title',
 
   // Dashboard stats (selectors present in dashboard.html)
   totalTasks: '#total-tasks',
@@ -30,32 +67,111 @@ const SELECTORS = {
   topTag: '#top-tag',
   weekTasks: '#week-tasks',
   completedTasks: '#completed-tasks',
+  priorityCounts: '#priority-counts',
+  timeLogged: '#time-logged',
+  estimateAccuracy: '#estimate-accuracy',
   capStatus: '#cap-status',
   todaysTasksList: '#todays-tasks-list',
+  criticalPathList: '#critical-path-list',
+  studyPlanList: '#study-plan-list',
+  dayPlannerGrid: '#day-planner-grid',
+  dayPlannerTaskList: '#day-planner-task-list',
+  dayPlannerSummary: '#day-planner-summary',
+  dayPlannerDate: '#day-planner-date',
+  dayPlannerPrev: '#day-planner-prev',
+  dayPlannerNext: '#day-planner-next',
+  dayPlannerToday: '#day-planner-today',
+  courseStatsList: '#course-stats-list',
   weeklyProgressCanvas: '#weekly-progress-canvas',
   weeklyChartTooltip: '#weekly-chart-tooltip',
   capInput: '#duration-cap',
   updateCapBtn: '#update-cap',
   
+  // Quick add
+  quickAdd: '#quick-add-input',
+  quickAddBtn: '#quick-add-btn',
+  quickAddPreview: '#quick-add-preview',
+
   // Form
   taskForm: '#task-form',
   taskTitle: '#task-title',
   taskDueDate: '#task-due-date',
   taskDueTime: '#task-due-time',
   taskDuration: '#task-duration',
-  taskTag: '#task-tag',
+  taskPriority: '#task-priority',
+  taskTags: '#task-tags',
+  taskCourseId: '#task-course',
   taskDescription: '#task-description',
+  taskRepeat: '#task-repeat',
+  taskRepeatOptions: '#task-repeat-options',
+  taskRepeatInterval: '#task-repeat-interval',
+  taskRepeatIntervalUnit: '#task-repeat-interval-unit',
+  taskRepeatWeekdays: '#task-repeat-weekdays',
+  taskRepeatEnd: '#task-repeat-end',
+  taskRepeatUntil: '#task-repeat-until',
+  taskRepeatCount: '#task-repeat-count',
+  taskRepeatExceptions: '#task-repeat-exceptions',
+  taskEditScope: '#task-edit-scope',
+  subtaskList: '#subtask-list',
+  subtaskTitle: '#subtask-title',
+  subtaskDuration: '#subtask-duration',
+  addSubtaskBtn: '#add-subtask',
+  taskBlockedBy: '#task-blocked-by',
   submitBtn: 'button[type="submit"]',
   cancelEditBtn: '#cancel-edit',
   
   // Settings
   exportDataBtn: '#export-data',
   importDataInput: '#import-data',
+  importModeSelect: '#import-mode',
+  importPreview: '#import-preview',
+  importActions: '#import-actions',
+  importApplyBtn: '#import-apply',
+  importCancelBtn: '#import-cancel',
+  csvColumns: '#csv-columns',
+  exportCsvBtn: '#export-csv',
+  csvMapping: '#csv-mapping',
+  icsComponent: '#ics-component',
+  exportIcsBtn: '#export-ics',
+  syllabusText: '#syllabus-text',
+  syllabusTermStart: '#syllabus-term-start',
+  syllabusDateOrder: '#syllabus-date-order',
+  syllabusCourse: '#syllabus-course',
+  syllabusScanBtn: '#syllabus-scan',
+  syllabusReview: '#syllabus-review',
   clearDataBtn: '#clear-data',
   timeUnitSelect: '#time-unit',
   dateFormatSelect: '#date-format',
   dueRemindersCheckbox: '#due-reminders',
   goalAlertsCheckbox: '#goal-alerts',
+  courseList: '#course-list',
+  courseForm: '#course-form',
+  courseIdInput: '#course-id',
+  courseCode: '#course-code',
+  courseName: '#course-name',
+  courseColor: '#course-color',
+  courseCredits: '#course-credits',
+  courseInstructor: '#course-instructor',
+  courseTerm: '#course-term',
+  courseSubmitBtn: '#course-submit',
+  courseCancelBtn: '#course-cancel',
+  scheduleForm: '#schedule-form',
+  scheduleCapacity: '#schedule-capacity',
+  scheduleDayStart: '#schedule-day-start',
+  scheduleDayEnd: '#schedule-day-end',
+  blockedTimeList: '#blocked-time-list',
+  blockedTimeForm: '#blocked-time-form',
+  blockedTimeLabel: '#blocked-time-label',
+  blockedTimeStart: '#blocked-time-start',
+  blockedTimeEnd: '#blocked-time-end',
+  escalationForm: '#escalation-form',
+  escalationEnabled: '#escalation-enabled',
+  escalationDays: '#escalation-days',
+  escalationWorkload: '#escalation-workload',
+  workflowList: '#workflow-list',
+  workflowForm: '#workflow-form',
+  workflowName: '#workflow-name',
+  workflowWipLimit: '#workflow-wip-limit',
   
   // Modal
   modal: '#confirm-modal',
@@ -73,6 +189,33 @@ class UIManager {
     this.elements = {};
     this.isInitialized = false;
     this.currentSearchResults = [];
+    this.searchActive = false;
+    this.correctedQuery = null;
+    this.autocompleteOptions = [];
+    this.activeOptionIndex = -1;
+    // Smart list currently shown, and one requested by URL before settings were loaded
+    this.activeSmartListId = null;
+    this.pendingSmartListId = null;
+    // Checklist items being edited in the task form
+    this.formSubtasks = [];
+    // Critical path steps by task ID, refreshed on each task render
+    this.criticalSteps = new Map();
+    // Parsed import file waiting for the user to confirm the preview
+    this.pendingImport = null;
+    // Parsed CSV rows waiting for their column mapping
+    this.pendingCsv = null;
+    // Day shown in the day planner (YYYY-MM-DD) and the block or task being dragged or resized
+    this.plannerDate = null;
+    this.plannerDrag = null;
+    this.plannerResize = null;
+    // Calendar views: the day the shown month or week contains, the filtered tasks to place,
+    // the task being dragged and the event to focus after rescheduling from the keyboard
+    this.calendarDate = null;
+    this.calendarTasks = [];
+    this.calendarDragId = null;
+    this.calendarFocusId = null;
+    // Ticks the clocks of running task timers
+    this.timerInterval = null;
   }
 
   // Recent dropdown removed — functionality consolidated into Today's Tasks list
@@ -110,12 +253,12 @@ class UIManager {
     // Seed sample tasks (useful during development/testing)
     window.appDev.seedSampleTasks = (count = 6) => {
       const sample = [
-        { title: 'Read Chapter 4', dueDate: nextDate(2), duration: 2, tag: 'Homework', description: 'Read and summarize.' },
-        { title: 'Math Assignment', dueDate: nextDate(5), duration: 3.5, tag: 'Assignment', description: 'Complete exercises 1-10' },
-        { title: 'Group Project Meeting', dueDate: nextDate(1), duration: 1, tag: 'Meeting', description: 'Discuss milestones' },
-        { title: 'Prepare Presentation', dueDate: nextDate(7), duration: 4, tag: 'Project', description: 'Slides and rehearsal' },
-        { title: 'Lab Report', dueDate: nextDate(3), duration: 2.5, tag: 'Lab', description: 'Analyze results' },
-        { title: 'Read Article', dueDate: nextDate(4), duration: 1, tag: 'Reading', description: 'Journal article review' }
+        { title: 'Read Chapter 4', dueDate: nextDate(2), duration: 2, priority: 'Important but Not Urgent', tags: ['Homework'], description: 'Read and summarize.' },
+        { title: 'Math Assignment', dueDate: nextDate(5), duration: 3.5, priority: 'Urgent & Important', tags: ['Assignment', 'Math'], description: 'Complete exercises 1-10' },
+        { title: 'Group Project Meeting', dueDate: nextDate(1), duration: 1, priority: 'Urgent but Not Important', tags: ['Meeting'], description: 'Discuss milestones' },
+        { title: 'Prepare Presentation', dueDate: nextDate(7), duration: 4, priority: 'Important but Not Urgent', tags: ['Project'], description: 'Slides and rehearsal' },
+        { title: 'Lab Report', dueDate: nextDate(3), duration: 2.5, priority: 'Urgent & Important', tags: ['Lab'], description: 'Analyze results' },
+        { title: 'Read Article', dueDate: nextDate(4), duration: 1, priority: 'Important but Not Urgent', tags: ['Reading'], description: 'Journal article review' }
       ];
 
       const items = sample.slice(0, count);
@@ -200,6 +343,9 @@ class UIManager {
       console.error('Error while binding task events:', err);
     }
     
+    // Quick add
+    this.bindQuickAddEvents();
+    
     // Form
     this.bindFormEvents();
     
@@ -272,6 +418,22 @@ class UIManager {
       });
     }
     
+    // Typo-tolerant search checkbox
+    if (this.elements.fuzzySearchCheckbox) {
+      this.elements.fuzzySearchCheckbox.addEventListener('change', () => {
+        this.handleSearch(this.elements.searchInput.value);
+      });
+    }
+    
+    // "Did you mean" runs the corrected query
+    if (this.elements.didYouMean) {
+      this.elements.didYouMean.addEventListener('click', (e) => {
+        if (!e.target.closest('.did-you-mean-link') || !this.correctedQuery) return;
+        this.elements.searchInput.value = this.correctedQuery;
+        this.handleSearch(this.correctedQuery);
+      });
+    }
+    
     // Clear search
     if (this.elements.clearSearchBtn) {
       this.elements.clearSearchBtn.addEventListener('click', () => {
@@ -283,7 +445,10 @@ class UIManager {
         if (resultsListEl) resultsListEl.innerHTML = '';
         // Reset search state
         this.currentSearchResults = [];
+        this.searchActive = false;
+        this.closeAutocomplete();
         stateManager.setState({ searchQuery: '', caseSensitive: false });
+        this.setActiveSmartList(null);
       });
     }
     
@@ -300,6 +465,13 @@ class UIManager {
         this.handleFilter(e.target.value);
       });
     }
+    
+    // Course filter
+    if (this.elements.courseFilter) {
+      this.elements.courseFilter.addEventListener('change', (e) => {
+        this.handleCourseFilter(e.target.value);
+      });
+    }
 
     // Update cap button
     if (this.elements.updateCapBtn && this.elements.capInput) {
@@ -313,26 +485,193 @@ class UIManager {
       });
     }
 
+    this.bindDayPlannerEvents();
+
     // recent-tasks panel removed from dashboard; no action needed here
   }
+  
+  /**
+   * Bind day planner events: day navigation, dragging tasks and blocks, resizing and block buttons
+   */
+  bindDayPlannerEvents() {
+    const grid = this.elements.dayPlannerGrid;
+    const taskList = this.elements.dayPlannerTaskList;
+    if (!grid || !taskList) return;
+
+    const shiftDay = (days) => {
+      const [year, month, date] = this.getPlannerDate().split('-').map(part => parseInt(part, 10));
+      this.plannerDate = formatDate(new Date(year, month - 1, date + days), 'YYYY-MM-DD');
+      this.renderDayPlanner();
+    };
+    this.elements.dayPlannerPrev?.addEventListener('click', () => shiftDay(-1));
+    this.elements.dayPlannerNext?.addEventListener('click', () => shiftDay(1));
+    this.elements.dayPlannerToday?.addEventListener('click', () => {
+      this.plannerDate = null;
+      this.renderDayPlanner();
+    });
+    this.elements.dayPlannerDate?.addEventListener('change', (e) => {
+      if (!e.target.value) return;
+      this.plannerDate = e.target.value;
+      this.renderDayPlanner();
+    });
+
+    // Tasks are dragged onto the grid, or planned in the next free hour from the keyboard
+    taskList.addEventListener('dragstart', (e) => {
+      const item = e.target.closest && e.target.closest('[data-planner-task-id]');
+      if (!item) return;
+      this.plannerDrag = { type: 'task', id: item.dataset.plannerTaskId, offset: 0 };
+      e.dataTransfer.effectAllowed = 'copy';
+      e.dataTransfer.setData('text/plain', item.dataset.plannerTaskId);
+    });
+    taskList.addEventListener('keydown', (e) => {
+      const item = e.target.closest && e.target.closest('[data-planner-task-id]');
+      if (!item || (e.key !== 'Enter' && e.key !== ' ')) return;
+      e.preventDefault();
+      this.planTaskInNextFreeSlot(item.dataset.plannerTaskId);
+    });
+
+    grid.addEventListener('dragstart', (e) => {
+      const blockEl = e.target.closest && e.target.closest('[data-block-id]');
+      if (!blockEl || this.plannerResize) {
+        e.preventDefault();
+        return;
+      }
+      // Keep the point where the block was grabbed under the pointer
+      const offset = ((e.clientY - blockEl.getBoundingClientRect().top) / PLANNER_HOUR_HEIGHT) * 60;
+      this.plannerDrag = { type: 'block', id: blockEl.dataset.blockId, offset };
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', blockEl.dataset.blockId);
+    });
+    grid.addEventListener('dragover', (e) => {
+      if (!this.plannerDrag) return;
+      e.preventDefault();
+      const hour = Math.floor(this.getPlannerMinute(e.clientY) / 60);
+      grid.querySelectorAll('.day-planner-hour').forEach(row => {
+        row.classList.toggle('drop-target', parseInt(row.dataset.hour, 10) === hour);
+      });
+    });
+    grid.addEventListener('dragleave', (e) => {
+      if (!grid.contains(e.relatedTarget)) {
+        grid.querySelectorAll('.drop-target').forEach(row => row.classList.remove('drop-target'));
+      }
+    });
+    grid.addEventListener('drop', (e) => {
+      if (!this.plannerDrag) return;
+      e.preventDefault();
+      this.handlePlannerDrop(this.getPlannerMinute(e.clientY) - this.plannerDrag.offset);
+    });
+    document.addEventListener('dragend', () => {
+      this.plannerDrag = null;
+      grid.querySelectorAll('.drop-target').forEach(row => row.classList.remove('drop-target'));
+    });
+
+    // Dragging a block's lower edge changes when it ends
+    grid.addEventListener('pointerdown', (e) => {
+      const handle = e.target.closest && e.target.closest('.day-planner-resize');
+      if (!handle) return;
+      e.preventDefault();
+      const blockEl = handle.closest('[data-block-id]');
+      this.plannerResize = { id: blockEl.dataset.blockId, element: blockEl };
+      handle.setPointerCapture?.(e.pointerId);
+    });
+    grid.addEventListener('pointermove', (e) => {
+      if (!this.plannerResize) return;
+      const { element } = this.plannerResize;
+      const top = element.getBoundingClientRect().top;
+      element.style.height = `${Math.max(PLANNER_HOUR_HEIGHT * PLANNER_SNAP_MINUTES / 60, e.clientY - top)}px`;
+    });
+    grid.addEventListener('pointerup', (e) => {
+      if (!this.plannerResize) return;
+      const { id } = this.plannerResize;
+      this.plannerResize = null;
+      const block = (stateManager.getState('settings').timeBlocks || []).find(item => item.id === id);
+      if (!block) return;
+      if (!settingsActions.updateTimeBlock(id, resizeTimeBlock(block, this.getPlannerMinute(e.clientY)), stateManager)) {
+        this.renderDayPlanner();
+      }
+    });
+
+    // Buttons on each block move, resize or remove it without a pointer
+    grid.addEventListener('click', (e) => {
+      const button = e.target.closest && e.target.closest('[data-planner-action]');
+      if (!button) return;
+      const id = button.closest('[data-block-id]').dataset.blockId;
+      const block = (stateManager.getState('settings').timeBlocks || []).find(item => item.id === id);
+      if (!block) return;
+
+      const step = PLANNER_SNAP_MINUTES;
+      const actions = {
+        earlier: () => moveTimeBlock(block, toMinutes(block.start) - step),
+        later: () => moveTimeBlock(block, toMinutes(block.start) + step),
+        shorter: () => resizeTimeBlock(block, toMinutes(block.end) - step),
+        longer: () => resizeTimeBlock(block, toMinutes(block.end) + step)
+      };
+      if (button.dataset.plannerAction === 'remove') {
+        settingsActions.removeTimeBlock(id, stateManager);
+        this.announceToScreenReader('Time block removed');
+        return;
+      }
+      const updates = actions[button.dataset.plannerAction]();
+      if (settingsActions.updateTimeBlock(id, updates, stateManager)) {
+        const next = { ...block, ...updates };
+        this.announceToScreenReader(`Block now ${next.start} to ${next.end}`);
+        this.elements.dayPlannerGrid.querySelector(`[data-block-id="${id}"] [data-planner-action="${button.dataset.plannerAction}"]`)?.focus();
+      }
+    });
+  }
 
   /**
    * Bind tasks-specific events (search input, quick actions)
    */
   bindTasksEvents() {
+    this.bindCalendarEvents();
+    this.bindMatrixEvents();
+    this.bindBoardEvents();
+    
     // Search input (live search)
     if (this.elements.searchInput) {
       this.elements.searchInput.addEventListener('input', (e) => {
+        this.updateAutocomplete();
         this.handleSearch(e.target.value);
       });
 
-      // Enter to run search immediately
+      // Combobox keys: arrows move through the suggestions, Enter accepts one or runs the search
       this.elements.searchInput.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter') {
+        const open = this.autocompleteOptions.length > 0;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+          e.preventDefault();
+          if (!open) {
+            this.updateAutocomplete({ announce: true });
+          } else {
+            this.moveAutocomplete(e.key === 'ArrowDown' ? 1 : -1);
+          }
+        } else if (e.key === 'Enter') {
+          e.preventDefault();
+          if (open && this.activeOptionIndex >= 0) {
+            this.acceptAutocomplete(this.activeOptionIndex);
+          } else {
+            this.closeAutocomplete();
+            this.handleSearch(this.elements.searchInput.value);
+            settingsActions.recordRecentSearch(this.elements.searchInput.value, stateManager);
+          }
+        } else if (e.key === 'Escape' && open) {
           e.preventDefault();
-          this.handleSearch(this.elements.searchInput.value);
+          this.closeAutocomplete();
         }
       });
+
+      this.elements.searchInput.addEventListener('focus', () => this.updateAutocomplete({ announce: true }));
+      this.elements.searchInput.addEventListener('blur', () => this.closeAutocomplete());
+    }
+
+    // Clicking a suggestion accepts it (mousedown keeps focus in the search box)
+    if (this.elements.searchSuggestions) {
+      this.elements.searchSuggestions.addEventListener('mousedown', (e) => {
+        const option = e.target.closest('[role="option"]');
+        if (!option) return;
+        e.preventDefault();
+        this.acceptAutocomplete(parseInt(option.dataset.index, 10));
+      });
     }
 
     // Search button triggers search
@@ -340,6 +679,7 @@ class UIManager {
       this.elements.searchBtn.addEventListener('click', () => {
         const q = this.elements.searchInput ? this.elements.searchInput.value : '';
         this.handleSearch(q);
+        settingsActions.recordRecentSearch(q, stateManager);
       });
   console.log('uiManager.bindTasksEvents: searchBtn listener attached');
     } else {
@@ -355,9 +695,71 @@ class UIManager {
   console.log('uiManager.bindTasksEvents: delegated search-btn listener attached');
     }
 
+    // Smart lists: save the current search, delete saved ones
+    if (this.elements.saveSmartListBtn) {
+      this.elements.saveSmartListBtn.addEventListener('click', () => {
+        this.handleSaveSmartList();
+      });
+    }
+    
+    if (this.elements.smartListName) {
+      this.elements.smartListName.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          this.handleSaveSmartList();
+        }
+      });
+    }
+    
+    if (this.elements.smartLists) {
+      this.elements.smartLists.addEventListener('click', (e) => {
+        // Re-opening the list in the URL does not fire hashchange
+        const link = e.target.closest('.smart-list-link');
+        if (link && link.getAttribute('href') === location.hash) {
+          e.preventDefault();
+          this.openSmartList(parseSmartListHash(location.hash));
+          return;
+        }
+        
+        const button = e.target.closest('[data-smart-list-action="delete"]');
+        if (!button) return;
+        const list = findSmartList(stateManager.getState('settings').smartLists, button.dataset.smartListId);
+        if (!list) return;
+        this.showConfirmationModal('Delete Smart List', `Delete the smart list "${list.name}"? Your tasks are not affected.`, () => {
+          settingsActions.deleteSmartList(list.id, stateManager);
+          if (this.activeSmartListId === list.id) this.setActiveSmartList(null);
+        });
+      });
+    }
+
     // Additional task-level events could be added here (pagination, bulk actions)
   }
   
+  /**
+   * Bind quick-add events: live preview while typing, Enter or the button to add
+   */
+  bindQuickAddEvents() {
+    if (!this.elements.quickAdd) return;
+
+    this.elements.quickAdd.addEventListener('input', () => {
+      this.clearFieldError('quickAdd');
+      this.renderQuickAddPreview();
+    });
+
+    this.elements.quickAdd.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.handleQuickAdd();
+      }
+    });
+
+    if (this.elements.quickAddBtn) {
+      this.elements.quickAddBtn.addEventListener('click', () => {
+        this.handleQuickAdd();
+      });
+    }
+  }
+  
   /**
    * Bind form events
    */
@@ -375,7 +777,8 @@ class UIManager {
       { element: this.elements.taskTitle, field: 'title' },
       { element: this.elements.taskDueDate, field: 'date' },
       { element: this.elements.taskDuration, field: 'duration' },
-      { element: this.elements.taskTag, field: 'tag' },
+      { element: this.elements.taskPriority, field: 'priority' },
+      { element: this.elements.taskTags, field: 'tags' },
       { element: this.elements.taskDescription, field: 'description' }
     ];
     
@@ -391,6 +794,42 @@ class UIManager {
       }
     });
     
+    // Repeat controls only show the options relevant to the chosen rule
+    [this.elements.taskRepeat, this.elements.taskRepeatEnd].forEach(element => {
+      if (element) {
+        element.addEventListener('change', () => {
+          this.updateRecurrenceControls();
+          this.clearFieldError('recurrence');
+        });
+      }
+    });
+    
+    // Checklist editor
+    if (this.elements.addSubtaskBtn) {
+      this.elements.addSubtaskBtn.addEventListener('click', () => {
+        this.addFormSubtask();
+      });
+    }
+    
+    if (this.elements.subtaskTitle) {
+      this.elements.subtaskTitle.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          this.addFormSubtask();
+        }
+      });
+    }
+    
+    if (this.elements.subtaskList) {
+      this.elements.subtaskList.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest && e.target.closest('.subtask-remove-btn');
+        if (removeBtn) {
+          this.formSubtasks.splice(parseInt(removeBtn.dataset.index, 10), 1);
+          this.renderSubtaskEditor();
+        }
+      });
+    }
+    
     // Cancel edit
     if (this.elements.cancelEditBtn) {
       this.elements.cancelEditBtn.addEventListener('click', () => {
@@ -418,6 +857,84 @@ class UIManager {
       });
     }
     
+    // CSV export
+    if (this.elements.csvColumns) {
+      this.renderCsvColumnOptions();
+    }
+    
+    if (this.elements.exportCsvBtn) {
+      this.elements.exportCsvBtn.addEventListener('click', () => {
+        this.handleExportCSV();
+      });
+    }
+    
+    // Calendar export
+    if (this.elements.exportIcsBtn) {
+      this.elements.exportIcsBtn.addEventListener('click', () => {
+        this.handleExportICS();
+      });
+    }
+    
+    if (this.elements.csvMapping) {
+      this.elements.csvMapping.addEventListener('click', (e) => {
+        if (e.target.dataset && e.target.dataset.csvAction === 'check') {
+          this.previewCsvImport();
+        }
+      });
+    }
+    
+    // Changing the merge mode re-runs the preview of a pending import
+    if (this.elements.importModeSelect) {
+      this.elements.importModeSelect.addEventListener('change', () => {
+        if (this.pendingImport) this.renderImportPreview();
+      });
+    }
+    
+    if (this.elements.importPreview) {
+      this.elements.importPreview.addEventListener('change', (e) => {
+        const conflictId = e.target.dataset && e.target.dataset.conflictId;
+        if (conflictId && this.pendingImport) {
+          this.pendingImport.resolutions[conflictId] = e.target.value;
+          this.renderImportPreview();
+        }
+      });
+    }
+    
+    if (this.elements.importApplyBtn) {
+      this.elements.importApplyBtn.addEventListener('click', () => {
+        this.applyPendingImport();
+      });
+    }
+    
+    if (this.elements.importCancelBtn) {
+      this.elements.importCancelBtn.addEventListener('click', () => {
+        this.cancelPendingImport();
+      });
+    }
+    
+    // Syllabus import: scan pasted text, then review the proposed tasks
+    if (this.elements.syllabusDateOrder) {
+      this.elements.syllabusDateOrder.value = loadSettings().dateFormat === 'DD/MM/YYYY' ? 'day-first' : 'month-first';
+    }
+    
+    if (this.elements.syllabusScanBtn) {
+      this.elements.syllabusScanBtn.addEventListener('click', () => {
+        this.handleSyllabusScan();
+      });
+    }
+    
+    if (this.elements.syllabusReview) {
+      const review = this.elements.syllabusReview;
+      review.addEventListener('input', (e) => this.updateSyllabusProposal(e.target));
+      review.addEventListener('change', (e) => this.updateSyllabusProposal(e.target));
+      review.addEventListener('click', (e) => {
+        const action = e.target.dataset && e.target.dataset.syllabusAction;
+        if (action === 'accept') this.acceptSyllabusProposals();
+        if (action === 'discard') this.discardSyllabusProposals();
+        if (action === 'cancel') this.closeSyllabusReview();
+      });
+    }
+    
     // Clear data
     if (this.elements.clearDataBtn) {
       this.elements.clearDataBtn.addEventListener('click', () => {
@@ -447,6 +964,102 @@ class UIManager {
         });
       }
     });
+    
+    // Study planner: daily capacity, study hours and blocked times
+    if (this.elements.scheduleForm) {
+      this.elements.scheduleForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.handleScheduleSubmit();
+      });
+    }
+    
+    if (this.elements.blockedTimeForm) {
+      this.elements.blockedTimeForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.handleBlockedTimeSubmit();
+      });
+    }
+    
+    if (this.elements.escalationForm) {
+      this.elements.escalationForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.handleEscalationSubmit();
+      });
+    }
+    
+    // Task workflow: add and remove statuses, change WIP limits
+    if (this.elements.workflowForm) {
+      this.elements.workflowForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.handleWorkflowSubmit();
+      });
+    }
+    
+    if (this.elements.workflowList) {
+      this.elements.workflowList.addEventListener('click', (e) => {
+        const button = e.target.closest && e.target.closest('[data-workflow-action="delete"]');
+        if (!button) return;
+        if (settingsActions.removeWorkflowStatus(button.dataset.statusId, stateManager)) {
+          this.clearFieldError('workflow');
+          this.announceToScreenReader('Status removed');
+        } else {
+          this.showFieldError('workflow', stateManager.getState('error') || 'Status could not be removed');
+        }
+      });
+      this.elements.workflowList.addEventListener('change', (e) => {
+        const input = e.target.closest && e.target.closest('[data-workflow-wip]');
+        if (!input) return;
+        if (settingsActions.updateWorkflowStatus(input.dataset.workflowWip, { wipLimit: input.value }, stateManager)) {
+          this.clearFieldError('workflow');
+        } else {
+          this.showFieldError('workflow', stateManager.getState('error') || 'WIP limit could not be saved');
+          this.renderWorkflow(stateManager.getState('settings'));
+        }
+      });
+    }
+    
+    if (this.elements.blockedTimeList) {
+      this.elements.blockedTimeList.addEventListener('click', (e) => {
+        const button = e.target.closest && e.target.closest('[data-blocked-time-action="delete"]');
+        if (button) settingsActions.removeBlockedTime(button.dataset.blockedTimeId, stateManager);
+      });
+    }
+    
+    // Course registry
+    if (this.elements.courseForm) {
+      this.elements.courseForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.handleCourseSubmit();
+      });
+    }
+    
+    if (this.elements.courseCancelBtn) {
+      this.elements.courseCancelBtn.addEventListener('click', () => {
+        this.resetCourseForm();
+      });
+    }
+    
+    if (this.elements.courseList) {
+      this.elements.courseList.addEventListener('click', (e) => {
+        const button = e.target.closest && e.target.closest('[data-course-action]');
+        if (!button) return;
+        
+        const courseId = button.dataset.courseId;
+        if (button.dataset.courseAction === 'edit') {
+          this.editCourse(courseId);
+        } else if (button.dataset.courseAction === 'delete') {
+          const course = findCourse(stateManager.getState('settings').courses, courseId);
+          this.showConfirmationModal(
+            'Remove Course',
+            `Remove ${course ? course.code : 'this course'}? Its tasks are kept without a course.`,
+            () => {
+              settingsActions.deleteCourse(courseId, stateManager);
+              this.resetCourseForm();
+            }
+          );
+        }
+      });
+    }
   }
   
   /**
@@ -518,6 +1131,13 @@ class UIManager {
     const hash = location.hash ? location.hash.substring(1) : '';
     let section = hash;
 
+    // #list=<id> opens a saved smart list
+    const smartListId = parseSmartListHash(hash);
+    if (smartListId) {
+      this.openSmartList(smartListId);
+      return;
+    }
+
     if (!section) {
       // Prefer dashboard if present, otherwise tasks, otherwise first available section on the page
       if (document.getElementById('dashboard')) {
@@ -558,9 +1178,13 @@ class UIManager {
   setupStateListeners() {
     // Listen to state changes
     stateManager.subscribe('tasks', (tasks) => {
+      // Keep an active search (e.g. an open smart list) in step with task changes
+      if (this.searchActive) this.refreshSearchResults();
       this.renderTasks();
+      this.renderSmartLists();
       this.updateDashboard();
       this.updateTagFilter();
+      this.updateDependencyOptions();
       this.renderTodaysTasks();
       this.renderWeeklyChart();
     });
@@ -577,6 +1201,9 @@ class UIManager {
     stateManager.subscribe('stats', (stats) => {
       this.updateDashboard();
       this.renderTodaysTasks();
+      this.renderStudyPlan();
+      this.renderCriticalPath();
+      this.renderCourseStats();
       this.renderWeeklyChart();
     });
     
@@ -594,18 +1221,40 @@ class UIManager {
       if (success) this.showSuccess(success);
     });
     
+    stateManager.subscribe('timers', (timers) => {
+      this.renderTasks();
+      this.toggleTimerClock(timers);
+    });
+    
+    stateManager.subscribe('escalations', (escalations) => {
+      if (escalations && escalations.length) this.showEscalationToast(escalations);
+    });
+    
     stateManager.subscribe('editingTaskId', (editingTaskId) => {
       this.updateFormForEditing(editingTaskId);
     });
     
     stateManager.subscribe('settings', (settings) => {
       this.updateSettingsForm(settings);
+      this.renderCourseList(settings);
+      this.renderBlockedTimes(settings);
+      this.renderWorkflow(settings);
+      this.renderDayPlanner();
+      this.renderCalendar();
+      this.updateCourseOptions(settings);
+      this.renderSmartLists();
+      
+      // A smart list linked by URL can only open once settings are loaded
+      if (this.pendingSmartListId && findSmartList(settings.smartLists, this.pendingSmartListId)) {
+        this.openSmartList(this.pendingSmartListId);
+      }
     });
     
     // Listen for capSettings updates specifically
     stateManager.subscribe('capSettings', (capSettings) => {
       if (capSettings) this.updateCapStatus(capSettings);
       this.renderWeeklyChart();
+      this.renderDayPlanner();
     });
 
     // Recent dropdown removed — no-op
@@ -819,7 +1468,7 @@ class UIManager {
    * Handle search
    * @param {string} query - Search query
    */
-  handleSearch(query) {
+  async handleSearch(query) {
   console.log('uiManager.handleSearch query:', query);
     const tasks = stateManager.getState('tasks');
     const caseSensitive = this.elements.caseSensitiveCheckbox?.checked || false;
@@ -835,24 +1484,42 @@ class UIManager {
       console.warn('Failed to set search state safely', err);
     }
     
-    // Perform search
-    searchManager.initialize(tasks);
-    const results = searchManager.searchTasks(query, tasks, { caseSensitive });
+    // Changing the search leaves the open smart list
+    if (this.activeSmartListId) {
+      const list = findSmartList(stateManager.getState('settings').smartLists, this.activeSmartListId);
+      if (!list || list.query !== query) this.setActiveSmartList(null);
+    }
+    
+    // Perform search (regexes run in a worker; a newer search cancels this one)
+    const results = await searchManager.searchTasksAsync(query, tasks, {
+      caseSensitive,
+      fuzzy: this.elements.fuzzySearchCheckbox?.checked || false,
+      courses: stateManager.getState('settings').courses || []
+    });
+    if (results === null) return;
     
     this.currentSearchResults = results;
+    this.searchActive = Boolean(query && query.trim());
     this.renderTasks();
 
     console.log('uiManager.handleSearch results count:', results.length);
     // Update visible results count
     const resultsEl = document.getElementById('search-results');
     if (resultsEl) {
-      if (query) {
+      if (query && searchManager.lastError) {
+        resultsEl.textContent = `Query error: ${searchManager.lastError}`;
+      } else if (query) {
         resultsEl.textContent = `${results.length} result${results.length !== 1 ? 's' : ''}`;
+        if (searchManager.lastWarnings.length > 0) {
+          resultsEl.textContent += ` (warning: ${searchManager.lastWarnings.map(warning => warning.message).join('; ')})`;
+        }
       } else {
         resultsEl.textContent = '';
       }
     }
 
+    this.renderDidYouMean(query && !searchManager.lastError && results.length === 0 ? searchManager.getDidYouMean(query, tasks) : null);
+    
     // Render a simple results list for quick preview - only if there's a query
     if (query) {
       this.renderSearchResultsList(results.map(r => r.task));
@@ -862,87 +1529,345 @@ class UIManager {
     
     // Announce search results
     if (query) {
-      this.announceToScreenReader(`Found ${results.length} tasks matching "${query}"`);
+      this.announceToScreenReader(`Found ${results.length} tasks matching "${query}".${this.describeAutocomplete()}`);
     } else {
       this.announceToScreenReader('Showing all tasks');
     }
   }
 
   /**
-   * Render a simple list of search-matching tasks under the search box
-   * @param {Array} tasks - Array of task objects
+   * Rebuild the search box suggestions for the current text and caret position
+   * @param {Object} options - { announce: also announce how many suggestions there are }
    */
-  renderSearchResultsList(tasks) {
-    const container = document.getElementById('search-results-list');
-    if (!container) return;
-
-    if (!tasks || tasks.length === 0) {
-      container.innerHTML = '';
-      return;
-    }
-
-    const settings = loadSettings();
-    container.innerHTML = tasks.map(task => {
-      const due = task.dueDate ? formatDate(new Date(task.dueDate), settings.dateFormat || 'YYYY-MM-DD') : '-';
-      const duration = task.duration ? formatDuration(parseFloat(task.duration), settings.timeUnit) : '-';
-      return `
-        <div class="search-result-item" data-task-id="${task.id}" style="padding:8px 12px;border:1px solid rgba(0,0,0,0.06);border-radius:8px;margin-bottom:8px;background:var(--surface, #fff);">
-          <div style="display:flex;justify-content:space-between;align-items:center;gap:12px;">
-            <div style="flex:1">
-              <div style="font-weight:600;color:#1f2937;">${this.escapeHtml(task.title)}</div>
-              <div style="color:#6b7280;font-size:0.9rem">Tag: ${this.escapeHtml(task.tag)} • Due: ${due}</div>
-            </div>
-            <div style="display:flex;flex-direction:column;align-items:flex-end;gap:6px">
-              <div style="white-space:nowrap;color:#6b7280;font-weight:600">${duration}</div>
-              <label style="font-size:0.85rem;color:#6b7280;">
-                <input type="checkbox" class="search-result-complete" data-task-id="${task.id}" ${task.completed ? 'checked' : ''}> Done
-              </label>
-            </div>
-          </div>
-        </div>
-      `;
-    }).join('');
-
-    // Bind delegated listener for completion toggles inside results list
-    container.querySelectorAll('.search-result-complete').forEach(cb => {
-      cb.addEventListener('change', (e) => {
-        const taskId = e.target.dataset.taskId;
-        const checked = e.target.checked;
-        const task = stateManager.getState('tasks').find(t => t.id === taskId) || { id: taskId, title: '' };
-        taskActions.updateTask(taskId, { completed: checked }, stateManager);
-        if (checked) this.showUndoToast(task);
-      });
+  updateAutocomplete({ announce = false } = {}) {
+    const input = this.elements.searchInput;
+    if (!input || !this.elements.searchSuggestions) return;
+    
+    const settings = stateManager.getState('settings') || {};
+    const tasks = stateManager.getState('tasks') || [];
+    this.autocompleteOptions = getAutocompleteOptions(input.value, {
+      caret: input.selectionStart ?? input.value.length,
+      getWords: (word) => searchManager.getSuggestions(word, tasks),
+      recentSearches: settings.recentSearches || [],
+      tags: normalizeTags(tasks.flatMap(task => getTaskTags(task))),
+      smartLists: settings.smartLists || []
     });
+    this.activeOptionIndex = -1;
+    this.renderAutocomplete();
+    
+    if (announce && this.autocompleteOptions.length > 0) {
+      this.announceToScreenReader(this.describeAutocomplete().trim());
+    }
   }
   
   /**
-   * Handle sort
-   * @param {string} sortBy - Sort criteria
+   * Render the suggestions listbox and sync the combobox ARIA state
    */
-  handleSort(sortBy) {
-    stateManager.setState({ sortBy });
-    this.renderTasks();
+  renderAutocomplete() {
+    const input = this.elements.searchInput;
+    const listbox = this.elements.searchSuggestions;
+    if (!input || !listbox) return;
+    
+    const typeLabels = { recent: 'Recent', 'smart-list': 'Smart list', tag: 'Tag', word: 'Word' };
+    const open = this.autocompleteOptions.length > 0;
+    listbox.hidden = !open;
+    listbox.innerHTML = this.autocompleteOptions.map((option, index) => `
+      <li id="search-suggestion-${index}" role="option" class="search-suggestion${index === this.activeOptionIndex ? ' active' : ''}"
+          data-index="${index}" aria-selected="${index === this.activeOptionIndex}">
+        <span class="search-suggestion-label">${this.escapeHtml(option.label)}</span>
+        <span class="search-suggestion-type">${typeLabels[option.type]}</span>
+      </li>
+    `).join('');
+    
+    input.setAttribute('aria-expanded', String(open));
+    if (this.activeOptionIndex >= 0) {
+      input.setAttribute('aria-activedescendant', `search-suggestion-${this.activeOptionIndex}`);
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
   }
   
   /**
-   * Handle filter
-   * @param {string} tag - Tag to filter by
+   * Move the highlighted suggestion, wrapping around at either end
+   * @param {number} step - 1 for down, -1 for up
    */
-  handleFilter(tag) {
-    const filters = tag ? { tag } : {};
-    stateManager.setState({ activeFilters: filters });
-    this.renderTasks();
+  moveAutocomplete(step) {
+    const count = this.autocompleteOptions.length;
+    if (count === 0) return;
+    this.activeOptionIndex = this.activeOptionIndex < 0
+      ? (step > 0 ? 0 : count - 1)
+      : (this.activeOptionIndex + step + count) % count;
+    this.renderAutocomplete();
   }
   
   /**
-   * Render tasks
+   * Accept a suggestion: fill in its search, or open its smart list
+   * @param {number} index - Suggestion index
    */
-  renderTasks() {
-    const tasks = stateManager.getState('tasks');
-    let sortBy = stateManager.getState('sortBy');
+  acceptAutocomplete(index) {
+    const option = this.autocompleteOptions[index];
+    if (!option) return;
+    this.closeAutocomplete();
     
-    // Default to priority sorting if not set
-    if (!sortBy) {
+    if (option.type === 'smart-list') {
+      this.openSmartList(option.listId);
+      return;
+    }
+    
+    const input = this.elements.searchInput;
+    input.value = option.value;
+    input.setSelectionRange(option.value.length, option.value.length);
+    this.handleSearch(option.value);
+    settingsActions.recordRecentSearch(option.value, stateManager);
+  }
+  
+  /**
+   * Hide the suggestions
+   */
+  closeAutocomplete() {
+    if (this.autocompleteOptions.length === 0 && this.activeOptionIndex < 0) return;
+    this.autocompleteOptions = [];
+    this.activeOptionIndex = -1;
+    this.renderAutocomplete();
+  }
+  
+  /**
+   * Describe the open suggestions for screen readers
+   * @returns {string} Sentence (with a leading space), or '' when none are shown
+   */
+  describeAutocomplete() {
+    const count = this.autocompleteOptions.length;
+    if (count === 0) return '';
+    return ` ${count} suggestion${count !== 1 ? 's' : ''}, use the up and down arrows to choose.`;
+  }
+  
+  /**
+   * Show or hide the "did you mean" correction under the search box
+   * @param {Object|null} suggestion - Result of searchManager.getDidYouMean
+   */
+  renderDidYouMean(suggestion) {
+    const container = this.elements.didYouMean;
+    if (!container) return;
+    
+    this.correctedQuery = suggestion ? suggestion.query : null;
+    container.hidden = !suggestion;
+    container.innerHTML = suggestion
+      ? `Did you mean <button type="button" class="did-you-mean-link">${this.escapeHtml(suggestion.query)}</button>?`
+      : '';
+  }
+
+  /**
+   * Re-run the current search without announcing it (used when tasks change)
+   * Re-renders the task list once the results arrive
+   */
+  async refreshSearchResults() {
+    const query = this.elements.searchInput ? this.elements.searchInput.value : stateManager.getState('searchQuery');
+    const tasks = stateManager.getState('tasks');
+    const results = await searchManager.searchTasksAsync(query, tasks, {
+      caseSensitive: this.elements.caseSensitiveCheckbox?.checked || false,
+      fuzzy: this.elements.fuzzySearchCheckbox?.checked || false,
+      courses: stateManager.getState('settings').courses || []
+    });
+    if (results === null) return;
+    this.currentSearchResults = results;
+    this.renderTasks();
+  }
+
+  /**
+   * Save the current search, filters and sort order as a smart list
+   */
+  handleSaveSmartList() {
+    const list = settingsActions.addSmartList({
+      name: this.elements.smartListName?.value || '',
+      query: this.elements.searchInput?.value || '',
+      activeFilters: stateManager.getState('activeFilters'),
+      sortBy: stateManager.getState('sortBy'),
+      caseSensitive: this.elements.caseSensitiveCheckbox?.checked || false
+    }, stateManager);
+
+    if (!list) {
+      this.showFieldError('smartList', stateManager.getState('error') || 'Smart list could not be saved');
+      return;
+    }
+
+    this.clearFieldError('smartList');
+    if (this.elements.smartListName) this.elements.smartListName.value = '';
+    this.setActiveSmartList(list.id);
+    this.announceToScreenReader(`Smart list ${list.name} saved`);
+  }
+
+  /**
+   * Open a smart list: restore its search, filters, sort order and case option
+   * Pages without a task list hand over to tasks.html
+   * @param {string} listId - Smart list ID
+   */
+  openSmartList(listId) {
+    const list = findSmartList(stateManager.getState('settings').smartLists, listId);
+    if (!list) {
+      // Settings may not be loaded yet; the settings listener retries
+      this.pendingSmartListId = listId;
+      return;
+    }
+    this.pendingSmartListId = null;
+
+    if (!document.getElementById('tasks')) {
+      location.href = `tasks.html#${getSmartListHash(list)}`;
+      return;
+    }
+
+    // Filters the list does not set are cleared (setState merges activeFilters)
+    const activeFilters = { tag: '', courseId: '', priority: '', ...list.activeFilters };
+    const sortBy = list.sortBy || stateManager.getState('sortBy');
+    stateManager.setState({ activeFilters, sortBy });
+
+    if (this.elements.tagFilter) this.elements.tagFilter.value = activeFilters.tag;
+    if (this.elements.courseFilter) this.elements.courseFilter.value = activeFilters.courseId;
+    if (this.elements.sortSelect) this.elements.sortSelect.value = sortBy;
+    if (this.elements.caseSensitiveCheckbox) this.elements.caseSensitiveCheckbox.checked = list.caseSensitive;
+    if (this.elements.searchInput) this.elements.searchInput.value = list.query;
+
+    this.setActiveSmartList(list.id);
+    this.navigateToSection('tasks');
+    this.handleSearch(list.query);
+    this.announceToScreenReader(`Showing smart list ${list.name}`);
+  }
+
+  /**
+   * Mark a smart list as the one being shown
+   * @param {string|null} listId - Smart list ID, or null when none is open
+   */
+  setActiveSmartList(listId) {
+    this.activeSmartListId = listId;
+    if (!listId && parseSmartListHash(location.hash)) {
+      history.replaceState(null, '', `${location.pathname}${location.search}#tasks`);
+    }
+    this.renderSmartLists();
+  }
+
+  /**
+   * Render smart lists with their live open-task counts, in the navigation and on the tasks page
+   */
+  renderSmartLists() {
+    const settings = stateManager.getState('settings') || {};
+    const lists = settings.smartLists || [];
+    const tasks = stateManager.getState('tasks') || [];
+    const counts = new Map(lists.map(list => [list.id, getSmartListCount(list, tasks, { courses: settings.courses || [] })]));
+    const label = (list) => counts.get(list.id) === null
+      ? this.escapeHtml(list.name)
+      : `${this.escapeHtml(list.name)} <span class="smart-list-count">${counts.get(list.id)}</span>`;
+    const current = (list) => list.id === this.activeSmartListId ? 'aria-current="true"' : '';
+
+    // Navigation: one item per list after the Tasks link, on every page
+    const navMenu = this.elements.navMenu;
+    if (navMenu) {
+      navMenu.querySelectorAll('.nav-smart-list').forEach(item => item.remove());
+      const tasksItem = [...navMenu.children].find(item => item.querySelector('a[href^="tasks.html"]'));
+      let anchor = tasksItem || null;
+      lists.forEach(list => {
+        const item = document.createElement('li');
+        item.setAttribute('role', 'none');
+        item.className = 'nav-smart-list';
+        item.innerHTML = `<a href="tasks.html#${getSmartListHash(list)}" role="menuitem" class="nav-link smart-list-link" ${current(list)}>${label(list)}</a>`;
+        navMenu.insertBefore(item, anchor ? anchor.nextSibling : null);
+        anchor = item;
+      });
+    }
+
+    const container = this.elements.smartLists;
+    if (!container) return;
+
+    container.innerHTML = lists.map(list => `
+      <span class="smart-list-chip ${list.id === this.activeSmartListId ? 'active' : ''}">
+        <a href="#${getSmartListHash(list)}" class="smart-list-link" ${current(list)}>${label(list)}</a>
+        <button type="button" class="smart-list-delete" data-smart-list-action="delete" data-smart-list-id="${list.id}" aria-label="Delete smart list ${this.escapeHtml(list.name)}">&times;</button>
+      </span>
+    `).join('');
+  }
+
+  /**
+   * Render a simple list of search-matching tasks under the search box
+   * @param {Array} tasks - Array of task objects
+   */
+  renderSearchResultsList(tasks) {
+    const container = document.getElementById('search-results-list');
+    if (!container) return;
+
+    if (!tasks || tasks.length === 0) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const settings = loadSettings();
+    container.innerHTML = tasks.map(task => {
+      const due = task.dueDate ? formatDate(new Date(task.dueDate), settings.dateFormat || 'YYYY-MM-DD') : '-';
+      const duration = task.duration ? formatDuration(parseFloat(task.duration), settings.timeUnit) : '-';
+      return `
+        <div class="search-result-item" data-task-id="${task.id}" style="padding:8px 12px;border:1px solid rgba(0,0,0,0.06);border-radius:8px;margin-bottom:8px;background:var(--surface, #fff);">
+          <div style="display:flex;justify-content:space-between;align-items:center;gap:12px;">
+            <div style="flex:1">
+              <div style="font-weight:600;color:#1f2937;">${this.escapeHtml(task.title)}</div>
+              <div style="color:#6b7280;font-size:0.9rem">Tags: ${this.escapeHtml(getTaskTags(task).join(', ') || '-')} • Due: ${due}</div>
+            </div>
+            <div style="display:flex;flex-direction:column;align-items:flex-end;gap:6px">
+              <div style="white-space:nowrap;color:#6b7280;font-weight:600">${duration}</div>
+              <label style="font-size:0.85rem;color:#6b7280;">
+                <input type="checkbox" class="search-result-complete" data-task-id="${task.id}" ${task.completed ? 'checked' : ''}> Done
+              </label>
+            </div>
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    // Bind delegated listener for completion toggles inside results list
+    container.querySelectorAll('.search-result-complete').forEach(cb => {
+      cb.addEventListener('change', (e) => {
+        const taskId = e.target.dataset.taskId;
+        const checked = e.target.checked;
+        const task = stateManager.getState('tasks').find(t => t.id === taskId) || { id: taskId, title: '' };
+        taskActions.updateTask(taskId, { completed: checked }, stateManager);
+        if (checked) this.showUndoToast(task);
+      });
+    });
+  }
+  
+  /**
+   * Handle sort
+   * @param {string} sortBy - Sort criteria
+   */
+  handleSort(sortBy) {
+    stateManager.setState({ sortBy });
+    this.renderTasks();
+  }
+  
+  /**
+   * Handle filter
+   * @param {string} tag - Tag to filter by
+   */
+  handleFilter(tag) {
+    // An empty tag clears the filter (an empty object would be deep-merged into the old filters)
+    stateManager.setState({ activeFilters: { tag: tag || '' } });
+    this.renderTasks();
+  }
+  
+  /**
+   * Handle course filter
+   * @param {string} courseId - Course ID, 'none' for tasks without a course, or '' for all
+   */
+  handleCourseFilter(courseId) {
+    stateManager.setState({ activeFilters: { courseId: courseId || '' } });
+    this.renderTasks();
+  }
+  
+  /**
+   * Render tasks
+   */
+  renderTasks() {
+    const tasks = stateManager.getState('tasks');
+    let sortBy = stateManager.getState('sortBy');
+    
+    // Default to priority sorting if not set
+    if (!sortBy) {
       sortBy = 'priority';
       stateManager.setState({ sortBy: 'priority' }, false); // Set without triggering re-render
     }
@@ -952,16 +1877,24 @@ class UIManager {
     // Apply filters
     let filteredTasks = filterTasks(tasks, activeFilters);
     
-    // Apply search results if available
-    if (this.currentSearchResults.length > 0) {
+    // Apply search results while a query is active (no results hides every task)
+    if (this.searchActive) {
       const searchTaskIds = this.currentSearchResults.map(result => result.task.id);
       filteredTasks = filteredTasks.filter(task => searchTaskIds.includes(task.id));
     }
     
+    // The calendar views place the same filtered tasks on their due dates
+    this.calendarTasks = filteredTasks;
+    this.renderCalendar();
+    
     // Separate completed and incomplete tasks
     const incompleteTasks = filteredTasks.filter(task => !task.completed);
     const completedTasks = filteredTasks.filter(task => task.completed);
     
+    // Stats are recalculated after the tasks listener runs, so derive the critical path here
+    const criticalPath = computeCriticalPath(tasks);
+    this.criticalSteps = new Map((criticalPath ? criticalPath.path : []).map(step => [step.id, step]));
+    
     // Apply sorting
     const sortedIncompleteTasks = sortTasks(incompleteTasks, sortBy);
     const sortedCompletedTasks = sortTasks(completedTasks, sortBy);
@@ -976,6 +1909,517 @@ class UIManager {
   console.log('uiManager.renderTasks: rendering', sortedIncompleteTasks.length, 'incomplete and', sortedCompletedTasks.length, 'completed tasks');
   }
   
+  /**
+   * Bind the tasks page view switcher and calendar navigation, dragging and keyboard rescheduling
+   */
+  bindCalendarEvents() {
+    const calendar = this.elements.taskCalendar;
+    if (!calendar) return;
+
+    this.elements.calendarToolbar?.addEventListener('click', (e) => {
+      const button = e.target.closest && e.target.closest('[data-calendar-view]');
+      if (button) settingsActions.setCalendarView(button.dataset.calendarView, stateManager);
+    });
+
+    const shift = (direction) => {
+      const view = normalizeCalendarView(stateManager.getState('settings').calendarView);
+      this.calendarDate = shiftCalendarAnchor(view, this.getCalendarDate(), direction);
+      this.renderCalendar();
+    };
+    this.elements.calendarPrev?.addEventListener('click', () => shift(-1));
+    this.elements.calendarNext?.addEventListener('click', () => shift(1));
+    this.elements.calendarToday?.addEventListener('click', () => {
+      this.calendarDate = null;
+      this.renderCalendar();
+    });
+
+    calendar.addEventListener('dragstart', (e) => {
+      const event = e.target.closest && e.target.closest('.calendar-event');
+      if (!event) return;
+      this.calendarDragId = event.dataset.taskId;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', event.dataset.taskId);
+    });
+    calendar.addEventListener('dragover', (e) => {
+      const cell = this.calendarDragId && e.target.closest && e.target.closest('[data-date]');
+      if (!cell) return;
+      e.preventDefault();
+      calendar.querySelectorAll('.drop-target').forEach(item => item !== cell && item.classList.remove('drop-target'));
+      cell.classList.add('drop-target');
+    });
+    calendar.addEventListener('drop', (e) => {
+      const cell = this.calendarDragId && e.target.closest && e.target.closest('[data-date]');
+      if (!cell) return;
+      e.preventDefault();
+      const task = (stateManager.getState('tasks') || []).find(item => item.id === this.calendarDragId);
+      this.calendarDragId = null;
+      if (!task) return;
+      this.rescheduleTask(task, rescheduleDueDate(task.dueDate, cell.dataset.date, {
+        hour: cell.dataset.hour !== undefined ? parseInt(cell.dataset.hour, 10) : null,
+        allDay: cell.dataset.allDay === 'true'
+      }));
+    });
+    calendar.addEventListener('dragend', () => {
+      this.calendarDragId = null;
+      calendar.querySelectorAll('.drop-target').forEach(item => item.classList.remove('drop-target'));
+    });
+
+    // Enter edits a task; Alt+arrows move it a day (left/right) or a week or an hour (up/down)
+    calendar.addEventListener('click', (e) => {
+      const event = e.target.closest && e.target.closest('.calendar-event');
+      if (event) this.editTask(event.dataset.taskId);
+    });
+    calendar.addEventListener('keydown', (e) => {
+      const event = e.target.closest && e.target.closest('.calendar-event');
+      if (!event) return;
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.editTask(event.dataset.taskId);
+        return;
+      }
+      if (!e.altKey || !['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown'].includes(e.key)) return;
+      e.preventDefault();
+
+      const task = (stateManager.getState('tasks') || []).find(item => item.id === event.dataset.taskId);
+      if (!task) return;
+      const [date, time] = String(task.dueDate).split('T');
+      const view = normalizeCalendarView(stateManager.getState('settings').calendarView);
+      const direction = e.key === 'ArrowLeft' || e.key === 'ArrowUp' ? -1 : 1;
+
+      let dueDate;
+      if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+        dueDate = rescheduleDueDate(task.dueDate, addDays(date, direction));
+      } else if (view === 'week' && time) {
+        const hour = parseInt(time, 10) + direction;
+        if (hour < 0 || hour > 23) return;
+        dueDate = rescheduleDueDate(task.dueDate, date, { hour });
+      } else {
+        dueDate = rescheduleDueDate(task.dueDate, addDays(date, direction * 7));
+      }
+      // Follow the task, so keyboard moves can cross into the next week or month
+      this.calendarDate = dueDate.split('T')[0];
+      this.calendarFocusId = task.id;
+      this.rescheduleTask(task, dueDate);
+    });
+  }
+  
+  /**
+   * Bind the Eisenhower matrix board: dragging tasks between quadrants and keyboard moves
+   */
+  bindMatrixEvents() {
+    const board = this.elements.taskCalendar;
+    if (!board) return;
+
+    board.addEventListener('dragstart', (e) => {
+      const item = e.target.closest && e.target.closest('.matrix-task');
+      if (!item) return;
+      this.calendarDragId = item.dataset.taskId;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', item.dataset.taskId);
+    });
+    board.addEventListener('dragover', (e) => {
+      const quadrant = this.calendarDragId && e.target.closest && e.target.closest('[data-quadrant]');
+      if (!quadrant) return;
+      e.preventDefault();
+      board.querySelectorAll('.drop-target').forEach(item => item !== quadrant && item.classList.remove('drop-target'));
+      quadrant.classList.add('drop-target');
+    });
+    board.addEventListener('drop', (e) => {
+      const quadrant = this.calendarDragId && e.target.closest && e.target.closest('[data-quadrant]');
+      if (!quadrant) return;
+      e.preventDefault();
+      const task = (stateManager.getState('tasks') || []).find(item => item.id === this.calendarDragId);
+      this.calendarDragId = null;
+      if (task) this.moveTaskToQuadrant(task, MATRIX_QUADRANTS[parseInt(quadrant.dataset.quadrant, 10)].priority);
+    });
+
+    // Enter edits a task; Alt+arrows move it to the neighbouring quadrant and 1-4 to a quadrant by number
+    board.addEventListener('click', (e) => {
+      const item = e.target.closest && e.target.closest('.matrix-task');
+      if (item) this.editTask(item.dataset.taskId);
+    });
+    board.addEventListener('keydown', (e) => {
+      const item = e.target.closest && e.target.closest('.matrix-task');
+      if (!item) return;
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.editTask(item.dataset.taskId);
+        return;
+      }
+
+      const task = (stateManager.getState('tasks') || []).find(other => other.id === item.dataset.taskId);
+      if (!task) return;
+      const directions = { ArrowLeft: 'left', ArrowRight: 'right', ArrowUp: 'up', ArrowDown: 'down' };
+      let priority = null;
+      if (e.altKey && directions[e.key]) {
+        priority = getAdjacentPriority(getTaskPriority(task), directions[e.key]);
+      } else if (!e.altKey && !e.ctrlKey && !e.metaKey && /^[1-4]$/.test(e.key)) {
+        priority = MATRIX_QUADRANTS[parseInt(e.key, 10) - 1].priority;
+      } else {
+        return;
+      }
+      e.preventDefault();
+      if (!priority) {
+        this.announceToScreenReader('Already at the edge of the matrix');
+        return;
+      }
+      this.calendarFocusId = task.id;
+      this.moveTaskToQuadrant(task, priority);
+    });
+  }
+  
+  /**
+   * Change a task's priority through the usual task validation
+   * @param {Object} task - Task object
+   * @param {string} priority - New priority quadrant
+   */
+  moveTaskToQuadrant(task, priority) {
+    if (priority === getTaskPriority(task)) {
+      this.calendarFocusId = null;
+      return;
+    }
+
+    if (taskActions.updateTask(task.id, { priority }, stateManager)) {
+      this.announceToScreenReader(`${task.title} moved to ${findQuadrant(priority).action}: ${priority}`);
+    } else {
+      const formErrors = stateManager.getState('formErrors') || {};
+      this.announceToScreenReader(formErrors.priority || stateManager.getState('error') || 'Task could not be moved', 'alert');
+      this.calendarFocusId = null;
+    }
+  }
+  
+  /**
+   * Render the Eisenhower matrix: open tasks in a 2x2 board of priority quadrants
+   */
+  renderMatrix() {
+    const board = this.elements.taskCalendar;
+    const settings = loadSettings();
+    const groups = groupTasksByQuadrant(this.calendarTasks);
+    if (this.elements.calendarTitle) this.elements.calendarTitle.textContent = '';
+
+    const quadrantsHtml = groups.map(({ quadrant, tasks }, index) => {
+      const tasksHtml = tasks.map(task => {
+        const due = task.dueDate ? formatDate(new Date(String(task.dueDate).includes('T') ? task.dueDate : `${task.dueDate}T00:00`), settings.dateFormat || 'YYYY-MM-DD') : '-';
+        return `
+          <li class="matrix-task" draggable="true" tabindex="0" data-task-id="${task.id}">
+            <span class="matrix-task-title">${this.escapeHtml(task.title)}</span>
+            <small>Due ${this.escapeHtml(due)} • ${this.escapeHtml(formatDuration(parseFloat(task.duration) || 0, settings.timeUnit))}</small>
+          </li>
+        `;
+      }).join('');
+      return `
+        <section class="matrix-quadrant priority-${index + 1}" data-quadrant="${index}" aria-labelledby="matrix-quadrant-${index}">
+          <h4 id="matrix-quadrant-${index}">${index + 1}. ${quadrant.action} <small>${this.escapeHtml(quadrant.priority)} • ${tasks.length}</small></h4>
+          <ul class="matrix-tasks">${tasksHtml || '<li class="matrix-empty">No open tasks</li>'}</ul>
+        </section>
+      `;
+    }).join('');
+
+    board.innerHTML = `
+      <div class="matrix-board">
+        <div class="matrix-axis matrix-axis-columns" aria-hidden="true"><span>Urgent</span><span>Not urgent</span></div>
+        <div class="matrix-axis matrix-axis-rows" aria-hidden="true"><span>Important</span><span>Not important</span></div>
+        <div class="matrix-grid">${quadrantsHtml}</div>
+      </div>
+      <p class="form-hint">Drag a task to another quadrant to change its priority, or focus it and press Alt+Arrow keys or 1–4.</p>
+    `;
+
+    if (this.calendarFocusId) {
+      board.querySelector(`.matrix-task[data-task-id="${this.calendarFocusId}"]`)?.focus();
+      this.calendarFocusId = null;
+    }
+  }
+  
+  /**
+   * Bind the Kanban board: dragging tasks between status columns and keyboard moves
+   */
+  bindBoardEvents() {
+    const board = this.elements.taskCalendar;
+    if (!board) return;
+
+    board.addEventListener('dragstart', (e) => {
+      const item = e.target.closest && e.target.closest('.board-task');
+      if (!item) return;
+      this.calendarDragId = item.dataset.taskId;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', item.dataset.taskId);
+    });
+    board.addEventListener('dragover', (e) => {
+      const column = this.calendarDragId && e.target.closest && e.target.closest('[data-status]');
+      if (!column) return;
+      e.preventDefault();
+      board.querySelectorAll('.drop-target').forEach(item => item !== column && item.classList.remove('drop-target'));
+      column.classList.add('drop-target');
+    });
+    board.addEventListener('drop', (e) => {
+      const column = this.calendarDragId && e.target.closest && e.target.closest('[data-status]');
+      if (!column) return;
+      e.preventDefault();
+      const task = (stateManager.getState('tasks') || []).find(item => item.id === this.calendarDragId);
+      this.calendarDragId = null;
+      if (task) this.moveTaskToStatus(task, column.dataset.status);
+    });
+
+    // Enter edits a task; Alt+Left and Alt+Right move it to the previous or next column
+    board.addEventListener('click', (e) => {
+      const item = e.target.closest && e.target.closest('.board-task');
+      if (item) this.editTask(item.dataset.taskId);
+    });
+    board.addEventListener('keydown', (e) => {
+      const item = e.target.closest && e.target.closest('.board-task');
+      if (!item) return;
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.editTask(item.dataset.taskId);
+        return;
+      }
+      if (!e.altKey || (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight')) return;
+
+      e.preventDefault();
+      const task = (stateManager.getState('tasks') || []).find(other => other.id === item.dataset.taskId);
+      if (!task) return;
+      const workflow = normalizeWorkflow((stateManager.getState('settings') || {}).workflow);
+      const index = workflow.findIndex(status => status.id === getTaskStatus(task, workflow)) + (e.key === 'ArrowRight' ? 1 : -1);
+      if (index < 0 || index >= workflow.length) {
+        this.announceToScreenReader('Already in the first or last column');
+        return;
+      }
+      this.calendarFocusId = task.id;
+      this.moveTaskToStatus(task, workflow[index].id);
+    });
+  }
+  
+  /**
+   * Move a task to another status through the usual task validation and WIP limits
+   * @param {Object} task - Task object
+   * @param {string} statusId - New status
+   */
+  moveTaskToStatus(task, statusId) {
+    const workflow = normalizeWorkflow((stateManager.getState('settings') || {}).workflow);
+    if (statusId === getTaskStatus(task, workflow)) {
+      this.calendarFocusId = null;
+      return;
+    }
+
+    if (taskActions.updateTask(task.id, { status: statusId }, stateManager)) {
+      this.announceToScreenReader(`${task.title} moved to ${findStatus(workflow, statusId).name}`);
+    } else {
+      const formErrors = stateManager.getState('formErrors') || {};
+      this.announceToScreenReader(formErrors.status || stateManager.getState('error') || 'Task could not be moved', 'alert');
+      this.calendarFocusId = null;
+    }
+  }
+  
+  /**
+   * Render the Kanban board: one column per workflow status, with its WIP limit
+   */
+  renderBoard() {
+    const board = this.elements.taskCalendar;
+    const settings = loadSettings();
+    const workflow = normalizeWorkflow((stateManager.getState('settings') || {}).workflow);
+    const columns = groupTasksByStatus(this.calendarTasks, workflow);
+    if (this.elements.calendarTitle) this.elements.calendarTitle.textContent = '';
+
+    const columnsHtml = columns.map(({ status, tasks, overLimit }, index) => {
+      const tasksHtml = tasks.map(task => {
+        const rank = getPriorityRank(getTaskPriority(task));
+        const due = task.dueDate ? formatDate(new Date(String(task.dueDate).includes('T') ? task.dueDate : `${task.dueDate}T00:00`), settings.dateFormat || 'YYYY-MM-DD') : '-';
+        return `
+          <li class="board-task priority-${rank <= PRIORITY_LEVELS.length ? rank : 'none'}" draggable="true" tabindex="0" data-task-id="${task.id}">
+            <span class="board-task-title">${this.escapeHtml(task.title)}</span>
+            <small>Due ${this.escapeHtml(due)} • ${this.escapeHtml(getTaskPriority(task) || '-')}</small>
+          </li>
+        `;
+      }).join('');
+      const limit = status.wipLimit ? ` / ${status.wipLimit}` : '';
+      return `
+        <section class="board-column ${overLimit ? 'over-limit' : ''}" data-status="${status.id}" aria-labelledby="board-column-${index}">
+          <h4 id="board-column-${index}">${this.escapeHtml(status.name)} <small>${tasks.length}${limit}${overLimit ? ' • over limit' : ''}</small></h4>
+          <ul class="board-tasks">${tasksHtml || '<li class="board-empty">No tasks</li>'}</ul>
+        </section>
+      `;
+    }).join('');
+
+    board.innerHTML = `
+      <div class="board-columns">${columnsHtml}</div>
+      <p class="form-hint">Drag a task to another column to change its status, or focus it and press Alt+Left or Alt+Right. Tasks in ${this.escapeHtml(getFinalStatus(workflow).name)} are completed.</p>
+    `;
+
+    if (this.calendarFocusId) {
+      board.querySelector(`.board-task[data-task-id="${this.calendarFocusId}"]`)?.focus();
+      this.calendarFocusId = null;
+    }
+  }
+  
+  /**
+   * Move a task to a new due date through the usual task validation
+   * @param {Object} task - Task object
+   * @param {string} dueDate - New due date
+   */
+  rescheduleTask(task, dueDate) {
+    if (dueDate === task.dueDate) return;
+
+    if (taskActions.updateTask(task.id, { dueDate }, stateManager)) {
+      const settings = loadSettings();
+      const [date, time] = dueDate.split('T');
+      this.announceToScreenReader(`${task.title} moved to ${formatDate(new Date(`${date}T00:00`), settings.dateFormat || 'YYYY-MM-DD')}${time ? ` ${time}` : ''}`);
+    } else {
+      const formErrors = stateManager.getState('formErrors') || {};
+      this.announceToScreenReader(formErrors.dueDate || stateManager.getState('error') || 'Task could not be moved', 'alert');
+      this.calendarFocusId = null;
+    }
+  }
+  
+  /**
+   * Day the calendar views show; today unless the user moved to another period
+   * @returns {string} Day (YYYY-MM-DD)
+   */
+  getCalendarDate() {
+    return this.calendarDate || formatDate(new Date(), 'YYYY-MM-DD');
+  }
+  
+  /**
+   * Show the view chosen in settings: the card grid, tasks on a month or week calendar,
+   * the Eisenhower matrix board or the Kanban board
+   */
+  renderCalendar() {
+    const calendar = this.elements.taskCalendar;
+    if (!calendar) return;
+
+    const view = normalizeCalendarView((stateManager.getState('settings') || {}).calendarView);
+    document.querySelectorAll('[data-calendar-view]').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.calendarView === view));
+      button.classList.toggle('btn-primary', button.dataset.calendarView === view);
+      button.classList.toggle('btn-secondary', button.dataset.calendarView !== view);
+    });
+    if (this.elements.taskListView) this.elements.taskListView.hidden = view !== 'list';
+    if (this.elements.calendarNav) this.elements.calendarNav.hidden = ['list', 'matrix', 'board'].includes(view);
+    calendar.hidden = view === 'list';
+    if (view === 'list') return;
+    if (view === 'matrix') {
+      this.renderMatrix();
+      return;
+    }
+    if (view === 'board') {
+      this.renderBoard();
+      return;
+    }
+
+    const range = getCalendarRange(view, this.getCalendarDate());
+    const days = groupTasksByDay(this.calendarTasks, range);
+    if (this.elements.calendarTitle) this.elements.calendarTitle.textContent = range.title;
+
+    const legend = PRIORITY_LEVELS.map((level, index) => `
+      <li><span class="calendar-swatch priority-${index + 1}" aria-hidden="true"></span>${this.escapeHtml(level)}</li>
+    `).join('');
+    calendar.innerHTML = `
+      <ul class="calendar-legend" aria-label="Priority colours">${legend}</ul>
+      ${view === 'month' ? this.createMonthView(range, days) : this.createWeekView(range, days)}
+      <p class="form-hint">Drag a task to another day${view === 'week' ? ' or hour' : ''} to reschedule it, or focus it and press Alt+Arrow keys.</p>
+    `;
+
+    if (this.calendarFocusId) {
+      calendar.querySelector(`.calendar-event[data-task-id="${this.calendarFocusId}"]`)?.focus();
+      this.calendarFocusId = null;
+    }
+  }
+  
+  /**
+   * Create one task on the calendar, coloured by priority
+   * @param {Object} task - Task object
+   * @returns {string} HTML string
+   */
+  createCalendarEvent(task) {
+    const rank = getPriorityRank(getTaskPriority(task));
+    const time = String(task.dueDate).split('T')[1];
+    const classes = ['calendar-event', rank === 999 ? 'priority-none' : `priority-${rank}`, task.completed ? 'completed' : ''].filter(Boolean).join(' ');
+    return `
+      <div class="${classes}" draggable="true" tabindex="0" data-task-id="${task.id}">
+        ${time ? `<span class="calendar-event-time">${time}</span>` : ''}
+        <span class="calendar-event-title">${this.escapeHtml(task.title)}</span>
+        <span class="sr-only">, ${this.escapeHtml(getTaskPriority(task) || 'No priority')}${task.completed ? ', completed' : ''}</span>
+      </div>
+    `;
+  }
+  
+  /**
+   * Create the month view: whole weeks covering the month, tasks listed under each day
+   * @param {Object} range - Range from getCalendarRange
+   * @param {Map} days - Tasks by day from groupTasksByDay
+   * @returns {string} HTML string
+   */
+  createMonthView(range, days) {
+    const today = formatDate(new Date(), 'YYYY-MM-DD');
+    const month = this.getCalendarDate().slice(0, 7);
+    const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    const cells = range.days.map(date => {
+      const { allDay, timed } = days.get(date);
+      const label = new Date(`${date}T00:00`).toLocaleDateString([], { weekday: 'long', month: 'long', day: 'numeric' });
+      const classes = ['calendar-day', date.slice(0, 7) !== month ? 'outside' : '', date === today ? 'today' : ''].filter(Boolean).join(' ');
+      return `
+        <div class="${classes}" data-date="${date}" role="group" aria-label="${label}">
+          <span class="calendar-day-number" aria-hidden="true">${parseInt(date.slice(8), 10)}</span>
+          ${[...allDay, ...timed].map(task => this.createCalendarEvent(task)).join('')}
+        </div>
+      `;
+    }).join('');
+
+    return `
+      <div class="calendar-month">
+        ${weekdays.map(day => `<div class="calendar-heading" aria-hidden="true">${day}</div>`).join('')}
+        ${cells}
+      </div>
+    `;
+  }
+  
+  /**
+   * Create the week view: an all-day row for date-only tasks and an hour row for timed ones
+   * @param {Object} range - Range from getCalendarRange
+   * @param {Map} days - Tasks by day from groupTasksByDay
+   * @returns {string} HTML string
+   */
+  createWeekView(range, days) {
+    const today = formatDate(new Date(), 'YYYY-MM-DD');
+    const hours = getWeekViewHours(days);
+    const labelOf = (date) => new Date(`${date}T00:00`).toLocaleDateString([], { weekday: 'long', month: 'long', day: 'numeric' });
+
+    const headings = range.days.map(date => {
+      const day = new Date(`${date}T00:00`);
+      return `<div class="calendar-heading${date === today ? ' today' : ''}">${day.toLocaleDateString([], { weekday: 'short' })} ${day.getDate()}</div>`;
+    }).join('');
+
+    const allDayRow = range.days.map(date => `
+      <div class="calendar-slot all-day" data-date="${date}" data-all-day="true" role="group" aria-label="${labelOf(date)}, all day">
+        ${days.get(date).allDay.map(task => this.createCalendarEvent(task)).join('')}
+      </div>
+    `).join('');
+
+    const hourRows = Array.from({ length: hours.end - hours.start }, (_, index) => {
+      const hour = hours.start + index;
+      const time = `${String(hour).padStart(2, '0')}:00`;
+      const slots = range.days.map(date => {
+        const tasks = days.get(date).timed.filter(task => parseInt(String(task.dueDate).split('T')[1], 10) === hour);
+        return `
+          <div class="calendar-slot${date === today ? ' today' : ''}" data-date="${date}" data-hour="${hour}" role="group" aria-label="${labelOf(date)}, ${time}">
+            ${tasks.map(task => this.createCalendarEvent(task)).join('')}
+          </div>
+        `;
+      }).join('');
+      return `<div class="calendar-hour" aria-hidden="true">${time}</div>${slots}`;
+    }).join('');
+
+    return `
+      <div class="calendar-week">
+        <div class="calendar-heading" aria-hidden="true"></div>
+        ${headings}
+        <div class="calendar-hour">All day</div>
+        ${allDayRow}
+        ${hourRows}
+      </div>
+    `;
+  }
+  
   /**
    * Render tasks grid
    * @param {Array} tasks - Tasks to render
@@ -1034,13 +2478,22 @@ class UIManager {
       statusText = 'Due Soon';
     }
     
+    // Blocked tasks can't be started until the tasks they wait on are done
+    const blockers = task.completed ? [] : getBlockingTasks(task, stateManager.getState('tasks') || []);
+    const criticalStep = this.criticalSteps.get(task.id);
+    
   const settings = loadSettings();
   const formattedDate = dueDate ? formatDate(dueDate, settings.dateFormat || 'YYYY-MM-DD') : '-';
+    const workflow = normalizeWorkflow(settings.workflow);
+    const course = findCourse(settings.courses, task.courseId);
+    const courseColor = getCourseColor(course);
   const duration = parseFloat(task.duration);
     const durationText = formatDuration(duration, settings.timeUnit);
+    const timer = (stateManager.getState('timers') || []).find(item => item.taskId === task.id) || null;
+    const time = getTimeComparison(task, timer, now);
     
     return `
-      <div class="task-card ${statusClass}" data-task-id="${task.id}">
+      <div class="task-card ${statusClass} ${blockers.length ? 'blocked' : ''} ${course ? 'has-course' : ''}" data-task-id="${task.id}" ${course ? `style="--course-color: ${this.escapeAttribute(courseColor)}"` : ''}>
         <div class="task-header">
           <h3 class="task-title">${this.escapeHtml(task.title)}</h3>
           <div class="task-actions">
@@ -1066,13 +2519,43 @@ class UIManager {
             <span class="meta-label">Duration</span>
             <span class="meta-value">${durationText}</span>
           </div>
+          ${course ? `<div class="meta-item">
+            <span class="meta-label">Course</span>
+            <span class="task-course" title="${this.escapeHtml(formatCourseLabel(course))}">${this.escapeHtml(course.code)}</span>
+          </div>` : ''}
+          <div class="meta-item">
+            <span class="meta-label">Priority</span>
+            <span class="meta-value task-priority">${this.escapeHtml(getTaskPriority(task) || '-')}</span>
+          </div>
+          ${time.actual > 0 || timer ? `<div class="meta-item">
+            <span class="meta-label">Time Spent</span>
+            <span class="meta-value task-time-spent ${time.over ? 'over' : ''}">${formatDuration(time.actual, settings.timeUnit)}${time.estimate > 0 ? ` of ${durationText} (${time.percentage}%)` : ''}</span>
+          </div>` : ''}
           <div class="meta-item">
-            <span class="meta-label">Tag</span>
-            <span class="task-tag">${this.escapeHtml(task.tag)}</span>
+            <span class="meta-label">Status</span>
+            <span class="meta-value task-status">${this.escapeHtml(findStatus(workflow, getTaskStatus(task, workflow)).name)}</span>
           </div>
+          ${getTaskTags(task).length ? `<div class="meta-item">
+            <span class="meta-label">Tags</span>
+            <span class="task-tags">${getTaskTags(task).map(tag => `<span class="task-tag">${this.escapeHtml(tag)}</span>`).join('')}</span>
+          </div>` : ''}
+          ${isRecurring(task) ? `<div class="meta-item">
+            <span class="meta-label">Repeats</span>
+            <span class="meta-value task-recurrence">${this.escapeHtml(describeRecurrence(task.recurrence))}</span>
+          </div>` : ''}
+          ${blockers.length ? `<div class="meta-item">
+            <span class="meta-label">Blocked By</span>
+            <span class="meta-value task-blocked-by">${blockers.map(blocker => this.escapeHtml(blocker.title)).join(', ')}</span>
+          </div>` : ''}
           ${statusText ? `<div class="meta-item">
             <span class="status-indicator ${statusClass}">${statusText}</span>
           </div>` : ''}
+          ${blockers.length ? `<div class="meta-item">
+            <span class="status-indicator blocked">Blocked</span>
+          </div>` : ''}
+          ${criticalStep ? `<div class="meta-item">
+            <span class="status-indicator ${criticalStep.late ? 'overdue' : 'critical'}">${criticalStep.late ? 'Critical • Late' : 'Critical Path'}</span>
+          </div>` : ''}
         </div>
         
         ${task.description ? `
@@ -1080,6 +2563,152 @@ class UIManager {
             ${this.escapeHtml(task.description)}
           </div>
         ` : ''}
+        ${this.createSubtaskChecklist(task, settings)}
+        ${this.createTaskTimer(task, timer, settings, now)}
+        ${this.createTaskHistory(task, settings)}
+      </div>
+    `;
+  }
+
+  /**
+   * Create the timer controls and time log of a task card
+   * @param {Object} task - Task object
+   * @param {Object|null} timer - The task's timer
+   * @param {Object} settings - User settings
+   * @param {Date} now - Reference time
+   * @returns {string} HTML string
+   */
+  createTaskTimer(task, timer, settings, now) {
+    const running = isTimerRunning(timer);
+    let buttons = '';
+    if (!task.completed && !timer) {
+      buttons = '<button type="button" class="btn btn-secondary" data-timer-action="start">Start Timer</button>';
+    } else if (timer) {
+      buttons = `
+        <button type="button" class="btn btn-secondary" data-timer-action="${running ? 'pause' : 'resume'}">${running ? 'Pause' : 'Resume'}</button>
+        <button type="button" class="btn btn-secondary" data-timer-action="stop">Stop</button>
+      `;
+    }
+
+    const entries = Array.isArray(task.timeEntries) ? task.timeEntries : [];
+    const items = [...entries].reverse().map(entry => {
+      const start = entry.start ? new Date(entry.start) : null;
+      const when = start ? `${formatDate(start, settings.dateFormat || 'YYYY-MM-DD')} ${start.toTimeString().slice(0, 5)}` : '-';
+      return `
+        <li class="time-entry">
+          <span class="time-entry-date">${this.escapeHtml(when)}</span>
+          <span class="time-entry-hours">${formatDuration(entry.hours, settings.timeUnit)}${entry.manual ? ' (manual)' : ''}</span>
+          <button type="button" class="task-action-btn danger time-entry-remove" data-entry-id="${entry.id}">
+            ✕<span class="sr-only">Remove time entry from ${this.escapeHtml(when)}</span>
+          </button>
+        </li>
+      `;
+    }).join('');
+
+    const minutes = settings.timeUnit === 'minutes';
+    return `
+      ${buttons ? `<div class="task-timer ${running ? 'running' : ''}">
+        ${timer ? `<span class="task-timer-clock" data-timer-elapsed role="timer">${formatTimerClock(getTimerHours(timer, now))}</span>` : ''}
+        ${buttons}
+      </div>` : ''}
+      <details class="task-time">
+        <summary>Time log (${entries.length})</summary>
+        ${items ? `<ul class="time-entry-list">${items}</ul>` : ''}
+        <form class="time-entry-form">
+          <label for="time-start-${task.id}">Started</label>
+          <input type="datetime-local" id="time-start-${task.id}" class="form-input time-entry-start" required>
+          <label for="time-amount-${task.id}">${minutes ? 'Minutes' : 'Hours'}</label>
+          <input type="number" id="time-amount-${task.id}" class="form-input time-entry-amount" min="0" step="${minutes ? 1 : 0.25}" required>
+          <button type="submit" class="btn btn-secondary">Log Time</button>
+        </form>
+      </details>
+    `;
+  }
+
+  /**
+   * Tick timer clocks every second while a timer runs
+   * @param {Array} timers - All timers
+   */
+  toggleTimerClock(timers) {
+    const running = (timers || []).some(isTimerRunning);
+    if (running && !this.timerInterval) {
+      this.timerInterval = setInterval(() => this.updateTimerClocks(), 1000);
+    } else if (!running && this.timerInterval) {
+      clearInterval(this.timerInterval);
+      this.timerInterval = null;
+    }
+  }
+
+  /**
+   * Refresh the clock on each task card with a timer
+   */
+  updateTimerClocks() {
+    const timers = stateManager.getState('timers') || [];
+    const now = new Date();
+    document.querySelectorAll('.task-card [data-timer-elapsed]').forEach(clock => {
+      const timer = timers.find(item => item.taskId === clock.closest('.task-card').dataset.taskId);
+      if (timer) clock.textContent = formatTimerClock(getTimerHours(timer, now));
+    });
+  }
+
+  /**
+   * Create the history block of a task card (escalations, priority and status changes, newest first)
+   * @param {Object} task - Task object
+   * @param {Object} settings - User settings
+   * @returns {string} HTML string
+   */
+  createTaskHistory(task, settings) {
+    const history = Array.isArray(task.history) ? task.history : [];
+    if (history.length === 0) return '';
+
+    const workflow = normalizeWorkflow(settings.workflow);
+    const statusName = (statusId) => (findStatus(workflow, statusId) || { name: statusId || '-' }).name;
+    const items = [...history].reverse().map(entry => {
+      const at = entry.at ? formatDate(new Date(entry.at), settings.dateFormat || 'YYYY-MM-DD') : '-';
+      let text = `Escalated from ${entry.from || '-'} to ${entry.to || '-'}: ${entry.reason || ''}`;
+      if (entry.type === 'status') {
+        text = `Moved from ${statusName(entry.from)} to ${statusName(entry.to)}`;
+      } else if (entry.type === 'priority') {
+        text = `Priority changed from ${entry.from || '-'} to ${entry.to || '-'}${entry.dueDate ? ' (kept until the due date changes)' : ''}`;
+      }
+      return `<li><span class="task-history-date">${this.escapeHtml(at)}</span> ${this.escapeHtml(text)}</li>`;
+    }).join('');
+
+    return `
+      <details class="task-history">
+        <summary>History (${history.length})</summary>
+        <ul>${items}</ul>
+      </details>
+    `;
+  }
+
+  /**
+   * Create the checklist block of a task card
+   * @param {Object} task - Task object
+   * @param {Object} settings - User settings
+   * @returns {string} HTML string
+   */
+  createSubtaskChecklist(task, settings) {
+    if (!hasSubtasks(task)) return '';
+
+    const progress = getSubtaskProgress(task);
+    const items = task.subtasks.map(item => `
+      <li class="subtask-item ${item.completed ? 'subtask-completed' : ''}">
+        <label class="checkbox-label">
+          <input type="checkbox" class="subtask-checkbox" data-subtask-id="${item.id}" ${item.completed ? 'checked' : ''}>
+          ${this.escapeHtml(item.title)}
+        </label>
+        ${item.duration ? `<span class="subtask-duration">${formatDuration(item.duration, settings.timeUnit)}</span>` : ''}
+      </li>
+    `).join('');
+
+    return `
+      <div class="task-subtasks">
+        <div class="subtask-progress-label">${progress.done}/${progress.total} steps • ${progress.percent}%</div>
+        <div class="progress-bar" role="progressbar" aria-label="Checklist progress" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${progress.percent}">
+          <div class="progress-fill" style="width:${progress.percent}%"></div>
+        </div>
+        <ul class="subtask-list">${items}</ul>
       </div>
     `;
   }
@@ -1124,10 +2753,61 @@ class UIManager {
           const checked = e.target.checked;
           // Capture task snapshot for toast
           const task = stateManager.getState('tasks').find(t => t.id === taskId) || { id: taskId, title: '' };
-          taskActions.updateTask(taskId, { completed: checked }, stateManager);
+          // Reopening can be refused by a full WIP column; leave the box as it was
+          if (!taskActions.updateTask(taskId, { completed: checked }, stateManager)) {
+            e.target.checked = !checked;
+            return;
+          }
           if (checked) this.showUndoToast(task);
         });
       }
+
+      // Checklist items
+      card.querySelectorAll('.subtask-checkbox').forEach(checkbox => {
+        checkbox.addEventListener('change', (e) => {
+          taskActions.toggleSubtask(taskId, e.target.dataset.subtaskId, e.target.checked, stateManager);
+        });
+      });
+
+      // Timer controls; resuming is starting a paused timer again
+      card.querySelectorAll('[data-timer-action]').forEach(button => {
+        button.addEventListener('click', () => {
+          const action = button.dataset.timerAction;
+          if (action === 'pause') {
+            taskActions.pauseTaskTimer(taskId, stateManager);
+          } else if (action === 'stop') {
+            const entry = taskActions.stopTaskTimer(taskId, stateManager);
+            if (entry) {
+              const settings = loadSettings();
+              this.announceToScreenReader(entry.hours > 0
+                ? `Logged ${formatDuration(entry.hours, settings.timeUnit)}`
+                : 'Timer stopped; too short to log');
+            }
+          } else {
+            taskActions.startTaskTimer(taskId, stateManager);
+          }
+        });
+      });
+
+      // Time log
+      card.querySelectorAll('.time-entry-remove').forEach(button => {
+        button.addEventListener('click', () => {
+          taskActions.removeTimeEntry(taskId, button.dataset.entryId, stateManager);
+        });
+      });
+      const timeForm = card.querySelector('.time-entry-form');
+      if (timeForm) {
+        timeForm.addEventListener('submit', (e) => {
+          e.preventDefault();
+          const settings = loadSettings();
+          const amount = parseFloat(timeForm.querySelector('.time-entry-amount').value);
+          const hours = settings.timeUnit === 'minutes' ? amount / 60 : amount;
+          const start = timeForm.querySelector('.time-entry-start').value;
+          if (taskActions.addTimeEntry(taskId, { start, hours }, stateManager)) {
+            this.announceToScreenReader(`Logged ${formatDuration(hours, settings.timeUnit)}`);
+          }
+        });
+      }
     });
   }
   
@@ -1210,22 +2890,111 @@ class UIManager {
       duration = duration / 60;
     }
 
+    const recurrence = this.getRecurrenceFormData();
+    if (recurrence) {
+      const validation = validateRecurrence(recurrence, due);
+      if (!validation.isValid) {
+        this.showFieldError('recurrence', validation.message);
+        return;
+      }
+    }
+    this.clearFieldError('recurrence');
+
     const payload = {
       title: formData.title,
       dueDate: due,
       duration: duration,
-      tag: formData.tag,
-      description: formData.description
+      priority: formData.priority,
+      tags: normalizeTags(formData.tags),
+      courseId: this.elements.taskCourseId?.value || '',
+      description: formData.description,
+      subtasks: this.formSubtasks.map(item => ({ ...item })),
+      recurrence,
+      blockedBy: this.getDependencyFormData()
     };
 
     // Submit form
+    let saved;
     if (editingTaskId) {
-      taskActions.updateTask(editingTaskId, payload, stateManager);
+      const scopeInput = document.querySelector('input[name="task-edit-scope"]:checked');
+      const scope = scopeInput ? scopeInput.value : 'this';
+      saved = taskActions.updateTask(editingTaskId, payload, stateManager, { scope });
     } else {
-      taskActions.addTask(payload, stateManager);
+      saved = taskActions.addTask(payload, stateManager);
       // Clear form after adding a new task
-      this.clearTaskForm();
+      if (saved) this.clearTaskForm();
+    }
+
+    // Unknown courses, unknown blocking tasks, dependency cycles and a rule removed from a
+    // single occurrence are only detected against the stored data
+    const error = stateManager.getState('error');
+    const formErrors = stateManager.getState('formErrors');
+    ['courseId', 'blockedBy', 'recurrence'].forEach(field => {
+      if (!saved && error && formErrors[field] === error) {
+        this.showFieldError(field, error);
+      } else {
+        this.clearFieldError(field);
+      }
+    });
+  }
+  
+  /**
+   * Show the fields parsed from the quick-add box; defaults are marked so the
+   * user can see what was not recognised
+   */
+  renderQuickAddPreview() {
+    const preview = this.elements.quickAddPreview;
+    if (!preview) return;
+
+    const text = this.elements.quickAdd?.value || '';
+    if (!text.trim()) {
+      preview.innerHTML = '';
+      return;
+    }
+
+    const { task, defaults } = parseQuickAdd(text);
+    const settings = loadSettings();
+    const [date, time] = task.dueDate.split('T');
+    const fields = [
+      { key: 'title', label: 'Title', value: task.title || '(missing)' },
+      { key: 'dueDate', label: 'Due', value: `${formatDate(new Date(`${date}T00:00`), settings.dateFormat || 'YYYY-MM-DD')}${time ? ` ${time}` : ''}` },
+      { key: 'duration', label: 'Duration', value: formatDuration(task.duration, settings.timeUnit) },
+      { key: 'priority', label: 'Priority', value: task.priority },
+      { key: 'tags', label: 'Tags', value: task.tags.map(tag => `#${tag}`).join(' ') }
+    ].filter(field => field.value);
+
+    preview.innerHTML = fields.map(field => `
+      <span class="quick-add-field ${defaults.includes(field.key) ? 'is-default' : ''}">
+        <span class="quick-add-label">${field.label}:</span> ${this.escapeHtml(field.value)}${defaults.includes(field.key) ? ' <span class="quick-add-default">(default)</span>' : ''}
+      </span>
+    `).join('');
+  }
+
+  /**
+   * Add the task typed into the quick-add box
+   */
+  handleQuickAdd() {
+    const input = this.elements.quickAdd;
+    if (!input || !input.value.trim()) return;
+
+    const { task } = parseQuickAdd(input.value);
+    if (!task.title) {
+      this.showFieldError('quickAdd', 'Add a title before the date, duration, priority and tags');
+      return;
+    }
+
+    const saved = taskActions.addTask(task, stateManager);
+    if (!saved) {
+      const formErrors = stateManager.getState('formErrors') || {};
+      const message = Object.values(formErrors)[0] || stateManager.getState('error') || 'Task could not be added';
+      this.showFieldError('quickAdd', message);
+      return;
     }
+
+    this.clearFieldError('quickAdd');
+    input.value = '';
+    this.renderQuickAddPreview();
+    this.announceToScreenReader(`Task ${task.title} added`);
   }
   
   /**
@@ -1240,11 +3009,151 @@ class UIManager {
       date: this.elements.taskDueDate?.value || '',
       time: this.elements.taskDueTime?.value || '',
       duration: this.elements.taskDuration?.value || '',
-      tag: this.elements.taskTag?.value || '',
+      priority: this.elements.taskPriority?.value || '',
+      tags: this.elements.taskTags?.value || '',
       description: this.elements.taskDescription?.value || ''
     };
   }
   
+  /**
+   * Add the checklist item typed into the editor to the form
+   */
+  addFormSubtask() {
+    const title = (this.elements.subtaskTitle?.value || '').trim();
+    if (!title) {
+      this.showFieldError('subtasks', 'Enter a checklist item title');
+      return;
+    }
+
+    // Durations are entered in the user's time unit but stored in hours
+    const settings = loadSettings();
+    let duration = parseFloat(this.elements.subtaskDuration?.value);
+    if (!isNaN(duration) && settings.timeUnit === 'minutes') {
+      duration = Math.round((duration / 60) * 100) / 100;
+    }
+
+    const item = { title, completed: false };
+    if (!isNaN(duration) && duration > 0) item.duration = duration;
+
+    this.formSubtasks.push(item);
+    this.clearFieldError('subtasks');
+    this.elements.subtaskTitle.value = '';
+    if (this.elements.subtaskDuration) this.elements.subtaskDuration.value = '';
+    this.elements.subtaskTitle.focus();
+    this.renderSubtaskEditor();
+  }
+
+  /**
+   * Render the checklist items currently in the task form
+   */
+  renderSubtaskEditor() {
+    const list = this.elements.subtaskList;
+    if (!list) return;
+
+    const settings = loadSettings();
+    list.innerHTML = this.formSubtasks.map((item, index) => `
+      <li class="subtask-editor-item">
+        <span class="subtask-editor-title">${this.escapeHtml(item.title)}</span>
+        ${item.duration ? `<span class="subtask-duration">${formatDuration(item.duration, settings.timeUnit)}</span>` : ''}
+        <button type="button" class="task-action-btn danger subtask-remove-btn" data-index="${index}" aria-label="Remove checklist item ${this.escapeHtml(item.title)}">✕</button>
+      </li>
+    `).join('');
+  }
+
+  /**
+   * Get the blocking tasks selected in the task form
+   * @returns {Array} Selected task IDs
+   */
+  getDependencyFormData() {
+    const select = this.elements.taskBlockedBy;
+    if (!select) return [];
+    return Array.from(select.selectedOptions).map(option => option.value);
+  }
+
+  /**
+   * Fill the "Blocked by" select with the tasks the edited task can depend on
+   * @param {Array} selectedIds - Task IDs to preselect (defaults to the current selection)
+   */
+  updateDependencyOptions(selectedIds = null) {
+    const select = this.elements.taskBlockedBy;
+    if (!select) return;
+
+    const selected = new Set(selectedIds || this.getDependencyFormData());
+    const editingTaskId = stateManager.getState('editingTaskId');
+    const tasks = (stateManager.getState('tasks') || [])
+      .filter(task => task.id !== editingTaskId && (!task.completed || selected.has(task.id)))
+      .sort((a, b) => String(a.dueDate).localeCompare(String(b.dueDate)));
+
+    select.innerHTML = tasks.map(task => `
+      <option value="${task.id}" ${selected.has(task.id) ? 'selected' : ''}>${this.escapeHtml(task.title)} (${this.escapeHtml(String(task.dueDate).split('T')[0])})</option>
+    `).join('');
+  }
+
+  /**
+   * Get the repeat rule entered in the task form
+   * @returns {Object|null} Recurrence rule or null when the task does not repeat
+   */
+  getRecurrenceFormData() {
+    const freq = this.elements.taskRepeat?.value || 'none';
+    if (freq === 'none') return null;
+
+    const end = this.elements.taskRepeatEnd?.value || 'never';
+    const weekdays = Array.from(document.querySelectorAll('input[name="task-repeat-weekday"]:checked'))
+      .map(input => parseInt(input.value, 10));
+    const exceptions = (this.elements.taskRepeatExceptions?.value || '')
+      .split(/[\s,]+/)
+      .filter(Boolean);
+
+    return {
+      freq,
+      interval: parseInt(this.elements.taskRepeatInterval?.value, 10) || 1,
+      byWeekday: freq === 'weekly' ? weekdays : [],
+      until: end === 'until' ? (this.elements.taskRepeatUntil?.value || null) : null,
+      count: end === 'count' ? (parseInt(this.elements.taskRepeatCount?.value, 10) || null) : null,
+      exceptions
+    };
+  }
+
+  /**
+   * Fill the repeat controls from a recurrence rule
+   * @param {Object|null} rule - Recurrence rule
+   */
+  setRecurrenceFormData(rule) {
+    if (!this.elements.taskRepeat) return;
+
+    this.elements.taskRepeat.value = rule ? rule.freq : 'none';
+    if (this.elements.taskRepeatInterval) this.elements.taskRepeatInterval.value = rule ? rule.interval : 1;
+    document.querySelectorAll('input[name="task-repeat-weekday"]').forEach(input => {
+      input.checked = Boolean(rule && (rule.byWeekday || []).includes(parseInt(input.value, 10)));
+    });
+    if (this.elements.taskRepeatEnd) {
+      this.elements.taskRepeatEnd.value = rule && rule.until ? 'until' : (rule && rule.count ? 'count' : 'never');
+    }
+    if (this.elements.taskRepeatUntil) this.elements.taskRepeatUntil.value = rule && rule.until ? rule.until : '';
+    if (this.elements.taskRepeatCount) this.elements.taskRepeatCount.value = rule && rule.count ? rule.count : '';
+    if (this.elements.taskRepeatExceptions) {
+      this.elements.taskRepeatExceptions.value = rule ? (rule.exceptions || []).join(', ') : '';
+    }
+
+    this.updateRecurrenceControls();
+  }
+
+  /**
+   * Show only the repeat options that apply to the selected frequency and end condition
+   */
+  updateRecurrenceControls() {
+    const freq = this.elements.taskRepeat?.value || 'none';
+    const end = this.elements.taskRepeatEnd?.value || 'never';
+
+    if (this.elements.taskRepeatOptions) this.elements.taskRepeatOptions.hidden = freq === 'none';
+    if (this.elements.taskRepeatWeekdays) this.elements.taskRepeatWeekdays.hidden = freq !== 'weekly';
+    if (this.elements.taskRepeatIntervalUnit) {
+      this.elements.taskRepeatIntervalUnit.textContent = freq === 'daily' ? 'day(s)' : 'week(s)';
+    }
+    if (this.elements.taskRepeatUntil) this.elements.taskRepeatUntil.hidden = end !== 'until';
+    if (this.elements.taskRepeatCount) this.elements.taskRepeatCount.hidden = end !== 'count';
+  }
+  
   /**
    * Clear task form after submission
    */
@@ -1252,8 +3161,12 @@ class UIManager {
     if (this.elements.taskForm) {
       this.elements.taskForm.reset();
     }
+    this.updateRecurrenceControls();
+    this.formSubtasks = [];
+    this.renderSubtaskEditor();
+    this.updateDependencyOptions([]);
     // Clear any error messages
-    const errorFields = ['title', 'date', 'duration', 'tag', 'description'];
+    const errorFields = ['title', 'date', 'duration', 'priority', 'tags', 'courseId', 'description', 'recurrence', 'subtasks', 'blockedBy'];
     errorFields.forEach(field => {
       this.clearFieldError(field);
     });
@@ -1406,6 +3319,57 @@ class UIManager {
     if (this.elements.completedTasks) {
       this.elements.completedTasks.textContent = stats.completedTasks || 0;
     }
+    if (this.elements.priorityCounts) {
+      this.elements.priorityCounts.innerHTML = (stats.priorityCounts || []).map(item => `
+        <div class="priority-count priority-${getPriorityRank(item.priority)}">
+          <dt>${item.action}</dt>
+          <dd>${item.count}</dd>
+        </div>
+      `).join('');
+    }
+    if (this.elements.timeLogged && stats.timeTracking) {
+      const settings = loadSettings();
+      const { loggedHours, loggedWeek, accuracy, trackedTasks } = stats.timeTracking;
+      this.elements.timeLogged.textContent = formatDuration(loggedHours, settings.timeUnit);
+      if (this.elements.estimateAccuracy) {
+        const accuracyText = accuracy === null
+          ? 'No finished tasks timed yet'
+          : `${accuracy}% of estimate across ${trackedTasks} finished task${trackedTasks === 1 ? '' : 's'}`;
+        this.elements.estimateAccuracy.textContent = `${formatDuration(loggedWeek, settings.timeUnit)} this week • ${accuracyText}`;
+      }
+    }
+  }
+
+  /**
+   * Tell the user which tasks were moved to an urgent quadrant, and why
+   * @param {Array} escalations - Escalations ({ title, to, reason })
+   */
+  showEscalationToast(escalations) {
+    const describe = (item) => `${item.title} moved to ${findQuadrant(item.to).action} (${item.reason})`;
+    this.announceToScreenReader(escalations.length === 1
+      ? describe(escalations[0])
+      : `${escalations.length} tasks moved to urgent quadrants: ${escalations.map(describe).join('; ')}`);
+
+    const container = document.getElementById('toast-container');
+    if (!container) return;
+
+    const toast = document.createElement('div');
+    toast.className = 'toast escalation-toast';
+    toast.innerHTML = `
+      <strong>${escalations.length === 1 ? 'Task escalated' : `${escalations.length} tasks escalated`}</strong>
+      <ul>${escalations.map(item => `<li>${this.escapeHtml(describe(item))}</li>`).join('')}</ul>
+      <button class="dismiss-btn">Dismiss</button>
+    `;
+    container.appendChild(toast);
+
+    const timeoutId = setTimeout(() => {
+      if (toast.parentElement) toast.remove();
+    }, 10000);
+
+    toast.querySelector('.dismiss-btn').addEventListener('click', () => {
+      clearTimeout(timeoutId);
+      toast.remove();
+    });
   }
 
   /**
@@ -1462,16 +3426,10 @@ class UIManager {
     const todays = tasks.filter(t => t.dueDate && String(t.dueDate).startsWith(todayStr));
 
     // Sort by priority first (Eisenhower Matrix), then by due time
-    const priorityOrder = {
-      'Urgent & Important': 1,
-      'Important but Not Urgent': 2,
-      'Urgent but Not Important': 3
-    };
-    
     todays.sort((a, b) => {
       // First, sort by priority
-      const priorityA = priorityOrder[a.tag] || 999;
-      const priorityB = priorityOrder[b.tag] || 999;
+      const priorityA = getPriorityRank(getTaskPriority(a));
+      const priorityB = getPriorityRank(getTaskPriority(b));
       if (priorityA !== priorityB) {
         return priorityA - priorityB;
       }
@@ -1493,44 +3451,355 @@ class UIManager {
       return parseFloat(b.duration || 0) - parseFloat(a.duration || 0);
     });
 
-    if (todays.length === 0) {
-      container.innerHTML = '<div class="empty-state" style="padding:12px;color:var(--gray-300)">No tasks for today</div>';
+    if (todays.length === 0) {
+      container.innerHTML = '<div class="empty-state" style="padding:12px;color:var(--gray-300)">No tasks for today</div>';
+      return;
+    }
+
+    // Build a semantic list
+    const listHtml = todays.map(task => {
+  const due = task.dueDate ? new Date(task.dueDate).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'}) : '-';
+      const durationVal = parseFloat(task.duration || 0);
+      const duration = task.duration ? `${durationVal} h` : '-';
+      const longAttr = durationVal >= 2 ? 'data-duration-long="true"' : '';
+      const blockers = task.completed ? [] : getBlockingTasks(task, tasks);
+      const blockedAttr = blockers.length ? 'data-blocked="true"' : '';
+      const blockedText = blockers.length ? ` • Blocked by ${blockers.map(blocker => this.escapeHtml(blocker.title)).join(', ')}` : '';
+
+      return `
+        <li class="todays-list-item" data-task-id="${task.id}" ${longAttr} ${blockedAttr}>
+          <label class="todays-checkbox">
+            <input type="checkbox" class="todays-task-complete" data-task-id="${task.id}" ${task.completed ? 'checked' : ''}>
+          </label>
+          <div class="todays-content">
+            <div class="task-preview-title">${this.escapeHtml(task.title)}</div>
+            <div class="task-preview-meta">Priority: ${this.escapeHtml(getTaskPriority(task) || '-')} • Due: ${due}${blockedText}</div>
+          </div>
+          <div class="duration-badge">${this.escapeHtml(duration)}</div>
+        </li>
+      `;
+    }).join('');
+
+    container.innerHTML = `<ul class="todays-list">${listHtml}</ul>`;
+
+    // Bind completion toggles
+    container.querySelectorAll('.todays-task-complete').forEach(cb => {
+      cb.addEventListener('change', (e) => {
+        const taskId = e.target.dataset.taskId;
+        const checked = e.target.checked;
+        const task = stateManager.getState('tasks').find(t => t.id === taskId) || { id: taskId, title: '' };
+        taskActions.updateTask(taskId, { completed: checked }, stateManager);
+        if (checked) this.showUndoToast(task);
+      });
+    });
+  }
+  
+  /**
+   * Day shown in the day planner; today unless the user picked another day
+   * @returns {string} Day (YYYY-MM-DD)
+   */
+  getPlannerDate() {
+    return this.plannerDate || formatDate(new Date(), 'YYYY-MM-DD');
+  }
+  
+  /**
+   * First and last hour shown in the day planner: the study hours, widened to fit the day's blocks
+   * @param {Array} dayBlocks - Blocks of the day (see getDayBlocks)
+   * @returns {Object} { startHour, endHour }
+   */
+  getPlannerHours(dayBlocks) {
+    const schedule = normalizeSchedule((stateManager.getState('settings') || {}).schedule);
+    const starts = [toMinutes(schedule.dayStart), ...dayBlocks.map(block => block.startMinute)];
+    const ends = [toMinutes(schedule.dayEnd), ...dayBlocks.map(block => block.endMinute)];
+    return {
+      startHour: Math.floor(Math.min(...starts) / 60),
+      endHour: Math.min(24, Math.ceil(Math.max(...ends) / 60))
+    };
+  }
+  
+  /**
+   * Minute of the day under a pointer position in the day planner grid
+   * @param {number} clientY - Pointer position
+   * @returns {number} Minutes after midnight
+   */
+  getPlannerMinute(clientY) {
+    const canvas = this.elements.dayPlannerGrid.querySelector('.day-planner-canvas');
+    const top = canvas ? canvas.getBoundingClientRect().top : 0;
+    const startHour = canvas ? parseInt(canvas.dataset.startHour, 10) : 0;
+    return startHour * 60 + ((clientY - top) / PLANNER_HOUR_HEIGHT) * 60;
+  }
+  
+  /**
+   * Create or move a time block where a dragged task or block was dropped
+   * @param {number} minute - Wanted start (minutes after midnight)
+   */
+  handlePlannerDrop(minute) {
+    const drag = this.plannerDrag;
+    this.plannerDrag = null;
+    const date = this.getPlannerDate();
+
+    if (drag.type === 'task') {
+      const slot = moveTimeBlock({ start: '00:00', end: toTime(DEFAULT_BLOCK_MINUTES) }, minute);
+      if (settingsActions.addTimeBlock({ taskId: drag.id, date, ...slot }, stateManager)) {
+        this.announceToScreenReader(`Planned ${slot.start} to ${slot.end}`);
+      }
+      return;
+    }
+
+    const block = (stateManager.getState('settings').timeBlocks || []).find(item => item.id === drag.id);
+    if (!block) return;
+    const slot = moveTimeBlock(block, minute);
+    if (settingsActions.updateTimeBlock(block.id, { date, ...slot }, stateManager)) {
+      this.announceToScreenReader(`Block moved to ${slot.start} to ${slot.end}`);
+    }
+  }
+  
+  /**
+   * Plan a task in the first free hour of the planner day (keyboard alternative to dragging)
+   * @param {string} taskId - Task ID
+   */
+  planTaskInNextFreeSlot(taskId) {
+    const date = this.getPlannerDate();
+    const tasks = stateManager.getState('tasks') || [];
+    const dayBlocks = getDayBlocks(stateManager.getState('settings').timeBlocks, tasks, date);
+    const { startHour, endHour } = this.getPlannerHours(dayBlocks);
+
+    // Today, the next block cannot start in the past
+    const now = new Date();
+    const from = date === formatDate(now, 'YYYY-MM-DD')
+      ? Math.max(startHour * 60, now.getHours() * 60 + now.getMinutes())
+      : startHour * 60;
+    const start = findFreeSlot(dayBlocks, DEFAULT_BLOCK_MINUTES, from, endHour * 60);
+    if (start === null) {
+      stateManager.setState({ error: 'No free hour left in the planned day' });
+      return;
+    }
+
+    const slot = { start: toTime(start), end: toTime(start + DEFAULT_BLOCK_MINUTES) };
+    if (settingsActions.addTimeBlock({ taskId, date, ...slot }, stateManager)) {
+      this.announceToScreenReader(`Planned ${slot.start} to ${slot.end}`);
+    }
+  }
+  
+  /**
+   * Render the Day Planner: open tasks to drag, the hour grid with the day's blocks,
+   * and planned time compared with the weekly goal
+   */
+  renderDayPlanner() {
+    const grid = this.elements.dayPlannerGrid;
+    if (!grid) return;
+    // Re-rendering mid-drag would drop the element being dragged or resized
+    if (this.plannerResize) return;
+
+    const settings = stateManager.getState('settings') || {};
+    const timeUnit = loadSettings().timeUnit || 'hours';
+    const tasks = stateManager.getState('tasks') || [];
+    const date = this.getPlannerDate();
+    const dayBlocks = getDayBlocks(settings.timeBlocks, tasks, date);
+    const { startHour, endHour } = this.getPlannerHours(dayBlocks);
+    if (this.elements.dayPlannerDate) this.elements.dayPlannerDate.value = date;
+
+    // Planned time against the weekly goal
+    const summary = summarizeDayPlan(settings.timeBlocks, tasks, date, stateManager.getState('capSettings') || {});
+    const parts = [`${formatDuration(summary.dayHours, timeUnit)} planned on this day.`];
+    if (summary.goal > 0) {
+      parts.push(`This week: ${formatDuration(summary.doneHours, timeUnit)} done + ${formatDuration(summary.weekHours, timeUnit)} planned = ${summary.percentage}% of your ${formatDuration(summary.goal, timeUnit)} goal.`);
+    }
+    if (summary.overGoal) {
+      parts.push(`That is ${formatDuration(summary.projectedHours - summary.goal, timeUnit)} more than your weekly goal.`);
+    }
+    if (summary.overlaps > 0) {
+      parts.push(`${summary.overlaps} blocks overlap.`);
+    }
+    if (this.elements.dayPlannerSummary) {
+      this.elements.dayPlannerSummary.textContent = parts.join(' ');
+      this.elements.dayPlannerSummary.classList.toggle('warning', summary.overGoal || summary.overlaps > 0);
+    }
+
+    // Open tasks, the ones the study plan suggests for this day first
+    const studyPlan = (stateManager.getState('stats') || {}).studyPlan;
+    const suggested = new Set((studyPlan ? studyPlan.blocks : []).filter(block => block.date === date).map(block => block.taskId));
+    const openTasks = tasks
+      .filter(task => !task.completed)
+      .sort((a, b) => Number(suggested.has(b.id)) - Number(suggested.has(a.id))
+        || getPriorityRank(getTaskPriority(a)) - getPriorityRank(getTaskPriority(b))
+        || String(a.dueDate || '9999').localeCompare(String(b.dueDate || '9999')));
+    if (this.elements.dayPlannerTaskList) {
+      this.elements.dayPlannerTaskList.innerHTML = openTasks.length === 0
+        ? '<li class="empty-state" style="padding:12px;color:var(--gray-300)">No open tasks</li>'
+        : openTasks.map(task => {
+          const planned = dayBlocks.filter(block => block.taskId === task.id).reduce((sum, block) => sum + block.hours, 0);
+          const meta = [
+            `${formatDuration(getRemainingDuration(task), timeUnit)} left`,
+            planned ? `${formatDuration(planned, timeUnit)} planned` : '',
+            suggested.has(task.id) ? 'In study plan' : ''
+          ].filter(Boolean).join(' • ');
+          return `
+            <li class="day-planner-task" draggable="true" tabindex="0" data-planner-task-id="${task.id}">
+              ${this.escapeHtml(task.title)}
+              <small>${this.escapeHtml(meta)}</small>
+            </li>
+          `;
+        }).join('');
+    }
+
+    const hoursHtml = Array.from({ length: endHour - startHour }, (_, index) => {
+      const hour = startHour + index;
+      return `<div class="day-planner-hour" data-hour="${hour}" style="top:${index * PLANNER_HOUR_HEIGHT}px;height:${PLANNER_HOUR_HEIGHT}px">${String(hour).padStart(2, '0')}:00</div>`;
+    }).join('');
+
+    const blocksHtml = dayBlocks.map(block => {
+      const top = ((block.startMinute - startHour * 60) / 60) * PLANNER_HOUR_HEIGHT;
+      const height = block.hours * PLANNER_HOUR_HEIGHT;
+      const classes = ['day-planner-block', block.overlapping ? 'overlapping' : '', block.task.completed ? 'completed' : ''].filter(Boolean).join(' ');
+      return `
+        <div class="${classes}" draggable="true" data-block-id="${block.id}" data-task-id="${block.taskId}" style="top:${top}px;height:${height}px;margin-left:${block.lane * 24}px">
+          <strong>${this.escapeHtml(block.task.title)}</strong>
+          <span>${block.start}–${block.end}${block.overlapping ? ' • Overlaps' : ''}</span>
+          <div class="day-planner-block-actions">
+            <button type="button" data-planner-action="earlier" aria-label="Move earlier">&uarr;</button>
+            <button type="button" data-planner-action="later" aria-label="Move later">&darr;</button>
+            <button type="button" data-planner-action="shorter" aria-label="Shorten by ${PLANNER_SNAP_MINUTES} minutes">&minus;</button>
+            <button type="button" data-planner-action="longer" aria-label="Lengthen by ${PLANNER_SNAP_MINUTES} minutes">+</button>
+            <button type="button" data-planner-action="remove" aria-label="Remove block">&times;</button>
+          </div>
+          <div class="day-planner-resize" aria-hidden="true"></div>
+        </div>
+      `;
+    }).join('');
+
+    grid.innerHTML = `
+      <div class="day-planner-canvas" data-start-hour="${startHour}" style="height:${(endHour - startHour) * PLANNER_HOUR_HEIGHT}px">
+        ${hoursHtml}
+        ${blocksHtml}
+      </div>
+    `;
+  }
+  
+  /**
+   * Render the Study Plan panel: study blocks for the next seven days and work that does not fit
+   */
+  renderStudyPlan() {
+    const container = this.elements.studyPlanList;
+    if (!container) return;
+
+    const plan = stateManager.getState('stats').studyPlan;
+    if (!plan || (plan.blocks.length === 0 && plan.unscheduled.length === 0)) {
+      container.innerHTML = '<div class="empty-state" style="padding:12px;color:var(--gray-300)">Nothing to plan. Open tasks with a due date and duration are split into study blocks here.</div>';
+      return;
+    }
+
+    const settings = loadSettings();
+    const dateFormat = settings.dateFormat || 'YYYY-MM-DD';
+    const now = new Date();
+    const dayLabel = (offset) => {
+      const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+      if (offset === 0) return 'Today';
+      if (offset === 1) return 'Tomorrow';
+      return `${day.toLocaleDateString([], { weekday: 'short' })} ${formatDate(day, dateFormat)}`;
+    };
+    const dayKey = (offset) => formatDate(new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset), 'YYYY-MM-DD');
+
+    const warnings = plan.unscheduled.map(item => item.reason === 'Overdue'
+      ? `<li>"${this.escapeHtml(item.title)}" is overdue with ${this.escapeHtml(formatDuration(item.hours, settings.timeUnit))} left</li>`
+      : `<li>${this.escapeHtml(formatDuration(item.hours, settings.timeUnit))} of "${this.escapeHtml(item.title)}" does not fit before it is due</li>`
+    ).join('');
+    const warningsHtml = warnings
+      ? `<ul class="study-plan-warnings">${warnings}</ul><p class="critical-path-summary">Free up time in <a href="settings.html#study-planner">Study Planner settings</a> or move a due date.</p>`
+      : '';
+
+    const daysHtml = Array.from({ length: 7 }, (_, offset) => {
+      const blocks = plan.blocks.filter(block => block.date === dayKey(offset));
+      if (blocks.length === 0) return '';
+      return `
+        <p class="study-plan-day">${dayLabel(offset)}</p>
+        <ul class="todays-list">
+          ${blocks.map(block => `
+            <li class="todays-list-item" data-task-id="${block.taskId}">
+              <div class="todays-content">
+                <div class="task-preview-title">${this.escapeHtml(block.title)}</div>
+                <div class="task-preview-meta">${block.start}–${block.end} • ${this.escapeHtml(block.priority)}</div>
+              </div>
+              <div class="duration-badge">${this.escapeHtml(formatDuration(block.hours, settings.timeUnit))}</div>
+            </li>
+          `).join('')}
+        </ul>
+      `;
+    }).join('');
+
+    const later = plan.blocks.filter(block => block.date > dayKey(6)).length;
+    const laterHtml = later ? `<p class="critical-path-summary">${later} more block${later === 1 ? '' : 's'} planned after this week.</p>` : '';
+
+    container.innerHTML = `${warningsHtml}${daysHtml || '<p class="critical-path-summary">No study blocks this week.</p>'}${laterHtml}`;
+  }
+  
+  /**
+   * Render the Critical Path panel: the chain of dependent tasks that decides the final deadline
+   */
+  renderCriticalPath() {
+    const container = this.elements.criticalPathList;
+    if (!container) return;
+
+    const criticalPath = stateManager.getState('stats').criticalPath;
+    if (!criticalPath || !criticalPath.path.length) {
+      container.innerHTML = '<div class="empty-state" style="padding:12px;color:var(--gray-300)">No dependent tasks yet. Mark a task as blocked by another to see its critical path.</div>';
+      return;
+    }
+
+    const settings = loadSettings();
+    const dateFormat = settings.dateFormat || 'YYYY-MM-DD';
+    const finalStep = criticalPath.path[criticalPath.path.length - 1];
+    const firstLate = criticalPath.path.find(step => step.late);
+    const summary = firstLate
+      ? `"${this.escapeHtml(firstLate.title)}" is running late and pushes "${this.escapeHtml(finalStep.title)}" past its deadline.`
+      : `On track: "${this.escapeHtml(finalStep.title)}" is projected to finish ${formatDate(new Date(criticalPath.projectedFinish), dateFormat)}.`;
+
+    const listHtml = criticalPath.path.map(step => {
+      const slack = step.slack === null ? '-' : `${step.slack < 0 ? '-' : ''}${formatDuration(Math.abs(step.slack), settings.timeUnit)}`;
+      return `
+        <li class="todays-list-item" data-task-id="${step.id}" ${step.late ? 'data-late="true"' : ''}>
+          <div class="todays-content">
+            <div class="task-preview-title">${this.escapeHtml(step.title)}</div>
+            <div class="task-preview-meta">Due: ${formatDate(new Date(step.dueDate), dateFormat)} • Projected finish: ${formatDate(new Date(step.projectedFinish), dateFormat)} • Slack: ${slack}</div>
+          </div>
+          <div class="duration-badge">${this.escapeHtml(formatDuration(step.duration, settings.timeUnit))}</div>
+        </li>
+      `;
+    }).join('');
+
+    container.innerHTML = `<p class="critical-path-summary">${summary}</p><ol class="todays-list">${listHtml}</ol>`;
+  }
+  
+  /**
+   * Render the Courses panel: progress and workload per registered course
+   */
+  renderCourseStats() {
+    const container = this.elements.courseStatsList;
+    if (!container) return;
+
+    const courseStats = stateManager.getState('stats').courseStats || [];
+    if (!courseStats.some(entry => entry.courseId)) {
+      container.innerHTML = '<div class="empty-state" style="padding:12px;color:var(--gray-300)">No courses yet. Add your courses in <a href="settings.html#courses">Settings</a> to track them here.</div>';
       return;
     }
 
-    // Build a semantic list
-    const listHtml = todays.map(task => {
-  const due = task.dueDate ? new Date(task.dueDate).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'}) : '-';
-      const durationVal = parseFloat(task.duration || 0);
-      const duration = task.duration ? `${durationVal} h` : '-';
-      const longAttr = durationVal >= 2 ? 'data-duration-long="true"' : '';
-
+    const settings = loadSettings();
+    const listHtml = courseStats.map(entry => {
+      const swatch = entry.color ? `<span class="course-swatch" style="background:${this.escapeAttribute(entry.color)}" aria-hidden="true"></span>` : '';
+      const credits = entry.credits ? ` • ${entry.credits} credit${entry.credits === 1 ? '' : 's'}` : '';
+      const overdue = entry.overdueTasks ? ` • ${entry.overdueTasks} overdue` : '';
       return `
-        <li class="todays-list-item" data-task-id="${task.id}" ${longAttr}>
-          <label class="todays-checkbox">
-            <input type="checkbox" class="todays-task-complete" data-task-id="${task.id}" ${task.completed ? 'checked' : ''}>
-          </label>
+        <li class="todays-list-item" ${entry.courseId ? `data-course-id="${entry.courseId}"` : ''}>
           <div class="todays-content">
-            <div class="task-preview-title">${this.escapeHtml(task.title)}</div>
-            <div class="task-preview-meta">Tag: ${this.escapeHtml(task.tag || '-') } • Due: ${due}</div>
+            <div class="task-preview-title">${swatch}${this.escapeHtml(entry.code)}${entry.name ? ` – ${this.escapeHtml(entry.name)}` : ''}</div>
+            <div class="task-preview-meta">${entry.completedTasks}/${entry.totalTasks} tasks done${credits}${overdue}</div>
           </div>
-          <div class="duration-badge">${this.escapeHtml(duration)}</div>
+          <div class="duration-badge">${this.escapeHtml(formatDuration(entry.completedDuration, settings.timeUnit))} / ${this.escapeHtml(formatDuration(entry.totalDuration, settings.timeUnit))}</div>
         </li>
       `;
     }).join('');
 
     container.innerHTML = `<ul class="todays-list">${listHtml}</ul>`;
-
-    // Bind completion toggles
-    container.querySelectorAll('.todays-task-complete').forEach(cb => {
-      cb.addEventListener('change', (e) => {
-        const taskId = e.target.dataset.taskId;
-        const checked = e.target.checked;
-        const task = stateManager.getState('tasks').find(t => t.id === taskId) || { id: taskId, title: '' };
-        taskActions.updateTask(taskId, { completed: checked }, stateManager);
-        if (checked) this.showUndoToast(task);
-      });
-    });
   }
   
   /**
@@ -1637,8 +3906,13 @@ class UIManager {
     // Sum completed hours this week
     let completedHours = 0;
     const tasksList = stateManager.getState('tasks') || [];
+    const chartEnd = new Date();
     tasksList.forEach(t => {
-      if (!t.completed) return;
+      if (!t.completed) {
+        // Checked-off checklist items with durations count toward the goal
+        completedHours += getCompletedSubtaskDuration(t, weekStart, chartEnd);
+        return;
+      }
       const completedTs = t.completedAt || t.updatedAt || null;
       if (!completedTs) return;
       const completedDate = new Date(completedTs);
@@ -1821,12 +4095,19 @@ class UIManager {
     if (!this.elements.tagFilter) return;
     
     const tasks = stateManager.getState('tasks');
-    const tags = [...new Set(tasks.map(task => task.tag))].sort();
+    const tags = normalizeTags(tasks.flatMap(task => getTaskTags(task)))
+      .sort((a, b) => a.localeCompare(b));
+    const selected = this.elements.tagFilter.value;
     
     this.elements.tagFilter.innerHTML = `
       <option value="">All Tags</option>
       ${tags.map(tag => `<option value="${this.escapeHtml(tag)}">${this.escapeHtml(tag)}</option>`).join('')}
     `;
+    
+    // Keep the active filter selected when the tag list is rebuilt
+    if (selected && tags.some(tag => tag.toLowerCase() === selected.toLowerCase())) {
+      this.elements.tagFilter.value = tags.find(tag => tag.toLowerCase() === selected.toLowerCase());
+    }
   }
   
   /**
@@ -1873,161 +4154,646 @@ class UIManager {
   }
   
   /**
-   * Show error message
-   * @param {string} message - Error message
+   * Show error message
+   * @param {string} message - Error message
+   */
+  showError(message) {
+    this.announceToScreenReader(`Error: ${message}`, 'alert');
+    
+    // Auto-hide after 5 seconds
+    setTimeout(() => {
+      uiActions.clearMessages(stateManager);
+    }, 5000);
+  }
+  
+  /**
+   * Show success message
+   * @param {string} message - Success message
+   */
+  showSuccess(message) {
+    this.announceToScreenReader(`Success: ${message}`);
+    
+    // Auto-hide after 3 seconds
+    setTimeout(() => {
+      uiActions.clearMessages(stateManager);
+    }, 3000);
+  }
+  
+  /**
+   * Update form for editing
+   * @param {string} editingTaskId - Task ID being edited
+   */
+  updateFormForEditing(editingTaskId) {
+    if (editingTaskId) {
+      // Read the stored task: currentTask is deep-merged and can carry fields of a previously edited task
+      const task = (stateManager.getState('tasks') || []).find(t => t.id === editingTaskId) || stateManager.getState('currentTask');
+      if (task) {
+        // Get user's time unit preference
+        const settings = loadSettings();
+        const timeUnit = settings.timeUnit || 'hours';
+        
+        // Convert duration from hours (stored) to user's preferred unit
+        let displayDuration = task.duration;
+        if (timeUnit === 'minutes' && task.duration) {
+          // Convert hours to minutes
+          displayDuration = task.duration * 60;
+        }
+        
+        // Populate form
+        if (this.elements.taskTitle) this.elements.taskTitle.value = task.title;
+  if (this.elements.taskDueDate) this.elements.taskDueDate.value = task.dueDate ? String(task.dueDate).split('T')[0] : '';
+  if (this.elements.taskDueTime) this.elements.taskDueTime.value = task.dueDate && String(task.dueDate).includes('T') ? String(task.dueDate).split('T')[1].slice(0,5) : '';
+        if (this.elements.taskDuration) this.elements.taskDuration.value = displayDuration;
+        if (this.elements.taskPriority) this.elements.taskPriority.value = getTaskPriority(task) || '';
+        if (this.elements.taskTags) this.elements.taskTags.value = getTaskTags(task).join(', ');
+        if (this.elements.taskCourseId) this.elements.taskCourseId.value = task.courseId || '';
+        if (this.elements.taskDescription) this.elements.taskDescription.value = task.description || '';
+        this.setRecurrenceFormData(isRecurring(task) ? task.recurrence : null);
+        this.formSubtasks = (task.subtasks || []).map(item => ({ ...item }));
+        this.renderSubtaskEditor();
+        this.updateDependencyOptions(task.blockedBy || []);
+        
+        // Recurring tasks ask whether the edit applies to this occurrence or the whole series
+        if (this.elements.taskEditScope) {
+          this.elements.taskEditScope.style.display = isRecurring(task) ? 'block' : 'none';
+          const thisScope = this.elements.taskEditScope.querySelector('input[value="this"]');
+          if (thisScope) thisScope.checked = true;
+        }
+        
+        // Update form title and button
+        const sectionTitle = document.querySelector('#add-task .section-title');
+        if (sectionTitle) {
+          sectionTitle.textContent = 'Edit Task';
+        }
+        
+        if (this.elements.submitBtn) {
+          this.elements.submitBtn.textContent = 'Update Task';
+        }
+        
+        if (this.elements.cancelEditBtn) {
+          this.elements.cancelEditBtn.style.display = 'inline-flex';
+        }
+      }
+    } else {
+      // Reset form for new task
+      this.elements.taskForm?.reset();
+      this.updateRecurrenceControls();
+      this.formSubtasks = [];
+      this.renderSubtaskEditor();
+      this.updateDependencyOptions([]);
+      
+      if (this.elements.taskEditScope) {
+        this.elements.taskEditScope.style.display = 'none';
+      }
+      
+      const sectionTitle = document.querySelector('#add-task .section-title');
+      if (sectionTitle) {
+        sectionTitle.textContent = 'Add New Task';
+      }
+      
+      if (this.elements.submitBtn) {
+        this.elements.submitBtn.textContent = 'Save Task';
+      }
+      
+      if (this.elements.cancelEditBtn) {
+        this.elements.cancelEditBtn.style.display = 'none';
+      }
+    }
+  }
+  
+  /**
+   * Update settings form
+   * @param {Object} settings - Settings object
+   */
+  updateSettingsForm(settings) {
+    if (this.elements.timeUnitSelect) {
+      this.elements.timeUnitSelect.value = settings.timeUnit || 'hours';
+    }
+    
+    if (this.elements.dateFormatSelect) {
+      this.elements.dateFormatSelect.value = settings.dateFormat || 'YYYY-MM-DD';
+    }
+    
+    if (this.elements.dueRemindersCheckbox) {
+      this.elements.dueRemindersCheckbox.checked = settings.dueReminders !== false;
+    }
+    
+    if (this.elements.goalAlertsCheckbox) {
+      this.elements.goalAlertsCheckbox.checked = settings.goalAlerts !== false;
+    }
+    
+    if (this.elements.capInput) {
+      this.elements.capInput.value = settings.durationCap || 40;
+    }
+    
+    if (this.elements.scheduleForm) {
+      const schedule = normalizeSchedule(settings.schedule);
+      this.elements.scheduleCapacity.value = schedule.dailyCapacity;
+      this.elements.scheduleDayStart.value = schedule.dayStart;
+      this.elements.scheduleDayEnd.value = schedule.dayEnd;
+    }
+    
+    if (this.elements.escalationForm) {
+      const escalation = normalizeEscalation(settings.escalation);
+      this.elements.escalationEnabled.checked = escalation.enabled;
+      this.elements.escalationDays.value = escalation.dueWithinDays;
+      this.elements.escalationWorkload.checked = escalation.workload;
+    }
+  }
+  
+  /**
+   * Render the study planner's blocked times on the settings page
+   * @param {Object} settings - Settings object
+   */
+  renderBlockedTimes(settings) {
+    const container = this.elements.blockedTimeList;
+    if (!container) return;
+
+    const { blockedTimes } = normalizeSchedule(settings.schedule);
+    if (blockedTimes.length === 0) {
+      container.innerHTML = '<li class="course-list-empty">No blocked times yet.</li>';
+      return;
+    }
+
+    const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    container.innerHTML = blockedTimes.map(block => `
+      <li class="course-list-item" data-blocked-time-id="${block.id}">
+        <div class="course-list-text">
+          <strong>${this.escapeHtml(block.label || 'Blocked')}</strong>
+          <small>${block.days.map(day => dayNames[day]).join(', ')} • ${block.start}–${block.end}</small>
+        </div>
+        <button type="button" class="btn btn-danger" data-blocked-time-action="delete" data-blocked-time-id="${block.id}" aria-label="Remove blocked time ${this.escapeHtml(block.label || `${block.start}–${block.end}`)}">Remove</button>
+      </li>
+    `).join('');
+  }
+  
+  /**
+   * Save the study planner's daily capacity and study hours
+   */
+  handleScheduleSubmit() {
+    const saved = settingsActions.updateSchedule({
+      dailyCapacity: this.elements.scheduleCapacity?.value,
+      dayStart: this.elements.scheduleDayStart?.value,
+      dayEnd: this.elements.scheduleDayEnd?.value
+    }, stateManager);
+
+    if (!saved) {
+      this.showFieldError('schedule', stateManager.getState('error') || 'Study hours could not be saved');
+      return;
+    }
+    this.clearFieldError('schedule');
+    this.announceToScreenReader('Study hours saved; study plan updated');
+  }
+  
+  /**
+   * Render the task workflow on the settings page
+   * @param {Object} settings - Settings object
+   */
+  renderWorkflow(settings) {
+    const container = this.elements.workflowList;
+    if (!container) return;
+
+    const workflow = normalizeWorkflow(settings.workflow);
+    const final = getFinalStatus(workflow);
+    container.innerHTML = workflow.map((status, index) => `
+      <li class="course-list-item" data-status-id="${status.id}">
+        <div class="course-list-text">
+          <strong id="workflow-status-${index}">${index + 1}. ${this.escapeHtml(status.name)}</strong>
+          ${status === final ? '<small>Marks tasks completed</small>' : ''}
+        </div>
+        ${status === final ? '' : `
+          <input type="number" class="form-input workflow-wip-input" min="0" max="50" step="1" value="${status.wipLimit}" data-workflow-wip="${status.id}" aria-labelledby="workflow-status-${index} workflow-wip-label-${index}">
+          <span id="workflow-wip-label-${index}" class="sr-only">WIP limit</span>
+          <button type="button" class="btn btn-danger" data-workflow-action="delete" data-status-id="${status.id}">Remove<span class="sr-only"> ${this.escapeHtml(status.name)}</span></button>
+        `}
+      </li>
+    `).join('');
+  }
+  
+  /**
+   * Add the status entered in the workflow form
+   */
+  handleWorkflowSubmit() {
+    const status = settingsActions.addWorkflowStatus({
+      name: this.elements.workflowName?.value || '',
+      wipLimit: this.elements.workflowWipLimit?.value || 0
+    }, stateManager);
+
+    if (!status) {
+      this.showFieldError('workflow', stateManager.getState('error') || 'Status could not be added');
+      return;
+    }
+    this.clearFieldError('workflow');
+    this.elements.workflowForm.reset();
+    this.announceToScreenReader(`Status ${status.name} added`);
+  }
+  
+  /**
+   * Save the escalation rules entered in the escalation form
+   */
+  handleEscalationSubmit() {
+    const saved = settingsActions.updateEscalation({
+      enabled: this.elements.escalationEnabled?.checked,
+      dueWithinDays: this.elements.escalationDays?.value,
+      workload: this.elements.escalationWorkload?.checked
+    }, stateManager);
+
+    if (!saved) {
+      this.showFieldError('escalation', stateManager.getState('error') || 'Escalation rules could not be saved');
+      return;
+    }
+    this.clearFieldError('escalation');
+    this.announceToScreenReader('Escalation rules saved');
+  }
+  
+  /**
+   * Add the blocked time entered in the blocked time form
+   */
+  handleBlockedTimeSubmit() {
+    const form = this.elements.blockedTimeForm;
+    const block = settingsActions.addBlockedTime({
+      label: this.elements.blockedTimeLabel?.value || '',
+      days: [...form.querySelectorAll('input[name="blocked-time-day"]:checked')].map(input => input.value),
+      start: this.elements.blockedTimeStart?.value || '',
+      end: this.elements.blockedTimeEnd?.value || ''
+    }, stateManager);
+
+    if (!block) {
+      this.showFieldError('blockedTime', stateManager.getState('error') || 'Blocked time could not be added');
+      return;
+    }
+    this.clearFieldError('blockedTime');
+    form.reset();
+    this.announceToScreenReader('Blocked time added; study plan updated');
+  }
+  
+  /**
+   * Render the course registry on the settings page
+   * @param {Object} settings - Settings object
+   */
+  renderCourseList(settings) {
+    const container = this.elements.courseList;
+    if (!container) return;
+
+    const courses = settings.courses || [];
+    if (courses.length === 0) {
+      container.innerHTML = '<li class="course-list-empty">No courses yet.</li>';
+      return;
+    }
+
+    container.innerHTML = courses.map(course => {
+      const details = [
+        course.credits ? `${course.credits} credit${course.credits === 1 ? '' : 's'}` : '',
+        course.instructor,
+        course.term
+      ].filter(Boolean).map(detail => this.escapeHtml(String(detail))).join(' • ');
+      return `
+        <li class="course-list-item" data-course-id="${course.id}">
+          <span class="course-swatch" style="background:${this.escapeAttribute(getCourseColor(course))}" aria-hidden="true"></span>
+          <div class="course-list-text">
+            <strong>${this.escapeHtml(formatCourseLabel(course))}</strong>
+            ${details ? `<small>${details}</small>` : ''}
+          </div>
+          <button type="button" class="btn btn-secondary" data-course-action="edit" data-course-id="${course.id}" aria-label="Edit ${this.escapeHtml(course.code)}">Edit</button>
+          <button type="button" class="btn btn-danger" data-course-action="delete" data-course-id="${course.id}" aria-label="Remove ${this.escapeHtml(course.code)}">Remove</button>
+        </li>
+      `;
+    }).join('');
+  }
+  
+  /**
+   * Fill the course pickers (task form, syllabus import and dashboard filter), keeping the current selection
+   * @param {Object} settings - Settings object
+   */
+  updateCourseOptions(settings) {
+    const courses = settings.courses || [];
+    const optionsHtml = courses
+      .map(course => `<option value="${course.id}">${this.escapeHtml(formatCourseLabel(course))}</option>`)
+      .join('');
+
+    const select = this.elements.taskCourseId;
+    if (select) {
+      const selected = select.value;
+      select.innerHTML = `<option value="">No course</option>${optionsHtml}`;
+      if (findCourse(courses, selected)) select.value = selected;
+    }
+
+    const syllabusCourse = this.elements.syllabusCourse;
+    if (syllabusCourse) {
+      const selected = syllabusCourse.value;
+      syllabusCourse.innerHTML = `<option value="">No course</option>${optionsHtml}`;
+      if (findCourse(courses, selected)) syllabusCourse.value = selected;
+    }
+
+    const filter = this.elements.courseFilter;
+    if (filter) {
+      const selected = filter.value;
+      filter.innerHTML = `<option value="">All Courses</option>${optionsHtml}<option value="none">No course</option>`;
+      if (selected === 'none' || findCourse(courses, selected)) {
+        filter.value = selected;
+      } else if (selected) {
+        this.handleCourseFilter('');
+      }
+    }
+  }
+  
+  /**
+   * Handle course form submission (add or update)
+   */
+  handleCourseSubmit() {
+    const courseData = {
+      code: this.elements.courseCode?.value || '',
+      name: this.elements.courseName?.value || '',
+      color: this.elements.courseColor?.value || '',
+      credits: this.elements.courseCredits?.value || 0,
+      instructor: this.elements.courseInstructor?.value || '',
+      term: this.elements.courseTerm?.value || ''
+    };
+
+    const courseId = this.elements.courseIdInput?.value;
+    const saved = courseId
+      ? settingsActions.updateCourse(courseId, courseData, stateManager)
+      : settingsActions.addCourse(courseData, stateManager);
+
+    if (!saved) {
+      this.showFieldError('course', stateManager.getState('error') || 'Course could not be saved');
+      return;
+    }
+
+    this.resetCourseForm();
+    this.announceToScreenReader(courseId ? 'Course updated' : 'Course added');
+  }
+  
+  /**
+   * Load a course into the course form for editing
+   * @param {string} courseId - Course ID
+   */
+  editCourse(courseId) {
+    const course = findCourse(stateManager.getState('settings').courses, courseId);
+    if (!course || !this.elements.courseForm) return;
+
+    this.elements.courseIdInput.value = course.id;
+    this.elements.courseCode.value = course.code;
+    this.elements.courseName.value = course.name;
+    this.elements.courseColor.value = getCourseColor(course);
+    this.elements.courseCredits.value = course.credits || '';
+    this.elements.courseInstructor.value = course.instructor || '';
+    this.elements.courseTerm.value = course.term || '';
+
+    if (this.elements.courseSubmitBtn) this.elements.courseSubmitBtn.textContent = 'Update Course';
+    if (this.elements.courseCancelBtn) this.elements.courseCancelBtn.style.display = 'inline-block';
+    this.clearFieldError('course');
+    this.elements.courseCode.focus();
+  }
+  
+  /**
+   * Reset the course form to add mode
+   */
+  resetCourseForm() {
+    if (!this.elements.courseForm) return;
+
+    this.elements.courseForm.reset();
+    if (this.elements.courseIdInput) this.elements.courseIdInput.value = '';
+    if (this.elements.courseSubmitBtn) this.elements.courseSubmitBtn.textContent = 'Add Course';
+    if (this.elements.courseCancelBtn) this.elements.courseCancelBtn.style.display = 'none';
+    this.clearFieldError('course');
+  }
+  
+  /**
+   * Handle export data
+   */
+  handleExportData() {
+    const tasks = stateManager.getState('tasks');
+    const settings = stateManager.getState('settings');
+    
+    // Import the export function from storage module
+    import('./storage.js').then(({ exportData, downloadBackup }) => {
+      downloadBackup(tasks, settings);
+      this.announceToScreenReader('Data exported successfully');
+    });
+  }
+  
+  /**
+   * Render the column checkboxes for CSV export
    */
-  showError(message) {
-    this.announceToScreenReader(`Error: ${message}`, 'alert');
-    
-    // Auto-hide after 5 seconds
-    setTimeout(() => {
-      uiActions.clearMessages(stateManager);
-    }, 5000);
+  renderCsvColumnOptions() {
+    this.elements.csvColumns.innerHTML = CSV_EXPORT_COLUMNS.map(column => `
+      <label class="checkbox-label">
+        <input type="checkbox" name="csv-column" value="${column.key}" ${DEFAULT_EXPORT_COLUMNS.includes(column.key) ? 'checked' : ''}>
+        ${this.escapeHtml(column.label)}
+      </label>
+    `).join('');
   }
   
   /**
-   * Show success message
-   * @param {string} message - Success message
+   * Download the tasks as CSV with the selected columns
    */
-  showSuccess(message) {
-    this.announceToScreenReader(`Success: ${message}`);
+  handleExportCSV() {
+    const checked = this.elements.csvColumns
+      ? [...this.elements.csvColumns.querySelectorAll('input[name="csv-column"]:checked')].map(input => input.value)
+      : DEFAULT_EXPORT_COLUMNS;
+    if (checked.length === 0) {
+      stateManager.setState({ error: 'Select at least one column to export' });
+      return;
+    }
     
-    // Auto-hide after 3 seconds
-    setTimeout(() => {
-      uiActions.clearMessages(stateManager);
-    }, 3000);
+    const csv = tasksToCSV(stateManager.getState('tasks') || [], {
+      columns: checked,
+      settings: stateManager.getState('settings')
+    });
+    
+    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `campus-life-planner-tasks-${new Date().toISOString().split('T')[0]}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+    
+    this.announceToScreenReader('Tasks exported as CSV');
   }
   
   /**
-   * Update form for editing
-   * @param {string} editingTaskId - Task ID being edited
+   * Show the column mapping step for a CSV file
+   * @param {string} text - CSV text
    */
-  updateFormForEditing(editingTaskId) {
-    if (editingTaskId) {
-      const task = stateManager.getState('currentTask');
-      if (task) {
-        // Get user's time unit preference
-        const settings = loadSettings();
-        const timeUnit = settings.timeUnit || 'hours';
-        
-        // Convert duration from hours (stored) to user's preferred unit
-        let displayDuration = task.duration;
-        if (timeUnit === 'minutes' && task.duration) {
-          // Convert hours to minutes
-          displayDuration = task.duration * 60;
-        }
-        
-        // Populate form
-        if (this.elements.taskTitle) this.elements.taskTitle.value = task.title;
-  if (this.elements.taskDueDate) this.elements.taskDueDate.value = task.dueDate ? String(task.dueDate).split('T')[0] : '';
-  if (this.elements.taskDueTime) this.elements.taskDueTime.value = task.dueDate && String(task.dueDate).includes('T') ? String(task.dueDate).split('T')[1].slice(0,5) : '';
-        if (this.elements.taskDuration) this.elements.taskDuration.value = displayDuration;
-        if (this.elements.taskTag) this.elements.taskTag.value = task.tag;
-        if (this.elements.taskDescription) this.elements.taskDescription.value = task.description || '';
-        
-        // Update form title and button
-        const sectionTitle = document.querySelector('#add-task .section-title');
-        if (sectionTitle) {
-          sectionTitle.textContent = 'Edit Task';
-        }
-        
-        if (this.elements.submitBtn) {
-          this.elements.submitBtn.textContent = 'Update Task';
-        }
-        
-        if (this.elements.cancelEditBtn) {
-          this.elements.cancelEditBtn.style.display = 'inline-flex';
-        }
-      }
-    } else {
-      // Reset form for new task
-      this.elements.taskForm?.reset();
-      
-      const sectionTitle = document.querySelector('#add-task .section-title');
-      if (sectionTitle) {
-        sectionTitle.textContent = 'Add New Task';
-      }
-      
-      if (this.elements.submitBtn) {
-        this.elements.submitBtn.textContent = 'Save Task';
-      }
-      
-      if (this.elements.cancelEditBtn) {
-        this.elements.cancelEditBtn.style.display = 'none';
-      }
+  startCsvImport(text) {
+    let rows, lines;
+    try {
+      ({ rows, lines } = parseCSVRecords(text));
+    } catch (error) {
+      stateManager.setState({ error: `Import failed: ${error.message}` });
+      return;
+    }
+    if (rows.length === 0) {
+      stateManager.setState({ error: 'Import failed: the CSV file is empty' });
+      return;
     }
+    
+    this.cancelPendingImport();
+    this.pendingCsv = { rows, lines };
+    this.renderCsvMapping();
   }
   
   /**
-   * Update settings form
-   * @param {Object} settings - Settings object
+   * Render the column mapping form for the pending CSV file
    */
-  updateSettingsForm(settings) {
-    if (this.elements.timeUnitSelect) {
-      this.elements.timeUnitSelect.value = settings.timeUnit || 'hours';
-    }
+  renderCsvMapping() {
+    const container = this.elements.csvMapping;
+    if (!container || !this.pendingCsv) return;
     
-    if (this.elements.dateFormatSelect) {
-      this.elements.dateFormatSelect.value = settings.dateFormat || 'YYYY-MM-DD';
-    }
+    const [headers] = this.pendingCsv.rows;
+    const mapping = guessColumnMapping(headers);
+    const settings = stateManager.getState('settings');
+    const columnOptions = (selected) => [
+      `<option value="">Not in file</option>`,
+      ...headers.map((header, index) => `<option value="${index}" ${selected === index ? 'selected' : ''}>Column ${index + 1}${header ? `: ${this.escapeHtml(header)}` : ''}</option>`)
+    ].join('');
+    const dateFormats = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY'];
     
-    if (this.elements.dueRemindersCheckbox) {
-      this.elements.dueRemindersCheckbox.checked = settings.dueReminders !== false;
-    }
+    container.innerHTML = `
+      <p class="import-preview-summary">Match the columns of your file (${this.pendingCsv.rows.length} rows) to task fields</p>
+      ${CSV_IMPORT_FIELDS.map(field => `
+        <div class="csv-mapping-row">
+          <label for="csv-map-${field.key}" class="settings-label">${this.escapeHtml(field.label)}${field.required ? ' *' : ''}</label>
+          <select id="csv-map-${field.key}" class="select" data-csv-field="${field.key}">${columnOptions(mapping[field.key])}</select>
+        </div>
+      `).join('')}
+      <div class="csv-mapping-row">
+        <label for="csv-date-format" class="settings-label">Dates in File</label>
+        <select id="csv-date-format" class="select">
+          ${dateFormats.map(format => `<option value="${format}" ${format === (settings.dateFormat || 'YYYY-MM-DD') ? 'selected' : ''}>${format}</option>`).join('')}
+        </select>
+      </div>
+      <div class="csv-mapping-row">
+        <label for="csv-time-unit" class="settings-label">Durations in File</label>
+        <select id="csv-time-unit" class="select">
+          <option value="hours" ${settings.timeUnit !== 'minutes' ? 'selected' : ''}>Hours</option>
+          <option value="minutes" ${settings.timeUnit === 'minutes' ? 'selected' : ''}>Minutes</option>
+        </select>
+      </div>
+      <label class="checkbox-label"><input type="checkbox" id="csv-has-header" ${Object.keys(mapping).length > 0 ? 'checked' : ''}> First row is a header</label>
+      <div class="form-actions">
+        <button type="button" class="btn btn-primary" data-csv-action="check">Check Rows</button>
+      </div>
+    `;
+    container.hidden = false;
+  }
+  
+  /**
+   * Download the tasks as an iCalendar file (to-dos or calendar events)
+   */
+  handleExportICS() {
+    const component = this.elements.icsComponent?.value === 'VEVENT' ? 'VEVENT' : 'VTODO';
+    const ics = tasksToICS(stateManager.getState('tasks') || [], { component });
     
-    if (this.elements.goalAlertsCheckbox) {
-      this.elements.goalAlertsCheckbox.checked = settings.goalAlerts !== false;
+    const blob = new Blob([ics], { type: 'text/calendar;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `campus-life-planner-tasks-${new Date().toISOString().split('T')[0]}.ics`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+    
+    this.announceToScreenReader(`Tasks exported as calendar ${component === 'VEVENT' ? 'events' : 'to-dos'}`);
+  }
+  
+  /**
+   * Convert an iCalendar file and show the import preview
+   * Entries already imported (same UID) update their task under the merge modes
+   * @param {string} text - iCalendar text
+   */
+  startIcsImport(text) {
+    let converted;
+    try {
+      converted = icsToTasks(text, { existingTasks: stateManager.getState('tasks') || [] });
+    } catch (error) {
+      stateManager.setState({ error: `Import failed: ${error.message}` });
+      return;
     }
     
-    if (this.elements.capInput) {
-      this.elements.capInput.value = settings.durationCap || 40;
+    const { tasks, errors, duplicates } = converted;
+    if (duplicates > 0) {
+      errors.push(`${duplicates} repeated ${duplicates === 1 ? 'entry' : 'entries'} with the same UID (imported once)`);
     }
+    
+    this.cancelPendingImport();
+    this.pendingImport = {
+      result: { success: true, tasks, settings: null, errors },
+      resolutions: {}
+    };
+    this.renderImportPreview();
   }
   
   /**
-   * Handle export data
+   * Validate the mapped CSV rows and show the import preview
    */
-  handleExportData() {
-    const tasks = stateManager.getState('tasks');
-    const settings = stateManager.getState('settings');
+  previewCsvImport() {
+    const container = this.elements.csvMapping;
+    if (!container || !this.pendingCsv) return;
     
-    // Import the export function from storage module
-    import('./storage.js').then(({ exportData, downloadBackup }) => {
-      downloadBackup(tasks, settings);
-      this.announceToScreenReader('Data exported successfully');
+    const mapping = {};
+    container.querySelectorAll('select[data-csv-field]').forEach(select => {
+      if (select.value !== '') mapping[select.dataset.csvField] = parseInt(select.value, 10);
+    });
+    
+    const missing = CSV_IMPORT_FIELDS.filter(field => field.required && mapping[field.key] === undefined);
+    if (missing.length > 0) {
+      stateManager.setState({ error: `Choose a column for: ${missing.map(field => field.label).join(', ')}` });
+      return;
+    }
+    
+    const { tasks, errors } = csvRowsToTasks(this.pendingCsv.rows, mapping, {
+      hasHeader: container.querySelector('#csv-has-header')?.checked,
+      dateFormat: container.querySelector('#csv-date-format')?.value,
+      timeUnit: container.querySelector('#csv-time-unit')?.value,
+      courses: stateManager.getState('settings').courses || [],
+      lines: this.pendingCsv.lines
     });
+    
+    this.pendingImport = {
+      result: { success: true, tasks, settings: null, errors: errors.map(error => `Row ${error.row}: ${error.message}`) },
+      resolutions: {}
+    };
+    this.renderImportPreview();
   }
   
   /**
    * Handle import data
+   * The file is only parsed and previewed here; nothing is saved until the import is applied
    * @param {File} file - File to import
    */
   handleImportData(file) {
     if (!file) return;
     
+    const isCsv = /\.csv$/i.test(file.name || '') || file.type === 'text/csv';
+    const isIcs = /\.(ics|ical|ifb)$/i.test(file.name || '') || file.type === 'text/calendar';
     const reader = new FileReader();
     reader.onload = (e) => {
+      if (isCsv) {
+        this.startCsvImport(e.target.result);
+        return;
+      }
+      if (isIcs) {
+        this.startIcsImport(e.target.result);
+        return;
+      }
+      
       try {
         // Import the import function from storage module
-        import('./storage.js').then(({ importData, saveTasks, saveSettings }) => {
+        import('./storage.js').then(({ importData }) => {
           const result = importData(e.target.result);
           
           if (result.success) {
-            // Save imported data
-            saveTasks(result.tasks);
-            if (result.settings) {
-              saveSettings(result.settings);
-            }
-            
-            // Reload state
-            stateManager.setState({
-              tasks: result.tasks,
-              settings: result.settings || stateManager.getState('settings'),
-              success: `Imported ${result.tasks.length} tasks successfully`
-            });
-            
-            this.announceToScreenReader(`Imported ${result.tasks.length} tasks`);
+            this.cancelPendingImport();
+            this.pendingImport = { result, resolutions: {} };
+            this.renderImportPreview();
           } else {
+            this.cancelPendingImport();
             stateManager.setState({
               error: `Import failed: ${result.errors.join(', ')}`
             });
@@ -2043,6 +4809,369 @@ class UIManager {
     reader.readAsText(file);
   }
   
+  /**
+   * Build the plan for the pending import with the selected merge mode
+   * @returns {Object} Import plan (see planImport)
+   */
+  getPendingImportPlan() {
+    const { result, resolutions } = this.pendingImport;
+    const settings = stateManager.getState('settings');
+    return planImport(stateManager.getState('tasks') || [], result.tasks, {
+      mode: this.elements.importModeSelect?.value || 'merge',
+      resolutions,
+      courses: settings.courses || [],
+      incomingCourses: result.settings && Array.isArray(result.settings.courses) ? result.settings.courses : null
+    });
+  }
+  
+  /**
+   * Render the dry-run preview of the pending import
+   */
+  renderImportPreview() {
+    const container = this.elements.importPreview;
+    if (!container || !this.pendingImport) return;
+    
+    const plan = this.getPendingImportPlan();
+    const settings = loadSettings();
+    const dateFormat = settings.dateFormat || 'YYYY-MM-DD';
+    const formatUpdated = (task) => task.updatedAt ? formatDate(new Date(task.updatedAt), dateFormat) : 'unknown';
+    
+    const listSection = (label, tasks) => tasks.length ? `
+      <details class="import-preview-group">
+        <summary>${label} (${tasks.length})</summary>
+        <ul>${tasks.map(task => `<li>${this.escapeHtml(task.title)}</li>`).join('')}</ul>
+      </details>
+    ` : '';
+    
+    const conflictsHtml = plan.conflicts.length ? `
+      <div class="import-preview-group">
+        <strong>Conflicts (${plan.conflicts.length})</strong>
+        <ul class="import-conflicts">
+          ${plan.conflicts.map(conflict => plan.mode === 'review' ? `
+            <li>
+              <span>${this.escapeHtml(conflict.current.title)}</span>
+              <label class="checkbox-label"><input type="radio" name="conflict-${conflict.id}" data-conflict-id="${conflict.id}" value="current" ${conflict.choice === 'current' ? 'checked' : ''}> Keep mine (updated ${formatUpdated(conflict.current)})</label>
+              <label class="checkbox-label"><input type="radio" name="conflict-${conflict.id}" data-conflict-id="${conflict.id}" value="incoming" ${conflict.choice === 'incoming' ? 'checked' : ''}> Use imported "${this.escapeHtml(conflict.incoming.title)}" (updated ${formatUpdated(conflict.incoming)})</label>
+            </li>
+          ` : `
+            <li>${this.escapeHtml(conflict.current.title)}: ${conflict.choice === 'incoming' ? 'imported version is newer' : 'your version is kept'}</li>
+          `).join('')}
+        </ul>
+      </div>
+    ` : '';
+    
+    const warningsHtml = plan.warnings.length
+      ? `<ul class="import-warnings">${plan.warnings.map(warning => `<li>${this.escapeHtml(warning)}</li>`).join('')}</ul>`
+      : '';
+    const problems = this.pendingImport.result.errors;
+    const fileErrors = problems.length ? `
+      <details class="import-preview-group" open>
+        <summary>Not imported (${problems.length})</summary>
+        <ul class="import-warnings">${problems.map(problem => `<li>${this.escapeHtml(problem)}</li>`).join('')}</ul>
+      </details>
+    ` : '';
+    
+    container.innerHTML = `
+      <p class="import-preview-summary">
+        ${plan.added.length} to add • ${plan.updated.length} to update • ${plan.skipped.length} skipped${plan.conflicts.length ? ` • ${plan.conflicts.length} conflicting` : ''}${plan.removed.length ? ` • ${plan.removed.length} to remove` : ''}
+      </p>
+      ${fileErrors}
+      ${listSection('Added', plan.added)}
+      ${listSection('Updated', plan.updated)}
+      ${listSection('Skipped', plan.skipped)}
+      ${listSection('Removed', plan.removed)}
+      ${conflictsHtml}
+      ${warningsHtml}
+    `;
+    container.hidden = false;
+    if (this.elements.importActions) this.elements.importActions.hidden = false;
+  }
+  
+  /**
+   * Save the pending import using the selected merge mode
+   */
+  applyPendingImport() {
+    if (!this.pendingImport) return;
+    
+    const plan = this.getPendingImportPlan();
+    const importedSettings = this.pendingImport.result.settings;
+    const currentSettings = stateManager.getState('settings');
+    // Only a full replace takes over the imported preferences; other modes just add courses
+    const settings = plan.mode === 'replace' && importedSettings
+      ? { ...importedSettings, courses: plan.courses }
+      : { ...currentSettings, courses: plan.courses };
+    
+    import('./storage.js').then(({ saveTasks, saveSettings }) => {
+      if (!saveTasks(plan.tasks) || !saveSettings(settings)) {
+        stateManager.setState({ error: 'Import failed: data could not be saved' });
+        return;
+      }
+      
+      const changed = plan.added.length + plan.updated.length + plan.removed.length;
+      stateManager.setState({
+        tasks: plan.tasks,
+        settings,
+        success: `Import complete: ${plan.added.length} added, ${plan.updated.length} updated, ${plan.removed.length} removed`
+      });
+      taskActions.calculateStats(stateManager);
+      this.cancelPendingImport();
+      this.announceToScreenReader(`Imported file, ${changed} tasks changed`);
+    });
+  }
+  
+  /**
+   * Discard the pending import and its preview
+   */
+  cancelPendingImport() {
+    this.pendingImport = null;
+    this.pendingCsv = null;
+    if (this.elements.csvMapping) {
+      this.elements.csvMapping.innerHTML = '';
+      this.elements.csvMapping.hidden = true;
+    }
+    if (this.elements.importPreview) {
+      this.elements.importPreview.innerHTML = '';
+      this.elements.importPreview.hidden = true;
+    }
+    if (this.elements.importActions) this.elements.importActions.hidden = true;
+    if (this.elements.importDataInput) this.elements.importDataInput.value = '';
+  }
+  
+  /**
+   * Find tasks in the pasted syllabus and show them for review
+   */
+  handleSyllabusScan() {
+    const text = this.elements.syllabusText?.value || '';
+    if (!text.trim()) {
+      this.showFieldError('syllabus', 'Paste the syllabus text first');
+      return;
+    }
+    
+    const proposals = extractSyllabusTasks(text, {
+      termStart: this.elements.syllabusTermStart?.value || '',
+      dayFirst: this.elements.syllabusDateOrder?.value === 'day-first'
+    });
+    if (proposals.length === 0) {
+      this.closeSyllabusReview();
+      this.showFieldError('syllabus', 'No coursework with a date or week number was found');
+      return;
+    }
+    
+    this.clearFieldError('syllabus');
+    this.syllabusProposals = proposals.map(proposal => ({ ...proposal, selected: proposal.dueDate !== '', error: '' }));
+    this.renderSyllabusReview();
+    this.announceToScreenReader(`${proposals.length} proposed tasks found`);
+  }
+  
+  /**
+   * Render the review table of proposed syllabus tasks
+   * Inputs are filled after rendering so syllabus text never lands in attributes
+   */
+  renderSyllabusReview() {
+    const container = this.elements.syllabusReview;
+    if (!container) return;
+    
+    const proposals = this.syllabusProposals || [];
+    if (proposals.length === 0) {
+      this.closeSyllabusReview();
+      return;
+    }
+    
+    const settings = loadSettings();
+    const unitLabel = settings.timeUnit === 'minutes' ? 'minutes' : 'hours';
+    const priorityOptions = PRIORITY_LEVELS.map(level => `<option value="${this.escapeHtml(level)}">${this.escapeHtml(level)}</option>`).join('');
+    
+    container.innerHTML = `
+      <p class="import-preview-summary" id="syllabus-summary"></p>
+      <div class="syllabus-table-wrapper">
+        <table class="syllabus-table">
+          <thead>
+            <tr>
+              <th scope="col"><input type="checkbox" data-field="selectAll" aria-label="Select all proposed tasks"></th>
+              <th scope="col">Title</th>
+              <th scope="col">Due Date</th>
+              <th scope="col">Time</th>
+              <th scope="col">Duration (${unitLabel})</th>
+              <th scope="col">Priority</th>
+              <th scope="col">Tags</th>
+              <th scope="col">From the Syllabus</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${proposals.map((proposal, index) => `
+              <tr data-proposal-id="${proposal.id}" class="${proposal.error ? 'has-error' : ''}">
+                <td><input type="checkbox" data-proposal-id="${proposal.id}" data-field="selected" aria-label="Select task ${index + 1}"></td>
+                <td><input type="text" class="form-input" data-proposal-id="${proposal.id}" data-field="title" aria-label="Title of task ${index + 1}"></td>
+                <td><input type="date" class="form-input" data-proposal-id="${proposal.id}" data-field="date" aria-label="Due date of task ${index + 1}"></td>
+                <td><input type="time" class="form-input" data-proposal-id="${proposal.id}" data-field="time" aria-label="Due time of task ${index + 1}"></td>
+                <td><input type="number" class="form-input" min="0" step="0.25" data-proposal-id="${proposal.id}" data-field="duration" aria-label="Duration of task ${index + 1}"></td>
+                <td><select class="select" data-proposal-id="${proposal.id}" data-field="priority" aria-label="Priority of task ${index + 1}">${priorityOptions}</select></td>
+                <td><input type="text" class="form-input" data-proposal-id="${proposal.id}" data-field="tags" aria-label="Tags of task ${index + 1}"></td>
+                <td class="syllabus-source">
+                  Line ${proposal.lineNumber}: ${this.escapeHtml(proposal.line)}
+                  ${proposal.warnings.map(warning => `<span class="syllabus-warning">${this.escapeHtml(warning)}</span>`).join('')}
+                  ${proposal.error ? `<span class="syllabus-warning">${this.escapeHtml(proposal.error)}</span>` : ''}
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+      <div class="form-actions">
+        <button type="button" class="btn btn-primary" data-syllabus-action="accept">Add Selected</button>
+        <button type="button" class="btn btn-secondary" data-syllabus-action="discard">Discard Selected</button>
+        <button type="button" class="btn btn-secondary" data-syllabus-action="cancel">Close</button>
+      </div>
+    `;
+    
+    proposals.forEach(proposal => {
+      const [date, time] = proposal.dueDate.split('T');
+      const values = {
+        selected: proposal.selected,
+        title: proposal.title,
+        date: date || '',
+        time: time || '',
+        duration: settings.timeUnit === 'minutes' ? Math.round(proposal.duration * 60) : proposal.duration,
+        priority: proposal.priority,
+        tags: proposal.tags.join(', ')
+      };
+      container.querySelectorAll(`[data-proposal-id="${proposal.id}"][data-field]`).forEach(input => {
+        if (input.type === 'checkbox') input.checked = values[input.dataset.field];
+        else input.value = values[input.dataset.field];
+      });
+    });
+    
+    container.hidden = false;
+    this.updateSyllabusSummary();
+  }
+  
+  /**
+   * Refresh the selection count and the select-all box
+   */
+  updateSyllabusSummary() {
+    const container = this.elements.syllabusReview;
+    const proposals = this.syllabusProposals || [];
+    const selected = proposals.filter(proposal => proposal.selected).length;
+    const summary = container?.querySelector('#syllabus-summary');
+    if (summary) summary.textContent = `${proposals.length} proposed tasks • ${selected} selected`;
+    
+    const selectAll = container?.querySelector('[data-field="selectAll"]');
+    if (selectAll) {
+      selectAll.checked = selected === proposals.length;
+      selectAll.indeterminate = selected > 0 && selected < proposals.length;
+    }
+  }
+  
+  /**
+   * Copy an edited review field back to its proposal
+   * @param {HTMLElement} input - Edited input
+   */
+  updateSyllabusProposal(input) {
+    const proposals = this.syllabusProposals || [];
+    const field = input.dataset && input.dataset.field;
+    if (!field) return;
+    
+    if (field === 'selectAll') {
+      proposals.forEach(proposal => { proposal.selected = input.checked; });
+      this.elements.syllabusReview.querySelectorAll('[data-field="selected"]').forEach(box => { box.checked = input.checked; });
+      this.updateSyllabusSummary();
+      return;
+    }
+    
+    const proposal = proposals.find(item => item.id === input.dataset.proposalId);
+    if (!proposal) return;
+    
+    const [date, time] = proposal.dueDate.split('T');
+    switch (field) {
+      case 'selected':
+        proposal.selected = input.checked;
+        this.updateSyllabusSummary();
+        break;
+      case 'date':
+        proposal.dueDate = input.value ? `${input.value}${time ? `T${time}` : ''}` : '';
+        break;
+      case 'time':
+        proposal.dueDate = date ? `${date}${input.value ? `T${input.value}` : ''}` : '';
+        break;
+      case 'duration': {
+        const value = parseFloat(input.value);
+        const hours = loadSettings().timeUnit === 'minutes' ? value / 60 : value;
+        proposal.duration = isNaN(hours) ? 0 : Math.round(hours * 100) / 100;
+        break;
+      }
+      case 'tags':
+        proposal.tags = normalizeTags(input.value);
+        break;
+      default:
+        proposal[field] = input.value;
+    }
+  }
+  
+  /**
+   * Add the selected proposals as tasks; invalid rows are marked and nothing is added
+   */
+  acceptSyllabusProposals() {
+    const proposals = this.syllabusProposals || [];
+    const selected = proposals.filter(proposal => proposal.selected);
+    if (selected.length === 0) {
+      this.showFieldError('syllabus', 'Select the proposed tasks to add');
+      return;
+    }
+    
+    const courseId = this.elements.syllabusCourse?.value || '';
+    const tasks = selected.map(proposal => ({
+      title: proposal.title,
+      dueDate: proposal.dueDate,
+      duration: proposal.duration,
+      priority: proposal.priority,
+      tags: proposal.tags,
+      courseId
+    }));
+    
+    let invalid = 0;
+    selected.forEach((proposal, index) => {
+      const validation = validateTask(tasks[index]);
+      proposal.error = validation.isValid ? '' : Object.values(validation.errors)[0];
+      if (!validation.isValid) invalid++;
+    });
+    if (invalid > 0) {
+      this.renderSyllabusReview();
+      this.showFieldError('syllabus', `${invalid} selected ${invalid === 1 ? 'task needs' : 'tasks need'} fixing before anything is added`);
+      return;
+    }
+    
+    const added = taskActions.addTasks(tasks, stateManager);
+    if (!added) {
+      this.showFieldError('syllabus', stateManager.getState('error') || 'Tasks could not be added');
+      return;
+    }
+    
+    this.clearFieldError('syllabus');
+    this.syllabusProposals = proposals.filter(proposal => !proposal.selected);
+    this.renderSyllabusReview();
+    this.announceToScreenReader(`${added.length} tasks added from the syllabus`);
+  }
+  
+  /**
+   * Drop the selected proposals from the review
+   */
+  discardSyllabusProposals() {
+    this.syllabusProposals = (this.syllabusProposals || []).filter(proposal => !proposal.selected);
+    this.clearFieldError('syllabus');
+    this.renderSyllabusReview();
+  }
+  
+  /**
+   * Close the syllabus review and forget its proposals
+   */
+  closeSyllabusReview() {
+    this.syllabusProposals = [];
+    if (this.elements.syllabusReview) {
+      this.elements.syllabusReview.innerHTML = '';
+      this.elements.syllabusReview.hidden = true;
+    }
+  }
+  
   /**
    * Handle clear data
    */
@@ -2070,6 +5199,15 @@ class UIManager {
     div.textContent = text;
     return div.innerHTML;
   }
+  
+  /**
+   * Escape text for use inside a quoted HTML attribute
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeAttribute(text) {
+    return this.escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
 }
 
 /**
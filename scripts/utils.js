@@ -77,6 +77,35 @@ export function formatDate(date, userFormat = null) {
   return dateObj.toLocaleDateString('en-US', options);
 }
 
+/**
+ * Format a local date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} Date string
+ */
+export function toDateString(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Convert HH:MM to minutes after midnight
+ * @param {string} time - Time of day
+ * @returns {number} Minutes
+ */
+export function toMinutes(time) {
+  const [hours, minutes] = String(time).split(':').map(part => parseInt(part, 10));
+  return hours * 60 + minutes;
+}
+
+/**
+ * Convert minutes after midnight to HH:MM
+ * @param {number} minutes - Minutes
+ * @returns {string} Time of day
+ */
+export function toTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
 /**
  * Format duration based on user's time unit preference
  * @param {number} hours - Duration in hours
@@ -3,6 +3,12 @@
  * Implements comprehensive validation rules including advanced regex patterns
  */
 
+import { RECURRENCE_FREQUENCIES } from './recurrence.js';
+import { MAX_SUBTASKS } from './subtasks.js';
+import { PRIORITY_LEVELS, MAX_TAGS, normalizeTags } from './tags.js';
+import { MIN_WORKFLOW_STATUSES, MAX_WORKFLOW_STATUSES } from './workflow.js';
+import { MAX_TIME_ENTRY_HOURS } from './timer.js';
+
 /**
  * Validation rules and their corresponding regex patterns
  */
@@ -71,10 +77,26 @@ export const VALIDATION_RULES = {
     }
   },
   
+  priority: {
+    pattern: /^[\w\s&-]+$/,
+    message: 'Priority must be selected from the dropdown',
+    test: (value) => PRIORITY_LEVELS.includes(value)
+  },
+  
   tag: {
     pattern: /^[\w\s&(),-]+$/,
-    message: 'Priority must be selected from the dropdown',
-    test: (value) => value && value.trim().length > 0 && value.length <= 100
+    message: 'Tags can only contain letters, numbers, spaces, hyphens, & and parentheses',
+    test: (value) => value && value.trim().length > 0 && value.length <= 50
+  },
+  
+  // Comma-separated tag list as typed in the task form
+  tags: {
+    pattern: /^[\w\s&(),#-]*$/,
+    message: `Enter up to ${MAX_TAGS} comma-separated tags using letters, numbers, spaces, hyphens, & and parentheses`,
+    test: (value) => {
+      const tags = normalizeTags(value);
+      return tags.length <= MAX_TAGS && tags.every(tag => tag.length <= 50);
+    }
   },
   
   description: {
@@ -119,7 +141,26 @@ export const ADVANCED_PATTERNS = {
   ssn: /^\d{3}-?\d{2}-?\d{4}$/,
   
   // ZIP code validation (US format)
-  zipCode: /^\d{5}(-\d{4})?$/
+  zipCode: /^\d{5}(-\d{4})?$/,
+  
+  // Dates written in running text (syllabi, emails); capture groups hold the parts
+  isoDate: /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/,
+  slashDate: /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?\b/,
+  monthDayDate: /\b(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\b\.?\s+(\d{1,2})(?:st|nd|rd|th)?\b(?:,?\s+(\d{4})\b)?/i,
+  dayMonthDate: /\b(\d{1,2})(?:st|nd|rd|th)?\s+(?:of\s+)?(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\b\.?(?:,?\s+(\d{4})\b)?/i,
+  weekdayName: /\b(sun|mon|tue|wed|thu|fri|sat)(?:day|sday|nesday|rsday|urday|rs|s)?\b\.?/i,
+  
+  // "Week 5" or "Wk 5" relative to the start of term
+  weekNumber: /\b(?:week|wk)\.?\s*(\d{1,2})\b/i,
+  
+  // Times with am/pm ("5pm", "11:59 pm"); 24-hour times use timeFormat
+  meridiemTime: /\b(1[0-2]|0?[1-9])(?::([0-5]\d))?\s*([ap])\.?m\b\.?/i,
+  
+  // Durations written out ("2 hours", "90 min", "1.5 hrs", "3-hour")
+  durationText: /\b(\d+(?:\.\d+)?)\s*-?\s*(hours?|hrs?|h|minutes?|mins?)\b/i,
+  
+  // Words that mark coursework with a deadline
+  courseworkKeyword: /\b(final exam|midterm|mid-term|exam|quiz|test|problem set|pset|homework|hw|assignment|project|essay|paper|report|lab|presentation|due)\b/i
 };
 
 /**
@@ -177,7 +218,7 @@ export function validateTask(task) {
   };
   
   // Required fields
-  const requiredFields = ['title', 'dueDate', 'duration', 'tag'];
+  const requiredFields = ['title', 'dueDate', 'duration', 'priority'];
   
   for (const field of requiredFields) {
     if (!task[field]) {
@@ -193,6 +234,15 @@ export function validateTask(task) {
     }
   }
   
+  // Free-form tags (optional)
+  if (task.tags !== undefined && task.tags !== null) {
+    const validation = validateTags(task.tags);
+    if (!validation.isValid) {
+      result.isValid = false;
+      result.errors.tags = validation.message;
+    }
+  }
+  
   // Optional fields
   if (task.description && task.description.trim()) {
     const validation = validateField('description', task.description);
@@ -216,9 +266,507 @@ export function validateTask(task) {
     result.warnings.push('Duration seems unusually long (over 24 hours)');
   }
   
+  // Checklist items (optional)
+  if (task.subtasks !== undefined && task.subtasks !== null) {
+    const validation = validateSubtasks(task.subtasks);
+    if (!validation.isValid) {
+      result.isValid = false;
+      result.errors.subtasks = validation.message;
+    } else {
+      const subtaskDuration = task.subtasks.reduce((sum, item) => sum + (parseFloat(item.duration) || 0), 0);
+      if (task.duration && subtaskDuration > parseFloat(task.duration)) {
+        result.warnings.push('Checklist durations add up to more than the task duration');
+      }
+    }
+  }
+  
+  // Recurrence rule (optional)
+  if (task.recurrence) {
+    const validation = validateRecurrence(task.recurrence, task.dueDate);
+    if (!validation.isValid) {
+      result.isValid = false;
+      result.errors.recurrence = validation.message;
+    }
+  }
+  
+  // Course reference (optional)
+  if (task.courseId !== undefined && task.courseId !== null && typeof task.courseId !== 'string') {
+    result.isValid = false;
+    result.errors.courseId = 'Course must be selected from the list';
+  }
+  
+  // Blocking tasks (optional)
+  if (task.blockedBy !== undefined && task.blockedBy !== null) {
+    const validation = validateDependencies(task.blockedBy, task.id);
+    if (!validation.isValid) {
+      result.isValid = false;
+      result.errors.blockedBy = validation.message;
+    }
+  }
+  
   return result;
 }
 
+/**
+ * Validate the list of tasks blocking a task
+ * Cycles across tasks are checked by the state actions, which see every task
+ * @param {Array} blockedBy - Blocking task IDs
+ * @param {string} taskId - ID of the task the list belongs to
+ * @returns {Object} Validation result
+ */
+export function validateDependencies(blockedBy, taskId = null) {
+  const fail = (message) => ({ isValid: false, message, error: 'Invalid dependencies' });
+  
+  if (!Array.isArray(blockedBy)) {
+    return fail('Blocking tasks must be a list of task IDs');
+  }
+  
+  if (blockedBy.some(id => typeof id !== 'string' || !id.trim())) {
+    return fail('Blocking tasks must be referenced by task ID');
+  }
+  
+  if (taskId && blockedBy.includes(taskId)) {
+    return fail('A task cannot be blocked by itself');
+  }
+  
+  return {
+    isValid: true,
+    message: '',
+    error: null
+  };
+}
+
+/**
+ * Validate the free-form tags of a task
+ * @param {Array} tags - Tags
+ * @returns {Object} Validation result
+ */
+export function validateTags(tags) {
+  const fail = (message) => ({ isValid: false, message, error: 'Invalid tags' });
+  
+  if (!Array.isArray(tags)) {
+    return fail('Tags must be a list');
+  }
+  
+  if (tags.length > MAX_TAGS) {
+    return fail(`A task cannot have more than ${MAX_TAGS} tags`);
+  }
+  
+  for (const tag of tags) {
+    const validation = validateField('tag', typeof tag === 'string' ? tag : '');
+    if (!validation.isValid) {
+      return fail(`Tag "${tag}": ${validation.message}`);
+    }
+  }
+  
+  return {
+    isValid: true,
+    message: '',
+    error: null
+  };
+}
+
+/**
+ * Validate a course in the course registry
+ * @param {Object} course - Normalized course
+ * @param {Array} courses - Registered courses, used to keep course codes unique
+ * @returns {Object} Validation result
+ */
+export function validateCourse(course, courses = []) {
+  const fail = (message) => ({ isValid: false, message, error: 'Invalid course' });
+  
+  if (!course || typeof course !== 'object') {
+    return fail('Course is malformed');
+  }
+  
+  if (!/^[A-Z0-9][A-Z0-9 -]{0,14}$/.test(course.code || '')) {
+    return fail('Course code must be 1-15 letters, numbers, spaces or hyphens (e.g. MATH 201)');
+  }
+  
+  const name = validateField('title', course.name);
+  if (!name.isValid || course.name.length > 100) {
+    return fail('Course name must be 1-100 characters without leading/trailing spaces');
+  }
+  
+  if (!/^#[0-9a-f]{6}$/i.test(course.color || '')) {
+    return fail('Course colour must be a hex colour such as #6366f1');
+  }
+  
+  if (typeof course.credits !== 'number' || course.credits < 0 || course.credits > 30) {
+    return fail('Credits must be a number between 0 and 30');
+  }
+  
+  if ((course.instructor || '').length > 100 || (course.term || '').length > 40) {
+    return fail('Instructor and term must be at most 100 and 40 characters');
+  }
+  
+  const duplicate = courses.some(other => other.id !== course.id && other.code.toLowerCase() === course.code.toLowerCase());
+  if (duplicate) {
+    return fail(`Course ${course.code} already exists`);
+  }
+  
+  return {
+    isValid: true,
+    message: '',
+    error: null
+  };
+}
+
+/**
+ * Validate a saved search (smart list)
+ * The query itself is checked by the query parser when the list is saved
+ * @param {Object} list - Normalized smart list
+ * @param {Array} lists - Saved smart lists, used to keep names unique
+ * @returns {Object} Validation result
+ */
+export function validateSmartList(list, lists = []) {
+  const fail = (message) => ({ isValid: false, message, error: 'Invalid smart list' });
+  
+  if (!list || typeof list !== 'object') {
+    return fail('Smart list is malformed');
+  }
+  
+  if (!list.name || list.name.length > 40) {
+    return fail('Smart list name must be 1-40 characters');
+  }
+  
+  if (list.query.length > 500) {
+    return fail('Search query must be at most 500 characters');
+  }
+  
+  if (!list.query && Object.keys(list.activeFilters || {}).length === 0) {
+    return fail('Enter a search or choose a filter before saving a smart list');
+  }
+  
+  const duplicate = lists.some(other => other.id !== list.id && other.name.toLowerCase() === list.name.toLowerCase());
+  if (duplicate) {
+    return fail(`A smart list named "${list.name}" already exists`);
+  }
+  
+  return {
+    isValid: true,
+    message: '',
+    error: null
+  };
+}
+
+/**
+ * Validate a weekly blocked time for the study planner
+ * @param {Object} block - Normalized blocked time
+ * @returns {Object} Validation result
+ */
+export function validateBlockedTime(block) {
+  const fail = (message) => ({ isValid: false, message, error: 'Invalid blocked time' });
+
+  if (!block || typeof block !== 'object') {
+    return fail('Blocked time is malformed');
+  }
+
+  if (block.label.length > 40) {
+    return fail('Blocked time label must be at most 40 characters');
+  }
+
+  if (!Array.isArray(block.days) || block.days.length === 0) {
+    return fail('Choose at least one day for the blocked time');
+  }
+
+  if (!ADVANCED_PATTERNS.timeFormat.test(block.start) || !ADVANCED_PATTERNS.timeFormat.test(block.end)) {
+    return fail('Blocked times need a start and end time (HH:MM)');
+  }
+
+  if (block.start.padStart(5, '0') >= block.end.padStart(5, '0')) {
+    return fail('A blocked time must end after it starts');
+  }
+
+  return {
+    isValid: true,
+    message: '',
+    error: null
+  };
+}
+
+/**
+ * Validate study planner settings (capacity and study window)
+ * @param {Object} schedule - Normalized study settings
+ * @returns {Object} Validation result
+ */
+export function validateSchedule(schedule) {
+  const fail = (message) => ({ isValid: false, message, error: 'Invalid study settings' });
+
+  if (!schedule || typeof schedule !== 'object') {
+    return fail('Study settings are malformed');
+  }
+
+  if (typeof schedule.dailyCapacity !== 'number' || schedule.dailyCapacity < 0 || schedule.dailyCapacity > 24) {
+    return fail('Daily study capacity must be between 0 and 24 hours');
+  }
+
+  if (!ADVANCED_PATTERNS.timeFormat.test(schedule.dayStart) || !ADVANCED_PATTERNS.timeFormat.test(schedule.dayEnd)) {
+    return fail('Study hours need a start and end time (HH:MM)');
+  }
+
+  if (schedule.dayStart.padStart(5, '0') >= schedule.dayEnd.padStart(5, '0')) {
+    return fail('Study hours must end after they start');
+  }
+
+  for (const block of schedule.blockedTimes || []) {
+    const validation = validateBlockedTime(block);
+    if (!validation.isValid) return validation;
+  }
+
+  return {
+    isValid: true,
+    message: '',
+    error: null
+  };
+}
+
+/**
+ * Validate a day planner time block
+ * @param {Object} block - Normalized time block
+ * @param {Array} tasks - All tasks; the block must belong to one of them
+ * @returns {Object} Validation result
+ */
+export function validateTimeBlock(block, tasks = []) {
+  const fail = (message) => ({ isValid: false, message, error: 'Invalid time block' });
+
+  if (!block || typeof block !== 'object') {
+    return fail('Time block is malformed');
+  }
+
+  if (!tasks.some(task => task.id === block.taskId)) {
+    return fail('Time blocks must belong to an existing task');
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(block.date) || !VALIDATION_RULES.date.test(block.date)) {
+    return fail('Time blocks need a valid day (YYYY-MM-DD)');
+  }
+
+  if (!ADVANCED_PATTERNS.timeFormat.test(block.start) || !ADVANCED_PATTERNS.timeFormat.test(block.end)) {
+    return fail('Time blocks need a start and end time (HH:MM)');
+  }
+
+  if (block.start >= block.end) {
+    return fail('A time block must end after it starts');
+  }
+
+  return {
+    isValid: true,
+    message: '',
+    error: null
+  };
+}
+
+/**
+ * Validate urgency escalation rules
+ * @param {Object} rules - Normalized escalation rules
+ * @returns {Object} Validation result
+ */
+export function validateEscalation(rules) {
+  const fail = (message) => ({ isValid: false, message, error: 'Invalid escalation rules' });
+
+  if (!rules || typeof rules !== 'object') {
+    return fail('Escalation rules are malformed');
+  }
+
+  if (!Number.isInteger(rules.dueWithinDays) || rules.dueWithinDays < 0 || rules.dueWithinDays > 30) {
+    return fail('Escalate tasks between 0 and 30 days before they are due');
+  }
+
+  return {
+    isValid: true,
+    message: '',
+    error: null
+  };
+}
+
+/**
+ * Validate the task status workflow (Kanban board columns)
+ * @param {Array} workflow - Normalized statuses in column order
+ * @returns {Object} Validation result
+ */
+export function validateWorkflow(workflow) {
+  const fail = (message) => ({ isValid: false, message, error: 'Invalid workflow' });
+
+  if (!Array.isArray(workflow)) {
+    return fail('Workflow is malformed');
+  }
+
+  if (workflow.length < MIN_WORKFLOW_STATUSES || workflow.length > MAX_WORKFLOW_STATUSES) {
+    return fail(`A workflow needs ${MIN_WORKFLOW_STATUSES} to ${MAX_WORKFLOW_STATUSES} statuses`);
+  }
+
+  const names = new Set();
+  for (const status of workflow) {
+    if (!status || typeof status !== 'object') {
+      return fail('Status is malformed');
+    }
+
+    if (!status.name || status.name.length > 30) {
+      return fail('Status names must be 1-30 characters');
+    }
+
+    if (names.has(status.name.toLowerCase())) {
+      return fail(`Status ${status.name} already exists`);
+    }
+    names.add(status.name.toLowerCase());
+
+    if (!Number.isInteger(status.wipLimit) || status.wipLimit < 0 || status.wipLimit > 50) {
+      return fail('WIP limits must be whole numbers from 0 (no limit) to 50');
+    }
+  }
+
+  if (workflow[workflow.length - 1].wipLimit !== 0) {
+    return fail('The final status cannot have a WIP limit');
+  }
+
+  return {
+    isValid: true,
+    message: '',
+    error: null
+  };
+}
+
+/**
+ * Validate a time entry logged on a task
+ * @param {Object} entry - Normalized time entry
+ * @param {Date} now - Reference time; entries cannot start in the future
+ * @returns {Object} Validation result
+ */
+export function validateTimeEntry(entry, now = new Date()) {
+  const fail = (message) => ({ isValid: false, message, error: 'Invalid time entry' });
+
+  if (!entry || typeof entry !== 'object') {
+    return fail('Time entry is malformed');
+  }
+
+  const start = new Date(entry.start);
+  const end = new Date(entry.end);
+  if (!entry.start || !entry.end || isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return fail('Time entries need a valid start time');
+  }
+
+  if (start > now) {
+    return fail('Time entries cannot start in the future');
+  }
+
+  if (typeof entry.hours !== 'number' || entry.hours <= 0 || entry.hours > MAX_TIME_ENTRY_HOURS || end <= start) {
+    return fail(`Time entries must be longer than 0 and at most ${MAX_TIME_ENTRY_HOURS} hours`);
+  }
+
+  return {
+    isValid: true,
+    message: '',
+    error: null
+  };
+}
+
+/**
+ * Validate checklist items nested in a task
+ * @param {Array} subtasks - Checklist items
+ * @returns {Object} Validation result
+ */
+export function validateSubtasks(subtasks) {
+  const fail = (message) => ({ isValid: false, message, error: 'Invalid checklist' });
+  
+  if (!Array.isArray(subtasks)) {
+    return fail('Checklist must be a list of items');
+  }
+  
+  if (subtasks.length > MAX_SUBTASKS) {
+    return fail(`Checklist cannot have more than ${MAX_SUBTASKS} items`);
+  }
+  
+  for (let i = 0; i < subtasks.length; i++) {
+    const item = subtasks[i];
+    const position = `Checklist item ${i + 1}`;
+    
+    if (!item || typeof item !== 'object') {
+      return fail(`${position} is malformed`);
+    }
+    
+    const title = validateField('title', item.title);
+    if (!title.isValid || item.title.length > 200) {
+      return fail(`${position}: title must be 1-200 characters without leading/trailing spaces`);
+    }
+    
+    if (item.duration !== undefined && item.duration !== null && item.duration !== '') {
+      const duration = validateField('duration', String(item.duration));
+      if (!duration.isValid) {
+        return fail(`${position}: ${duration.message}`);
+      }
+    }
+  }
+  
+  return {
+    isValid: true,
+    message: '',
+    error: null
+  };
+}
+
+/**
+ * Validate a recurrence rule
+ * @param {Object} rule - Recurrence rule
+ * @param {string} dueDate - Due date of the occurrence the rule belongs to
+ * @returns {Object} Validation result
+ */
+export function validateRecurrence(rule, dueDate = null) {
+  const fail = (message) => ({ isValid: false, message, error: 'Invalid recurrence' });
+  
+  if (!rule || typeof rule !== 'object') {
+    return fail('Repeat rule is malformed');
+  }
+  
+  if (!RECURRENCE_FREQUENCIES.includes(rule.freq)) {
+    return fail('Repeat must be daily or weekly');
+  }
+  
+  const interval = Number(rule.interval === undefined ? 1 : rule.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 52) {
+    return fail('Repeat interval must be a whole number between 1 and 52');
+  }
+  
+  if (rule.byWeekday !== undefined) {
+    if (!Array.isArray(rule.byWeekday) || rule.byWeekday.some(day => !/^[0-6]$/.test(String(day)))) {
+      return fail('Repeat weekdays must be between Sunday and Saturday');
+    }
+  }
+  
+  if (rule.until) {
+    if (!VALIDATION_RULES.date.test(rule.until) || String(rule.until).includes('T')) {
+      return fail('Repeat end date must be in YYYY-MM-DD format');
+    }
+    const startDate = String(rule.start || dueDate || '').split('T')[0];
+    if (startDate && rule.until < startDate) {
+      return fail('Repeat end date must be on or after the first due date');
+    }
+  }
+  
+  if (rule.count !== undefined && rule.count !== null) {
+    const count = Number(rule.count);
+    if (!Number.isInteger(count) || count < 1 || count > 1000) {
+      return fail('Number of occurrences must be between 1 and 1000');
+    }
+  }
+  
+  if (rule.exceptions !== undefined) {
+    if (!Array.isArray(rule.exceptions)) {
+      return fail('Skipped dates must be a list of dates');
+    }
+    const invalid = rule.exceptions.find(date => !VALIDATION_RULES.date.test(date) || String(date).includes('T'));
+    if (invalid !== undefined) {
+      return fail(`Skipped date "${invalid}" must be in YYYY-MM-DD format`);
+    }
+  }
+  
+  return {
+    isValid: true,
+    message: '',
+    error: null
+  };
+}
+
 /**
  * Sanitize input to prevent XSS and other security issues
  * @param {string} input - Input string to sanitize
@@ -298,6 +846,11 @@ export function testRegex(text, pattern, flags = 'i') {
         groups: match.slice(1)
       });
       
+      // Without the global or sticky flag exec() always returns the first match again
+      if (!regex.global && !regex.sticky) {
+        break;
+      }
+      
       // Prevent infinite loop with zero-width matches
       if (match.index === regex.lastIndex) {
         regex.lastIndex++;
@@ -335,6 +888,138 @@ export function highlightMatches(text, regex) {
   }
 }
 
+/**
+ * Highlight matches found earlier (e.g. by the regex worker) without running the pattern again
+ * @param {string} text - Text to highlight matches in
+ * @param {Array} matches - Matches as { match, index }, in order
+ * @returns {string} HTML with highlighted matches
+ */
+export function highlightMatchRanges(text, matches) {
+  if (!text || !Array.isArray(matches) || matches.length === 0) return text;
+  
+  let html = '';
+  let position = 0;
+  matches.forEach(({ match, index }) => {
+    if (!match || index < position) return;
+    html += `${text.slice(position, index)}<mark>${match}</mark>`;
+    position = index + match.length;
+  });
+  return html + text.slice(position);
+}
+
+/**
+ * Statically check a regex pattern for constructs that can backtrack catastrophically
+ * Flags a quantified group that contains an unbounded quantifier, e.g. (a+)+ or (\w*\s?)*,
+ * and a quantified group whose alternatives overlap, e.g. (a|ab)*. The check is a heuristic:
+ * it does not prove a pattern safe, and the regex worker's time budget still applies.
+ * @param {string} pattern - Regex pattern string
+ * @returns {Object} { isSafe, warnings: [{ type, fragment, message }], message }
+ */
+export function analyzeRegexSafety(pattern) {
+  const source = String(pattern || '');
+  const warnings = [];
+  const root = { start: -1, contentStart: 0, hasUnbounded: false, bars: [] };
+  const stack = [root];
+  let lastGroup = null;
+  let hasAtom = false;
+  let i = 0;
+  
+  while (i < source.length) {
+    const char = source[i];
+    const current = stack[stack.length - 1];
+    
+    if (char === '\\') {
+      i += 2;
+      lastGroup = null;
+      hasAtom = true;
+      continue;
+    }
+    
+    if (char === '[') {
+      // Skip the character class, including escaped brackets
+      i++;
+      while (i < source.length && source[i] !== ']') i += source[i] === '\\' ? 2 : 1;
+      i++;
+      lastGroup = null;
+      hasAtom = true;
+      continue;
+    }
+    
+    if (char === '(') {
+      const prefix = /^\?(?::|=|!|<=|<!|<[A-Za-z_$][\w$]*>)/.exec(source.slice(i + 1));
+      const contentStart = i + 1 + (prefix ? prefix[0].length : 0);
+      stack.push({ start: i, contentStart, hasUnbounded: false, bars: [] });
+      i = contentStart;
+      lastGroup = null;
+      hasAtom = false;
+      continue;
+    }
+    
+    if (char === ')' && stack.length > 1) {
+      const group = stack.pop();
+      group.end = i;
+      if (group.hasUnbounded) stack[stack.length - 1].hasUnbounded = true;
+      lastGroup = group;
+      hasAtom = true;
+      i++;
+      continue;
+    }
+    
+    if (char === '|') {
+      current.bars.push(i);
+      lastGroup = null;
+      hasAtom = false;
+      i++;
+      continue;
+    }
+    
+    const quantifier = /^(?:\*|\+|\?|\{(\d+)(,(\d*))?\})\??/.exec(source.slice(i));
+    if (quantifier && hasAtom) {
+      const [text, min, comma, max] = quantifier;
+      const unbounded = text[0] === '*' || text[0] === '+' || (comma !== undefined && max === '');
+      const repeats = unbounded || (comma !== undefined && Number(max) > 1) || (min !== undefined && comma === undefined && Number(min) > 1);
+      
+      if (lastGroup && repeats) {
+        const fragment = source.slice(lastGroup.start, i + text.length);
+        if (lastGroup.hasUnbounded) {
+          warnings.push({
+            type: 'nested-quantifier',
+            fragment,
+            message: `Nested quantifier in ${fragment}: a repeated group that itself contains + or * can take exponential time`
+          });
+        } else if (lastGroup.bars.length > 0) {
+          const bounds = [lastGroup.contentStart, ...lastGroup.bars.map(bar => bar + 1)];
+          const branches = bounds.map((start, index) => source.slice(start, index < lastGroup.bars.length ? lastGroup.bars[index] : lastGroup.end));
+          const overlaps = branches.some((a, x) => branches.some((b, y) => x !== y && b.startsWith(a)));
+          if (overlaps) {
+            warnings.push({
+              type: 'overlapping-alternation',
+              fragment,
+              message: `Overlapping alternatives in ${fragment}: repeating alternatives that can match the same text can take exponential time`
+            });
+          }
+        }
+      }
+      
+      if (unbounded || (lastGroup && repeats && lastGroup.hasUnbounded)) current.hasUnbounded = true;
+      lastGroup = null;
+      hasAtom = false;
+      i += text.length;
+      continue;
+    }
+    
+    lastGroup = null;
+    hasAtom = true;
+    i++;
+  }
+  
+  return {
+    isSafe: warnings.length === 0,
+    warnings,
+    message: warnings.map(warning => warning.message).join('; ')
+  };
+}
+
 /**
  * Validate email format using advanced regex
  * @param {string} email - Email to validate
@@ -433,10 +1118,11 @@ export function validatePasswordStrength(password) {
 }
 
 /**
- * Extract specific patterns from text (e.g., emails, URLs, phone numbers)
+ * Extract specific patterns from text (e.g., emails, URLs, phone numbers, dates)
+ * Whole-value patterns are unanchored so they are found anywhere in the text
  * @param {string} text - Text to extract patterns from
  * @param {string} patternType - Type of pattern to extract
- * @returns {Array} Array of found patterns
+ * @returns {Array} Array of found patterns as { value, index, groups }
  */
 export function extractPatterns(text, patternType) {
   const patterns = {
@@ -444,19 +1130,38 @@ export function extractPatterns(text, patternType) {
     url: ADVANCED_PATTERNS.url,
     phone: ADVANCED_PATTERNS.phoneNumber,
     time: ADVANCED_PATTERNS.timeFormat,
-    isbn: ADVANCED_PATTERNS.isbn
+    isbn: ADVANCED_PATTERNS.isbn,
+    isoDate: ADVANCED_PATTERNS.isoDate,
+    slashDate: ADVANCED_PATTERNS.slashDate,
+    monthDayDate: ADVANCED_PATTERNS.monthDayDate,
+    dayMonthDate: ADVANCED_PATTERNS.dayMonthDate,
+    weekday: ADVANCED_PATTERNS.weekdayName,
+    week: ADVANCED_PATTERNS.weekNumber,
+    meridiemTime: ADVANCED_PATTERNS.meridiemTime,
+    duration: ADVANCED_PATTERNS.durationText,
+    keyword: ADVANCED_PATTERNS.courseworkKeyword
   };
   
-  const regex = patterns[patternType];
-  if (!regex) return [];
+  const pattern = patterns[patternType];
+  if (!pattern) return [];
+  
+  // A non-global regex would match the same place forever
+  const source = pattern.source.replace(/^\^/, '').replace(/\$$/, '');
+  const flags = pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`;
+  const regex = new RegExp(source, flags);
   
   const matches = [];
   let match;
   
-  while ((match = regex.exec(text)) !== null) {
+  while ((match = regex.exec(String(text || ''))) !== null) {
+    if (match[0] === '') {
+      regex.lastIndex++;
+      continue;
+    }
     matches.push({
       value: match[0],
-      index: match.index
+      index: match.index,
+      groups: match.slice(1)
     });
   }
   
@@ -0,0 +1,165 @@
+/**
+ * Workflow Module - Task statuses shown as columns on the Kanban board
+ * The workflow is an ordered list of statuses; the last one is the final status and
+ * means the task is completed, so `completed` and `status` always agree. Tasks saved
+ * before statuses existed are in the first status, or the final one when completed.
+ */
+
+import { generateUniqueId } from './utils.js';
+
+/**
+ * Statuses used until the user changes the workflow; a WIP limit of 0 means no limit
+ */
+export const DEFAULT_WORKFLOW = [
+  { id: 'todo', name: 'Not Started', wipLimit: 0 },
+  { id: 'in-progress', name: 'In Progress', wipLimit: 3 },
+  { id: 'waiting', name: 'Waiting on Others', wipLimit: 0 },
+  { id: 'done', name: 'Done', wipLimit: 0 }
+];
+
+/**
+ * Fewest and most statuses a workflow may have
+ */
+export const MIN_WORKFLOW_STATUSES = 2;
+export const MAX_WORKFLOW_STATUSES = 8;
+
+/**
+ * Normalize a workflow status
+ * @param {Object} status - Raw status
+ * @returns {Object} { id, name, wipLimit }
+ */
+export function normalizeWorkflowStatus(status) {
+  const wipLimit = parseFloat(status.wipLimit);
+  return {
+    id: status.id || generateUniqueId('status'),
+    name: String(status.name || '').trim().replace(/\s+/g, ' '),
+    wipLimit: isNaN(wipLimit) ? 0 : wipLimit
+  };
+}
+
+/**
+ * Normalize the stored workflow, falling back to the default one
+ * @param {Array} workflow - Raw statuses in column order
+ * @returns {Array} Statuses
+ */
+export function normalizeWorkflow(workflow) {
+  if (!Array.isArray(workflow) || workflow.length < MIN_WORKFLOW_STATUSES) {
+    return DEFAULT_WORKFLOW.map(status => ({ ...status }));
+  }
+  return workflow.map(normalizeWorkflowStatus);
+}
+
+/**
+ * Find a status by ID
+ * @param {Array} workflow - Statuses
+ * @param {string} statusId - Status ID
+ * @returns {Object|null} Status
+ */
+export function findStatus(workflow, statusId) {
+  return workflow.find(status => status.id === statusId) || null;
+}
+
+/**
+ * The final status; tasks in it are completed
+ * @param {Array} workflow - Statuses
+ * @returns {Object} Last status
+ */
+export function getFinalStatus(workflow) {
+  return workflow[workflow.length - 1];
+}
+
+/**
+ * Status of a task, for tasks without one or with a status no longer in the workflow
+ * @param {Object} task - Task object
+ * @param {Array} workflow - Statuses
+ * @returns {string} Status ID
+ */
+export function getTaskStatus(task, workflow) {
+  const final = getFinalStatus(workflow);
+  if (task.completed) return final.id;
+  const status = findStatus(workflow, task.status);
+  return status && status !== final ? status.id : workflow[0].id;
+}
+
+/**
+ * Status a task goes back to when it is marked incomplete: the one it was in
+ * before it reached the final status, or the first one
+ * @param {Object} task - Task object
+ * @param {Array} workflow - Statuses
+ * @returns {string} Status ID
+ */
+function getStatusBeforeFinal(task, workflow) {
+  const final = getFinalStatus(workflow);
+  const entry = (Array.isArray(task.history) ? task.history : [])
+    .filter(item => item.type === 'status' && item.to === final.id)
+    .pop();
+  const status = entry && findStatus(workflow, entry.from);
+  return status && status !== final ? status.id : workflow[0].id;
+}
+
+/**
+ * Keep `status` and `completed` in step for a task update
+ * Setting a status completes the task exactly when it is the final status;
+ * completing a task moves it to the final status, and reopening it moves it back.
+ * @param {Object} prevTask - Task before the update
+ * @param {Object} updates - Requested updates
+ * @param {Array} workflow - Statuses
+ * @returns {Object|null} { status, completed }, or null when neither is updated
+ */
+export function resolveStatusUpdates(prevTask, updates, workflow) {
+  const has = (field) => Object.prototype.hasOwnProperty.call(updates, field);
+  if (!has('status') && !has('completed')) return null;
+
+  const final = getFinalStatus(workflow).id;
+  const current = getTaskStatus(prevTask, workflow);
+  let status;
+  if (has('status')) {
+    status = updates.status;
+  } else if (updates.completed) {
+    status = final;
+  } else {
+    status = current === final ? getStatusBeforeFinal(prevTask, workflow) : current;
+  }
+  return { status, completed: status === final };
+}
+
+/**
+ * Check a column's WIP limit before a task moves into it, whether it is dragged
+ * there or returns there when reopened
+ * A task already in the column always fits, even when a lowered limit left the
+ * column over it.
+ * @param {Array} tasks - All tasks
+ * @param {Array} workflow - Statuses
+ * @param {string} statusId - Column the task moves to
+ * @param {string} taskId - Task being moved
+ * @returns {string|null} Error message, or null when the task fits
+ */
+export function getWipLimitError(tasks, workflow, statusId, taskId) {
+  const status = findStatus(workflow, statusId);
+  if (!status || !status.wipLimit) return null;
+  const task = tasks.find(item => item.id === taskId);
+  if (task && getTaskStatus(task, workflow) === statusId) return null;
+  const count = tasks.filter(task => task.id !== taskId && getTaskStatus(task, workflow) === statusId).length;
+  return count >= status.wipLimit
+    ? `${status.name} is at its limit of ${status.wipLimit} task${status.wipLimit === 1 ? '' : 's'}`
+    : null;
+}
+
+/**
+ * Group tasks into board columns, earliest due date first
+ * @param {Array} tasks - Tasks
+ * @param {Array} workflow - Statuses
+ * @returns {Array} [{ status, tasks, overLimit }] in column order
+ */
+export function groupTasksByStatus(tasks, workflow) {
+  return workflow.map(status => {
+    const columnTasks = tasks
+      .filter(task => getTaskStatus(task, workflow) === status.id)
+      .sort((a, b) => String(a.dueDate || '9999').localeCompare(String(b.dueDate || '9999')));
+    return {
+      status,
+      tasks: columnTasks,
+      overLimit: status.wipLimit > 0 && columnTasks.length > status.wipLimit
+    };
+  });
+}